@@ -4,7 +4,11 @@ import { useState, useEffect, useCallback, useRef } from 'react';
 import { mnemonicToKeypair, SOLANA_PATH } from '../utils/bip44';
 import { encodeBase58 } from '../utils/base58';
 import { NETWORKS, DEFAULT_NETWORK } from '../services/networks';
+import { getActiveRpcUrl, startRpcHealthMonitor, reportRpcFailure, reportRpcSuccess } from '../services/rpcEndpoints';
+import { verifyNetworkIdentity, syncCustomNetworks } from '../services/customNetworks';
+import { subscribeAccount, subscribeConnectionStatus } from '../services/accountSubscriptions';
 import { encryptData, decryptData, isEncrypted } from '../utils/encryption';
+import { loadAddressBook, saveAddressBook, reencryptAddressBook, clearAddressBook, validateContact, createContact } from '../services/addressBook';
 
 const STORAGE_KEY = 'x1wallet_wallets';
 const ACTIVE_KEY = 'x1wallet_active';
@@ -130,11 +134,10 @@ function getNetworkConfig(networkName) {
   if (NETWORKS[networkName]) {
     const config = { ...NETWORKS[networkName] };
     
-    // Apply RPC override if set
+    // The RPC override is the first endpoint rpcUrl tries
     try {
       const overrides = JSON.parse(localStorage.getItem('x1wallet_rpcOverrides') || '{}');
       if (overrides[networkName]) {
-        config.rpcUrl = overrides[networkName];
         config.hasCustomRpc = true;
       }
     } catch (e) {
@@ -152,7 +155,8 @@ function getNetworkConfig(networkName) {
       return {
         name: customNet.name,
         providerId: `custom-${customNet.id || Date.now()}`,
-        rpcUrl: customNet.url,
+        rpcUrl: getActiveRpcUrl(customNet.name),
+        chainId: customNet.chainId || null,
         symbol: customNet.symbol || 'TOKEN',
         decimals: parseInt(customNet.decimals) || 9,
         explorer: customNet.explorer || '',
@@ -178,6 +182,11 @@ export function useWallet() {
   const [balance, setBalance] = useState(0);
   const [isLocked, setIsLocked] = useState(false);
   const [encryptionPassword, setEncryptionPassword] = useState(null);
+  const [contacts, setContacts] = useState([]);
+  // Set when the network's RPC serves a different chain than the one it was added with
+  const [networkWarning, setNetworkWarning] = useState(null);
+  // True while balance changes are pushed over the RPC WebSocket - callers can poll less
+  const [liveUpdates, setLiveUpdates] = useState(false);
 
   // Check if wallet storage is encrypted
   const isStorageEncrypted = useCallback(() => {
@@ -460,6 +469,7 @@ export function useWallet() {
   // Lock wallet (clear in-memory data)
   const lockWallet = useCallback(() => {
     setWallets([]);
+    setContacts([]);
     setEncryptionPassword(null);
     setIsLocked(true);
     setBalance(0);
@@ -551,6 +561,13 @@ export function useWallet() {
     const encrypted = await encryptData(jsonData, newPassword);
     localStorage.setItem(STORAGE_KEY, encrypted);
     
+    // Address book is encrypted with the same password
+    try {
+      await reencryptAddressBook(currentPassword, newPassword);
+    } catch (e) {
+      logger.error('[useWallet] Failed to re-encrypt address book:', e.message);
+    }
+    
     // Also update session storage with new password
     if (typeof chrome !== 'undefined' && chrome.storage && chrome.storage.session) {
       try {
@@ -605,8 +622,9 @@ export function useWallet() {
   const activeAddress = activeWallet ? getActiveAddress(activeWallet) : null;
 
   // Create new wallet from mnemonic
-  const createWallet = useCallback(async (mnemonic, name = null, password = null, derivationIndex = 0) => {
-    logger.log(`[createWallet] Starting: name=${name}, derivationIndex=${derivationIndex}`);
+  // derivationPath overrides the standard m/44'/501'/{index}'/0' path (custom path imports)
+  const createWallet = useCallback(async (mnemonic, name = null, password = null, derivationIndex = 0, derivationPath = null) => {
+    logger.log(`[createWallet] Starting: name=${name}, derivationIndex=${derivationIndex}, derivationPath=${derivationPath || 'standard'}`);
     
     // Require a password before creating/importing the first wallet.
     // React state may lag after enableEncryption(), so also consult the persisted flag.
@@ -626,7 +644,7 @@ export function useWallet() {
     const effectivePassword = password || encryptionPassword;
     
     try {
-      const keypair = await mnemonicToKeypair(mnemonic, derivationIndex);
+      const keypair = await mnemonicToKeypair(mnemonic, derivationPath || derivationIndex);
       const publicKey = encodeBase58(keypair.publicKey);
       const privateKey = encodeBase58(keypair.secretKey);
       
@@ -679,12 +697,14 @@ export function useWallet() {
         mnemonic,
         type: 'local',
         derivationIndex,
+        ...(derivationPath ? { derivationPath } : {}),
         createdAt: new Date().toISOString(),
         addresses: [{
           index: derivationIndex,
           publicKey,
           privateKey,
-          name: 'Address 1'
+          name: 'Address 1',
+          ...(derivationPath ? { derivationPath } : {})
         }],
         activeAddressIndex: 0
       };
@@ -706,8 +726,8 @@ export function useWallet() {
   }, [wallets, saveWallets, encryptionPassword, enableEncryption]);
 
   // Import wallet
-  const importWallet = useCallback(async (mnemonic, name = null, password = null, derivationIndex = 0) => {
-    return createWallet(mnemonic, name, password, derivationIndex);
+  const importWallet = useCallback(async (mnemonic, name = null, password = null, derivationIndex = 0, derivationPath = null) => {
+    return createWallet(mnemonic, name, password, derivationIndex, derivationPath);
   }, [createWallet]);
 
   // Add new address to existing wallet
@@ -716,6 +736,10 @@ export function useWallet() {
     if (!wallet || !wallet.mnemonic) {
       throw new Error('Cannot add address to this wallet (no mnemonic)');
     }
+    if (wallet.derivationPath) {
+      // Sibling addresses of an arbitrary path are ambiguous - import each path separately
+      throw new Error('Cannot add addresses to a wallet imported with a custom derivation path');
+    }
     
     const existingIndices = wallet.addresses.map(a => a.index);
     let newIndex = 0;
@@ -1087,6 +1111,7 @@ export function useWallet() {
     localStorage.removeItem('x1wallet_encrypted');
     localStorage.removeItem('passwordProtection');
     localStorage.removeItem('passwordHash');
+    clearAddressBook();
     if (typeof chrome !== 'undefined' && chrome.storage) {
       try {
         await chrome.storage.local.remove([
@@ -1102,6 +1127,7 @@ export function useWallet() {
       } catch (e) {}
     }
     setWallets([]);
+    setContacts([]);
     setActiveWalletId(null);
     setEncryptionPassword(null);
     setIsLocked(false);
@@ -1160,10 +1186,15 @@ export function useWallet() {
       
       clearTimeout(timeout);
       
+      if (response.status >= 500) {
+        reportRpcFailure(rpcUrl, new Error(`HTTP ${response.status}`));
+        return;
+      }
       if (!response.ok) return;
       
       const data = await response.json();
       if (data.error) return;
+      reportRpcSuccess(rpcUrl);
       
       let bal = 0;
       if (data.result?.value !== undefined) {
@@ -1175,9 +1206,55 @@ export function useWallet() {
       setCachedBalance(activeAddress.publicKey, network, bal);
     } catch (e) {
       logger.error('[Balance] Failed to fetch:', e.message);
+      reportRpcFailure(rpcUrl, e);
     }
   }, [activeAddress, network]);
 
+  // Push native balance changes (incoming funds show up without waiting for the next poll)
+  useEffect(() => {
+    if (!activeAddress?.publicKey || isLocked) return;
+    const networkConfig = getNetworkConfig(network);
+    const rpcUrl = networkConfig.rpcUrl;
+    const address = activeAddress.publicKey;
+
+    const unsubscribeStatus = subscribeConnectionStatus(rpcUrl, status => setLiveUpdates(status === 'open'));
+    const unsubscribeAccount = subscribeAccount(rpcUrl, address, ({ lamports }) => {
+      const bal = lamports / Math.pow(10, networkConfig.decimals);
+      setBalance(bal);
+      setCachedBalance(address, network, bal);
+    }, () => setLiveUpdates(false));
+
+    return () => {
+      unsubscribeAccount();
+      unsubscribeStatus();
+      setLiveUpdates(false);
+    };
+  }, [activeAddress?.publicKey, network, isLocked]);
+
+  // Keep endpoint health current so requests fail over to a working RPC
+  useEffect(() => startRpcHealthMonitor(network), [network]);
+
+  // Check the chain identity on every switch - an RPC that changed chains could show wrong balances or
+  // get transactions signed for the wrong network
+  useEffect(() => {
+    let cancelled = false;
+    setNetworkWarning(null);
+    const rpcUrl = getNetworkConfig(network).rpcUrl;
+    verifyNetworkIdentity(network, rpcUrl).then(result => {
+      if (cancelled || result.ok) return;
+      logger.warn('[useWallet] Genesis hash mismatch for', network, result);
+      setNetworkWarning(`The RPC for ${network} (${rpcUrl}) now reports a different genesis hash than when it was added. It may be serving another chain - check the RPC before sending or signing.`);
+    }).catch(e => {
+      logger.warn('[useWallet] Could not verify network identity:', e.message);
+    });
+    return () => { cancelled = true; };
+  }, [network]);
+
+  // Background resolves dApp chain ids from the mirrored list
+  useEffect(() => {
+    syncCustomNetworks();
+  }, []);
+
   // Load cached balance immediately when wallet/network changes
   useEffect(() => {
     if (activeAddress && !isLocked) {
@@ -1220,6 +1297,63 @@ export function useWallet() {
     return wallets.find(w => w.id === walletId) || null;
   }, [wallets]);
 
+  // Load address book whenever the wallet is unlocked (password becomes available)
+  useEffect(() => {
+    if (!encryptionPassword) return;
+    let cancelled = false;
+    loadAddressBook(encryptionPassword)
+      .then(loaded => { if (!cancelled) setContacts(loaded); })
+      .catch(e => logger.error('[useWallet] Failed to load address book:', e.message));
+    return () => { cancelled = true; };
+  }, [encryptionPassword]);
+
+  // Persist contacts with the current wallet password
+  const saveContacts = useCallback(async (newContacts) => {
+    await saveAddressBook(newContacts, encryptionPassword);
+    setContacts(newContacts);
+  }, [encryptionPassword]);
+
+  // Add a contact - throws with a user-facing message if invalid
+  const addContact = useCallback(async (fields) => {
+    const validation = validateContact(fields, contacts);
+    if (!validation.valid) throw new Error(validation.error);
+    const contact = createContact(fields);
+    await saveContacts([...contacts, contact]);
+    return contact;
+  }, [contacts, saveContacts]);
+
+  // Update name/address/network/notes of an existing contact
+  const updateContact = useCallback(async (contactId, updates) => {
+    const existing = contacts.find(c => c.id === contactId);
+    if (!existing) throw new Error('Contact not found');
+    const merged = { ...existing, ...updates };
+    const validation = validateContact(merged, contacts, contactId);
+    if (!validation.valid) throw new Error(validation.error);
+    const updated = {
+      ...merged,
+      name: merged.name.trim(),
+      address: merged.address.trim(),
+      network: merged.network || null,
+      notes: (merged.notes || '').trim()
+    };
+    await saveContacts(contacts.map(c => c.id === contactId ? updated : c));
+    return updated;
+  }, [contacts, saveContacts]);
+
+  const removeContact = useCallback(async (contactId) => {
+    await saveContacts(contacts.filter(c => c.id !== contactId));
+  }, [contacts, saveContacts]);
+
+  // Record that a contact was just sent to (drives autocomplete ordering)
+  const markContactUsed = useCallback(async (address) => {
+    if (!contacts.some(c => c.address === address)) return;
+    try {
+      await saveContacts(contacts.map(c => c.address === address ? { ...c, lastUsed: Date.now() } : c));
+    } catch (e) {
+      logger.warn('[useWallet] Failed to update contact usage:', e.message);
+    }
+  }, [contacts, saveContacts]);
+
   // Sanitized wallets array - include publicKey at wallet level for backwards compatibility
   const sanitizedWallets = wallets.map(w => {
     const activeAddr = w.addresses?.[w.activeAddressIndex || 0] || w.addresses?.[0];
@@ -1247,6 +1381,8 @@ export function useWallet() {
     activeAddress,
     activeWalletId,
     network,
+    networkWarning,
+    liveUpdates,
     loading,
     balance,
     isLocked,
@@ -1271,7 +1407,14 @@ export function useWallet() {
     removeAddress,
     switchAddress,
     renameAddress,
-    
+
+    // Address Book
+    contacts,
+    addContact,
+    updateContact,
+    removeContact,
+    markContactUsed,
+
     // Encryption Actions
     unlockWallet,
     lockWallet,
@@ -7,18 +7,43 @@ export * from './utils/bip44.js';
 export * from './utils/crypto.js';
 export * from './utils/base58.js';
 export * from './utils/transaction.js';
+export * from './utils/solanaPay.js';
+export * from './utils/instructionDecoders.js';
+export * from './utils/token2022.js';
+export * from './utils/batchSend.js';
+export * from './utils/nonce.js';
+export * from './utils/transactionDecoder.js';
+export * from './utils/offlineSigning.js';
+export * from './utils/signIn.js';
+export * from './utils/addressPoisoning.js';
+export * from './utils/computeBudget.js';
+export { rpcCall, getSignatureOutcome } from './utils/rpc.js';
 export { logger } from './utils/logger.js';
 export { getUserFriendlyError, ErrorMessages, createErrorHandler } from './utils/errorHandler.js';
 export { encryptData, decryptData, hashPassword, verifyPassword, isEncrypted } from './utils/encryption.js';
 
 // Services
 export * from './services/networks.js';
+export * from './services/rpcEndpoints.js';
+export * from './services/customNetworks.js';
+export * from './services/accountSubscriptions.js';
+export * from './services/transactionTracker.js';
+export * from './services/priorityFees.js';
+export * from './services/nativeStake.js';
+export * from './services/validators.js';
+export * from './services/stakePool.js';
+export * from './services/stakePools.js';
 export * from './services/xdex.js';
+export * from './services/limitOrders.js';
 export * from './services/tokens.js';
 export * from './services/activity.js';
 export * from './services/wallet.js';
 export * from './services/core.js';
 export * from './services/xp.js';
+export * from './services/addressBook.js';
+export * from './services/simulation.js';
+export * from './services/sitePermissions.js';
+export * from './services/phishingProtection.js';
 
 // Hooks
 export { useWallet, getNetworkConfig } from './hooks/useWallet.js';
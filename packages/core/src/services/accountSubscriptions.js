@@ -0,0 +1,337 @@
+// Account subscriptions - live balance, token account and signature updates over the RPC WebSocket
+// One socket per endpoint is shared by every subscriber. Dropped sockets reconnect with backoff and
+// resubscribe; while a socket is down, callers should fall back to polling (see subscribeConnectionStatus).
+import { logger } from '../utils/logger.js';
+import { rpcCall } from '../utils/rpc.js';
+
+const TOKEN_PROGRAM_IDS = [
+  'TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA',
+  'TokenzQdBNbLqP5VEhdkAS6EPFLC1PHnBqCXEpPxuEb'
+];
+
+const RECONNECT_BASE_MS = 1000;
+const RECONNECT_MAX_MS = 30 * 1000;
+
+// How often waitForSignature checks the status itself - slower while the socket can push it
+const SIGNATURE_POLL_MS = 1500;
+const SIGNATURE_POLL_LIVE_MS = 5000;
+
+// wsUrl -> { url, socket, status, attempts, reconnectTimer, nextId, subs, pending, serverIds, statusListeners }
+const connections = new Map();
+
+/**
+ * WebSocket endpoint for an HTTP RPC endpoint
+ * Local validators serve WebSocket on the next port (8899 -> 8900), hosted RPCs on the same one.
+ */
+export function getWebSocketUrl(rpcUrl) {
+  const url = new URL(rpcUrl);
+  url.protocol = url.protocol === 'https:' ? 'wss:' : 'ws:';
+  if (url.port) {
+    url.port = String(Number(url.port) + 1);
+  }
+  return url.toString().replace(/\/$/, '');
+}
+
+function setStatus(conn, status) {
+  if (conn.status === status) return;
+  conn.status = status;
+  conn.statusListeners.forEach(listener => listener(status));
+}
+
+function send(conn, payload) {
+  if (conn.socket?.readyState === WebSocket.OPEN) {
+    conn.socket.send(JSON.stringify(payload));
+  }
+}
+
+function sendSubscribe(conn, sub) {
+  const id = conn.nextId++;
+  conn.pending.set(id, sub.key);
+  send(conn, { jsonrpc: '2.0', id, method: sub.method, params: sub.params });
+}
+
+function sendUnsubscribe(conn, sub) {
+  if (sub.serverId == null) return;
+  conn.serverIds.delete(sub.serverId);
+  send(conn, { jsonrpc: '2.0', id: conn.nextId++, method: sub.method.replace('Subscribe', 'Unsubscribe'), params: [sub.serverId] });
+}
+
+function handleMessage(conn, raw) {
+  let message;
+  try {
+    message = JSON.parse(raw);
+  } catch (e) {
+    return;
+  }
+
+  // Reply to a subscribe request
+  if (message.id != null && conn.pending.has(message.id)) {
+    const sub = conn.subs.get(conn.pending.get(message.id));
+    conn.pending.delete(message.id);
+    if (!sub) return;
+    if (message.error) {
+      logger.warn('[Subscriptions]', sub.method, 'rejected:', message.error.message);
+      sub.errorListeners.forEach(listener => listener(new Error(message.error.message || `${sub.method} failed`)));
+      return;
+    }
+    sub.serverId = message.result;
+    conn.serverIds.set(message.result, sub.key);
+    return;
+  }
+
+  if (!message.method?.endsWith('Notification')) return;
+  const key = conn.serverIds.get(message.params?.subscription);
+  const sub = key && conn.subs.get(key);
+  if (!sub) return;
+  sub.listeners.forEach(listener => listener(message.params.result));
+
+  // The node drops a signature subscription once it has notified
+  if (sub.method === 'signatureSubscribe') {
+    conn.serverIds.delete(sub.serverId);
+    conn.subs.delete(key);
+    closeIfIdle(conn);
+  }
+}
+
+function scheduleReconnect(conn) {
+  const delay = Math.min(RECONNECT_BASE_MS * 2 ** conn.attempts, RECONNECT_MAX_MS);
+  conn.attempts++;
+  clearTimeout(conn.reconnectTimer);
+  conn.reconnectTimer = setTimeout(() => connect(conn), delay);
+}
+
+function connect(conn) {
+  conn.reconnectTimer = null;
+  if (connections.get(conn.url) !== conn || conn.subs.size === 0) return;
+  setStatus(conn, conn.attempts === 0 ? 'connecting' : 'reconnecting');
+
+  let socket;
+  try {
+    socket = new WebSocket(conn.url);
+  } catch (e) {
+    logger.warn('[Subscriptions] Could not open', conn.url, e.message);
+    scheduleReconnect(conn);
+    return;
+  }
+  conn.socket = socket;
+
+  socket.onopen = () => {
+    conn.attempts = 0;
+    setStatus(conn, 'open');
+    for (const sub of conn.subs.values()) {
+      sendSubscribe(conn, sub);
+    }
+  };
+  socket.onmessage = (event) => handleMessage(conn, event.data);
+  socket.onclose = () => {
+    if (conn.socket !== socket) return;
+    conn.socket = null;
+    conn.pending.clear();
+    conn.serverIds.clear();
+    for (const sub of conn.subs.values()) {
+      sub.serverId = null;
+    }
+    setStatus(conn, 'reconnecting');
+    scheduleReconnect(conn);
+  };
+  // onclose follows and handles the reconnect
+  socket.onerror = () => {};
+}
+
+function getConnection(wsUrl) {
+  let conn = connections.get(wsUrl);
+  if (!conn) {
+    conn = {
+      url: wsUrl,
+      socket: null,
+      status: 'closed',
+      attempts: 0,
+      reconnectTimer: null,
+      nextId: 1,
+      subs: new Map(),
+      pending: new Map(),
+      serverIds: new Map(),
+      statusListeners: new Set()
+    };
+    connections.set(wsUrl, conn);
+  }
+  return conn;
+}
+
+// Close the socket once nothing is subscribed; the entry stays while status listeners need it
+function closeIfIdle(conn) {
+  if (conn.subs.size > 0) return;
+  clearTimeout(conn.reconnectTimer);
+  conn.reconnectTimer = null;
+  const socket = conn.socket;
+  conn.socket = null;
+  socket?.close();
+  setStatus(conn, 'closed');
+  if (conn.statusListeners.size === 0) {
+    connections.delete(conn.url);
+  }
+}
+
+function subscribe(rpcUrl, method, params, onChange, onError) {
+  if (typeof WebSocket === 'undefined') {
+    onError?.(new Error('WebSocket is not available'));
+    return () => {};
+  }
+
+  const conn = getConnection(getWebSocketUrl(rpcUrl));
+  const key = `${method}:${JSON.stringify(params)}`;
+  let sub = conn.subs.get(key);
+  if (!sub) {
+    sub = { key, method, params, serverId: null, listeners: new Set(), errorListeners: new Set() };
+    conn.subs.set(key, sub);
+    if (conn.socket?.readyState === WebSocket.OPEN) {
+      sendSubscribe(conn, sub);
+    }
+  }
+  sub.listeners.add(onChange);
+  if (onError) sub.errorListeners.add(onError);
+
+  if (!conn.socket && !conn.reconnectTimer) {
+    connect(conn);
+  }
+
+  return () => {
+    sub.listeners.delete(onChange);
+    if (onError) sub.errorListeners.delete(onError);
+    if (sub.listeners.size > 0 || conn.subs.get(key) !== sub) return;
+    conn.subs.delete(key);
+    sendUnsubscribe(conn, sub);
+    closeIfIdle(conn);
+  };
+}
+
+/**
+ * Follow the WebSocket state for an endpoint
+ * The listener is called right away and then on every change with
+ * 'connecting' | 'open' | 'reconnecting' | 'closed' | 'unavailable'. Anything but 'open' means poll.
+ * @returns {Function} Unsubscribe
+ */
+export function subscribeConnectionStatus(rpcUrl, listener) {
+  if (typeof WebSocket === 'undefined') {
+    listener('unavailable');
+    return () => {};
+  }
+  const conn = getConnection(getWebSocketUrl(rpcUrl));
+  conn.statusListeners.add(listener);
+  listener(conn.status);
+  return () => {
+    conn.statusListeners.delete(listener);
+    closeIfIdle(conn);
+  };
+}
+
+/**
+ * Native balance and data changes for an account
+ * @param {Function} onChange - ({ slot, lamports, account })
+ * @param {Function} [onError] - Called if the node rejects the subscription
+ * @returns {Function} Unsubscribe
+ */
+export function subscribeAccount(rpcUrl, address, onChange, onError) {
+  return subscribe(
+    rpcUrl,
+    'accountSubscribe',
+    [address, { encoding: 'jsonParsed', commitment: 'confirmed' }],
+    result => onChange({ slot: result.context?.slot, lamports: result.value?.lamports ?? 0, account: result.value }),
+    onError
+  );
+}
+
+/**
+ * Changes to any SPL Token or Token-2022 account owned by an address, including new ones
+ * @param {Function} onChange - ({ slot, pubkey, account }) with jsonParsed account data
+ * @param {Function} [onError] - Called if the node rejects the subscription (some RPCs disable programSubscribe)
+ * @returns {Function} Unsubscribe
+ */
+export function subscribeTokenAccounts(rpcUrl, owner, onChange, onError) {
+  const unsubscribes = TOKEN_PROGRAM_IDS.map(programId => subscribe(
+    rpcUrl,
+    'programSubscribe',
+    [programId, {
+      encoding: 'jsonParsed',
+      commitment: 'confirmed',
+      // Owner sits at byte 32 in both token programs' account layout
+      filters: [{ memcmp: { offset: 32, bytes: owner } }]
+    }],
+    result => onChange({ slot: result.context?.slot, pubkey: result.value?.pubkey, account: result.value?.account }),
+    onError
+  ));
+  return () => unsubscribes.forEach(unsubscribe => unsubscribe());
+}
+
+/**
+ * One notification when a signature reaches the given commitment
+ * @param {Function} onChange - ({ slot, err }) - err is null if the transaction succeeded
+ * @returns {Function} Unsubscribe
+ */
+export function subscribeSignature(rpcUrl, signature, onChange, onError, commitment = 'confirmed') {
+  return subscribe(
+    rpcUrl,
+    'signatureSubscribe',
+    [signature, { commitment }],
+    result => onChange({ slot: result.context?.slot, err: result.value?.err ?? null }),
+    onError
+  );
+}
+
+async function getSignatureStatus(rpcUrl, signature) {
+  const result = await rpcCall(rpcUrl, 'getSignatureStatuses', [[signature], { searchTransactionHistory: false }]);
+  return result?.value?.[0] || null;
+}
+
+/**
+ * Wait for a transaction to confirm - pushed over the WebSocket, with polling in case it is down
+ * @returns {Promise<void>} Rejects if the transaction fails on-chain or the timeout passes
+ */
+export function waitForSignature(rpcUrl, signature, { commitment = 'confirmed', timeoutMs = 60000 } = {}) {
+  return new Promise((resolve, reject) => {
+    let done = false;
+    let live = false;
+    let pollTimer = null;
+    let unsubscribeStatus = () => {};
+    let unsubscribeSignature = () => {};
+
+    const finish = (err) => {
+      if (done) return;
+      done = true;
+      clearTimeout(pollTimer);
+      clearTimeout(deadline);
+      unsubscribeSignature();
+      unsubscribeStatus();
+      if (err) {
+        reject(err);
+      } else {
+        resolve();
+      }
+    };
+
+    const settle = (txErr) => finish(txErr ? new Error(`Transaction failed: ${JSON.stringify(txErr)}`) : null);
+
+    const poll = async () => {
+      try {
+        const status = await getSignatureStatus(rpcUrl, signature);
+        if (status?.err) return settle(status.err);
+        const reached = status?.confirmationStatus === 'finalized' ||
+          (commitment !== 'finalized' && status?.confirmationStatus === 'confirmed');
+        if (reached) return settle(null);
+      } catch (e) {
+        logger.warn('[Subscriptions] Signature status check failed:', e.message);
+      }
+      if (!done) {
+        pollTimer = setTimeout(poll, live ? SIGNATURE_POLL_LIVE_MS : SIGNATURE_POLL_MS);
+      }
+    };
+
+    const deadline = setTimeout(() => {
+      finish(new Error('Transaction was not confirmed in time - check the explorer before retrying'));
+    }, timeoutMs);
+
+    unsubscribeStatus = subscribeConnectionStatus(rpcUrl, status => { live = status === 'open'; });
+    unsubscribeSignature = subscribeSignature(rpcUrl, signature, result => settle(result.err), null, commitment);
+    poll();
+  });
+}
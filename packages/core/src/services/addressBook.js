@@ -0,0 +1,157 @@
+// Address Book service - labeled contacts shared by every send flow
+// Contacts are stored encrypted with the wallet password, same as the wallets themselves
+import { logger } from '../utils/logger.js';
+import { validateAddress, isSimilarAddress } from '../utils/base58.js';
+import { encryptData, decryptData, isEncrypted } from '../utils/encryption.js';
+
+const ADDRESS_BOOK_KEY = 'x1wallet_address_book';
+
+const MAX_NAME_LENGTH = 32;
+const MAX_NOTES_LENGTH = 200;
+
+/**
+ * Load contacts from storage
+ * Returns an empty list when nothing has been saved yet
+ */
+export async function loadAddressBook(password) {
+  const saved = localStorage.getItem(ADDRESS_BOOK_KEY);
+  if (!saved) return [];
+
+  // X1W-SEC: Never read plaintext contacts - they must have been written by us, encrypted
+  if (!isEncrypted(saved)) {
+    logger.warn('[AddressBook] Ignoring unencrypted address book data');
+    return [];
+  }
+
+  if (!password) {
+    throw new Error('Wallet is locked. Please unlock to view contacts.');
+  }
+
+  const decrypted = await decryptData(saved, password);
+  const parsed = JSON.parse(decrypted);
+  return Array.isArray(parsed) ? parsed : [];
+}
+
+/**
+ * Persist contacts (always encrypted)
+ */
+export async function saveAddressBook(contacts, password) {
+  if (!password) {
+    throw new Error('Wallet is locked. Please unlock before editing contacts.');
+  }
+  const encrypted = await encryptData(JSON.stringify(contacts || []), password);
+  localStorage.setItem(ADDRESS_BOOK_KEY, encrypted);
+}
+
+/**
+ * Re-encrypt the address book after a password change
+ */
+export async function reencryptAddressBook(currentPassword, newPassword) {
+  if (!localStorage.getItem(ADDRESS_BOOK_KEY)) return;
+  const contacts = await loadAddressBook(currentPassword);
+  await saveAddressBook(contacts, newPassword);
+}
+
+// Remove the address book entirely (used on wallet reset)
+export function clearAddressBook() {
+  localStorage.removeItem(ADDRESS_BOOK_KEY);
+}
+
+/**
+ * Validate contact fields before saving
+ * existingContacts is used to reject duplicates; pass the contact's own id as ignoreId when editing
+ */
+export function validateContact(contact, existingContacts = [], ignoreId = null) {
+  const name = (contact?.name || '').trim();
+  if (!name) {
+    return { valid: false, error: 'Name is required' };
+  }
+  if (name.length > MAX_NAME_LENGTH) {
+    return { valid: false, error: `Name must be ${MAX_NAME_LENGTH} characters or less` };
+  }
+
+  const address = (contact?.address || '').trim();
+  const result = validateAddress(address);
+  if (!result.valid) {
+    return { valid: false, error: result.error };
+  }
+
+  if ((contact?.notes || '').length > MAX_NOTES_LENGTH) {
+    return { valid: false, error: `Notes must be ${MAX_NOTES_LENGTH} characters or less` };
+  }
+
+  const network = contact?.network || null;
+  const duplicate = existingContacts.find(c =>
+    c.id !== ignoreId &&
+    c.address === address &&
+    (c.network || null) === network
+  );
+  if (duplicate) {
+    return { valid: false, error: `Address already saved as "${duplicate.name}"` };
+  }
+
+  return { valid: true };
+}
+
+/**
+ * Build a normalized contact record
+ * network is optional - null means the contact is shown on every network
+ */
+export function createContact({ name, address, network = null, notes = '' }) {
+  return {
+    id: `contact_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+    name: name.trim(),
+    address: address.trim(),
+    network: network || null,
+    notes: (notes || '').trim(),
+    createdAt: Date.now(),
+    lastUsed: null
+  };
+}
+
+// Contacts usable on the given network (network-less contacts apply everywhere)
+export function getContactsForNetwork(contacts, network) {
+  return (contacts || []).filter(c => !c.network || !network || c.network === network);
+}
+
+// Exact match for an address, preferring a contact saved for this network
+export function findContactByAddress(contacts, address, network = null) {
+  if (!address) return null;
+  const trimmed = address.trim();
+  const matches = getContactsForNetwork(contacts, network).filter(c => c.address === trimmed);
+  return matches.find(c => c.network === network) || matches[0] || null;
+}
+
+/**
+ * Contacts whose address looks like, but is not, the given address
+ * Used to warn about typos and address poisoning before sending
+ */
+export function findSimilarContacts(contacts, address, network = null) {
+  if (!address) return [];
+  const trimmed = address.trim();
+  return getContactsForNetwork(contacts, network).filter(c =>
+    c.address !== trimmed && isSimilarAddress(c.address, trimmed)
+  );
+}
+
+/**
+ * Search contacts by name or address for recipient autocomplete
+ * Most recently used contacts come first
+ */
+export function searchContacts(contacts, query, network = null, limit = 5) {
+  const q = (query || '').trim().toLowerCase();
+  const candidates = getContactsForNetwork(contacts, network).filter(c => {
+    if (!q) return true;
+    return c.name.toLowerCase().includes(q) || c.address.toLowerCase().startsWith(q);
+  });
+  return sortContactsByRecent(candidates).slice(0, limit);
+}
+
+export function sortContactsByRecent(contacts) {
+  return [...(contacts || [])].sort((a, b) => {
+    const aTime = a.lastUsed || 0;
+    const bTime = b.lastUsed || 0;
+    if (aTime !== bTime) return bTime - aTime;
+    return a.name.localeCompare(b.name);
+  });
+}
@@ -0,0 +1,191 @@
+// Custom networks - user-added SVM networks identified by a chain id and a pinned genesis hash
+// The list lives in localStorage (read by getNetwork) and is mirrored to chrome.storage so background.js
+// can resolve chain ids when a dApp calls switchChain.
+import { NETWORKS } from './networks.js';
+import { logger } from '../utils/logger.js';
+
+const CUSTOM_NETWORKS_KEY = 'x1wallet_customRpcs';
+// Genesis hashes of built-in networks, pinned the first time each one is checked
+const PINNED_GENESIS_KEY = 'x1wallet_genesisHashes';
+
+// CAIP-2 style namespace:reference, e.g. "x1:mainnet"
+const CHAIN_ID_PATTERN = /^[-a-z0-9]{3,8}:[-_a-zA-Z0-9]{1,32}$/;
+
+const EXPLORER_PLACEHOLDERS = { tx: '{signature}', address: '{address}', token: '{mint}' };
+
+export function loadCustomNetworks() {
+  try {
+    return JSON.parse(localStorage.getItem(CUSTOM_NETWORKS_KEY)) || [];
+  } catch (e) {
+    return [];
+  }
+}
+
+function saveCustomNetworks(networks) {
+  localStorage.setItem(CUSTOM_NETWORKS_KEY, JSON.stringify(networks));
+  syncCustomNetworks(networks);
+}
+
+/**
+ * Copy the list to chrome.storage for the background service worker
+ */
+export function syncCustomNetworks(networks = loadCustomNetworks()) {
+  if (typeof chrome === 'undefined' || !chrome.storage) return;
+  chrome.storage.local.set({ [CUSTOM_NETWORKS_KEY]: networks }).catch(e => {
+    logger.warn('[CustomNetworks] Failed to sync networks:', e);
+  });
+}
+
+export function getCustomNetwork(name) {
+  return loadCustomNetworks().find(n => n.name === name) || null;
+}
+
+// Chain id a dApp sees for a network
+export function networkToChain(network) {
+  return NETWORKS[network]?.chainId || getCustomNetwork(network)?.chainId || null;
+}
+
+export function chainToNetwork(chain) {
+  const builtIn = Object.values(NETWORKS).find(n => n.chainId === chain);
+  if (builtIn) return builtIn.name;
+  return loadCustomNetworks().find(n => n.chainId === chain)?.name || null;
+}
+
+/**
+ * Genesis hash reported by an RPC endpoint
+ */
+export async function fetchGenesisHash(rpcUrl) {
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), 8000);
+  try {
+    const response = await fetch(rpcUrl, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'getGenesisHash' }),
+      signal: controller.signal
+    });
+    if (!response.ok) throw new Error(`RPC returned HTTP ${response.status}`);
+    const data = await response.json();
+    if (data.error) throw new Error(data.error.message || 'getGenesisHash failed');
+    if (typeof data.result !== 'string' || !data.result) throw new Error('RPC did not return a genesis hash');
+    return data.result;
+  } catch (e) {
+    throw e.name === 'AbortError' ? new Error('RPC did not respond') : e;
+  } finally {
+    clearTimeout(timeout);
+  }
+}
+
+function getPinnedGenesisHashes() {
+  try {
+    return JSON.parse(localStorage.getItem(PINNED_GENESIS_KEY)) || {};
+  } catch (e) {
+    return {};
+  }
+}
+
+function isHttpUrl(value) {
+  return /^https?:\/\/\S+$/.test(value);
+}
+
+function normalizeNetwork(input, existing) {
+  const name = input.name?.trim();
+  const url = input.url?.trim().replace(/\/$/, '');
+  const chainId = input.chainId?.trim();
+  const explorer = input.explorer?.trim().replace(/\/$/, '') || '';
+  const decimals = input.decimals === '' || input.decimals === undefined ? 9 : Number(input.decimals);
+
+  if (!name) throw new Error('Network name is required');
+  if (NETWORKS[name] || existing.some(n => n.name === name)) {
+    throw new Error('A network with this name already exists');
+  }
+  if (!url || !isHttpUrl(url)) throw new Error('RPC URL must start with http:// or https://');
+  if (!Number.isInteger(decimals) || decimals < 0 || decimals > 18) {
+    throw new Error('Decimals must be a whole number from 0 to 18');
+  }
+  if (!chainId || !CHAIN_ID_PATTERN.test(chainId)) {
+    throw new Error('Chain ID must look like namespace:reference, e.g. mynet:mainnet');
+  }
+  if (chainToNetwork(chainId)) throw new Error(`Chain ID ${chainId} is already used by another network`);
+  if (explorer && !isHttpUrl(explorer)) throw new Error('Explorer URL must start with http:// or https://');
+
+  const explorerTemplates = {};
+  for (const [kind, placeholder] of Object.entries(EXPLORER_PLACEHOLDERS)) {
+    const template = input.explorerTemplates?.[kind]?.trim();
+    if (!template) continue;
+    if (!isHttpUrl(template) || !template.includes(placeholder)) {
+      throw new Error(`The ${kind} explorer template must be a URL containing ${placeholder}`);
+    }
+    explorerTemplates[kind] = template;
+  }
+
+  return {
+    id: Date.now(),
+    name,
+    url,
+    symbol: input.symbol?.trim() || 'TOKEN',
+    decimals,
+    chainId,
+    explorer,
+    explorerTemplates,
+    addedAt: Date.now()
+  };
+}
+
+/**
+ * Validate and save a custom network after reading its genesis hash from the RPC
+ */
+export async function addCustomNetwork(input) {
+  const existing = loadCustomNetworks();
+  const network = normalizeNetwork(input, existing);
+
+  let genesisHash;
+  try {
+    genesisHash = await fetchGenesisHash(network.url);
+  } catch (e) {
+    throw new Error(`Could not verify the network: ${e.message}`);
+  }
+
+  const pinned = getPinnedGenesisHashes();
+  const sameChain = Object.keys(pinned).find(name => pinned[name] === genesisHash)
+    || existing.find(n => n.genesisHash === genesisHash)?.name;
+  if (sameChain) {
+    throw new Error(`This RPC serves the same chain as ${sameChain}`);
+  }
+
+  const saved = { ...network, genesisHash };
+  saveCustomNetworks([...existing, saved]);
+  logger.log('[CustomNetworks] Added', saved.name, saved.chainId, genesisHash);
+  return saved;
+}
+
+export function removeCustomNetwork(id) {
+  saveCustomNetworks(loadCustomNetworks().filter(n => n.id !== id));
+}
+
+/**
+ * Check that a network's RPC still serves the chain it was added with
+ * Networks without a pinned genesis hash (built-in ones, or custom ones added before verification existed)
+ * are pinned on the first successful check.
+ * @returns {Promise<{ ok: boolean, expected: string, actual: string }>}
+ */
+export async function verifyNetworkIdentity(network, rpcUrl) {
+  const actual = await fetchGenesisHash(rpcUrl);
+  const networks = loadCustomNetworks();
+  const custom = networks.find(n => n.name === network);
+
+  if (custom) {
+    if (!custom.genesisHash) {
+      saveCustomNetworks(networks.map(n => n === custom ? { ...n, genesisHash: actual } : n));
+      return { ok: true, expected: actual, actual };
+    }
+    return { ok: custom.genesisHash === actual, expected: custom.genesisHash, actual };
+  }
+
+  const pinned = getPinnedGenesisHashes();
+  if (!pinned[network]) {
+    localStorage.setItem(PINNED_GENESIS_KEY, JSON.stringify({ ...pinned, [network]: actual }));
+    return { ok: true, expected: actual, actual };
+  }
+  return { ok: pinned[network] === actual, expected: pinned[network], actual };
+}
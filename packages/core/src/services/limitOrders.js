@@ -0,0 +1,381 @@
+// Limit orders - swaps that wait for a target price
+// Orders live in chrome.storage under x1wallet_limitOrders so background.js can poll XDEX quotes for them
+// while the browser is open. When an order's condition hits, background marks it triggered and notifies;
+// the swap itself is signed here, from the wallet UI - one-click approval, or automatically for software
+// wallets that opted in the next time the wallet is open and unlocked. background.js keeps its own copy
+// of getQuoteOutputAmount() and isOrderTriggered() - keep them in sync.
+import { logger } from '../utils/logger.js';
+import { rpcCall, getSignatureOutcome } from '../utils/rpc.js';
+import { addTransaction, signAndSendExternalTransaction, signAndSendExternalTransactionHardware } from '../utils/transaction.js';
+import { getQuote, prepareSwap, NATIVE_TOKEN_ADDRESS } from './xdex.js';
+import { trackSwapXP } from './xp.js';
+
+const LIMIT_ORDERS_KEY = 'x1wallet_limitOrders';
+
+// Filled, cancelled, expired and failed orders kept for the order history
+const MAX_CLOSED_ORDERS = 50;
+
+export const LIMIT_ORDER_TYPES = [
+  { id: 'limit', name: 'Limit' },
+  { id: 'bracket', name: 'TP / SL' } // Take profit and stop loss - whichever hits first cancels the other
+];
+
+export const LIMIT_ORDER_EXPIRY_OPTIONS = [
+  { label: '1 hour', ms: 60 * 60 * 1000 },
+  { label: '1 day', ms: 24 * 60 * 60 * 1000 },
+  { label: '7 days', ms: 7 * 24 * 60 * 60 * 1000 },
+  { label: '30 days', ms: 30 * 24 * 60 * 60 * 1000 },
+  { label: 'Never', ms: null }
+];
+
+const OPEN_STATUSES = ['open', 'triggered', 'executing'];
+
+// How long to wait for a sent swap to land before leaving it to the next check
+const CONFIRM_TIMEOUT_MS = 90 * 1000;
+const CONFIRM_POLL_MS = 2000;
+
+async function readOrders() {
+  if (typeof chrome === 'undefined' || !chrome.storage) return [];
+  const result = await chrome.storage.local.get(LIMIT_ORDERS_KEY);
+  return result[LIMIT_ORDERS_KEY] || [];
+}
+
+// Read-check-write of the order list holds a lock shared with the other wallet pages and background.js,
+// so a status check and the write that depends on it can't interleave with another writer
+function withOrdersLock(fn) {
+  if (typeof navigator !== 'undefined' && navigator.locks) {
+    return navigator.locks.request(LIMIT_ORDERS_KEY, fn);
+  }
+  return fn();
+}
+
+async function writeOrders(orders) {
+  const open = orders.filter(o => OPEN_STATUSES.includes(o.status));
+  const closed = orders
+    .filter(o => !OPEN_STATUSES.includes(o.status))
+    .sort((a, b) => (b.closedAt || 0) - (a.closedAt || 0))
+    .slice(0, MAX_CLOSED_ORDERS);
+  await chrome.storage.local.set({ [LIMIT_ORDERS_KEY]: [...open, ...closed] });
+}
+
+/**
+ * Update one order
+ * @param {Object} [options]
+ * @param {string} [options.from] - Only update if the order still has this status, like background's change.from
+ */
+function updateOrder(id, changes, { from } = {}) {
+  return withOrdersLock(async () => {
+    const orders = await readOrders();
+    const order = orders.find(o => o.id === id);
+    if (!order) throw new Error('Order not found');
+    if (from && order.status !== from) {
+      throw new Error(order.status === 'executing' ? 'Order is already being executed' : `Order is ${order.status}`);
+    }
+    Object.assign(order, changes);
+    if (!OPEN_STATUSES.includes(order.status) && !order.closedAt) order.closedAt = Date.now();
+    // The other half of a take profit / stop loss pair goes when this one closes
+    if (order.groupId && ['filled', 'cancelled'].includes(order.status)) {
+      for (const sibling of orders) {
+        if (sibling.groupId === order.groupId && sibling.id !== id && OPEN_STATUSES.includes(sibling.status)) {
+          sibling.status = 'cancelled';
+          sibling.closedAt = Date.now();
+        }
+      }
+    }
+    await writeOrders(orders);
+    return order;
+  });
+}
+
+function generateOrderId() {
+  const bytes = crypto.getRandomValues(new Uint8Array(8));
+  return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+}
+
+// XDEX swap parameter for a token - native tokens and WXNT use the wrapped SOL address on every network
+function toSwapParam(token) {
+  if (token.symbol === 'WXNT' || token.mint === 'native' || token.isNative || !token.mint || token.mint.startsWith('native_')) {
+    return NATIVE_TOKEN_ADDRESS;
+  }
+  return token.mint;
+}
+
+/**
+ * Output amount of an XDEX quote, in UI units
+ */
+export function getQuoteOutputAmount(quote) {
+  const output = quote?.data?.outputAmount ?? quote?.data?.token_out_amount ?? quote?.outputAmount ?? quote?.token_out_amount;
+  const parsed = parseFloat(output);
+  return isNaN(parsed) ? null : parsed;
+}
+
+/**
+ * Whether a price (output tokens per input token) meets the order's condition
+ */
+export function isOrderTriggered(order, price) {
+  if (price === null || price === undefined || !(price > 0)) return false;
+  return order.condition === 'below' ? price <= order.targetPrice : price >= order.targetPrice;
+}
+
+/**
+ * Orders for a wallet on a network, newest first
+ */
+export async function getLimitOrders(network, wallet) {
+  try {
+    const orders = await readOrders();
+    return orders
+      .filter(o => o.network === network && o.wallet === wallet)
+      .sort((a, b) => b.createdAt - a.createdAt);
+  } catch (e) {
+    logger.warn('[LimitOrders] Failed to load orders:', e.message);
+    return [];
+  }
+}
+
+/**
+ * Place a limit order, or a take profit / stop loss pair
+ * Prices are in toToken per fromToken. A limit or take profit order fills at or above its price,
+ * a stop loss at or below.
+ * @param {Object} params
+ * @param {'limit'|'bracket'} params.type
+ * @param {number} [params.targetPrice] - Limit price, or take profit price for a bracket
+ * @param {number} [params.stopPrice] - Stop loss price for a bracket
+ * @param {number|null} params.expiresIn - ms until the order expires, null = never
+ * @param {boolean} [params.autoExecute] - Swap without approval when triggered (software wallets only)
+ * @returns {Promise<Array<Object>>} The orders placed
+ */
+export async function placeLimitOrder({
+  network, wallet, fromToken, toToken, amount, type = 'limit', targetPrice, stopPrice,
+  slippageBps = 50, expiresIn = null, autoExecute = false
+}) {
+  const parsedAmount = parseFloat(amount);
+  if (!parsedAmount || parsedAmount <= 0) throw new Error('Enter an amount');
+  if (!fromToken || !toToken) throw new Error('Select both tokens');
+
+  const targets = [];
+  if (targetPrice > 0) targets.push({ condition: 'above', targetPrice: Number(targetPrice), kind: type === 'bracket' ? 'takeProfit' : 'limit' });
+  if (type === 'bracket' && stopPrice > 0) targets.push({ condition: 'below', targetPrice: Number(stopPrice), kind: 'stopLoss' });
+  if (targets.length === 0) {
+    throw new Error(type === 'bracket' ? 'Enter a take profit or stop loss price' : 'Enter a target price');
+  }
+
+  const now = Date.now();
+  const groupId = targets.length > 1 ? generateOrderId() : null;
+  const placed = targets.map(target => ({
+    id: generateOrderId(),
+    groupId,
+    network,
+    wallet,
+    kind: target.kind,
+    condition: target.condition,
+    targetPrice: target.targetPrice,
+    amount: parsedAmount,
+    fromToken: { symbol: fromToken.symbol, mint: fromToken.mint, decimals: fromToken.decimals, logoURI: fromToken.logoURI },
+    toToken: { symbol: toToken.symbol, mint: toToken.mint, decimals: toToken.decimals, logoURI: toToken.logoURI },
+    tokenIn: toSwapParam(fromToken),
+    tokenOut: toSwapParam(toToken),
+    slippageBps,
+    autoExecute: !!autoExecute,
+    status: 'open',
+    createdAt: now,
+    expiresAt: expiresIn ? now + expiresIn : null
+  }));
+
+  await withOrdersLock(async () => writeOrders([...(await readOrders()), ...placed]));
+  logger.log('[LimitOrders] Placed', placed.length, 'order(s) for', parsedAmount, fromToken.symbol);
+  return placed;
+}
+
+export async function cancelLimitOrder(id) {
+  return updateOrder(id, { status: 'cancelled' });
+}
+
+/**
+ * Current price for an order's full amount, so price impact counts toward the target
+ */
+export async function getOrderPrice(order) {
+  const quote = await getQuote(order.tokenIn, order.tokenOut, order.amount, order.network, null, null);
+  const output = getQuoteOutputAmount(quote);
+  return output === null ? null : output / order.amount;
+}
+
+// Transactions from a prepare response - a base64 string or an array of them (ATA creation + swap)
+function getPreparedTransactions(txData) {
+  const candidates = [
+    txData?.data?.transaction,
+    txData?.transaction,
+    txData?.transaction?.serializedTransaction,
+    txData?.data?.transaction?.serializedTransaction,
+    txData?.swapTransaction,
+    txData?.data?.swapTransaction
+  ];
+  for (const candidate of candidates) {
+    if (Array.isArray(candidate) && candidate.every(tx => typeof tx === 'string')) return candidate;
+    if (typeof candidate === 'string') return [candidate];
+  }
+  throw new Error('No transaction data received from API');
+}
+
+// Poll a sent swap until it lands, fails or its blockhash expires; 'pending' if the timeout passes first
+async function waitForSwap(rpcUrl, signature, lastValidBlockHeight) {
+  const deadline = Date.now() + CONFIRM_TIMEOUT_MS;
+  while (Date.now() < deadline) {
+    await new Promise(resolve => setTimeout(resolve, CONFIRM_POLL_MS));
+    try {
+      const outcome = await getSignatureOutcome(rpcUrl, signature, lastValidBlockHeight);
+      if (outcome.status !== 'pending' && outcome.status !== 'processed') return outcome;
+    } catch (e) {
+      logger.warn('[LimitOrders] Status check failed:', e.message);
+    }
+  }
+  return { status: 'pending' };
+}
+
+function recordFill(order, signature, price) {
+  const toAmount = price * order.amount;
+  addTransaction({
+    signature,
+    type: 'swap',
+    amount: order.amount,
+    symbol: order.fromToken.symbol,
+    toSymbol: order.toToken.symbol,
+    toAmount,
+    from: order.wallet,
+    to: order.wallet,
+    timestamp: Date.now(),
+    status: 'confirmed',
+    network: order.network,
+    isSwap: true
+  });
+  trackSwapXP({
+    user: order.wallet,
+    network: order.network,
+    transactionSignature: signature,
+    inputMint: order.tokenIn,
+    outputMint: order.tokenOut,
+    inputAmount: order.amount,
+    outputAmount: toAmount
+  }).catch(err => logger.warn('[LimitOrders] XP tracking failed:', err));
+  logger.log('[LimitOrders] Order', order.id, 'filled:', signature);
+}
+
+/**
+ * Swap a triggered order - re-checks the price, prepares the swap and signs it
+ * The order is claimed by moving it from triggered to executing, so two pages can't both swap it. The swap's
+ * signature is stored on the order before waiting for it to land; an order that already has one (an earlier
+ * attempt the wallet closed during) is only swapped again once that signature failed or expired.
+ * Hardware wallets must already be connected with the app open.
+ * @param {Object} signer - { rpcUrl, privateKey } or { rpcUrl, hardwareWallet, derivationPath }
+ * @returns {Promise<string>} Signature of the swap transaction
+ */
+export async function executeLimitOrder(staleOrder, { rpcUrl, privateKey, hardwareWallet, derivationPath }) {
+  const order = (await readOrders()).find(o => o.id === staleOrder.id) || staleOrder;
+  if (order.signature) {
+    const outcome = await getSignatureOutcome(rpcUrl, order.signature, order.lastValidBlockHeight ?? null);
+    if (outcome.status === 'confirmed' || outcome.status === 'finalized') {
+      const price = order.triggerPrice ?? order.targetPrice;
+      await updateOrder(order.id, { status: 'filled', fillPrice: price, error: null });
+      recordFill(order, order.signature, price);
+      return order.signature;
+    }
+    if (outcome.status !== 'failed' && outcome.status !== 'expired') {
+      throw new Error('The earlier swap for this order has not confirmed yet - try again in a minute');
+    }
+  }
+
+  if (order.expiresAt && Date.now() > order.expiresAt) {
+    await updateOrder(order.id, { status: 'expired' }, { from: 'triggered' });
+    throw new Error('Order expired');
+  }
+
+  const price = await getOrderPrice(order);
+  if (!isOrderTriggered(order, price)) {
+    await updateOrder(order.id, { status: 'open', triggeredAt: null, signature: null, lastValidBlockHeight: null }, { from: 'triggered' });
+    throw new Error(`Price moved back to ${price?.toPrecision(6) ?? 'unknown'} - the order is open again`);
+  }
+
+  // Throws if another page claimed the order first
+  await updateOrder(order.id, {
+    status: 'executing', executingAt: Date.now(), error: null, signature: null, lastValidBlockHeight: null
+  }, { from: 'triggered' });
+
+  let signature = null;
+  let unconfirmed = false;
+  try {
+    const txData = await prepareSwap(order.wallet, order.tokenIn, order.tokenOut, order.amount, order.network, order.slippageBps);
+    const transactions = getPreparedTransactions(txData);
+    // The prepared transactions carry an older blockhash, so they expire no later than this one
+    const { value: { lastValidBlockHeight } } = await rpcCall(rpcUrl, 'getLatestBlockhash', [{ commitment: 'finalized' }]);
+
+    for (let i = 0; i < transactions.length; i++) {
+      const isSwap = i === transactions.length - 1;
+      try {
+        const sent = hardwareWallet
+          ? await signAndSendExternalTransactionHardware(transactions[i], hardwareWallet, rpcUrl, derivationPath)
+          : await signAndSendExternalTransaction(transactions[i], privateKey, rpcUrl);
+        if (isSwap) {
+          signature = sent;
+          await updateOrder(order.id, { signature, lastValidBlockHeight });
+        } else {
+          await new Promise(resolve => setTimeout(resolve, 200));
+        }
+      } catch (txErr) {
+        // The ATA creation transaction fails when the account already exists - carry on with the swap
+        if (!isSwap) {
+          logger.warn('[LimitOrders] ATA transaction failed, continuing with swap:', txErr.message);
+          continue;
+        }
+        throw txErr;
+      }
+    }
+    if (!signature) throw new Error('No transactions were successfully sent');
+
+    const outcome = await waitForSwap(rpcUrl, signature, lastValidBlockHeight);
+    if (outcome.status === 'failed') throw new Error(`Swap failed: ${outcome.error}`);
+    if (outcome.status === 'expired') throw new Error('Swap expired before it landed - nothing was swapped');
+    if (outcome.status === 'pending') {
+      // Left executing with its signature - approving again, or background's timeout, checks it
+      unconfirmed = true;
+      throw new Error('Swap sent but not confirmed yet - check the explorer before approving again');
+    }
+
+    await updateOrder(order.id, { status: 'filled', fillPrice: price });
+    recordFill(order, signature, price);
+    return signature;
+  } catch (err) {
+    if (!unconfirmed) {
+      await updateOrder(order.id, { status: 'triggered', error: err.message }, { from: 'executing' })
+        .catch(e => logger.warn('[LimitOrders] Could not reset order', order.id, e.message));
+    }
+    throw err;
+  }
+}
+
+// Orders this page is running right now, so a re-render doesn't start the same one twice - the storage
+// claim in executeLimitOrder is what keeps the popup, side panel and other pages off each other's orders
+const executing = new Set();
+
+/**
+ * Execute triggered orders that opted into auto-execution
+ * Called while the wallet is open and unlocked, with the software wallet's key.
+ * @returns {Promise<Array<{ order: Object, signature?: string, error?: string }>>}
+ */
+export async function runAutoExecuteOrders({ network, wallet, rpcUrl, privateKey }) {
+  if (!privateKey) return [];
+  const orders = await getLimitOrders(network, wallet);
+  const results = [];
+  for (const order of orders) {
+    if (order.status !== 'triggered' || !order.autoExecute || order.error || executing.has(order.id)) continue;
+    executing.add(order.id);
+    try {
+      const signature = await executeLimitOrder(order, { rpcUrl, privateKey });
+      results.push({ order, signature });
+    } catch (err) {
+      logger.warn('[LimitOrders] Auto-execute failed for', order.id, err.message);
+      results.push({ order, error: err.message });
+    } finally {
+      executing.delete(order.id);
+    }
+  }
+  return results;
+}
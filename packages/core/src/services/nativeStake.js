@@ -0,0 +1,455 @@
+// Native staking - stake accounts delegated straight to a validator through the Stake program
+// Stake activates at the next epoch boundary and cools down the same way after Deactivate; only then can the
+// delegated amount be withdrawn. The wallet is both staker and withdrawer of the accounts it creates.
+import { decodeBase58, encodeBase58 } from '../utils/base58.js';
+import { generateKeyPair } from '../utils/crypto.js';
+import { sign } from '../utils/bip44.js';
+import { logger } from '../utils/logger.js';
+import { rpcCall } from '../utils/rpc.js';
+import { buildTransaction, sendTransaction } from '../utils/transaction.js';
+import { withPriorityFee } from './priorityFees.js';
+
+export const STAKE_PROGRAM_ID = 'Stake11111111111111111111111111111111111111';
+export const STAKE_ACCOUNT_LENGTH = 200;
+
+const SYSTEM_PROGRAM_ID = '11111111111111111111111111111111';
+const STAKE_CONFIG_ID = 'StakeConfig11111111111111111111111111111111';
+const SYSVAR_CLOCK_ID = 'SysvarC1ock11111111111111111111111111111111';
+const SYSVAR_RENT_ID = 'SysvarRent111111111111111111111111111111111';
+const SYSVAR_STAKE_HISTORY_ID = 'SysvarStakeHistory1111111111111111111111111';
+
+// Epoch fields hold u64::MAX while unset (never deactivated / bootstrap stake)
+const EPOCH_UNSET = 18446744073709551615n;
+
+// StakeStateV2 variants and StakeInstruction indexes
+const STATE_NAMES = ['uninitialized', 'initialized', 'delegated', 'rewardsPool'];
+const INSTRUCTION = { initialize: 0, delegate: 2, split: 3, withdraw: 4, deactivate: 5, merge: 7 };
+
+// Meta and Delegation offsets in the 200-byte account
+const OFFSET = {
+  rentExemptReserve: 4,
+  staker: 12,
+  withdrawer: 44,
+  lockupTimestamp: 76,
+  lockupEpoch: 84,
+  custodian: 92,
+  voter: 124,
+  stake: 156,
+  activationEpoch: 164,
+  deactivationEpoch: 172
+};
+
+function u32(value) {
+  const bytes = new Uint8Array(4);
+  new DataView(bytes.buffer).setUint32(0, value, true);
+  return bytes;
+}
+
+function u64(value) {
+  const bytes = new Uint8Array(8);
+  new DataView(bytes.buffer).setBigUint64(0, BigInt(value), true);
+  return bytes;
+}
+
+function instructionData(index, ...fields) {
+  const data = new Uint8Array(4 + fields.reduce((sum, f) => sum + f.length, 0));
+  data.set(u32(index), 0);
+  let offset = 4;
+  for (const field of fields) {
+    data.set(field, offset);
+    offset += field.length;
+  }
+  return data;
+}
+
+/**
+ * Parse raw stake account data
+ * @returns {Object|null} { state, rentExemptReserve, staker, withdrawer, lockup, delegation } or null if not a stake account
+ */
+export function parseStakeAccount(data) {
+  if (!data || data.length < STAKE_ACCOUNT_LENGTH) return null;
+  const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+  const state = STATE_NAMES[view.getUint32(0, true)];
+  if (state !== 'initialized' && state !== 'delegated') return state ? { state } : null;
+
+  const pubkeyAt = (offset) => encodeBase58(data.slice(offset, offset + 32));
+  const epochAt = (offset) => {
+    const value = view.getBigUint64(offset, true);
+    return value === EPOCH_UNSET ? null : Number(value);
+  };
+
+  return {
+    state,
+    rentExemptReserve: Number(view.getBigUint64(OFFSET.rentExemptReserve, true)),
+    staker: pubkeyAt(OFFSET.staker),
+    withdrawer: pubkeyAt(OFFSET.withdrawer),
+    lockup: {
+      unixTimestamp: Number(view.getBigInt64(OFFSET.lockupTimestamp, true)),
+      epoch: Number(view.getBigUint64(OFFSET.lockupEpoch, true)),
+      custodian: pubkeyAt(OFFSET.custodian)
+    },
+    delegation: state === 'delegated' ? {
+      voter: pubkeyAt(OFFSET.voter),
+      stake: Number(view.getBigUint64(OFFSET.stake, true)),
+      activationEpoch: epochAt(OFFSET.activationEpoch),
+      deactivationEpoch: epochAt(OFFSET.deactivationEpoch)
+    } : null
+  };
+}
+
+/**
+ * Activation state of a parsed stake account in the given epoch
+ * Warmup and cooldown are treated as finishing at the next epoch boundary; very large stakes can take longer.
+ * @returns {'activating'|'active'|'deactivating'|'inactive'}
+ */
+export function getStakeActivation(stake, epoch) {
+  const delegation = stake?.delegation;
+  if (!delegation) return 'inactive';
+  const { activationEpoch, deactivationEpoch } = delegation;
+
+  if (deactivationEpoch !== null) {
+    // Deactivated in the same epoch it was delegated - it never became active
+    if (deactivationEpoch === activationEpoch) return 'inactive';
+    return deactivationEpoch >= epoch ? 'deactivating' : 'inactive';
+  }
+  // Bootstrap (genesis) stake has no activation epoch and is always active
+  if (activationEpoch === null) return 'active';
+  return activationEpoch >= epoch ? 'activating' : 'active';
+}
+
+/**
+ * Lamports that can be withdrawn right now
+ * Inactive accounts can be emptied (which closes them); delegated ones only give up what is above the stake.
+ */
+export function getWithdrawableLamports(account, epoch) {
+  if (getStakeActivation(account, epoch) === 'inactive') return account.lamports;
+  return Math.max(0, account.lamports - account.rentExemptReserve - (account.delegation?.stake || 0));
+}
+
+/**
+ * Whether source can be merged into destination
+ * Both must share authorities and lockup, and either both be inactive or both delegated to the same
+ * validator in the same activation state.
+ */
+export function canMergeStakeAccounts(destination, source, epoch) {
+  if (!destination || !source || destination.address === source.address) return false;
+  if (destination.staker !== source.staker || destination.withdrawer !== source.withdrawer) return false;
+  if (JSON.stringify(destination.lockup) !== JSON.stringify(source.lockup)) return false;
+
+  const destState = getStakeActivation(destination, epoch);
+  const sourceState = getStakeActivation(source, epoch);
+  if (destState === 'inactive' && sourceState === 'inactive') return true;
+  if (destState !== sourceState || destination.delegation?.voter !== source.delegation?.voter) return false;
+  if (destState === 'active') return true;
+  return destState === 'activating' && destination.delegation.activationEpoch === source.delegation.activationEpoch;
+}
+
+/**
+ * Stake accounts the wallet is staker or withdrawer of
+ * @returns {Promise<{ epoch: number, accounts: Array<Object> }>} Accounts carry address, lamports, activation and withdrawable
+ */
+export async function getStakeAccounts(rpcUrl, owner) {
+  const byAuthority = (offset) => rpcCall(rpcUrl, 'getProgramAccounts', [STAKE_PROGRAM_ID, {
+    encoding: 'base64',
+    commitment: 'confirmed',
+    filters: [{ dataSize: STAKE_ACCOUNT_LENGTH }, { memcmp: { offset, bytes: owner } }]
+  }]);
+
+  const [{ epoch }, asStaker, asWithdrawer] = await Promise.all([
+    rpcCall(rpcUrl, 'getEpochInfo', [{ commitment: 'confirmed' }]),
+    byAuthority(OFFSET.staker),
+    byAuthority(OFFSET.withdrawer)
+  ]);
+
+  const seen = new Set();
+  const accounts = [];
+  for (const { pubkey, account } of [...(asStaker || []), ...(asWithdrawer || [])]) {
+    if (seen.has(pubkey)) continue;
+    seen.add(pubkey);
+    const parsed = parseStakeAccount(Uint8Array.from(atob(account.data[0]), c => c.charCodeAt(0)));
+    if (!parsed?.staker) continue;
+    const entry = { address: pubkey, lamports: account.lamports, ...parsed };
+    entry.activation = getStakeActivation(entry, epoch);
+    entry.withdrawable = getWithdrawableLamports(entry, epoch);
+    accounts.push(entry);
+  }
+
+  accounts.sort((a, b) => b.lamports - a.lamports);
+  return { epoch, accounts };
+}
+
+/**
+ * Validators that can be delegated to (not delinquent), largest stake first
+ * @returns {Promise<Array<{ votePubkey, nodePubkey, activatedStake, commission }>>}
+ */
+export async function getValidators(rpcUrl) {
+  const { current = [] } = await rpcCall(rpcUrl, 'getVoteAccounts', [{ commitment: 'confirmed' }]);
+  return current
+    .map(v => ({
+      votePubkey: v.votePubkey,
+      nodePubkey: v.nodePubkey,
+      activatedStake: v.activatedStake,
+      commission: v.commission
+    }))
+    .sort((a, b) => b.activatedStake - a.activatedStake);
+}
+
+// Instruction builders
+
+/**
+ * SystemProgram CreateAccount for a stake account owned by the Stake program
+ */
+export function createStakeAccountInstruction({ payer, newAccount, lamports }) {
+  const owner = decodeBase58(STAKE_PROGRAM_ID);
+  return {
+    programId: SYSTEM_PROGRAM_ID,
+    keys: [
+      { pubkey: payer, isSigner: true, isWritable: true },
+      { pubkey: newAccount, isSigner: true, isWritable: true }
+    ],
+    data: instructionData(0, u64(lamports), u64(STAKE_ACCOUNT_LENGTH), owner)
+  };
+}
+
+export function createInitializeStakeInstruction({ stakeAccount, authority }) {
+  const authorityBytes = decodeBase58(authority);
+  // Authorized { staker, withdrawer } then an empty Lockup { unix_timestamp, epoch, custodian }
+  return {
+    programId: STAKE_PROGRAM_ID,
+    keys: [
+      { pubkey: stakeAccount, isSigner: false, isWritable: true },
+      { pubkey: SYSVAR_RENT_ID, isSigner: false, isWritable: false }
+    ],
+    data: instructionData(INSTRUCTION.initialize, authorityBytes, authorityBytes, new Uint8Array(48))
+  };
+}
+
+export function createDelegateStakeInstruction({ stakeAccount, votePubkey, authority }) {
+  return {
+    programId: STAKE_PROGRAM_ID,
+    keys: [
+      { pubkey: stakeAccount, isSigner: false, isWritable: true },
+      { pubkey: votePubkey, isSigner: false, isWritable: false },
+      { pubkey: SYSVAR_CLOCK_ID, isSigner: false, isWritable: false },
+      { pubkey: SYSVAR_STAKE_HISTORY_ID, isSigner: false, isWritable: false },
+      { pubkey: STAKE_CONFIG_ID, isSigner: false, isWritable: false },
+      { pubkey: authority, isSigner: true, isWritable: false }
+    ],
+    data: instructionData(INSTRUCTION.delegate)
+  };
+}
+
+export function createDeactivateStakeInstruction({ stakeAccount, authority }) {
+  return {
+    programId: STAKE_PROGRAM_ID,
+    keys: [
+      { pubkey: stakeAccount, isSigner: false, isWritable: true },
+      { pubkey: SYSVAR_CLOCK_ID, isSigner: false, isWritable: false },
+      { pubkey: authority, isSigner: true, isWritable: false }
+    ],
+    data: instructionData(INSTRUCTION.deactivate)
+  };
+}
+
+export function createWithdrawStakeInstruction({ stakeAccount, authority, to, lamports }) {
+  return {
+    programId: STAKE_PROGRAM_ID,
+    keys: [
+      { pubkey: stakeAccount, isSigner: false, isWritable: true },
+      { pubkey: to, isSigner: false, isWritable: true },
+      { pubkey: SYSVAR_CLOCK_ID, isSigner: false, isWritable: false },
+      { pubkey: SYSVAR_STAKE_HISTORY_ID, isSigner: false, isWritable: false },
+      { pubkey: authority, isSigner: true, isWritable: false }
+    ],
+    data: instructionData(INSTRUCTION.withdraw, u64(lamports))
+  };
+}
+
+export function createSplitStakeInstruction({ stakeAccount, splitAccount, authority, lamports }) {
+  return {
+    programId: STAKE_PROGRAM_ID,
+    keys: [
+      { pubkey: stakeAccount, isSigner: false, isWritable: true },
+      { pubkey: splitAccount, isSigner: false, isWritable: true },
+      { pubkey: authority, isSigner: true, isWritable: false }
+    ],
+    data: instructionData(INSTRUCTION.split, u64(lamports))
+  };
+}
+
+export function createMergeStakeInstruction({ destination, source, authority }) {
+  return {
+    programId: STAKE_PROGRAM_ID,
+    keys: [
+      { pubkey: destination, isSigner: false, isWritable: true },
+      { pubkey: source, isSigner: false, isWritable: true },
+      { pubkey: SYSVAR_CLOCK_ID, isSigner: false, isWritable: false },
+      { pubkey: SYSVAR_STAKE_HISTORY_ID, isSigner: false, isWritable: false },
+      { pubkey: authority, isSigner: true, isWritable: false }
+    ],
+    data: instructionData(INSTRUCTION.merge)
+  };
+}
+
+// Signing and sending
+
+/**
+ * Build, price, sign and send - the wallet signs first, then any new account keypairs
+ * Shared with stake pool withdrawals, which also create a stake account.
+ * @param {Object} signer - { owner, rpcUrl } plus { privateKey } for software wallets or { signMessage } for hardware
+ * @param {Array} instructions
+ * @param {Array<{ secretKey: Uint8Array }>} [extraKeypairs] - New accounts that must co-sign
+ * @returns {Promise<string>} Transaction signature
+ */
+export async function sendStakeTransaction({ owner, rpcUrl, privateKey, signMessage }, instructions, extraKeypairs = []) {
+  if (!privateKey && !signMessage) {
+    throw new Error('A private key or hardware signer is required');
+  }
+  const { value } = await rpcCall(rpcUrl, 'getLatestBlockhash', [{ commitment: 'finalized' }]);
+  let message = buildTransaction({ feePayer: owner, recentBlockhash: value.blockhash, instructions });
+  message = await withPriorityFee(rpcUrl, message);
+
+  const ownerSecret = typeof privateKey === 'string' ? decodeBase58(privateKey) : privateKey;
+  const signatures = [signMessage ? await signMessage(message) : await sign(message, ownerSecret)];
+  for (const keypair of extraKeypairs) {
+    signatures.push(await sign(message, keypair.secretKey));
+  }
+
+  const signedTx = new Uint8Array(1 + 64 * signatures.length + message.length);
+  signedTx[0] = signatures.length;
+  signatures.forEach((signature, i) => signedTx.set(signature, 1 + 64 * i));
+  signedTx.set(message, 1 + 64 * signatures.length);
+  return sendTransaction(signedTx, rpcUrl);
+}
+
+/**
+ * Throwaway keypair for a new stake account
+ * @returns {Promise<{ keypair, address: string }>}
+ */
+export async function newStakeKeypair() {
+  const keypair = await generateKeyPair(crypto.getRandomValues(new Uint8Array(32)));
+  return { keypair, address: encodeBase58(keypair.publicKey) };
+}
+
+async function getOwnedStakeAccount(rpcUrl, address, owner, role) {
+  const info = await rpcCall(rpcUrl, 'getAccountInfo', [address, { encoding: 'base64', commitment: 'confirmed' }]);
+  if (!info?.value || info.value.owner !== STAKE_PROGRAM_ID) {
+    throw new Error('Stake account not found');
+  }
+  const parsed = parseStakeAccount(Uint8Array.from(atob(info.value.data[0]), c => c.charCodeAt(0)));
+  if (!parsed?.staker) throw new Error('Stake account is not initialized');
+  if (parsed[role] !== owner) {
+    throw new Error(`This wallet is not the ${role} of the stake account`);
+  }
+  return { address, lamports: info.value.lamports, ...parsed };
+}
+
+/**
+ * Create a stake account funded from the wallet and delegate it to a validator
+ * The stake account keypair is throwaway - the wallet holds both authorities.
+ * @param {Object} params
+ * @param {string} params.owner - Wallet address (fee payer, staker and withdrawer)
+ * @param {string} params.votePubkey - Validator vote account
+ * @param {number} params.lamports - Amount to stake, not counting the rent reserve
+ * @returns {Promise<Object>} { address, signature }
+ */
+export async function createStakeAccount({ owner, votePubkey, lamports, rpcUrl, privateKey, signMessage }) {
+  const [rent, minimumDelegation] = await Promise.all([
+    rpcCall(rpcUrl, 'getMinimumBalanceForRentExemption', [STAKE_ACCOUNT_LENGTH]),
+    rpcCall(rpcUrl, 'getStakeMinimumDelegation', [{ commitment: 'confirmed' }])
+      .then(result => result?.value ?? 0)
+      .catch(() => 0)
+  ]);
+  if (lamports < Math.max(minimumDelegation, 1)) {
+    throw new Error(`The minimum stake is ${Math.max(minimumDelegation, 1) / 1e9}`);
+  }
+
+  const { keypair, address } = await newStakeKeypair();
+  const signature = await sendStakeTransaction({ owner, rpcUrl, privateKey, signMessage }, [
+    createStakeAccountInstruction({ payer: owner, newAccount: address, lamports: lamports + rent }),
+    createInitializeStakeInstruction({ stakeAccount: address, authority: owner }),
+    createDelegateStakeInstruction({ stakeAccount: address, votePubkey, authority: owner })
+  ], [keypair]);
+  logger.log('[NativeStake] Created and delegated', address, 'to', votePubkey, signature);
+  return { address, signature };
+}
+
+/**
+ * Delegate an initialized or fully deactivated stake account (again) to a validator
+ * @returns {Promise<string>} Transaction signature
+ */
+export async function delegateStake({ owner, stakeAccount, votePubkey, rpcUrl, privateKey, signMessage }) {
+  await getOwnedStakeAccount(rpcUrl, stakeAccount, owner, 'staker');
+  return sendStakeTransaction({ owner, rpcUrl, privateKey, signMessage }, [
+    createDelegateStakeInstruction({ stakeAccount, votePubkey, authority: owner })
+  ]);
+}
+
+/**
+ * Start cooling down a delegated stake account - it can be withdrawn once the epoch ends
+ * @returns {Promise<string>} Transaction signature
+ */
+export async function deactivateStake({ owner, stakeAccount, rpcUrl, privateKey, signMessage }) {
+  await getOwnedStakeAccount(rpcUrl, stakeAccount, owner, 'staker');
+  return sendStakeTransaction({ owner, rpcUrl, privateKey, signMessage }, [
+    createDeactivateStakeInstruction({ stakeAccount, authority: owner })
+  ]);
+}
+
+/**
+ * Withdraw from a stake account to the wallet - withdrawing everything closes the account
+ * @returns {Promise<string>} Transaction signature
+ */
+export async function withdrawStake({ owner, stakeAccount, lamports, rpcUrl, privateKey, signMessage }) {
+  const account = await getOwnedStakeAccount(rpcUrl, stakeAccount, owner, 'withdrawer');
+  const { epoch } = await rpcCall(rpcUrl, 'getEpochInfo', [{ commitment: 'confirmed' }]);
+  const withdrawable = getWithdrawableLamports(account, epoch);
+  const amount = lamports ?? withdrawable;
+  if (amount <= 0 || amount > withdrawable) {
+    throw new Error(withdrawable > 0
+      ? `Only ${withdrawable / 1e9} can be withdrawn right now`
+      : 'Nothing to withdraw yet - deactivate the stake and wait for the epoch to end');
+  }
+  return sendStakeTransaction({ owner, rpcUrl, privateKey, signMessage }, [
+    createWithdrawStakeInstruction({ stakeAccount, authority: owner, to: owner, lamports: amount })
+  ]);
+}
+
+/**
+ * Move part of a stake account into a new one with the same delegation
+ * The wallet pre-funds the new account's rent reserve.
+ * @returns {Promise<Object>} { address, signature }
+ */
+export async function splitStake({ owner, stakeAccount, lamports, rpcUrl, privateKey, signMessage }) {
+  const account = await getOwnedStakeAccount(rpcUrl, stakeAccount, owner, 'staker');
+  if (lamports <= 0 || lamports > account.lamports - account.rentExemptReserve) {
+    throw new Error('Split amount must be more than 0 and leave the account its rent reserve');
+  }
+  const rent = await rpcCall(rpcUrl, 'getMinimumBalanceForRentExemption', [STAKE_ACCOUNT_LENGTH]);
+
+  const { keypair, address } = await newStakeKeypair();
+  const signature = await sendStakeTransaction({ owner, rpcUrl, privateKey, signMessage }, [
+    createStakeAccountInstruction({ payer: owner, newAccount: address, lamports: rent }),
+    createSplitStakeInstruction({ stakeAccount, splitAccount: address, authority: owner, lamports })
+  ], [keypair]);
+  logger.log('[NativeStake] Split', lamports, 'from', stakeAccount, 'into', address, signature);
+  return { address, signature };
+}
+
+/**
+ * Merge source into destination - the source account is closed
+ * @returns {Promise<string>} Transaction signature
+ */
+export async function mergeStake({ owner, destination, source, rpcUrl, privateKey, signMessage }) {
+  const [dest, src, { epoch }] = await Promise.all([
+    getOwnedStakeAccount(rpcUrl, destination, owner, 'staker'),
+    getOwnedStakeAccount(rpcUrl, source, owner, 'staker'),
+    rpcCall(rpcUrl, 'getEpochInfo', [{ commitment: 'confirmed' }])
+  ]);
+  if (!canMergeStakeAccounts(dest, src, epoch)) {
+    throw new Error('These stake accounts can\'t be merged - they need the same validator and activation state');
+  }
+  return sendStakeTransaction({ owner, rpcUrl, privateKey, signMessage }, [
+    createMergeStakeInstruction({ destination, source, authority: owner })
+  ]);
+}
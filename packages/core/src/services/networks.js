@@ -1,16 +1,20 @@
 // Network configurations for X1 and Solana
 import { logger } from '../utils/logger.js';
+import { getActiveRpcUrl } from './rpcEndpoints.js';
 
 // Storage keys
 const RPC_OVERRIDES_KEY = 'x1wallet_rpcOverrides';
 const CUSTOM_NETWORKS_KEY = 'x1wallet_customRpcs';
 
 // X1 is SVM-based (Solana fork), uses same address format and RPC methods
+// rpcUrls are the built-in endpoints in failover order; rpcUrl is whichever one is healthy right now
 export const NETWORKS = {
   'X1 Mainnet': {
     name: 'X1 Mainnet',
+    chainId: 'x1:mainnet',
     providerId: 'X1-mainnet',
-    rpcUrl: 'https://rpc.mainnet.x1.xyz',
+    rpcUrls: ['https://rpc.mainnet.x1.xyz'],
+    get rpcUrl() { return getActiveRpcUrl(this.name); },
     symbol: 'XNT',
     explorer: 'https://explorer.mainnet.x1.xyz',
     explorerTx: 'https://explorer.mainnet.x1.xyz/tx',
@@ -21,8 +25,10 @@ export const NETWORKS = {
   },
   'X1 Testnet': {
     name: 'X1 Testnet',
+    chainId: 'x1:testnet',
     providerId: 'X1-testnet',
-    rpcUrl: 'https://rpc.testnet.x1.xyz',
+    rpcUrls: ['https://rpc.testnet.x1.xyz'],
+    get rpcUrl() { return getActiveRpcUrl(this.name); },
     symbol: 'XNT',
     explorer: 'https://explorer.testnet.x1.xyz',
     explorerTx: 'https://explorer.testnet.x1.xyz/tx',
@@ -33,8 +39,13 @@ export const NETWORKS = {
   },
   'Solana Mainnet': {
     name: 'Solana Mainnet',
+    chainId: 'solana:mainnet',
     providerId: 'SOLANA-mainnet',
-    rpcUrl: 'https://jessamine-463apc-fast-mainnet.helius-rpc.com',
+    rpcUrls: [
+      'https://jessamine-463apc-fast-mainnet.helius-rpc.com',
+      'https://api.mainnet-beta.solana.com'
+    ],
+    get rpcUrl() { return getActiveRpcUrl(this.name); },
     symbol: 'SOL',
     explorer: 'https://solscan.io',
     explorerTx: 'https://solscan.io/tx',
@@ -45,8 +56,13 @@ export const NETWORKS = {
   },
   'Solana Devnet': {
     name: 'Solana Devnet',
+    chainId: 'solana:devnet',
     providerId: 'SOLANA-devnet',
-    rpcUrl: 'https://rose-l3rk46-fast-devnet.helius-rpc.com',
+    rpcUrls: [
+      'https://rose-l3rk46-fast-devnet.helius-rpc.com',
+      'https://api.devnet.solana.com'
+    ],
+    get rpcUrl() { return getActiveRpcUrl(this.name); },
     symbol: 'SOL',
     explorer: 'https://solscan.io',
     explorerTx: 'https://solscan.io/tx',
@@ -104,11 +120,10 @@ export function getNetwork(name) {
   if (NETWORKS[name]) {
     const config = { ...NETWORKS[name] };
     
-    // Apply RPC override if set
+    // The RPC override is the first endpoint rpcUrl tries
     try {
       const overrides = getRpcOverrides();
       if (overrides[name]) {
-        config.rpcUrl = overrides[name];
         config.hasCustomRpc = true;
       }
     } catch (e) {
@@ -126,12 +141,15 @@ export function getNetwork(name) {
       return {
         name: customNet.name,
         providerId: `custom-${customNet.id || Date.now()}`,
-        rpcUrl: customNet.url,
+        rpcUrl: getActiveRpcUrl(customNet.name),
         symbol: customNet.symbol || 'TOKEN',
         decimals: parseInt(customNet.decimals) || 9,
         explorer: customNet.explorer || '',
         explorerTx: customNet.explorer ? `${customNet.explorer.replace(/\/$/, '')}/tx` : '',
         explorerToken: customNet.explorer ? `${customNet.explorer.replace(/\/$/, '')}/token` : '',
+        explorerTemplates: customNet.explorerTemplates || {},
+        chainId: customNet.chainId || null,
+        genesisHash: customNet.genesisHash || null,
         isCustom: true,
         isSVM: true
       };
@@ -156,6 +174,9 @@ export function getExplorerUrl(network, txSignature, customExplorer = null) {
   }
   
   const config = getNetwork(network);
+  if (config.explorerTemplates?.tx) {
+    return config.explorerTemplates.tx.replace('{signature}', txSignature);
+  }
   const suffix = config.explorerSuffix || '';
   return `${config.explorerTx}/${txSignature}${suffix}`;
 }
@@ -167,6 +188,9 @@ export function getTokenExplorerUrl(network, mintAddress, customExplorer = null)
   }
   
   const config = getNetwork(network);
+  if (config.explorerTemplates?.token) {
+    return config.explorerTemplates.token.replace('{mint}', mintAddress);
+  }
   const suffix = config.explorerSuffix || '';
   return `${config.explorerToken}/${mintAddress}${suffix}`;
 }
@@ -178,6 +202,9 @@ export function getAddressExplorerUrl(network, address, customExplorer = null) {
   }
   
   const config = getNetwork(network);
+  if (config.explorerTemplates?.address) {
+    return config.explorerTemplates.address.replace('{address}', address);
+  }
   const suffix = config.explorerSuffix || '';
   return `${config.explorer}/address/${address}${suffix}`;
 }
@@ -0,0 +1,86 @@
+// Phishing Protection service - blocklist source and the user's allowlist
+// background.js owns the blocklist and does the checking; it picks up changes made here through chrome.storage.
+import { logger } from '../utils/logger.js';
+
+const BLOCKLIST_STORAGE_KEY = 'x1wallet_blocklist';
+const BLOCKLIST_URL_KEY = 'x1wallet_blocklist_url';
+const PHISHING_ALLOWLIST_KEY = 'x1wallet_phishing_allowlist';
+
+// Matches DEFAULT_BLOCKLIST_URL in background.js
+export const DEFAULT_BLOCKLIST_URL = 'https://core.x1.xyz/blocklist.json';
+
+function hasChromeStorage() {
+  return typeof chrome !== 'undefined' && !!chrome.storage;
+}
+
+/**
+ * Blocklist in use and the sites the user chose to trust anyway
+ * @returns {Promise<{ url: string, isDefaultUrl: boolean, version: number|null, fetchedAt: number|null, domainCount: number|null, allowlist: string[] }>}
+ */
+export async function getPhishingProtectionStatus() {
+  const status = {
+    url: DEFAULT_BLOCKLIST_URL,
+    isDefaultUrl: true,
+    version: null, // null = bundled list
+    fetchedAt: null,
+    domainCount: null,
+    allowlist: []
+  };
+  if (!hasChromeStorage()) return status;
+
+  try {
+    const result = await chrome.storage.local.get([BLOCKLIST_STORAGE_KEY, BLOCKLIST_URL_KEY, PHISHING_ALLOWLIST_KEY]);
+    const list = result[BLOCKLIST_STORAGE_KEY];
+    status.url = result[BLOCKLIST_URL_KEY] || DEFAULT_BLOCKLIST_URL;
+    status.isDefaultUrl = !result[BLOCKLIST_URL_KEY];
+    status.allowlist = result[PHISHING_ALLOWLIST_KEY] || [];
+    if (list) {
+      status.version = list.version;
+      status.fetchedAt = list.fetchedAt;
+      status.domainCount = list.domains?.length || 0;
+    }
+  } catch (e) {
+    logger.error('[PhishingProtection] Error loading status:', e);
+  }
+  return status;
+}
+
+/**
+ * Load blocklists from a different URL (null restores the default)
+ * The background drops the current download and fetches from the new URL.
+ */
+export async function setBlocklistUrl(url) {
+  if (url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch {
+      throw new Error('Enter a valid URL');
+    }
+    if (parsed.protocol !== 'https:') {
+      throw new Error('Blocklist URL must use https');
+    }
+    await chrome.storage.local.set({ [BLOCKLIST_URL_KEY]: parsed.href });
+  } else {
+    await chrome.storage.local.remove(BLOCKLIST_URL_KEY);
+  }
+}
+
+/**
+ * Fetch the latest blocklist now
+ * @returns {Promise<{ version: number, fetchedAt: number, source: string }>}
+ */
+export async function requestBlocklistUpdate() {
+  const response = await chrome.runtime.sendMessage({ type: 'refresh-blocklist' });
+  if (!response || response.error) {
+    throw new Error(response?.error || 'Blocklist update failed');
+  }
+  return response.result;
+}
+
+// Warn about a site again after the user chose "proceed anyway"
+export async function removeFromPhishingAllowlist(hostname) {
+  const result = await chrome.storage.local.get(PHISHING_ALLOWLIST_KEY);
+  const allowlist = result[PHISHING_ALLOWLIST_KEY] || [];
+  await chrome.storage.local.set({ [PHISHING_ALLOWLIST_KEY]: allowlist.filter(h => h !== hostname) });
+}
@@ -0,0 +1,117 @@
+// Priority fees - micro-lamport prices from what recently landed against the same accounts
+// getRecentPrioritizationFees reports the lowest fee that landed in each recent slot for transactions
+// locking any of the given accounts. Percentiles over those slots give the low/medium/high/turbo tiers;
+// the compute unit limit comes from simulating the transaction (see utils/computeBudget.js).
+import { logger } from '../utils/logger.js';
+import { rpcCall } from '../utils/rpc.js';
+import {
+  applyPriorityFee,
+  getWritableAccounts,
+  getPriorityFeeLamports,
+  DEFAULT_INSTRUCTION_COMPUTE_UNITS
+} from '../utils/computeBudget.js';
+
+export const PRIORITY_LEVELS = [
+  { id: 'low', name: 'Low', percentile: 25, description: 'May wait when the network is busy' },
+  { id: 'medium', name: 'Medium', percentile: 50, description: 'Standard speed' },
+  { id: 'high', name: 'High', percentile: 75, description: 'Higher priority' },
+  { id: 'turbo', name: 'Turbo', percentile: 95, description: 'Maximum priority' }
+];
+
+export const DEFAULT_PRIORITY_LEVEL = 'medium';
+
+// On a quiet network every percentile is 0 - the upper tiers still outbid transactions paying nothing
+const MIN_MICRO_LAMPORTS = { low: 0, medium: 0, high: 1000, turbo: 10000 };
+
+// getRecentPrioritizationFees takes at most 128 accounts
+const MAX_FEE_ACCOUNTS = 128;
+const CACHE_TTL_MS = 10 * 1000;
+
+// `${rpcUrl}|${accounts}` -> { estimate, fetchedAt }
+const estimateCache = new Map();
+
+/**
+ * Lowest prioritization fee landed per recent slot for transactions locking any of the accounts
+ * @returns {Promise<Array<{ slot: number, prioritizationFee: number }>>}
+ */
+export async function getRecentPrioritizationFees(rpcUrl, accounts = []) {
+  const result = await rpcCall(rpcUrl, 'getRecentPrioritizationFees', [accounts.slice(0, MAX_FEE_ACCOUNTS)]);
+  return Array.isArray(result) ? result : [];
+}
+
+function percentile(sorted, p) {
+  if (sorted.length === 0) return 0;
+  const index = Math.ceil((p / 100) * sorted.length) - 1;
+  return sorted[Math.min(Math.max(index, 0), sorted.length - 1)];
+}
+
+/**
+ * Micro-lamport prices per compute unit for each priority level
+ * @param {string[]} accounts - Accounts the transaction writes to
+ * @returns {Promise<{ low: number, medium: number, high: number, turbo: number }>}
+ */
+export async function estimatePriorityFees(rpcUrl, accounts = []) {
+  const key = `${rpcUrl}|${[...new Set(accounts)].sort().join(',')}`;
+  const cached = estimateCache.get(key);
+  if (cached && Date.now() - cached.fetchedAt < CACHE_TTL_MS) {
+    return cached.estimate;
+  }
+
+  const fees = (await getRecentPrioritizationFees(rpcUrl, [...new Set(accounts)]))
+    .map(f => Number(f.prioritizationFee) || 0)
+    .sort((a, b) => a - b);
+
+  const estimate = {};
+  for (const level of PRIORITY_LEVELS) {
+    estimate[level.id] = Math.max(percentile(fees, level.percentile), MIN_MICRO_LAMPORTS[level.id]);
+  }
+  estimateCache.set(key, { estimate, fetchedAt: Date.now() });
+  return estimate;
+}
+
+/**
+ * Priority levels with their price and the fee they add to a transaction
+ * If the estimate fails, each level falls back to its minimum price.
+ * @param {Object} params
+ * @param {string[]} params.accounts - Accounts the transaction writes to
+ * @param {number} [params.computeUnits] - Expected compute unit limit
+ * @returns {Promise<Array<{ id, name, description, microLamports, fee }>>} fee is in native units
+ */
+export async function getPriorityFeeOptions(rpcUrl, { accounts = [], computeUnits = DEFAULT_INSTRUCTION_COMPUTE_UNITS } = {}) {
+  let estimate = MIN_MICRO_LAMPORTS;
+  try {
+    estimate = await estimatePriorityFees(rpcUrl, accounts);
+  } catch (e) {
+    logger.warn('[PriorityFees] Estimate failed, using minimum prices:', e.message);
+  }
+  return PRIORITY_LEVELS.map(level => ({
+    id: level.id,
+    name: level.name,
+    description: level.description,
+    microLamports: estimate[level.id],
+    fee: getPriorityFeeLamports(estimate[level.id], computeUnits) / 1e9
+  }));
+}
+
+/**
+ * Micro-lamport price that makes a transaction pay a total priority fee (in native units)
+ */
+export function feeToMicroLamports(fee, computeUnits = DEFAULT_INSTRUCTION_COMPUTE_UNITS) {
+  if (!fee || fee <= 0 || !computeUnits) return 0;
+  return Math.floor((Math.round(fee * 1e9) * 1_000_000) / computeUnits);
+}
+
+/**
+ * Price a wallet-built message at a priority level, with a simulated compute unit limit
+ * For flows without a fee picker (stake, bridge). Must run before the message is signed.
+ * @returns {Promise<Uint8Array>} New message
+ */
+export async function withPriorityFee(rpcUrl, message, level = DEFAULT_PRIORITY_LEVEL) {
+  let microLamports = MIN_MICRO_LAMPORTS[level] || 0;
+  try {
+    microLamports = (await estimatePriorityFees(rpcUrl, getWritableAccounts(message)))[level] ?? microLamports;
+  } catch (e) {
+    logger.warn('[PriorityFees] Estimate failed, using minimum price:', e.message);
+  }
+  return applyPriorityFee(message, rpcUrl, microLamports);
+}
@@ -0,0 +1,301 @@
+// RPC endpoints - ordered endpoint lists per network, health probing and failover
+// Each network tries its custom RPC first, then the built-in endpoints, then ones the user added.
+// NETWORKS[name].rpcUrl resolves through getActiveRpcUrl(), so callers always get the first endpoint
+// that is up and keeping pace with the others. The order is mirrored to chrome.storage for background.js.
+import { NETWORKS, getRpcOverride } from './networks.js';
+import { logger } from '../utils/logger.js';
+
+const RPC_ENDPOINTS_KEY = 'x1wallet_rpcEndpoints';
+const CUSTOM_NETWORKS_KEY = 'x1wallet_customRpcs';
+const RPC_ENDPOINT_ORDER_KEY = 'x1wallet_rpcEndpointOrder';
+
+export const RPC_PROBE_INTERVAL_MS = 30 * 1000;
+const PROBE_TIMEOUT_MS = 5000;
+
+// Slots behind the furthest endpoint before one counts as lagging (about a minute)
+export const MAX_SLOT_LAG = 150;
+
+// How long an endpoint that errored is skipped before it gets another chance
+const FAILED_ENDPOINT_COOLDOWN_MS = 60 * 1000;
+
+// url -> { status: 'healthy'|'lagging'|'down', latencyMs, slot, slotLag, checkedAt, error, retryAt }
+const endpointHealth = new Map();
+const activeByNetwork = new Map();
+const syncedOrder = new Map();
+const listeners = new Set();
+
+function getUserEndpoints() {
+  try {
+    return JSON.parse(localStorage.getItem(RPC_ENDPOINTS_KEY)) || {};
+  } catch (e) {
+    return {};
+  }
+}
+
+function getBuiltInEndpoints(network) {
+  if (NETWORKS[network]) {
+    return NETWORKS[network].rpcUrls;
+  }
+  try {
+    const customNetworks = JSON.parse(localStorage.getItem(CUSTOM_NETWORKS_KEY) || '[]');
+    const customNet = customNetworks.find(n => n.name === network);
+    return customNet ? [customNet.url] : [];
+  } catch (e) {
+    return [];
+  }
+}
+
+/**
+ * Endpoints for a network in failover order
+ */
+export function getRpcEndpoints(network) {
+  const urls = [getRpcOverride(network), ...getBuiltInEndpoints(network), ...(getUserEndpoints()[network] || [])];
+  return [...new Set(urls.filter(Boolean))];
+}
+
+function isUsable(url) {
+  const health = endpointHealth.get(url);
+  if (!health) return true;
+  if (health.status === 'down') return Date.now() >= health.retryAt;
+  return health.status !== 'lagging';
+}
+
+/**
+ * Endpoint requests for a network should go to right now
+ * Prefers the first usable endpoint, then a lagging one over one that is down.
+ */
+export function getActiveRpcUrl(network) {
+  const endpoints = getRpcEndpoints(network);
+  return endpoints.find(isUsable)
+    || endpoints.find(url => endpointHealth.get(url)?.status !== 'down')
+    || endpoints[0];
+}
+
+function findNetworkForUrl(url) {
+  const names = [...Object.keys(NETWORKS), ...Object.keys(getUserEndpoints())];
+  try {
+    const customNetworks = JSON.parse(localStorage.getItem(CUSTOM_NETWORKS_KEY) || '[]');
+    names.push(...customNetworks.map(n => n.name));
+  } catch (e) {
+    // Built-in networks only
+  }
+  return names.find(name => getRpcEndpoints(name).includes(url)) || null;
+}
+
+// Copy a network's endpoints, active one first, to chrome.storage for the background service worker
+function syncEndpointOrder(network, active) {
+  if (typeof chrome === 'undefined' || !chrome.storage) return;
+  const order = [active, ...getRpcEndpoints(network).filter(url => url !== active)];
+  const key = JSON.stringify(order);
+  if (syncedOrder.get(network) === key) return;
+  syncedOrder.set(network, key);
+  chrome.storage.local.get(RPC_ENDPOINT_ORDER_KEY)
+    .then(result => chrome.storage.local.set({
+      [RPC_ENDPOINT_ORDER_KEY]: { ...result[RPC_ENDPOINT_ORDER_KEY], [network]: order }
+    }))
+    .catch(e => logger.warn('[RPC] Failed to sync endpoints:', e));
+}
+
+function notify(network) {
+  if (!network) return;
+  const active = getActiveRpcUrl(network);
+  const previous = activeByNetwork.get(network);
+  if (previous && previous !== active) {
+    logger.warn(`[RPC] ${network}: switching from ${previous} to ${active}`);
+  }
+  activeByNetwork.set(network, active);
+  syncEndpointOrder(network, active);
+  listeners.forEach(listener => listener(network));
+}
+
+/**
+ * Call when a request to an endpoint fails (network error or 5xx) so traffic moves to the next one
+ * @returns {string} Endpoint to retry on
+ */
+export function reportRpcFailure(url, error) {
+  const now = Date.now();
+  endpointHealth.set(url, {
+    ...endpointHealth.get(url),
+    status: 'down',
+    error: error?.message || String(error || 'Request failed'),
+    checkedAt: now,
+    retryAt: now + FAILED_ENDPOINT_COOLDOWN_MS
+  });
+  const network = findNetworkForUrl(url);
+  notify(network);
+  return network ? getActiveRpcUrl(network) : url;
+}
+
+/**
+ * Call when a request succeeds so an endpoint marked down is used again without waiting for a probe
+ */
+export function reportRpcSuccess(url) {
+  const health = endpointHealth.get(url);
+  if (health?.status !== 'down') return;
+  endpointHealth.set(url, { ...health, status: 'healthy', error: null });
+  notify(findNetworkForUrl(url));
+}
+
+async function probeEndpoint(url) {
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), PROBE_TIMEOUT_MS);
+  const started = Date.now();
+  try {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'getSlot', params: [{ commitment: 'confirmed' }] }),
+      signal: controller.signal
+    });
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    const data = await response.json();
+    if (data.error) throw new Error(data.error.message || 'RPC error');
+    return { slot: data.result, latencyMs: Date.now() - started };
+  } catch (e) {
+    throw e.name === 'AbortError' ? new Error('Timed out') : e;
+  } finally {
+    clearTimeout(timeout);
+  }
+}
+
+/**
+ * Check every endpoint of a network (getSlot latency and slot lag)
+ */
+export async function probeRpcEndpoints(network) {
+  const endpoints = getRpcEndpoints(network);
+  const results = await Promise.all(endpoints.map(url =>
+    probeEndpoint(url).then(result => ({ url, ...result }), error => ({ url, error }))
+  ));
+
+  const slots = results.filter(r => !r.error).map(r => r.slot);
+  const maxSlot = slots.length > 0 ? Math.max(...slots) : 0;
+  const checkedAt = Date.now();
+
+  for (const result of results) {
+    if (result.error) {
+      endpointHealth.set(result.url, {
+        status: 'down',
+        latencyMs: null,
+        slot: null,
+        slotLag: null,
+        error: result.error.message,
+        checkedAt,
+        retryAt: checkedAt + FAILED_ENDPOINT_COOLDOWN_MS
+      });
+    } else {
+      const slotLag = maxSlot - result.slot;
+      endpointHealth.set(result.url, {
+        status: slotLag > MAX_SLOT_LAG ? 'lagging' : 'healthy',
+        latencyMs: result.latencyMs,
+        slot: result.slot,
+        slotLag,
+        error: null,
+        checkedAt
+      });
+    }
+  }
+
+  notify(network);
+  return getRpcHealth(network);
+}
+
+/**
+ * Probe a network now and then every intervalMs
+ * @returns {Function} Stops the monitor
+ */
+export function startRpcHealthMonitor(network, intervalMs = RPC_PROBE_INTERVAL_MS) {
+  const probe = () => probeRpcEndpoints(network).catch(e => {
+    logger.warn('[RPC] Health check failed:', e.message);
+  });
+  probe();
+  const timer = setInterval(probe, intervalMs);
+  return () => clearInterval(timer);
+}
+
+/**
+ * Listen for health changes
+ * @param {Function} listener - Called with the network name
+ * @returns {Function} Unsubscribe
+ */
+export function subscribeRpcHealth(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+/**
+ * Endpoints of a network with their latest health, in failover order
+ */
+export function getRpcHealth(network) {
+  const active = getActiveRpcUrl(network);
+  const builtIn = getBuiltInEndpoints(network);
+  const userAdded = getUserEndpoints()[network] || [];
+  const override = getRpcOverride(network);
+  return getRpcEndpoints(network).map(url => ({
+    url,
+    active: url === active,
+    preferred: url === override,
+    builtIn: builtIn.includes(url),
+    userAdded: userAdded.includes(url),
+    status: 'unknown',
+    ...endpointHealth.get(url)
+  }));
+}
+
+/**
+ * Add a fallback endpoint for a network
+ */
+export function addRpcEndpoint(network, url) {
+  const trimmed = url.trim().replace(/\/$/, '');
+  if (!/^https?:\/\/\S+$/.test(trimmed)) {
+    throw new Error('RPC URL must start with http:// or https://');
+  }
+  if (getRpcEndpoints(network).includes(trimmed)) {
+    throw new Error('This endpoint is already in the list');
+  }
+  const endpoints = getUserEndpoints();
+  endpoints[network] = [...(endpoints[network] || []), trimmed];
+  localStorage.setItem(RPC_ENDPOINTS_KEY, JSON.stringify(endpoints));
+  notify(network);
+}
+
+/**
+ * Remove an endpoint the user added
+ */
+export function removeRpcEndpoint(network, url) {
+  const endpoints = getUserEndpoints();
+  endpoints[network] = (endpoints[network] || []).filter(u => u !== url);
+  if (endpoints[network].length === 0) {
+    delete endpoints[network];
+  }
+  localStorage.setItem(RPC_ENDPOINTS_KEY, JSON.stringify(endpoints));
+  endpointHealth.delete(url);
+  notify(network);
+}
+
+/**
+ * POST a JSON-RPC body, moving to the next endpoint when one errors
+ * @returns {Promise<Response>}
+ */
+export async function fetchRpcWithFailover(network, body) {
+  const attempts = getRpcEndpoints(network).length;
+  let lastError;
+  for (let i = 0; i < attempts; i++) {
+    const url = getActiveRpcUrl(network);
+    try {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: typeof body === 'string' ? body : JSON.stringify(body)
+      });
+      if (response.status >= 500) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+      reportRpcSuccess(url);
+      return response;
+    } catch (e) {
+      lastError = e;
+      reportRpcFailure(url, e);
+    }
+  }
+  throw lastError || new Error('No RPC endpoint available');
+}
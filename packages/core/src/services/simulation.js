@@ -0,0 +1,212 @@
+// Simulation preview - what a transaction will do to the signer's balances
+// Used before approving dApp signing requests so users see "you send / you receive"
+import { logger } from '../utils/logger.js';
+import { encodeBase58 } from '../utils/base58.js';
+import { simulateTransaction } from './wallet.js';
+import { getNetwork } from './networks.js';
+import { TOKEN_PROGRAM_ID, TOKEN_2022_PROGRAM_ID, fetchTokenMetadataFromAPI } from './tokens.js';
+
+// SPL token account layout (shared by Token-2022, which appends extensions after byte 165)
+const TOKEN_ACCOUNT_SIZE = 165;
+const TOKEN_2022_ACCOUNT_TYPE_ACCOUNT = 2;
+
+// getMultipleAccounts accepts at most 100 addresses per call
+const MAX_ACCOUNTS_PER_REQUEST = 100;
+
+function base64ToBytes(b64) {
+  return Uint8Array.from(atob(b64), c => c.charCodeAt(0));
+}
+
+function readU64(bytes, offset) {
+  let value = 0n;
+  for (let i = 7; i >= 0; i--) {
+    value = (value << 8n) | BigInt(bytes[offset + i]);
+  }
+  return value;
+}
+
+// Parse an RPC account ({ owner, lamports, data: [b64, 'base64'] }) into what we compare
+function parseAccount(account) {
+  if (!account) return null;
+  const parsed = { lamports: BigInt(account.lamports || 0), token: null };
+
+  if (account.owner === TOKEN_PROGRAM_ID || account.owner === TOKEN_2022_PROGRAM_ID) {
+    const data = base64ToBytes(account.data?.[0] || '');
+    const isTokenAccount = data.length === TOKEN_ACCOUNT_SIZE ||
+      (data.length > TOKEN_ACCOUNT_SIZE && data[TOKEN_ACCOUNT_SIZE] === TOKEN_2022_ACCOUNT_TYPE_ACCOUNT);
+    if (isTokenAccount) {
+      parsed.token = {
+        mint: encodeBase58(data.slice(0, 32)),
+        owner: encodeBase58(data.slice(32, 64)),
+        amount: readU64(data, 64),
+        programId: account.owner
+      };
+    }
+  }
+  return parsed;
+}
+
+async function fetchAccounts(rpcUrl, addresses) {
+  const results = [];
+  for (let i = 0; i < addresses.length; i += MAX_ACCOUNTS_PER_REQUEST) {
+    const chunk = addresses.slice(i, i + MAX_ACCOUNTS_PER_REQUEST);
+    const response = await fetch(rpcUrl, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        jsonrpc: '2.0',
+        id: 1,
+        method: 'getMultipleAccounts',
+        params: [chunk, { encoding: 'base64', commitment: 'confirmed' }]
+      })
+    });
+    const data = await response.json();
+    if (data.error) throw new Error(data.error.message);
+    results.push(...(data.result?.value || chunk.map(() => null)));
+  }
+  return results;
+}
+
+// Decimals and a display symbol for each mint (Token-2022 metadata extension, then token API)
+// Decimals stay null when the mint account couldn't be read
+async function fetchMintInfo(rpcUrl, mints) {
+  const info = {};
+  if (mints.length === 0) return info;
+
+  try {
+    const response = await fetch(rpcUrl, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        jsonrpc: '2.0',
+        id: 1,
+        method: 'getMultipleAccounts',
+        params: [mints, { encoding: 'jsonParsed', commitment: 'confirmed' }]
+      })
+    });
+    const data = await response.json();
+    (data.result?.value || []).forEach((account, i) => {
+      const parsed = account?.data?.parsed?.info;
+      if (!parsed) return;
+      const metadata = (parsed.extensions || []).find(e => e.extension === 'tokenMetadata');
+      info[mints[i]] = {
+        decimals: parsed.decimals ?? null,
+        symbol: metadata?.state?.symbol || null
+      };
+    });
+  } catch (e) {
+    logger.warn('[Simulation] Failed to fetch mint info:', e.message);
+  }
+
+  await Promise.all(mints.filter(m => !info[m]?.symbol).map(async mint => {
+    const metadata = await fetchTokenMetadataFromAPI(mint);
+    if (metadata?.symbol) {
+      info[mint] = { decimals: null, ...info[mint], symbol: metadata.symbol };
+    }
+  }));
+
+  return info;
+}
+
+function toUiAmount(raw, decimals) {
+  const negative = raw < 0n;
+  const abs = negative ? -raw : raw;
+  const divisor = 10n ** BigInt(decimals);
+  const whole = abs / divisor;
+  const fraction = (abs % divisor).toString().padStart(decimals, '0').replace(/0+$/, '');
+  const value = Number(fraction ? `${whole}.${fraction}` : `${whole}`);
+  return negative ? -value : value;
+}
+
+/**
+ * Simulate a transaction and compute the owner's per-asset balance changes
+ * @param {Object} params
+ * @param {Uint8Array} params.transaction - Serialized transaction (may be unsigned)
+ * @param {string} params.owner - Wallet address whose balances are tracked
+ * @param {string[]} params.accounts - Every account the transaction touches (including lookup table addresses)
+ * @param {string} params.network - Network name (native symbol/decimals, default RPC)
+ * @param {string} [params.rpcUrl] - RPC override
+ * @returns {Promise<Object>} { success, error, logs, unitsConsumed, changes: [{ mint, symbol, isNative, amount, uiAmount, decimals, rawUnits }] }
+ *   amount is a signed raw-unit string: negative = you send, positive = you receive. When a mint's decimals
+ *   can't be loaded, decimals is null, rawUnits is true and uiAmount is the raw amount.
+ */
+export async function simulateBalanceChanges({ transaction, owner, accounts = [], network, rpcUrl = null }) {
+  const config = getNetwork(network);
+  const endpoint = rpcUrl || config.rpcUrl;
+  const addresses = [...new Set([owner, ...accounts.filter(Boolean)])];
+
+  let preAccounts;
+  try {
+    preAccounts = await fetchAccounts(endpoint, addresses);
+  } catch (e) {
+    logger.warn('[Simulation] Failed to fetch pre-state:', e.message);
+    return { success: false, error: 'Failed to load account state', unavailable: true, logs: [], changes: [] };
+  }
+
+  const sim = await simulateTransaction(transaction, network, { rpcUrl: endpoint, accounts: addresses });
+  if (!sim.success) {
+    return { ...sim, changes: [] };
+  }
+  if (!sim.accounts) {
+    return { success: true, logs: sim.logs, unitsConsumed: sim.unitsConsumed, changes: [] };
+  }
+
+  let nativeDelta = 0n;
+  const tokenDeltas = new Map(); // mint -> { delta, programId }
+
+  addresses.forEach((address, i) => {
+    const pre = parseAccount(preAccounts[i]);
+    const post = parseAccount(sim.accounts[i]);
+
+    if (address === owner) {
+      nativeDelta += (post?.lamports || 0n) - (pre?.lamports || 0n);
+    }
+
+    // Token accounts owned by the wallet - created, changed or closed by this transaction
+    const preToken = pre?.token?.owner === owner ? pre.token : null;
+    const postToken = post?.token?.owner === owner ? post.token : null;
+    if (!preToken && !postToken) return;
+
+    const mint = (postToken || preToken).mint;
+    const delta = (postToken?.amount || 0n) - (preToken?.amount || 0n);
+    if (delta === 0n) return;
+    const entry = tokenDeltas.get(mint) || { delta: 0n, programId: (postToken || preToken).programId };
+    entry.delta += delta;
+    tokenDeltas.set(mint, entry);
+  });
+
+  const changes = [];
+  if (nativeDelta !== 0n) {
+    changes.push({
+      mint: null,
+      symbol: config.symbol,
+      isNative: true,
+      amount: nativeDelta.toString(),
+      uiAmount: toUiAmount(nativeDelta, config.decimals),
+      decimals: config.decimals
+    });
+  }
+
+  const mintInfo = await fetchMintInfo(endpoint, [...tokenDeltas.keys()]);
+  for (const [mint, { delta, programId }] of tokenDeltas) {
+    // Guessing 0 decimals would overstate the amount by orders of magnitude - show raw units instead
+    const decimals = mintInfo[mint]?.decimals ?? null;
+    changes.push({
+      mint,
+      symbol: mintInfo[mint]?.symbol || null,
+      isNative: false,
+      isToken2022: programId === TOKEN_2022_PROGRAM_ID,
+      amount: delta.toString(),
+      uiAmount: decimals === null ? Number(delta) : toUiAmount(delta, decimals),
+      decimals,
+      rawUnits: decimals === null
+    });
+  }
+
+  return {
+    success: true,
+    logs: sim.logs,
+    unitsConsumed: sim.unitsConsumed,
+    changes
+  };
+}
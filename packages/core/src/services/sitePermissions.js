@@ -0,0 +1,113 @@
+// Site Permissions service - scoped permissions and daily spend caps for connected dApps
+// Records live in chrome.storage under x1wallet_connected_sites (written by background.js on connect).
+// background.js enforces these rules itself; keep getSitePermissions() in sync with its copy there.
+import { logger } from '../utils/logger.js';
+
+const CONNECTED_SITES_KEY = 'x1wallet_connected_sites';
+
+// Matches SESSION_TIMEOUT_MS in background.js - the expiry sites got before permissions existed
+export const DEFAULT_SITE_SESSION_MS = 4 * 60 * 60 * 1000;
+
+export const SITE_EXPIRY_OPTIONS = [
+  { label: '4 hours', ms: DEFAULT_SITE_SESSION_MS },
+  { label: '1 day', ms: 24 * 60 * 60 * 1000 },
+  { label: '7 days', ms: 7 * 24 * 60 * 60 * 1000 },
+  { label: '30 days', ms: 30 * 24 * 60 * 60 * 1000 }
+];
+
+/**
+ * Permissions for a stored site, with defaults for sites connected before permissions existed
+ * @returns {{ accounts: string[], networks: string[]|null, signMessage: boolean, expiresAt: number, spendLimit: Object|null }}
+ */
+export function getSitePermissions(site) {
+  const permissions = site?.permissions || {};
+  return {
+    accounts: permissions.accounts || (site?.publicKey ? [site.publicKey] : []),
+    networks: permissions.networks || null, // null = every network
+    signMessage: permissions.signMessage !== false,
+    expiresAt: permissions.expiresAt || ((site?.connectedAt || 0) + DEFAULT_SITE_SESSION_MS),
+    spendLimit: permissions.spendLimit || null // { native: string|null, tokens: { [mint]: { amount, decimals, symbol } } }
+  };
+}
+
+// Spend is tracked per UTC day
+export function getSpendDay(now = Date.now()) {
+  return new Date(now).toISOString().slice(0, 10);
+}
+
+/**
+ * Amount already spent today, in base units
+ * @returns {{ native: bigint, tokens: Object<string, bigint> }}
+ */
+export function getTodaySpend(site, now = Date.now()) {
+  const spent = site?.spent;
+  if (!spent || spent.day !== getSpendDay(now)) {
+    return { native: 0n, tokens: {} };
+  }
+  const tokens = {};
+  for (const [mint, amount] of Object.entries(spent.tokens || {})) {
+    tokens[mint] = BigInt(amount);
+  }
+  return { native: BigInt(spent.native || '0'), tokens };
+}
+
+// Base units (bigint or string) to a decimal string for display
+export function formatBaseUnits(amount, decimals) {
+  const value = BigInt(amount);
+  const divisor = 10n ** BigInt(decimals);
+  const fraction = (value % divisor).toString().padStart(decimals, '0').replace(/0+$/, '');
+  return fraction ? `${value / divisor}.${fraction}` : `${value / divisor}`;
+}
+
+async function readSites() {
+  if (typeof chrome === 'undefined' || !chrome.storage) return {};
+  const result = await chrome.storage.local.get(CONNECTED_SITES_KEY);
+  return result[CONNECTED_SITES_KEY] || {};
+}
+
+async function writeSites(sites) {
+  await chrome.storage.local.set({ [CONNECTED_SITES_KEY]: sites });
+}
+
+/**
+ * All connected sites with their effective permissions
+ */
+export async function loadConnectedSites() {
+  try {
+    const sites = await readSites();
+    return Object.entries(sites).map(([origin, data]) => ({
+      origin,
+      connectedAt: data.connectedAt,
+      publicKey: data.publicKey,
+      permissions: getSitePermissions(data),
+      spentToday: getTodaySpend(data)
+    }));
+  } catch (e) {
+    logger.error('[SitePermissions] Error loading connected sites:', e);
+    return [];
+  }
+}
+
+/**
+ * Replace a site's permissions (spend already recorded today is kept)
+ */
+export async function saveSitePermissions(origin, permissions) {
+  const sites = await readSites();
+  if (!sites[origin]) {
+    throw new Error('Site is no longer connected');
+  }
+  if (!permissions.accounts?.length) {
+    throw new Error('Share at least one account with this site');
+  }
+  if (permissions.networks && permissions.networks.length === 0) {
+    throw new Error('Allow at least one network for this site');
+  }
+  sites[origin] = { ...sites[origin], permissions };
+  await writeSites(sites);
+}
+
+export async function disconnectSite(origin) {
+  const sites = await readSites();
+  delete sites[origin];
+  await writeSites(sites);
+}
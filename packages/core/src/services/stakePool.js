@@ -0,0 +1,144 @@
+// Stake pool yield - APY and rewards from how the pool token's value grows
+// Pool tokens are worth totalLamports / poolTokenSupply. The pool account only holds the current values,
+// so the rate is recorded each epoch the wallet sees and APY comes from the change between records.
+// Rewards earned compare what the user's pool tokens are worth now with what they deposited for them.
+import { logger } from '../utils/logger.js';
+
+const RATE_HISTORY_KEY = 'x1wallet_stakePoolRates';
+const DEPOSITS_KEY = 'x1wallet_stakePoolDeposits';
+
+// Epochs of rate history kept per pool, and how far back APY looks
+const MAX_HISTORY_EPOCHS = 180;
+const APY_WINDOW_EPOCHS = 30;
+const SLOT_SECONDS = 0.4;
+const SECONDS_PER_YEAR = 365.25 * 24 * 60 * 60;
+
+function read(key) {
+  try {
+    return JSON.parse(localStorage.getItem(key)) || {};
+  } catch {
+    return {};
+  }
+}
+
+function write(key, value) {
+  try {
+    localStorage.setItem(key, JSON.stringify(value));
+  } catch (e) {
+    logger.warn('[StakePool] Failed to save', key, e.message);
+  }
+}
+
+/**
+ * Native tokens one pool token is worth
+ * @param {Object} pool - Parsed pool account ({ totalLamports, poolTokenSupply })
+ */
+export function getPoolExchangeRate(pool) {
+  if (!pool?.poolTokenSupply || !pool?.totalLamports) return 1;
+  return pool.totalLamports / pool.poolTokenSupply;
+}
+
+/**
+ * Rate records for a pool, oldest first
+ * @returns {Array<{ epoch: number, rate: number, timestamp: number }>}
+ */
+export function getPoolRateHistory(poolAddress) {
+  return read(RATE_HISTORY_KEY)[poolAddress] || [];
+}
+
+/**
+ * Record the pool's rate for the epoch it was last updated in
+ * @param {Object} pool - Parsed pool account ({ totalLamports, poolTokenSupply, lastUpdateEpoch,
+ *   lastEpochTotalLamports, lastEpochPoolTokenSupply })
+ * @returns {Array} The pool's rate history after recording
+ */
+export function recordPoolRate(poolAddress, pool) {
+  if (!pool?.poolTokenSupply) return getPoolRateHistory(poolAddress);
+  const all = read(RATE_HISTORY_KEY);
+  const history = (all[poolAddress] || []).filter(r => r.epoch !== pool.lastUpdateEpoch);
+  history.push({ epoch: pool.lastUpdateEpoch, rate: getPoolExchangeRate(pool), timestamp: Date.now() });
+  // SPL pools also keep the previous epoch's totals, which gives an APY on the first visit
+  const previousEpoch = pool.lastUpdateEpoch - 1;
+  if (pool.lastEpochPoolTokenSupply && !history.some(r => r.epoch === previousEpoch)) {
+    history.push({
+      epoch: previousEpoch,
+      rate: getPoolExchangeRate({ totalLamports: pool.lastEpochTotalLamports, poolTokenSupply: pool.lastEpochPoolTokenSupply }),
+      timestamp: Date.now()
+    });
+  }
+  history.sort((a, b) => a.epoch - b.epoch);
+  all[poolAddress] = history.slice(-MAX_HISTORY_EPOCHS);
+  write(RATE_HISTORY_KEY, all);
+  return all[poolAddress];
+}
+
+/**
+ * Annual yield from the rate change over the last APY_WINDOW_EPOCHS of history
+ * @param {number} [slotsPerEpoch] - From getEpochInfo, to turn epochs into years
+ * @returns {number|null} Fraction (0.07 = 7%), or null until records span at least one epoch
+ */
+export function calculatePoolApy(history, slotsPerEpoch = 432000) {
+  if (!history?.length) return null;
+  const latest = history[history.length - 1];
+  const oldest = history.find(r => latest.epoch - r.epoch <= APY_WINDOW_EPOCHS);
+  const epochs = latest.epoch - oldest.epoch;
+  if (epochs < 1 || !oldest.rate) return null;
+  const epochsPerYear = SECONDS_PER_YEAR / (slotsPerEpoch * SLOT_SECONDS);
+  return Math.pow(latest.rate / oldest.rate, epochsPerYear / epochs) - 1;
+}
+
+// Deposit ledger per pool and wallet: { deposited, poolTokens, realized } in native units.
+// Withdrawals take out deposits at their average cost; the difference is realized rewards.
+function getLedger(poolAddress, wallet) {
+  return read(DEPOSITS_KEY)[poolAddress]?.[wallet] || null;
+}
+
+function saveLedger(poolAddress, wallet, ledger) {
+  const all = read(DEPOSITS_KEY);
+  all[poolAddress] = { ...all[poolAddress], [wallet]: ledger };
+  write(DEPOSITS_KEY, all);
+}
+
+/**
+ * Record a deposit - amount in native units and the pool tokens it bought
+ */
+export function recordPoolDeposit(poolAddress, wallet, { amount, poolTokens }) {
+  const ledger = getLedger(poolAddress, wallet) || { deposited: 0, poolTokens: 0, realized: 0 };
+  saveLedger(poolAddress, wallet, {
+    ...ledger,
+    deposited: ledger.deposited + amount,
+    poolTokens: ledger.poolTokens + poolTokens
+  });
+}
+
+/**
+ * Record a withdrawal - pool tokens burned and the native amount received
+ */
+export function recordPoolWithdrawal(poolAddress, wallet, { amount, poolTokens }) {
+  const ledger = getLedger(poolAddress, wallet);
+  if (!ledger || ledger.poolTokens <= 0) return;
+  const share = Math.min(poolTokens / ledger.poolTokens, 1);
+  const cost = ledger.deposited * share;
+  saveLedger(poolAddress, wallet, {
+    deposited: ledger.deposited - cost,
+    poolTokens: ledger.poolTokens * (1 - share),
+    realized: ledger.realized + amount - cost
+  });
+}
+
+/**
+ * Rewards earned on deposits made from this wallet
+ * Pool tokens received from elsewhere have no known cost and aren't counted.
+ * @returns {{ earned: number, deposited: number }|null} Native units, or null with no recorded deposits
+ */
+export function getPoolRewards(poolAddress, wallet, { poolTokenBalance, exchangeRate }) {
+  const ledger = getLedger(poolAddress, wallet);
+  if (!ledger) return null;
+  const tracked = Math.min(poolTokenBalance, ledger.poolTokens);
+  const share = ledger.poolTokens > 0 ? tracked / ledger.poolTokens : 0;
+  const deposited = ledger.deposited * share;
+  return {
+    earned: ledger.realized + tracked * exchangeRate - deposited,
+    deposited
+  };
+}
@@ -0,0 +1,420 @@
+// Stake pools - registry, account parsing and instructions for SPL stake pools and forks of it
+// Each network has built-in pools and users can add any pool by address. Deposits and instant unstakes go
+// through the pool's reserve (DepositSol / WithdrawSol); a delayed unstake (WithdrawStake) splits a stake
+// account off a validator instead, which then cools down like any native stake account.
+import { decodeBase58, encodeBase58 } from '../utils/base58.js';
+import { logger } from '../utils/logger.js';
+import { rpcCall } from '../utils/rpc.js';
+import { findProgramAddress } from '../utils/token2022.js';
+import {
+  STAKE_PROGRAM_ID,
+  STAKE_ACCOUNT_LENGTH,
+  createStakeAccountInstruction,
+  createDeactivateStakeInstruction,
+  newStakeKeypair,
+  sendStakeTransaction
+} from './nativeStake.js';
+
+export const SPL_STAKE_POOL_PROGRAM_ID = 'SPoo1Ku8WFXoNDMHPsrGSTSG1Y47rzgn41SLUNakuHy';
+export const X1_STAKE_POOL_PROGRAM_ID = 'XPoo1Fx6KNgeAzFcq2dPTo95bWGUSj5KdPVqYj9CZux';
+
+// Built-in pools per network. Marinade is not an SPL stake pool, so it can't be listed here.
+export const DEFAULT_STAKE_POOLS = {
+  'X1 Mainnet': [
+    { address: 'X1SPaMUM1A8E1vKL8XQAB5rxKarJbqtWFFSNFs8f7Av', programId: X1_STAKE_POOL_PROGRAM_ID, name: 'X1 Stake Pool', symbol: 'pXNT' }
+  ],
+  'Solana Mainnet': [
+    { address: 'Jito4APyf642JPZPx3hGc6WWJ8zPKtRbRs4P815Awbb', programId: SPL_STAKE_POOL_PROGRAM_ID, name: 'Jito', symbol: 'JitoSOL' },
+    { address: 'stk9ApL5HeVAwPLr3TLhDXdZS8ptVu7zp6ov8HFDuMi', programId: SPL_STAKE_POOL_PROGRAM_ID, name: 'BlazeStake', symbol: 'bSOL' }
+  ]
+};
+
+const CUSTOM_POOLS_KEY = 'x1wallet_stakePools';
+
+const SYSTEM_PROGRAM_ID = '11111111111111111111111111111111';
+const ASSOCIATED_TOKEN_PROGRAM_ID = 'ATokenGPvbdGVxr1b2hvZbsiqW5xWH25efTNsLJA8knL';
+const SYSVAR_CLOCK_ID = 'SysvarC1ock11111111111111111111111111111111';
+const SYSVAR_STAKE_HISTORY_ID = 'SysvarStakeHistory1111111111111111111111111';
+
+// StakePoolInstruction indexes
+const WITHDRAW_STAKE = 10;
+const DEPOSIT_SOL = 14;
+const WITHDRAW_SOL = 16;
+
+const ACCOUNT_TYPE_STAKE_POOL = 1;
+const VALIDATOR_STAKE_INFO_LENGTH = 73;
+const VALIDATOR_STATUS_ACTIVE = 0;
+
+// The X1 fork prefixes its accounts with a version byte; upstream SPL accounts start at account_type.
+// Any other owner is treated as an upstream fork.
+function hasVersionPrefix(programId) {
+  return programId === X1_STAKE_POOL_PROGRAM_ID;
+}
+
+function toBytes(data) {
+  return typeof data === 'string' ? Uint8Array.from(atob(data), c => c.charCodeAt(0)) : data;
+}
+
+function instructionData(index, amount) {
+  const data = new Uint8Array(9);
+  data[0] = index;
+  new DataView(data.buffer).setBigUint64(1, BigInt(amount), true);
+  return data;
+}
+
+// Borsh reader over the pool account - options and future-epoch fees make later offsets variable
+function reader(data) {
+  const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+  let offset = 0;
+  const r = {
+    u8: () => data[offset++],
+    u32: () => { const v = view.getUint32(offset, true); offset += 4; return v; },
+    u64: () => { const v = view.getBigUint64(offset, true); offset += 8; return Number(v); },
+    i64: () => { const v = view.getBigInt64(offset, true); offset += 8; return Number(v); },
+    pubkey: () => { const v = encodeBase58(data.slice(offset, offset + 32)); offset += 32; return v; },
+    // Fee { denominator, numerator } as a fraction
+    fee: () => { const denominator = r.u64(); const numerator = r.u64(); return denominator ? numerator / denominator : 0; },
+    option: (read) => r.u8() ? read() : null,
+    // FutureEpoch<Fee>: None, One(fee) or Two(fee)
+    futureFee: () => r.u8() ? r.fee() : null,
+    remaining: () => data.length - offset
+  };
+  return r;
+}
+
+/**
+ * Parse a stake pool account
+ * @param {Uint8Array|string} accountData - Raw or base64 account data
+ * @param {string} programId - Account owner, which decides the layout
+ * @returns {Object} Addresses, totals, fees (fractions, 0.01 = 1%) and deposit/withdraw authorities
+ */
+export function parseStakePoolAccount(accountData, programId) {
+  const data = toBytes(accountData);
+  const versioned = hasVersionPrefix(programId);
+  if (data.length < 300 || data[versioned ? 1 : 0] !== ACCOUNT_TYPE_STAKE_POOL) {
+    throw new Error('Not a stake pool account');
+  }
+  const r = reader(data);
+  const pool = {
+    version: versioned ? r.u8() : null,
+    accountType: r.u8(),
+    manager: r.pubkey(),
+    staker: r.pubkey(),
+    stakeDepositAuthority: r.pubkey(),
+    stakeWithdrawBumpSeed: r.u8(),
+    validatorList: r.pubkey(),
+    reserveStake: r.pubkey(),
+    poolMint: r.pubkey(),
+    managerFeeAccount: r.pubkey(),
+    tokenProgramId: r.pubkey(),
+    totalLamports: r.u64(),
+    poolTokenSupply: r.u64(),
+    lastUpdateEpoch: r.u64()
+  };
+
+  // Fee section - older pool versions may end early, so keep what parsed
+  try {
+    r.i64(); // lockup.unixTimestamp
+    r.u64(); // lockup.epoch
+    r.pubkey(); // lockup.custodian
+    pool.epochFee = r.fee();
+    pool.nextEpochFee = r.futureFee();
+    pool.preferredDepositValidator = r.option(r.pubkey);
+    pool.preferredWithdrawValidator = r.option(r.pubkey);
+    pool.stakeDepositFee = r.fee();
+    pool.stakeWithdrawalFee = r.fee();
+    pool.nextStakeWithdrawalFee = r.futureFee();
+    pool.stakeReferralFee = r.u8() / 100;
+    pool.solDepositAuthority = r.option(r.pubkey);
+    pool.solDepositFee = r.fee();
+    pool.solReferralFee = r.u8() / 100;
+    pool.solWithdrawAuthority = r.option(r.pubkey);
+    pool.solWithdrawalFee = r.fee();
+    pool.nextSolWithdrawalFee = r.futureFee();
+    if (r.remaining() >= 16) {
+      pool.lastEpochPoolTokenSupply = r.u64();
+      pool.lastEpochTotalLamports = r.u64();
+    }
+  } catch (e) {
+    logger.warn('[StakePools] Pool fee section unreadable:', e.message);
+  }
+  return pool;
+}
+
+/**
+ * Validators in a pool's validator list
+ * @param {string} programId - Pool program, which decides the layout
+ * @returns {Array<{ voteAccount, activeStakeLamports, transientStakeLamports, validatorSeedSuffix, active }>}
+ */
+export function parseValidatorList(accountData, programId) {
+  const data = toBytes(accountData);
+  const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+  // [version u8 on X1], accountType u8, maxValidators u32, then Vec<ValidatorStakeInfo>
+  const header = hasVersionPrefix(programId) ? 1 : 0;
+  const count = view.getUint32(header + 5, true);
+  const validators = [];
+  for (let i = 0; i < count; i++) {
+    const offset = header + 9 + i * VALIDATOR_STAKE_INFO_LENGTH;
+    if (offset + VALIDATOR_STAKE_INFO_LENGTH > data.length) break;
+    validators.push({
+      activeStakeLamports: Number(view.getBigUint64(offset, true)),
+      transientStakeLamports: Number(view.getBigUint64(offset + 8, true)),
+      validatorSeedSuffix: view.getUint32(offset + 36, true),
+      active: data[offset + 40] === VALIDATOR_STATUS_ACTIVE,
+      voteAccount: encodeBase58(data.slice(offset + 41, offset + 73))
+    });
+  }
+  return validators;
+}
+
+// Registry
+
+function readCustomPools() {
+  try {
+    return JSON.parse(localStorage.getItem(CUSTOM_POOLS_KEY)) || {};
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Built-in and user-added pools for a network
+ * @returns {Array<{ address, programId, name, symbol, custom?: boolean }>}
+ */
+export function getStakePools(network) {
+  return [...(DEFAULT_STAKE_POOLS[network] || []), ...(readCustomPools()[network] || [])];
+}
+
+/**
+ * Add a pool by address after checking on chain that it is a stake pool
+ * @returns {Promise<Object>} The registry entry
+ */
+export async function addStakePool(network, address, rpcUrl, { name, symbol } = {}) {
+  if (getStakePools(network).some(p => p.address === address)) {
+    throw new Error('This stake pool is already in the list');
+  }
+  const info = await rpcCall(rpcUrl, 'getAccountInfo', [address, { encoding: 'base64', commitment: 'confirmed' }]);
+  if (!info?.value) throw new Error('Stake pool account not found');
+  // Throws if the data isn't a stake pool
+  parseStakePoolAccount(info.value.data[0], info.value.owner);
+
+  const entry = {
+    address,
+    programId: info.value.owner,
+    name: name || `Pool ${address.slice(0, 4)}...${address.slice(-4)}`,
+    symbol: symbol || 'Pool token',
+    custom: true
+  };
+  const all = readCustomPools();
+  all[network] = [...(all[network] || []), entry];
+  localStorage.setItem(CUSTOM_POOLS_KEY, JSON.stringify(all));
+  return entry;
+}
+
+export function removeStakePool(network, address) {
+  const all = readCustomPools();
+  all[network] = (all[network] || []).filter(p => p.address !== address);
+  localStorage.setItem(CUSTOM_POOLS_KEY, JSON.stringify(all));
+}
+
+// On-chain state
+
+/**
+ * Current pool state merged with its registry entry
+ * @param {Object} pool - Registry entry from getStakePools
+ * @returns {Promise<Object>} Entry plus parsed account and exchangeRate (native per pool token)
+ */
+export async function getStakePoolInfo(rpcUrl, pool) {
+  const info = await rpcCall(rpcUrl, 'getAccountInfo', [pool.address, { encoding: 'base64', commitment: 'confirmed' }]);
+  if (!info?.value?.data?.[0]) throw new Error('Stake pool not found');
+  if (pool.programId && info.value.owner !== pool.programId) {
+    throw new Error('Stake pool account is owned by a different program than expected');
+  }
+  const parsed = parseStakePoolAccount(info.value.data[0], info.value.owner);
+  return {
+    ...pool,
+    ...parsed,
+    programId: info.value.owner,
+    exchangeRate: parsed.poolTokenSupply ? parsed.totalLamports / parsed.poolTokenSupply : 1
+  };
+}
+
+/**
+ * The wallet's pool token holdings
+ * @returns {Promise<{ balance: number, rawBalance: number, tokenAccount: string|null }>} balance in UI units
+ */
+export async function getStakePoolHoldings(rpcUrl, owner, poolMint) {
+  const result = await rpcCall(rpcUrl, 'getTokenAccountsByOwner', [
+    owner,
+    { mint: poolMint },
+    { encoding: 'jsonParsed', commitment: 'confirmed' }
+  ]);
+  // Largest account first - that's the one deposits and withdrawals use
+  const accounts = (result?.value || [])
+    .map(a => ({ pubkey: a.pubkey, amount: a.account?.data?.parsed?.info?.tokenAmount }))
+    .sort((a, b) => Number(b.amount?.amount || 0) - Number(a.amount?.amount || 0));
+  if (accounts.length === 0) return { balance: 0, rawBalance: 0, tokenAccount: null };
+  return {
+    balance: parseFloat(accounts[0].amount?.uiAmountString || accounts[0].amount?.uiAmount || 0),
+    rawBalance: Number(accounts[0].amount?.amount || 0),
+    tokenAccount: accounts[0].pubkey
+  };
+}
+
+export function findWithdrawAuthority(pool) {
+  return findProgramAddress([decodeBase58(pool.address), new TextEncoder().encode('withdraw')], pool.programId);
+}
+
+export function findPoolTokenAccount(owner, pool) {
+  return findProgramAddress(
+    [decodeBase58(owner), decodeBase58(pool.tokenProgramId), decodeBase58(pool.poolMint)],
+    ASSOCIATED_TOKEN_PROGRAM_ID
+  );
+}
+
+// Instructions - `pool` is the result of getStakePoolInfo
+
+/**
+ * DepositSol, creating the wallet's pool token account first if needed
+ * @param {Object} params
+ * @param {number} params.lamports - Native amount to deposit
+ * @param {string|null} params.tokenAccount - Existing pool token account, or null to create the ATA
+ * @returns {Promise<Array>} Instructions
+ */
+export async function createDepositSolInstructions({ pool, owner, lamports, tokenAccount }) {
+  if (pool.solDepositAuthority) {
+    throw new Error(`${pool.name} only accepts deposits through its own app`);
+  }
+  const [withdrawAuthority, destination] = await Promise.all([
+    findWithdrawAuthority(pool),
+    tokenAccount || findPoolTokenAccount(owner, pool)
+  ]);
+
+  const instructions = [];
+  if (!tokenAccount) {
+    instructions.push({
+      programId: ASSOCIATED_TOKEN_PROGRAM_ID,
+      keys: [
+        { pubkey: owner, isSigner: true, isWritable: true },
+        { pubkey: destination, isSigner: false, isWritable: true },
+        { pubkey: owner, isSigner: false, isWritable: false },
+        { pubkey: pool.poolMint, isSigner: false, isWritable: false },
+        { pubkey: SYSTEM_PROGRAM_ID, isSigner: false, isWritable: false },
+        { pubkey: pool.tokenProgramId, isSigner: false, isWritable: false }
+      ],
+      data: new Uint8Array([])
+    });
+  }
+  instructions.push({
+    programId: pool.programId,
+    keys: [
+      { pubkey: pool.address, isSigner: false, isWritable: true },
+      { pubkey: withdrawAuthority, isSigner: false, isWritable: false },
+      { pubkey: pool.reserveStake, isSigner: false, isWritable: true },
+      { pubkey: owner, isSigner: true, isWritable: true },
+      { pubkey: destination, isSigner: false, isWritable: true },
+      { pubkey: pool.managerFeeAccount, isSigner: false, isWritable: true },
+      { pubkey: destination, isSigner: false, isWritable: true }, // Referral fee goes back to the depositor
+      { pubkey: pool.poolMint, isSigner: false, isWritable: true },
+      { pubkey: SYSTEM_PROGRAM_ID, isSigner: false, isWritable: false },
+      { pubkey: pool.tokenProgramId, isSigner: false, isWritable: false }
+    ],
+    data: instructionData(DEPOSIT_SOL, lamports)
+  });
+  return instructions;
+}
+
+/**
+ * WithdrawSol - burn pool tokens for native tokens from the reserve, limited by what the reserve holds
+ * @param {number} params.poolTokens - Raw pool token amount to burn
+ */
+export async function createWithdrawSolInstruction({ pool, owner, poolTokens, tokenAccount }) {
+  if (pool.solWithdrawAuthority) {
+    throw new Error(`${pool.name} doesn't allow instant unstaking - use a delayed unstake`);
+  }
+  const withdrawAuthority = await findWithdrawAuthority(pool);
+  return {
+    programId: pool.programId,
+    keys: [
+      { pubkey: pool.address, isSigner: false, isWritable: true },
+      { pubkey: withdrawAuthority, isSigner: false, isWritable: false },
+      { pubkey: owner, isSigner: true, isWritable: false },
+      { pubkey: tokenAccount, isSigner: false, isWritable: true },
+      { pubkey: pool.reserveStake, isSigner: false, isWritable: true },
+      { pubkey: owner, isSigner: false, isWritable: true },
+      { pubkey: pool.managerFeeAccount, isSigner: false, isWritable: true },
+      { pubkey: pool.poolMint, isSigner: false, isWritable: true },
+      { pubkey: SYSVAR_CLOCK_ID, isSigner: false, isWritable: false },
+      { pubkey: SYSVAR_STAKE_HISTORY_ID, isSigner: false, isWritable: false },
+      { pubkey: STAKE_PROGRAM_ID, isSigner: false, isWritable: false },
+      { pubkey: pool.tokenProgramId, isSigner: false, isWritable: false }
+    ],
+    data: instructionData(WITHDRAW_SOL, poolTokens)
+  };
+}
+
+// The pool's stake account to split a delayed unstake from: the preferred withdraw validator if set,
+// otherwise the validator with the most active stake, falling back to the reserve when none can cover it
+async function findWithdrawSource(rpcUrl, pool, lamports) {
+  const info = await rpcCall(rpcUrl, 'getAccountInfo', [pool.validatorList, { encoding: 'base64', commitment: 'confirmed' }]);
+  if (!info?.value) throw new Error('Stake pool validator list not found');
+  const validators = parseValidatorList(info.value.data[0], pool.programId)
+    .filter(v => v.active && v.activeStakeLamports > lamports)
+    .sort((a, b) => b.activeStakeLamports - a.activeStakeLamports);
+  const source = validators.find(v => v.voteAccount === pool.preferredWithdrawValidator) || validators[0];
+  if (!source) return { address: pool.reserveStake, fromReserve: true };
+
+  const seeds = [decodeBase58(source.voteAccount), decodeBase58(pool.address)];
+  if (source.validatorSeedSuffix) {
+    const suffix = new Uint8Array(4);
+    new DataView(suffix.buffer).setUint32(0, source.validatorSeedSuffix, true);
+    seeds.push(suffix);
+  }
+  return { address: await findProgramAddress(seeds, pool.programId), fromReserve: false };
+}
+
+/**
+ * Delayed unstake - burn pool tokens for a stake account split off one of the pool's validators
+ * The new account is deactivated in the same transaction and can be withdrawn from the Validators tab
+ * once the epoch ends (straight away if it came from the reserve, which holds undelegated stake). It isn't limited by the reserve, so it works for amounts instant unstake can't cover.
+ * @param {Object} params
+ * @param {Object} params.pool - From getStakePoolInfo
+ * @param {number} params.poolTokens - Raw pool token amount to burn
+ * @param {string} params.tokenAccount - Wallet's pool token account
+ * @returns {Promise<{ address: string, signature: string }>} New stake account and transaction signature
+ */
+export async function withdrawStakeFromPool({ pool, owner, poolTokens, tokenAccount, rpcUrl, privateKey, signMessage }) {
+  const lamports = Math.floor(poolTokens * pool.exchangeRate * (1 - (pool.stakeWithdrawalFee || 0)));
+  const [withdrawAuthority, source, rent] = await Promise.all([
+    findWithdrawAuthority(pool),
+    findWithdrawSource(rpcUrl, pool, lamports),
+    rpcCall(rpcUrl, 'getMinimumBalanceForRentExemption', [STAKE_ACCOUNT_LENGTH])
+  ]);
+  const { keypair, address } = await newStakeKeypair();
+
+  const signature = await sendStakeTransaction({ owner, rpcUrl, privateKey, signMessage }, [
+    createStakeAccountInstruction({ payer: owner, newAccount: address, lamports: rent }),
+    {
+      programId: pool.programId,
+      keys: [
+        { pubkey: pool.address, isSigner: false, isWritable: true },
+        { pubkey: pool.validatorList, isSigner: false, isWritable: true },
+        { pubkey: withdrawAuthority, isSigner: false, isWritable: false },
+        { pubkey: source.address, isSigner: false, isWritable: true },
+        { pubkey: address, isSigner: false, isWritable: true },
+        { pubkey: owner, isSigner: false, isWritable: false }, // Staker and withdrawer of the new account
+        { pubkey: owner, isSigner: true, isWritable: false },
+        { pubkey: tokenAccount, isSigner: false, isWritable: true },
+        { pubkey: pool.managerFeeAccount, isSigner: false, isWritable: true },
+        { pubkey: pool.poolMint, isSigner: false, isWritable: true },
+        { pubkey: SYSVAR_CLOCK_ID, isSigner: false, isWritable: false },
+        { pubkey: pool.tokenProgramId, isSigner: false, isWritable: false },
+        { pubkey: STAKE_PROGRAM_ID, isSigner: false, isWritable: false }
+      ],
+      data: instructionData(WITHDRAW_STAKE, poolTokens)
+    },
+    ...(source.fromReserve ? [] : [createDeactivateStakeInstruction({ stakeAccount: address, authority: owner })])
+  ], [keypair]);
+  logger.log('[StakePools] Delayed unstake from', pool.address, 'into', address, signature);
+  return { address, signature };
+}
@@ -0,0 +1,151 @@
+// Transaction tracker - follows a sent transaction from processed to finalized
+// RPC nodes drop transactions under load, so the signed bytes are rebroadcast until the transaction
+// lands or its blockhash expires. An expired transaction never executed - it is marked 'expired', not
+// 'failed', and can be sent again with a fresh blockhash.
+import { logger } from '../utils/logger.js';
+import { rpcCall, getSignatureOutcome } from '../utils/rpc.js';
+import { getTransactionHistory, updateTransaction } from '../utils/transaction.js';
+
+export const TRANSACTION_STAGES = ['processed', 'confirmed', 'finalized'];
+
+// Statuses in which the transaction may still need rebroadcasting
+const REBROADCAST_STATUSES = ['pending', 'processed'];
+
+const POLL_INTERVAL_MS = 2000;
+const REBROADCAST_INTERVAL_MS = 2000;
+// Once landed, how long to keep watching for finalization
+const FINALIZE_TIMEOUT_MS = 90 * 1000;
+// Durable nonce transactions don't expire - stop rebroadcasting after this and leave them pending
+const NONCE_REBROADCAST_MS = 90 * 1000;
+
+// signature -> Promise, so a transaction is never tracked twice at once
+const tracking = new Map();
+
+async function getStatus(rpcUrl, signature) {
+  const result = await rpcCall(rpcUrl, 'getSignatureStatuses', [[signature], { searchTransactionHistory: false }]);
+  return result?.value?.[0] || null;
+}
+
+function rebroadcast(rpcUrl, transaction) {
+  return rpcCall(rpcUrl, 'sendTransaction', [transaction, { encoding: 'base64', skipPreflight: true, maxRetries: 0 }])
+    .catch(e => logger.warn('[TxTracker] Rebroadcast failed:', e.message));
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+async function runTracker({ rpcUrl, signature, transaction, lastValidBlockHeight, onUpdate }) {
+  const started = Date.now();
+  let stage = null;
+  let landedAt = 0;
+  let lastBroadcast = Date.now();
+
+  const report = (status, extra = {}) => {
+    // The signed bytes are only needed while the transaction can still be rebroadcast
+    const done = !REBROADCAST_STATUSES.includes(status);
+    updateTransaction(signature, { status, ...extra, ...(done ? { signedTransaction: undefined } : {}) });
+    onUpdate?.({ status, ...extra });
+    return { status, ...extra };
+  };
+
+  while (true) {
+    let status = null;
+    try {
+      status = await getStatus(rpcUrl, signature);
+    } catch (e) {
+      logger.warn('[TxTracker] Status check failed:', e.message);
+    }
+
+    if (status?.err) {
+      return report('failed', { error: JSON.stringify(status.err) });
+    }
+    if (status?.confirmationStatus && status.confirmationStatus !== stage) {
+      stage = status.confirmationStatus;
+      landedAt = landedAt || Date.now();
+      if (stage === 'finalized') return report('finalized');
+      report(stage);
+    }
+    if (stage && Date.now() - landedAt > FINALIZE_TIMEOUT_MS) {
+      // Confirmed transactions are final in practice - stop watching
+      return { status: stage };
+    }
+
+    if (!stage) {
+      if (lastValidBlockHeight != null) {
+        let blockHeight = 0;
+        try {
+          blockHeight = await rpcCall(rpcUrl, 'getBlockHeight', [{ commitment: 'confirmed' }]);
+        } catch (e) {
+          logger.warn('[TxTracker] Block height check failed:', e.message);
+        }
+        if (blockHeight > lastValidBlockHeight) {
+          // One last look through history in case the status was missed
+          const final = await getSignatureOutcome(rpcUrl, signature, lastValidBlockHeight).catch(() => null);
+          if (final?.status === 'failed') return report('failed', { error: final.error });
+          if (final?.status === 'expired') {
+            logger.warn('[TxTracker] Blockhash expired before', signature, 'landed');
+            return report('expired');
+          }
+          if (final && TRANSACTION_STAGES.includes(final.status)) {
+            stage = final.status;
+            landedAt = Date.now();
+            if (stage === 'finalized') return report('finalized');
+            report(stage);
+            continue;
+          }
+        }
+      } else if (Date.now() - started > NONCE_REBROADCAST_MS) {
+        return { status: 'pending' };
+      }
+
+      if (transaction && Date.now() - lastBroadcast >= REBROADCAST_INTERVAL_MS) {
+        lastBroadcast = Date.now();
+        rebroadcast(rpcUrl, transaction);
+      }
+    }
+
+    await sleep(POLL_INTERVAL_MS);
+  }
+}
+
+/**
+ * Follow a sent transaction until it finalizes, fails or expires, rebroadcasting while it is unconfirmed
+ * The local history entry's status is kept up to date as it goes.
+ * @param {Object} params
+ * @param {string} params.rpcUrl - RPC endpoint
+ * @param {string} params.signature - Transaction signature
+ * @param {string} [params.transaction] - Signed transaction (base64) to rebroadcast
+ * @param {number|null} [params.lastValidBlockHeight] - From getLatestBlockhash; null for durable nonce transactions
+ * @param {Function} [params.onUpdate] - ({ status, error }) on each stage
+ * @returns {Promise<{ status: 'processed'|'confirmed'|'finalized'|'failed'|'expired'|'pending', error?: string }>}
+ */
+export function trackTransaction(params) {
+  const existing = tracking.get(params.signature);
+  if (existing) {
+    // Already tracked - this caller only hears the outcome
+    if (params.onUpdate) existing.then(params.onUpdate, () => {});
+    return existing;
+  }
+  const promise = runTracker(params).finally(() => tracking.delete(params.signature));
+  tracking.set(params.signature, promise);
+  return promise;
+}
+
+/**
+ * Pick up tracking for sends that were still in flight when the popup closed
+ * @param {Function} [onUpdate] - ({ status, error }) whenever one of them changes stage
+ * @returns {number} How many were resumed
+ */
+export function resumePendingTransactions(rpcUrl, walletAddress, network, onUpdate) {
+  const inFlight = getTransactionHistory(walletAddress, network)
+    .filter(tx => tx.signature && REBROADCAST_STATUSES.includes(tx.status) && tx.lastValidBlockHeight != null);
+  for (const tx of inFlight) {
+    trackTransaction({
+      rpcUrl,
+      signature: tx.signature,
+      transaction: tx.signedTransaction,
+      lastValidBlockHeight: tx.lastValidBlockHeight,
+      onUpdate
+    }).catch(e => logger.warn('[TxTracker] Resume failed:', e.message));
+  }
+  return inFlight.length;
+}
@@ -0,0 +1,221 @@
+// Validators - performance data for choosing who to delegate native stake to
+// Uptime comes from vote credits relative to the best validator in each epoch, skip rate from this epoch's
+// block production. APY is taken from what the validator actually paid out last epoch (its commission
+// reward from getInflationReward scaled up to the delegators' share); validators charging no commission
+// have no such reward, so theirs is estimated from the network inflation rate, commission and uptime.
+import { logger } from '../utils/logger.js';
+import { rpcCall } from '../utils/rpc.js';
+
+export const VALIDATOR_SORTS = [
+  { id: 'stake', name: 'Stake' },
+  { id: 'apy', name: 'APY' },
+  { id: 'commission', name: 'Commission' },
+  { id: 'uptime', name: 'Uptime' },
+  { id: 'skipRate', name: 'Skip rate' }
+];
+
+const FAVORITES_STORAGE_KEY = 'x1wallet_favoriteValidators';
+
+// Completed epochs of vote credits used for uptime
+const UPTIME_EPOCHS = 3;
+// getInflationReward addresses per request
+const REWARD_BATCH_SIZE = 100;
+// Used when the node has no recent performance samples
+const DEFAULT_SLOT_SECONDS = 0.4;
+const SECONDS_PER_YEAR = 365.25 * 24 * 60 * 60;
+const CACHE_TTL_MS = 60 * 1000;
+
+// rpcUrl -> { result, fetchedAt }
+const listCache = new Map();
+
+// Optional inputs - a node that doesn't serve one just leaves that column empty
+function optional(promise, method) {
+  return promise.catch(e => {
+    logger.warn(`[Validators] ${method} unavailable:`, e.message);
+    return null;
+  });
+}
+
+async function getEpochsPerYear(rpcUrl, slotsPerEpoch) {
+  let slotSeconds = DEFAULT_SLOT_SECONDS;
+  const samples = await optional(rpcCall(rpcUrl, 'getRecentPerformanceSamples', [30]), 'getRecentPerformanceSamples');
+  if (samples?.length) {
+    const slots = samples.reduce((sum, s) => sum + s.numSlots, 0);
+    const seconds = samples.reduce((sum, s) => sum + s.samplePeriodSecs, 0);
+    if (slots > 0) slotSeconds = seconds / slots;
+  }
+  return SECONDS_PER_YEAR / (slotsPerEpoch * slotSeconds);
+}
+
+async function getVoteRewards(rpcUrl, votePubkeys, epoch) {
+  const rewards = {};
+  for (let i = 0; i < votePubkeys.length; i += REWARD_BATCH_SIZE) {
+    const batch = votePubkeys.slice(i, i + REWARD_BATCH_SIZE);
+    const result = await rpcCall(rpcUrl, 'getInflationReward', [batch, { epoch, commitment: 'finalized' }]);
+    batch.forEach((pubkey, j) => {
+      if (result?.[j]) rewards[pubkey] = result[j];
+    });
+  }
+  return rewards;
+}
+
+// Credits earned per completed epoch: { [votePubkey]: { [epoch]: credits } }
+function getEarnedCredits(voteAccounts, currentEpoch) {
+  const earned = {};
+  for (const account of voteAccounts) {
+    earned[account.votePubkey] = {};
+    for (const [epoch, credits, previousCredits] of account.epochCredits || []) {
+      if (epoch >= currentEpoch || epoch < currentEpoch - UPTIME_EPOCHS) continue;
+      earned[account.votePubkey][epoch] = credits - previousCredits;
+    }
+  }
+  return earned;
+}
+
+function compound(epochRate, epochsPerYear) {
+  return Math.pow(1 + epochRate, epochsPerYear) - 1;
+}
+
+/**
+ * Every validator with performance data
+ * @returns {Promise<{ epoch: number, networkApy: number|null, validators: Array<Object> }>}
+ *   Each validator: { votePubkey, nodePubkey, commission, activatedStake, stakeShare, delinquent,
+ *   lastVote, uptime, skipRate, apy, apySource: 'rewards'|'estimate'|null }. uptime, skipRate and apy are
+ *   fractions (0.05 = 5%), or null when unknown.
+ */
+export async function getValidatorList(rpcUrl, { force = false } = {}) {
+  const cached = listCache.get(rpcUrl);
+  if (!force && cached && Date.now() - cached.fetchedAt < CACHE_TTL_MS) {
+    return cached.result;
+  }
+
+  const [voteAccounts, epochInfo, inflation, supply, production] = await Promise.all([
+    rpcCall(rpcUrl, 'getVoteAccounts', [{ commitment: 'confirmed' }]),
+    rpcCall(rpcUrl, 'getEpochInfo', [{ commitment: 'confirmed' }]),
+    optional(rpcCall(rpcUrl, 'getInflationRate'), 'getInflationRate'),
+    optional(rpcCall(rpcUrl, 'getSupply', [{ excludeNonCirculatingAccountsList: true }]), 'getSupply'),
+    optional(rpcCall(rpcUrl, 'getBlockProduction', [{ commitment: 'confirmed' }]), 'getBlockProduction')
+  ]);
+  const { epoch, slotsInEpoch } = epochInfo;
+
+  const all = [
+    ...(voteAccounts.current || []).map(v => ({ ...v, delinquent: false })),
+    ...(voteAccounts.delinquent || []).map(v => ({ ...v, delinquent: true }))
+  ];
+  const [epochsPerYear, rewards] = await Promise.all([
+    getEpochsPerYear(rpcUrl, slotsInEpoch),
+    optional(getVoteRewards(rpcUrl, all.map(v => v.votePubkey), epoch - 1), 'getInflationReward')
+  ]);
+
+  const totalStake = all.reduce((sum, v) => sum + v.activatedStake, 0);
+  // What a 0% commission validator with perfect uptime pays, from the share of supply that is staked
+  const networkApr = inflation?.validator && supply?.value?.total && totalStake
+    ? inflation.validator * supply.value.total / totalStake
+    : null;
+
+  const earned = getEarnedCredits(all, epoch);
+  const bestPerEpoch = {};
+  for (const byEpoch of Object.values(earned)) {
+    for (const [e, credits] of Object.entries(byEpoch)) {
+      bestPerEpoch[e] = Math.max(bestPerEpoch[e] || 0, credits);
+    }
+  }
+
+  const validators = all.map(v => {
+    const epochs = Object.keys(bestPerEpoch);
+    const best = epochs.reduce((sum, e) => sum + bestPerEpoch[e], 0);
+    const own = epochs.reduce((sum, e) => sum + (earned[v.votePubkey][e] || 0), 0);
+    const uptime = best > 0 ? own / best : null;
+
+    const [leaderSlots, blocksProduced] = production?.value?.byIdentity?.[v.nodePubkey] || [];
+    const skipRate = leaderSlots > 0 ? 1 - blocksProduced / leaderSlots : null;
+
+    let apy = null;
+    let apySource = null;
+    const reward = rewards?.[v.votePubkey];
+    if (reward?.amount > 0 && reward.commission > 0 && v.activatedStake > 0) {
+      const delegatorReward = reward.amount * (100 - reward.commission) / reward.commission;
+      apy = compound(delegatorReward / v.activatedStake, epochsPerYear);
+      apySource = 'rewards';
+    } else if (networkApr !== null && !v.delinquent) {
+      apy = compound(networkApr * (1 - v.commission / 100) * (uptime ?? 1) / epochsPerYear, epochsPerYear);
+      apySource = 'estimate';
+    }
+
+    return {
+      votePubkey: v.votePubkey,
+      nodePubkey: v.nodePubkey,
+      commission: v.commission,
+      activatedStake: v.activatedStake,
+      stakeShare: totalStake ? v.activatedStake / totalStake : 0,
+      delinquent: v.delinquent,
+      lastVote: v.lastVote,
+      uptime,
+      skipRate,
+      apy,
+      apySource
+    };
+  });
+
+  const result = {
+    epoch,
+    networkApy: networkApr !== null ? compound(networkApr / epochsPerYear, epochsPerYear) : null,
+    validators: sortValidators(validators, 'stake')
+  };
+  listCache.set(rpcUrl, { result, fetchedAt: Date.now() });
+  return result;
+}
+
+/**
+ * Sort validators - delinquent ones always go last, unknown values after known ones
+ * @param {string} sortBy - One of VALIDATOR_SORTS ids
+ */
+export function sortValidators(validators, sortBy = 'stake') {
+  // Lower is better for commission and skip rate, higher for everything else
+  const ascending = sortBy === 'commission' || sortBy === 'skipRate';
+  const field = sortBy === 'stake' ? 'activatedStake' : sortBy;
+  return [...validators].sort((a, b) => {
+    if (a.delinquent !== b.delinquent) return a.delinquent ? 1 : -1;
+    const x = a[field];
+    const y = b[field];
+    if (x === null || x === undefined) return y === null || y === undefined ? 0 : 1;
+    if (y === null || y === undefined) return -1;
+    return ascending ? x - y : y - x;
+  });
+}
+
+/**
+ * Validators whose vote or identity address contains the query
+ */
+export function searchValidators(validators, query) {
+  const q = (query || '').trim().toLowerCase();
+  if (!q) return validators;
+  return validators.filter(v =>
+    v.votePubkey.toLowerCase().includes(q) || v.nodePubkey.toLowerCase().includes(q)
+  );
+}
+
+// Favorites are vote addresses, kept per network
+function readFavorites() {
+  try {
+    return JSON.parse(localStorage.getItem(FAVORITES_STORAGE_KEY)) || {};
+  } catch {
+    return {};
+  }
+}
+
+export function getFavoriteValidators(network) {
+  return readFavorites()[network] || [];
+}
+
+/**
+ * Add or remove a favorite validator
+ * @returns {string[]} The network's favorites after the change
+ */
+export function toggleFavoriteValidator(network, votePubkey) {
+  const saved = readFavorites();
+  const list = saved[network] || [];
+  saved[network] = list.includes(votePubkey) ? list.filter(v => v !== votePubkey) : [...list, votePubkey];
+  localStorage.setItem(FAVORITES_STORAGE_KEY, JSON.stringify(saved));
+  return saved[network];
+}
@@ -737,15 +737,20 @@ function serializeTransferTransaction(fromPubkey, toPubkey, lamports, recentBloc
 
 /**
  * Simulate a transaction before sending
- * @param {Uint8Array} signedTx - The signed transaction bytes
+ * @param {Uint8Array} signedTx - The transaction bytes (signatures are not verified)
  * @param {string} network - Network name
+ * @param {Object} [options]
+ * @param {string} [options.rpcUrl] - Override the network's RPC endpoint
+ * @param {string[]} [options.accounts] - Addresses whose post-simulation state should be returned
  * @returns {Object} Simulation result with success/error info
  */
-export async function simulateTransaction(signedTx, network) {
+export async function simulateTransaction(signedTx, network, options = {}) {
   const config = getNetwork(network);
+  const rpcUrl = options.rpcUrl || config.rpcUrl;
+  const accounts = options.accounts || [];
   
   try {
-    const response = await fetch(config.rpcUrl, {
+    const response = await fetch(rpcUrl, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify({
@@ -757,7 +762,8 @@ export async function simulateTransaction(signedTx, network) {
           { 
             encoding: 'base64',
             commitment: 'confirmed',
-            replaceRecentBlockhash: true
+            replaceRecentBlockhash: true,
+            ...(accounts.length > 0 ? { accounts: { encoding: 'base64', addresses: accounts } } : {})
           }
         ]
       })
@@ -804,13 +810,15 @@ export async function simulateTransaction(signedTx, network) {
     return {
       success: true,
       logs: result?.logs || [],
-      unitsConsumed: result?.unitsConsumed || 0
+      unitsConsumed: result?.unitsConsumed || 0,
+      accounts: result?.accounts || null
     };
   } catch (e) {
     logger.error('Simulation error:', e);
     return {
       success: false,
       error: 'Failed to simulate transaction',
+      unavailable: true, // RPC unreachable - says nothing about the transaction itself
       logs: []
     };
   }
@@ -1030,4 +1030,4 @@ export function getSwapProvider(network) {
   return 'XDEX';
 }
 
-export { getNetworkName, isSolanaNetwork, isX1Network, getKnownToken, SOLANA_TOKENS, XDEX_LOGOS, X1_KNOWN_TOKENS, KNOWN_TOKENS };
\ No newline at end of file
+export { NATIVE_TOKEN_ADDRESS, getNetworkName, isSolanaNetwork, isX1Network, getKnownToken, SOLANA_TOKENS, XDEX_LOGOS, X1_KNOWN_TOKENS, KNOWN_TOKENS };
\ No newline at end of file
@@ -0,0 +1,134 @@
+// Address poisoning detection
+// Scammers send dust from an address whose first and last characters match one you've paid before,
+// hoping you'll copy it out of your history next time. Activity only shows those characters, so the
+// fake looks the same at a glance.
+import { isSimilarAddress } from './base58.js';
+import { logger } from './logger.js';
+
+// Characters compared at each end - activity shows 4 (AbCd...WxYz)
+export const POISON_AFFIX_LENGTH = 4;
+
+// Incoming transfers of at most this many whole tokens count as dust
+export const DUST_AMOUNT = 0.001;
+
+// Written by SendFlow after each successful send
+const RECENT_RECIPIENTS_KEY = 'x1_recent_addresses';
+const POISONED_STORAGE_KEY = 'x1wallet_poisoned_addresses';
+const MAX_POISONED_ADDRESSES = 200;
+
+/**
+ * Whether an address imitates a known one (same ends, or only a few characters off)
+ */
+export function isPoisonedLookalike(address, knownAddress) {
+  if (!address || !knownAddress || address === knownAddress) return false;
+  const sameEnds = address.slice(0, POISON_AFFIX_LENGTH) === knownAddress.slice(0, POISON_AFFIX_LENGTH) &&
+    address.slice(-POISON_AFFIX_LENGTH) === knownAddress.slice(-POISON_AFFIX_LENGTH);
+  return sameEnds || isSimilarAddress(address, knownAddress);
+}
+
+/**
+ * First known address the given one imitates, or null
+ */
+export function findLookalikeAddress(address, knownAddresses) {
+  for (const known of knownAddresses) {
+    if (isPoisonedLookalike(address, known)) return known;
+  }
+  return null;
+}
+
+function isOutgoing(tx, walletAddress) {
+  if (tx.type === 'send' || tx.type === 'sent') {
+    return !tx.from || tx.from === walletAddress;
+  }
+  return !!tx.to && tx.from === walletAddress && tx.to !== walletAddress;
+}
+
+function isIncoming(tx, walletAddress) {
+  if (tx.type === 'receive' || tx.type === 'received') return true;
+  return !!tx.from && tx.to === walletAddress && tx.from !== walletAddress;
+}
+
+function isDust(tx) {
+  const amount = parseFloat(tx.amount);
+  return Number.isFinite(amount) && amount <= DUST_AMOUNT;
+}
+
+/**
+ * Addresses the user has sent to from this device
+ */
+export function getRecentRecipients() {
+  try {
+    const recent = JSON.parse(localStorage.getItem(RECENT_RECIPIENTS_KEY) || '[]');
+    return recent.map(r => r.address).filter(Boolean);
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Mark incoming dust transfers from lookalikes of addresses this wallet has sent to
+ * Flagged transactions get `poisoning: { lookalikeOf }`; everything else is returned unchanged.
+ * @param {Object[]} transactions - Formatted activity entries
+ * @param {string} walletAddress - Wallet the activity belongs to
+ * @param {string[]} [knownAddresses] - Other addresses the user has sent to
+ */
+export function flagPoisonedTransactions(transactions, walletAddress, knownAddresses = []) {
+  const sentTo = new Set(knownAddresses);
+  for (const tx of transactions) {
+    if (isOutgoing(tx, walletAddress)) sentTo.add(tx.to);
+  }
+  sentTo.delete(walletAddress);
+  if (sentTo.size === 0) return transactions;
+
+  const known = [...sentTo];
+  return transactions.map(tx => {
+    if (!tx.from || sentTo.has(tx.from) || !isIncoming(tx, walletAddress) || !isDust(tx)) return tx;
+    const lookalikeOf = findLookalikeAddress(tx.from, known);
+    return lookalikeOf ? { ...tx, poisoning: { lookalikeOf } } : tx;
+  });
+}
+
+/**
+ * Remember senders of flagged transfers so the send flow can refuse them later
+ */
+export function recordPoisonedAddresses(transactions) {
+  const flagged = transactions.filter(tx => tx.poisoning);
+  if (flagged.length === 0) return;
+  try {
+    const stored = JSON.parse(localStorage.getItem(POISONED_STORAGE_KEY) || '{}');
+    let added = 0;
+    for (const tx of flagged) {
+      if (stored[tx.from]) continue;
+      stored[tx.from] = { lookalikeOf: tx.poisoning.lookalikeOf, firstSeen: Date.now() };
+      added++;
+    }
+    if (added === 0) return;
+    // Keep the newest entries
+    const entries = Object.entries(stored)
+      .sort(([, a], [, b]) => b.firstSeen - a.firstSeen)
+      .slice(0, MAX_POISONED_ADDRESSES);
+    localStorage.setItem(POISONED_STORAGE_KEY, JSON.stringify(Object.fromEntries(entries)));
+    logger.warn('[AddressPoisoning] Flagged', added, 'lookalike sender(s)');
+  } catch (e) {
+    logger.warn('[AddressPoisoning] Error saving flagged addresses:', e);
+  }
+}
+
+/**
+ * Why an address should not be sent to, or null if it looks fine
+ * @returns {{ lookalikeOf: string, seenInActivity: boolean }|null}
+ */
+export function getPoisoningMatch(address, knownAddresses = getRecentRecipients()) {
+  if (!address) return null;
+  try {
+    const stored = JSON.parse(localStorage.getItem(POISONED_STORAGE_KEY) || '{}');
+    if (stored[address]) {
+      return { lookalikeOf: stored[address].lookalikeOf, seenInActivity: true };
+    }
+  } catch {
+    // Fall through to the lookalike check
+  }
+  if (knownAddresses.includes(address)) return null;
+  const lookalikeOf = findLookalikeAddress(address, knownAddresses);
+  return lookalikeOf ? { lookalikeOf, seenInActivity: false } : null;
+}
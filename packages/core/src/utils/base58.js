@@ -3,7 +3,7 @@
 const ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
 
 export function encode(bytes) {
-  const digits = [0];
+  const digits = [];
   for (let i = 0; i < bytes.length; i++) {
     let carry = bytes[i];
     for (let j = 0; j < digits.length; j++) {
@@ -27,7 +27,7 @@ export function encode(bytes) {
 }
 
 export function decode(str) {
-  const bytes = [0];
+  const bytes = [];
   for (let i = 0; i < str.length; i++) {
     const char = str[i];
     let value = ALPHABET.indexOf(char);
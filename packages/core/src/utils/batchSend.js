@@ -0,0 +1,585 @@
+// Batch (multi-recipient) sends
+// Parses distribution CSVs (address, amount, optional token mint, memo), validates every row and
+// packs the transfers into as few transactions as fit under the size and compute limits. Each batch is
+// simulated before signing for its compute unit limit.
+// Uses the same ATA lookup/creation and Token-2022 handling as createTokenTransferTransaction.
+import { validateAddress, encodeBase58 } from './base58.js';
+import { logger } from './logger.js';
+import { applyPriorityFee } from './computeBudget.js';
+import { rpcCall, getSignatureOutcome } from './rpc.js';
+import { amountToBaseUnits } from './solanaPay.js';
+import { buildTransaction, findExistingATA, deriveATAAddressStandard, signTransaction, serializeTransaction, sendTransaction } from './transaction.js';
+import { getToken2022TransferInfo, resolveTransferHookAccounts, createToken2022TransferInstructions } from './token2022.js';
+
+const SYSTEM_PROGRAM_ID = '11111111111111111111111111111111';
+const TOKEN_PROGRAM_ID = 'TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA';
+const TOKEN_2022_PROGRAM_ID = 'TokenzQdBNbLqP5VEhdkAS6EPFLC1PHnBqCXEpPxuEb';
+const ASSOCIATED_TOKEN_PROGRAM_ID = 'ATokenGPvbdGVxr1b2hvZbsiqW5xWH25efTNsLJA8knL';
+const COMPUTE_BUDGET_PROGRAM_ID = 'ComputeBudget111111111111111111111111111111';
+const MEMO_PROGRAM_ID = 'MemoSq4gqABAXKb96qnH8TysNcWxMyWCqXgDLGmfcHr';
+
+// Wire size limit for a whole transaction (signatures + message)
+export const MAX_TRANSACTION_SIZE = 1232;
+const SIGNATURE_OVERHEAD = 1 + 64;
+const MAX_COMPUTE_UNITS = 1_400_000;
+
+// Conservative compute estimates per instruction, used for packing - the limit a batch is sent with
+// comes from simulating it, and these only stand in when the simulation fails
+const COMPUTE_ESTIMATES = {
+  nativeTransfer: 450,
+  tokenTransfer: 6500,
+  token2022Transfer: 15000,
+  transferHook: 100000,
+  createATA: 30000,
+  memo: 20000,
+  computeBudget: 300
+};
+
+// Token account size - rent for each recipient ATA the batch creates
+const TOKEN_ACCOUNT_LENGTH = 165;
+
+const MAX_ROWS = 500;
+const PLACEHOLDER_BLOCKHASH = SYSTEM_PROGRAM_ID;
+
+const HEADER_ALIASES = {
+  address: ['address', 'recipient', 'wallet', 'to'],
+  amount: ['amount', 'value', 'quantity'],
+  mint: ['mint', 'token', 'token_mint', 'tokenmint', 'spl-token'],
+  memo: ['memo', 'note', 'reference']
+};
+
+// Split one CSV line, honouring double-quoted fields ("" is an escaped quote)
+function splitCsvLine(line) {
+  const cells = [];
+  let current = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (quoted) {
+      if (ch === '"' && line[i + 1] === '"') {
+        current += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        current += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      cells.push(current.trim());
+      current = '';
+    } else {
+      current += ch;
+    }
+  }
+  cells.push(current.trim());
+  return cells;
+}
+
+/**
+ * Parse a batch send CSV
+ * Columns are address, amount, mint (optional, empty = native), memo (optional).
+ * A header row is detected by name and may reorder the columns. Blank lines and # comments are skipped.
+ * @returns {Array} rows [{ line, address, amount, mint, memo }]
+ */
+export function parseBatchCsv(text) {
+  const lines = String(text || '').split(/\r?\n/);
+  let columns = { address: 0, amount: 1, mint: 2, memo: 3 };
+  const rows = [];
+
+  lines.forEach((rawLine, i) => {
+    const line = rawLine.trim();
+    if (!line || line.startsWith('#')) return;
+    const cells = splitCsvLine(line);
+
+    // Header: first non-empty line whose first cell isn't an address
+    if (rows.length === 0 && !validateAddress(cells[0]).valid) {
+      const lower = cells.map(c => c.toLowerCase());
+      const named = {};
+      for (const [field, aliases] of Object.entries(HEADER_ALIASES)) {
+        const index = lower.findIndex(c => aliases.includes(c));
+        if (index !== -1) named[field] = index;
+      }
+      if (named.address !== undefined && named.amount !== undefined) {
+        columns = named;
+        return;
+      }
+    }
+
+    rows.push({
+      line: i + 1,
+      address: cells[columns.address] || '',
+      amount: cells[columns.amount] || '',
+      mint: (columns.mint !== undefined && cells[columns.mint]) || null,
+      memo: (columns.memo !== undefined && cells[columns.memo]) || null
+    });
+  });
+
+  if (rows.length > MAX_ROWS) {
+    throw new Error(`Batch is limited to ${MAX_ROWS} rows`);
+  }
+  return rows;
+}
+
+/**
+ * Validate parsed rows against the sender's holdings
+ * @param {Array} rows - From parseBatchCsv
+ * @param {Object} params
+ * @param {string} params.owner - Sender address (can't send to self)
+ * @param {Array} params.tokens - Sender's token accounts ({ mint, symbol, decimals, address, programId, amount })
+ * @param {Object} params.native - { symbol, decimals, balance } where balance is in base units
+ * @param {bigint} [params.fees] - Native base units spent on top of the transfers, from estimateBatchFees
+ * @returns {Object} { rows: [...row, status 'ready'|'invalid', error, symbol, decimals, baseUnits, token], totals }
+ *   totals: see summarizeBatchTotals
+ */
+export function validateBatchRows(rows, { owner, tokens = [], native, fees = 0n }) {
+
+  const validated = rows.map(row => {
+    const result = { ...row, status: 'invalid', error: null };
+
+    const addressCheck = validateAddress(row.address);
+    if (!addressCheck.valid) {
+      return { ...result, error: `Invalid address: ${addressCheck.error}` };
+    }
+    if (row.address === owner) {
+      return { ...result, error: 'Cannot send to your own address' };
+    }
+
+    let token = null;
+    if (row.mint) {
+      token = tokens.find(t => t.mint === row.mint);
+      if (!token) {
+        return { ...result, error: 'Token not held by this wallet' };
+      }
+      if (row.address === row.mint) {
+        return { ...result, error: 'Cannot send tokens to the mint address' };
+      }
+    }
+    const decimals = token ? token.decimals : native.decimals;
+    const symbol = token ? token.symbol : native.symbol;
+
+    let baseUnits;
+    try {
+      baseUnits = amountToBaseUnits(row.amount, decimals);
+    } catch (e) {
+      return { ...result, error: e.message };
+    }
+    if (baseUnits <= 0n) {
+      return { ...result, error: 'Amount must be greater than 0' };
+    }
+    if (row.memo && new TextEncoder().encode(row.memo).length > 200) {
+      return { ...result, error: 'Memo is longer than 200 bytes' };
+    }
+
+    return { ...result, status: 'ready', symbol, decimals, baseUnits, token };
+  });
+
+  return { rows: validated, totals: summarizeBatchTotals(validated, { tokens, native, fees }) };
+}
+
+/**
+ * Total per token of the ready rows, checked against the sender's balances
+ * Network fees and new account rent are paid in the native token, so they count toward its total.
+ * @param {Array} rows - Validated (or prepared / packed) rows
+ * @param {Object} params - { tokens, native, fees } as for validateBatchRows
+ * @returns {Array} [{ mint, symbol, decimals, amount (base units string), fees (base units string), insufficient }]
+ */
+export function summarizeBatchTotals(rows, { tokens = [], native, fees = 0n }) {
+  const totals = new Map();
+  if (fees > 0n) {
+    totals.set('native', { mint: null, symbol: native.symbol, decimals: native.decimals, amount: 0n });
+  }
+  for (const row of rows) {
+    if (row.status !== 'ready') continue;
+    const key = row.mint || 'native';
+    const total = totals.get(key) || { mint: row.mint, symbol: row.symbol, decimals: row.decimals, amount: 0n };
+    total.amount += row.baseUnits;
+    totals.set(key, total);
+  }
+
+  return [...totals.values()].map(total => {
+    const totalFees = total.mint ? 0n : fees;
+    const available = total.mint
+      ? BigInt(tokens.find(t => t.mint === total.mint)?.amount || 0)
+      : BigInt(native.balance || 0);
+    return {
+      ...total,
+      amount: total.amount.toString(),
+      fees: totalFees.toString(),
+      insufficient: total.amount + totalFees > available
+    };
+  });
+}
+
+/**
+ * Build the instructions for each ready row (recipient ATA creation, memo, transfer)
+ * Rows that can't be prepared come back with status 'invalid' and an error
+ */
+export async function prepareBatchTransfers({ rows, owner, rpcUrl }) {
+  const prepared = [];
+  for (const row of rows) {
+    if (row.status !== 'ready') {
+      prepared.push(row);
+      continue;
+    }
+    try {
+      prepared.push({ ...row, ...(await buildRowInstructions(row, owner, rpcUrl)) });
+    } catch (e) {
+      prepared.push({ ...row, status: 'invalid', error: e.message });
+    }
+  }
+  return prepared;
+}
+
+function u64ToBytes(value) {
+  const bytes = new Uint8Array(8);
+  let v = BigInt(value);
+  for (let i = 0; i < 8; i++) {
+    bytes[i] = Number(v & 0xffn);
+    v >>= 8n;
+  }
+  return bytes;
+}
+
+function memoInstruction(owner, memo) {
+  return {
+    programId: MEMO_PROGRAM_ID,
+    keys: [{ pubkey: owner, isSigner: true, isWritable: false }],
+    data: new TextEncoder().encode(memo)
+  };
+}
+
+async function buildRowInstructions(row, owner, rpcUrl) {
+  if (!row.token) {
+    const instructions = row.memo ? [memoInstruction(owner, row.memo)] : [];
+    instructions.push({
+      programId: SYSTEM_PROGRAM_ID,
+      keys: [
+        { pubkey: owner, isSigner: true, isWritable: true },
+        { pubkey: row.address, isSigner: false, isWritable: true }
+      ],
+      data: new Uint8Array([2, 0, 0, 0, ...u64ToBytes(row.baseUnits)])
+    });
+    return {
+      instructions,
+      computeUnits: COMPUTE_ESTIMATES.nativeTransfer + (row.memo ? COMPUTE_ESTIMATES.memo : 0)
+    };
+  }
+
+  const { mint, address: sourceTokenAccount } = row.token;
+  const tokenProgramId = row.token.programId || TOKEN_PROGRAM_ID;
+  const isToken2022 = tokenProgramId === TOKEN_2022_PROGRAM_ID;
+  const instructions = [];
+  let computeUnits = 0;
+
+  let destination = await findExistingATA(rpcUrl, row.address, mint, tokenProgramId);
+  const needsCreateATA = !destination;
+  if (needsCreateATA) {
+    destination = await deriveATAAddressStandard(row.address, mint, tokenProgramId, rpcUrl, owner);
+    // CreateIdempotent - harmless if another row in the batch creates it first
+    instructions.push({
+      programId: ASSOCIATED_TOKEN_PROGRAM_ID,
+      keys: [
+        { pubkey: owner, isSigner: true, isWritable: true },
+        { pubkey: destination, isSigner: false, isWritable: true },
+        { pubkey: row.address, isSigner: false, isWritable: false },
+        { pubkey: mint, isSigner: false, isWritable: false },
+        { pubkey: SYSTEM_PROGRAM_ID, isSigner: false, isWritable: false },
+        { pubkey: tokenProgramId, isSigner: false, isWritable: false }
+      ],
+      data: new Uint8Array([1])
+    });
+    computeUnits += COMPUTE_ESTIMATES.createATA;
+  }
+  const createdAccount = needsCreateATA ? destination : null;
+
+  if (isToken2022) {
+    const info = await getToken2022TransferInfo({
+      rpcUrl,
+      mint,
+      sourceTokenAccount,
+      destinationTokenAccount: needsCreateATA ? null : destination,
+      amount: row.baseUnits
+    });
+    if (info.memoRequired && !row.memo) {
+      throw new Error('Recipient requires a memo on incoming transfers');
+    }
+    const hookAccounts = info.transferHookProgramId
+      ? await resolveTransferHookAccounts({
+          rpcUrl,
+          hookProgramId: info.transferHookProgramId,
+          mint,
+          sourceTokenAccount,
+          destinationTokenAccount: destination,
+          owner,
+          amount: row.baseUnits
+        })
+      : [];
+    instructions.push(...createToken2022TransferInstructions({
+      sourceTokenAccount,
+      mint,
+      destinationTokenAccount: destination,
+      owner,
+      amount: row.baseUnits,
+      decimals: info.decimals,
+      transferFee: info.transferFee,
+      memo: row.memo,
+      hookAccounts
+    }));
+    computeUnits += COMPUTE_ESTIMATES.token2022Transfer +
+      (info.transferHookProgramId ? COMPUTE_ESTIMATES.transferHook : 0) +
+      (row.memo ? COMPUTE_ESTIMATES.memo : 0);
+    return { instructions, computeUnits, createdAccount, transferFee: info.transferFee };
+  }
+
+  if (row.memo) {
+    instructions.push(memoInstruction(owner, row.memo));
+    computeUnits += COMPUTE_ESTIMATES.memo;
+  }
+  // TransferChecked (instruction 12) so the mint and decimals are verified on-chain
+  instructions.push({
+    programId: tokenProgramId,
+    keys: [
+      { pubkey: sourceTokenAccount, isSigner: false, isWritable: true },
+      { pubkey: mint, isSigner: false, isWritable: false },
+      { pubkey: destination, isSigner: false, isWritable: true },
+      { pubkey: owner, isSigner: true, isWritable: false }
+    ],
+    data: new Uint8Array([12, ...u64ToBytes(row.baseUnits), row.decimals])
+  });
+  computeUnits += COMPUTE_ESTIMATES.tokenTransfer;
+  return { instructions, computeUnits, createdAccount };
+}
+
+function computeBudgetInstructions(computeUnits, priorityFee) {
+  const limitData = new Uint8Array(5);
+  limitData[0] = 2;
+  new DataView(limitData.buffer).setUint32(1, computeUnits, true);
+  const instructions = [{ programId: COMPUTE_BUDGET_PROGRAM_ID, keys: [], data: limitData }];
+  if (priorityFee > 0) {
+    instructions.push({
+      programId: COMPUTE_BUDGET_PROGRAM_ID,
+      keys: [],
+      data: new Uint8Array([3, ...u64ToBytes(priorityFee)])
+    });
+  }
+  return instructions;
+}
+
+/**
+ * Build the message for one packed batch
+ * @param {Object} batch - From packBatchTransactions
+ * @param {number} [priorityFee] - Micro-lamports per compute unit
+ */
+export function buildBatchMessage(batch, { feePayer, recentBlockhash, priorityFee = 0 }) {
+  return buildTransaction({
+    feePayer,
+    recentBlockhash,
+    instructions: [...computeBudgetInstructions(batch.computeUnits, priorityFee), ...batch.instructions]
+  });
+}
+
+/**
+ * Greedily pack prepared rows into transactions under the size and compute limits
+ * Row order is preserved. A row too large to fit even on its own is marked invalid.
+ * @returns {Object} { batches: [{ rowIndexes, instructions, computeUnits }], rows }
+ */
+export function packBatchTransactions(rows, { feePayer, priorityFee = 0 }) {
+  const batches = [];
+  const updatedRows = [...rows];
+  let current = null;
+
+  const fits = (batch) => {
+    if (batch.computeUnits > MAX_COMPUTE_UNITS) return false;
+    const message = buildBatchMessage(batch, { feePayer, recentBlockhash: PLACEHOLDER_BLOCKHASH, priorityFee });
+    return message.length + SIGNATURE_OVERHEAD <= MAX_TRANSACTION_SIZE;
+  };
+
+  rows.forEach((row, index) => {
+    if (row.status !== 'ready' || !row.instructions) return;
+
+    if (current) {
+      const candidate = {
+        rowIndexes: [...current.rowIndexes, index],
+        instructions: [...current.instructions, ...row.instructions],
+        computeUnits: current.computeUnits + row.computeUnits
+      };
+      if (fits(candidate)) {
+        current = candidate;
+        return;
+      }
+      batches.push(current);
+    }
+
+    const single = {
+      rowIndexes: [index],
+      instructions: row.instructions,
+      computeUnits: COMPUTE_ESTIMATES.computeBudget * 2 + row.computeUnits
+    };
+    if (fits(single)) {
+      current = single;
+    } else {
+      updatedRows[index] = { ...row, status: 'invalid', error: 'Transfer is too large for a single transaction' };
+      current = null;
+    }
+  });
+  if (current) batches.push(current);
+
+  return { batches, rows: updatedRows };
+}
+
+/**
+ * Native base units the batches spend besides the transfers themselves
+ * Each batch's fee comes from getFeeForMessage, plus rent for every recipient ATA the batch creates.
+ * @param {Object} params
+ * @param {Array} params.batches - From packBatchTransactions
+ * @param {Array} params.rows - Packed rows
+ * @returns {Promise<bigint>}
+ */
+export async function estimateBatchFees({ batches, rows, feePayer, rpcUrl, priorityFee = 0 }) {
+  if (batches.length === 0) return 0n;
+  const { value } = await rpcCall(rpcUrl, 'getLatestBlockhash', [{ commitment: 'finalized' }]);
+
+  let fees = 0n;
+  for (const batch of batches) {
+    const message = buildBatchMessage(batch, { feePayer, recentBlockhash: value.blockhash, priorityFee });
+    const result = await rpcCall(rpcUrl, 'getFeeForMessage', [btoa(String.fromCharCode(...message)), { commitment: 'confirmed' }]);
+    if (result?.value == null) throw new Error('Could not estimate the network fee');
+    fees += BigInt(result.value);
+  }
+
+  // Rows to the same new ATA create it once
+  const created = new Set(
+    batches.flatMap(batch => batch.rowIndexes.map(i => rows[i].createdAccount).filter(Boolean))
+  );
+  if (created.size > 0) {
+    const rent = await rpcCall(rpcUrl, 'getMinimumBalanceForRentExemption', [TOKEN_ACCOUNT_LENGTH]);
+    fees += BigInt(rent) * BigInt(created.size);
+  }
+  return fees;
+}
+
+const CONFIRM_TIMEOUT_MS = 3 * 60 * 1000;
+const CONFIRM_POLL_MS = 1500;
+
+// Statuses after which a row's transfer certainly didn't happen and the row can be sent again
+const RESENDABLE_STATUSES = ['failed', 'expired'];
+
+// Poll until the signature lands, fails on-chain or its blockhash expires
+// A transaction still unconfirmed at the timeout is left 'pending' - it may yet land, so it isn't resent.
+async function waitForConfirmation(rpcUrl, signature, lastValidBlockHeight) {
+  const deadline = Date.now() + CONFIRM_TIMEOUT_MS;
+  while (Date.now() < deadline) {
+    await new Promise(resolve => setTimeout(resolve, CONFIRM_POLL_MS));
+    try {
+      const outcome = await getSignatureOutcome(rpcUrl, signature, lastValidBlockHeight);
+      if (outcome.status !== 'pending' && outcome.status !== 'processed') return outcome;
+    } catch (e) {
+      logger.warn('[BatchSend] Status check failed:', e.message);
+    }
+  }
+  return { status: 'pending' };
+}
+
+const OUTCOME_ERRORS = {
+  expired: 'Transaction expired before it landed - nothing was sent',
+  pending: 'Not confirmed yet - check the explorer, it is checked again before any retry'
+};
+
+function toRowResult(outcome) {
+  if (outcome.status === 'confirmed' || outcome.status === 'finalized') return { status: 'confirmed', error: null };
+  if (outcome.status === 'failed') return { status: 'failed', error: `Transaction failed: ${outcome.error}` };
+  return { status: outcome.status, error: OUTCOME_ERRORS[outcome.status] || null };
+}
+
+/**
+ * Sign, send and confirm packed batches one at a time
+ * Each batch gets a fresh blockhash so a slow Ledger confirmation doesn't expire later batches.
+ * A failed batch doesn't stop the rest. Its rows come back 'failed' when the transfer certainly didn't
+ * happen, 'expired' when the blockhash passed without the transaction landing, and 'pending' when that
+ * isn't known yet - run refreshBatchRows before sending rows again.
+ * @param {Object} params
+ * @param {Array} params.batches - From packBatchTransactions
+ * @param {string} params.feePayer - Sender address
+ * @param {string} params.rpcUrl - RPC endpoint
+ * @param {number} [params.priorityFee] - Micro-lamports per compute unit
+ * @param {string|Uint8Array} [params.privateKey] - Software wallet secret key
+ * @param {Function} [params.signMessage] - async (message) => signature, for hardware wallets
+ * @param {Function} [params.onUpdate] - (rowIndexes, { status, signature, lastValidBlockHeight, error }) as each batch progresses
+ * @returns {Promise<Array>} [{ rowIndexes, status: 'confirmed'|'failed'|'expired'|'pending', signature, lastValidBlockHeight, error }]
+ */
+export async function sendBatchTransactions({ batches, feePayer, rpcUrl, priorityFee = 0, privateKey, signMessage, onUpdate = () => {} }) {
+  if (!privateKey && !signMessage) {
+    throw new Error('A private key or hardware signer is required');
+  }
+
+  const results = [];
+  for (const batch of batches) {
+    let signature = null;
+    let lastValidBlockHeight = null;
+    let result;
+    try {
+      onUpdate(batch.rowIndexes, { status: 'signing' });
+      const { value } = await rpcCall(rpcUrl, 'getLatestBlockhash', [{ commitment: 'finalized' }]);
+      const message = await applyPriorityFee(
+        buildBatchMessage(batch, { feePayer, recentBlockhash: value.blockhash, priorityFee }),
+        rpcUrl,
+        priorityFee
+      );
+
+      const signedTx = signMessage
+        ? serializeTransaction(await signMessage(message), message)
+        : await signTransaction(message, privateKey);
+
+      // Known before sending, so a send that errors after reaching the node can still be looked up
+      signature = encodeBase58(signedTx.slice(1, 65));
+      lastValidBlockHeight = value.lastValidBlockHeight;
+      onUpdate(batch.rowIndexes, { status: 'sending', signature, lastValidBlockHeight });
+      try {
+        await sendTransaction(signedTx, rpcUrl);
+      } catch (e) {
+        logger.error('[BatchSend] Send failed:', e?.message || e);
+        result = { status: 'pending', error: `${e?.message || e} - it is checked again before any retry` };
+      }
+      if (!result) result = toRowResult(await waitForConfirmation(rpcUrl, signature, lastValidBlockHeight));
+    } catch (e) {
+      // Nothing was sent yet
+      logger.error('[BatchSend] Batch failed:', e?.message || e);
+      result = { status: 'failed', error: e?.message || String(e) };
+    }
+    result = { rowIndexes: batch.rowIndexes, signature, lastValidBlockHeight, ...result };
+    onUpdate(batch.rowIndexes, result);
+    results.push(result);
+  }
+  return results;
+}
+
+/**
+ * Look up rows that were sent but not confirmed, before they are sent again
+ * Rows whose transaction landed become 'confirmed', ones that certainly didn't happen stay or become
+ * 'failed' / 'expired', and ones still within their blockhash lifetime stay 'pending'.
+ * @returns {Promise<Array>} rows
+ */
+export async function refreshBatchRows(rows, rpcUrl) {
+  const outcomes = new Map();
+  for (const row of rows) {
+    if (!row.signature || row.status === 'confirmed' || outcomes.has(row.signature)) continue;
+    try {
+      outcomes.set(row.signature, toRowResult(await getSignatureOutcome(rpcUrl, row.signature, row.lastValidBlockHeight)));
+    } catch (e) {
+      logger.warn('[BatchSend] Status check failed:', e.message);
+      outcomes.set(row.signature, { status: 'pending', error: 'Could not check the earlier transaction - try again shortly' });
+    }
+  }
+  return rows.map(row => outcomes.has(row.signature) && row.status !== 'confirmed'
+    ? { ...row, ...outcomes.get(row.signature) }
+    : row);
+}
+
+/**
+ * Whether a row can be sent again - its earlier attempt certainly moved nothing
+ */
+export function isBatchRowResendable(row) {
+  return RESENDABLE_STATUSES.includes(row.status);
+}
@@ -92,28 +92,69 @@ async function deriveHardened(parentKey, parentChainCode, index) {
   return { key: IL, chainCode: IR };
 }
 
+const MAX_PATH_DEPTH = 10;
+const SEGMENT_REGEX = /^(\d+)(['h])?$/;
+
 // Parse derivation path string (e.g., "m/44'/501'/0'/0'")
 function parsePath(path) {
-  const parts = path.split('/');
-  const result = [];
+  if (typeof path !== 'string') {
+    throw new Error('Derivation path must be a string');
+  }
+  const parts = path.trim().split('/');
+  if (parts[0] !== 'm') {
+    throw new Error("Derivation path must start with m/");
+  }
   
-  for (let i = 0; i < parts.length; i++) {
+  const result = [];
+  for (let i = 1; i < parts.length; i++) {
     const part = parts[i];
-    if (part === 'm' || part === '') continue;
-    
-    const isHardened = part.endsWith("'") || part.endsWith('h');
-    const index = parseInt(isHardened ? part.slice(0, -1) : part, 10);
+    const match = SEGMENT_REGEX.exec(part);
+    if (!match) {
+      throw new Error(`Invalid path component: ${part || '(empty)'}`);
+    }
     
-    if (isNaN(index)) {
-      throw new Error(`Invalid path component: ${part}`);
+    const index = parseInt(match[1], 10);
+    if (index >= HARDENED_OFFSET) {
+      throw new Error(`Path component out of range: ${part}`);
     }
     
-    result.push({ index, hardened: isHardened });
+    result.push({ index, hardened: !!match[2] });
+  }
+  
+  if (result.length === 0) {
+    throw new Error('Derivation path has no components');
+  }
+  if (result.length > MAX_PATH_DEPTH) {
+    throw new Error(`Derivation path is too deep (max ${MAX_PATH_DEPTH} levels)`);
   }
   
   return result;
 }
 
+// Validate a user-entered derivation path without deriving anything
+// Any coin type is accepted (501 for Solana/X1, others for migrated wallets),
+// but Ed25519 only supports hardened segments
+export function validateDerivationPath(path) {
+  let segments;
+  try {
+    segments = parsePath(path);
+  } catch (e) {
+    return { valid: false, error: e.message };
+  }
+  
+  const soft = segments.find(s => !s.hardened);
+  if (soft) {
+    return { valid: false, error: `Component ${soft.index} must be hardened (${soft.index}')` };
+  }
+  
+  return { valid: true, path: normalizeDerivationPath(path) };
+}
+
+// Canonical form: m/44'/501'/0'/0' (h suffix and whitespace normalized)
+export function normalizeDerivationPath(path) {
+  return 'm/' + parsePath(path).map(s => `${s.index}${s.hardened ? "'" : ''}`).join('/');
+}
+
 // Derive key from path
 export async function derivePath(path, seed) {
   const { key, chainCode } = await getMasterKeyFromSeed(seed);
@@ -0,0 +1,260 @@
+// Compute budget - priority fee and compute unit limit instructions on already-built messages
+// Works on legacy and V0 messages, so wallet-built sends and dApp/swap transactions are priced the same way.
+// The priority fee paid is microLamports x compute unit limit, so a tight limit keeps it to what is needed.
+import { decodeBase58, encodeBase58 } from './base58.js';
+import { logger } from './logger.js';
+import { rpcCall } from './rpc.js';
+import { readCompactU16 } from './transactionDecoder.js';
+
+export const COMPUTE_BUDGET_PROGRAM_ID = 'ComputeBudget111111111111111111111111111111';
+// Per-transaction ceiling, and what the runtime allows each instruction when no limit is set
+export const MAX_COMPUTE_UNITS = 1_400_000;
+export const DEFAULT_INSTRUCTION_COMPUTE_UNITS = 200_000;
+
+const SYSTEM_PROGRAM_ID = '11111111111111111111111111111111';
+const SET_COMPUTE_UNIT_LIMIT = 2;
+const SET_COMPUTE_UNIT_PRICE = 3;
+const ADVANCE_NONCE_ACCOUNT = 4;
+const MAX_TRANSACTION_SIZE = 1232;
+
+// Headroom over simulated usage - account state can change before the transaction lands
+const COMPUTE_UNIT_MARGIN = 1.1;
+const MIN_COMPUTE_UNIT_HEADROOM = 1000;
+
+function encodeCompactU16(value) {
+  const bytes = [];
+  let remaining = value;
+  while (remaining >= 0x80) {
+    bytes.push((remaining & 0x7f) | 0x80);
+    remaining >>= 7;
+  }
+  bytes.push(remaining);
+  return bytes;
+}
+
+function parseMessage(message) {
+  const versioned = (message[0] & 0x80) !== 0;
+  let offset = versioned ? 1 : 0;
+  const header = Array.from(message.slice(offset, offset + 3));
+  offset += 3;
+
+  const keyCount = readCompactU16(message, offset);
+  offset += keyCount.bytesRead;
+  const keys = [];
+  for (let i = 0; i < keyCount.value; i++) {
+    keys.push(message.slice(offset, offset + 32));
+    offset += 32;
+  }
+  const recentBlockhash = message.slice(offset, offset + 32);
+  offset += 32;
+
+  const ixCount = readCompactU16(message, offset);
+  offset += ixCount.bytesRead;
+  const instructions = [];
+  for (let i = 0; i < ixCount.value; i++) {
+    const programIdIndex = message[offset++];
+    const accountCount = readCompactU16(message, offset);
+    offset += accountCount.bytesRead;
+    const accounts = Array.from(message.slice(offset, offset + accountCount.value));
+    offset += accountCount.value;
+    const dataLength = readCompactU16(message, offset);
+    offset += dataLength.bytesRead;
+    const data = message.slice(offset, offset + dataLength.value);
+    offset += dataLength.value;
+    instructions.push({ programIdIndex, accounts, data });
+  }
+
+  // V0 address table lookups are carried over untouched
+  return { prefix: versioned ? message[0] : null, header, keys, recentBlockhash, instructions, lookups: message.slice(offset) };
+}
+
+function serializeMessage({ prefix, header, keys, recentBlockhash, instructions, lookups }) {
+  const bytes = [];
+  if (prefix !== null) bytes.push(prefix);
+  bytes.push(...header, ...encodeCompactU16(keys.length));
+  keys.forEach(key => bytes.push(...key));
+  bytes.push(...recentBlockhash, ...encodeCompactU16(instructions.length));
+  for (const ix of instructions) {
+    bytes.push(ix.programIdIndex, ...encodeCompactU16(ix.accounts.length), ...ix.accounts);
+    bytes.push(...encodeCompactU16(ix.data.length), ...ix.data);
+  }
+  bytes.push(...lookups);
+  return new Uint8Array(bytes);
+}
+
+function readUint(data, start, length) {
+  let value = 0n;
+  for (let i = length - 1; i >= 0; i--) {
+    value = (value << 8n) | BigInt(data[start + i] || 0);
+  }
+  return Number(value);
+}
+
+function writeUint(discriminator, value, length) {
+  const data = new Uint8Array(1 + length);
+  data[0] = discriminator;
+  let remaining = BigInt(Math.floor(value));
+  for (let i = 0; i < length; i++) {
+    data[1 + i] = Number(remaining & 0xffn);
+    remaining >>= 8n;
+  }
+  return data;
+}
+
+function findBudgetProgram(keys) {
+  return keys.findIndex(key => encodeBase58(key) === COMPUTE_BUDGET_PROGRAM_ID);
+}
+
+/**
+ * Compute budget a message asks for
+ * @param {Uint8Array} message - Serialized message (legacy or V0)
+ * @returns {{ microLamports: number, computeUnitLimit: number, hasLimit: boolean }}
+ *   computeUnitLimit falls back to the runtime default when the message doesn't set one
+ */
+export function readComputeBudget(message) {
+  const { keys, instructions } = parseMessage(message);
+  const budgetIndex = findBudgetProgram(keys);
+  let microLamports = 0;
+  let computeUnitLimit = null;
+  let otherInstructions = 0;
+
+  for (const ix of instructions) {
+    if (ix.programIdIndex !== budgetIndex) {
+      otherInstructions++;
+    } else if (ix.data[0] === SET_COMPUTE_UNIT_PRICE) {
+      microLamports = readUint(ix.data, 1, 8);
+    } else if (ix.data[0] === SET_COMPUTE_UNIT_LIMIT) {
+      computeUnitLimit = readUint(ix.data, 1, 4);
+    }
+  }
+
+  return {
+    microLamports,
+    computeUnitLimit: computeUnitLimit ?? Math.min(otherInstructions * DEFAULT_INSTRUCTION_COMPUTE_UNITS, MAX_COMPUTE_UNITS),
+    hasLimit: computeUnitLimit !== null
+  };
+}
+
+/**
+ * Accounts a message locks for writing (static keys only - lookup-table accounts need the tables)
+ * These are the accounts whose recent fees matter when pricing the transaction.
+ */
+export function getWritableAccounts(message) {
+  const { header, keys } = parseMessage(message);
+  const [numSigners, numReadonlySigned, numReadonlyUnsigned] = header;
+  return keys
+    .filter((_, i) => i < numSigners ? i < numSigners - numReadonlySigned : i < keys.length - numReadonlyUnsigned)
+    .map(key => encodeBase58(key));
+}
+
+/**
+ * Set or replace a message's SetComputeUnitPrice / SetComputeUnitLimit instructions
+ * Leave a field undefined to keep what the message already has; 0 or null removes it.
+ * New instructions go first - after AdvanceNonceAccount, which must stay at the front.
+ * Changing the message invalidates any signatures already on it.
+ * @param {Uint8Array} message - Serialized message (legacy or V0)
+ * @param {Object} budget - { microLamports, computeUnitLimit }
+ * @returns {Uint8Array} New message
+ */
+export function setComputeBudget(message, { microLamports, computeUnitLimit } = {}) {
+  const parsed = parseMessage(message);
+  const staticKeyCount = parsed.keys.length;
+  let budgetIndex = findBudgetProgram(parsed.keys);
+
+  const current = budgetIndex >= 0 ? readComputeBudget(message) : { microLamports: 0, computeUnitLimit: null, hasLimit: false };
+  const price = microLamports === undefined ? current.microLamports : microLamports || 0;
+  const limit = computeUnitLimit === undefined ? (current.hasLimit ? current.computeUnitLimit : 0) : computeUnitLimit || 0;
+
+  if (budgetIndex < 0) {
+    if (!price && !limit) return message;
+    // Read-only non-signers sit at the end of the static keys
+    parsed.keys.push(decodeBase58(COMPUTE_BUDGET_PROGRAM_ID));
+    parsed.header[2]++;
+    budgetIndex = staticKeyCount;
+    // V0 lookup-table accounts are indexed after the static keys, so they move up by one
+    for (const ix of parsed.instructions) {
+      ix.accounts = ix.accounts.map(index => index >= staticKeyCount ? index + 1 : index);
+    }
+  }
+
+  let insertAt = -1;
+  const instructions = [];
+  for (const ix of parsed.instructions) {
+    const isBudget = ix.programIdIndex === budgetIndex &&
+      (ix.data[0] === SET_COMPUTE_UNIT_PRICE || ix.data[0] === SET_COMPUTE_UNIT_LIMIT);
+    if (isBudget) {
+      if (insertAt < 0) insertAt = instructions.length;
+      continue;
+    }
+    instructions.push(ix);
+  }
+  if (insertAt < 0) {
+    const first = instructions[0];
+    const startsWithNonce = first && encodeBase58(parsed.keys[first.programIdIndex]) === SYSTEM_PROGRAM_ID &&
+      readUint(first.data, 0, 4) === ADVANCE_NONCE_ACCOUNT;
+    insertAt = startsWithNonce ? 1 : 0;
+  }
+
+  const budget = [];
+  if (limit) {
+    budget.push({ programIdIndex: budgetIndex, accounts: [], data: writeUint(SET_COMPUTE_UNIT_LIMIT, Math.min(limit, MAX_COMPUTE_UNITS), 4) });
+  }
+  if (price) {
+    budget.push({ programIdIndex: budgetIndex, accounts: [], data: writeUint(SET_COMPUTE_UNIT_PRICE, price, 8) });
+  }
+  instructions.splice(insertAt, 0, ...budget);
+  parsed.instructions = instructions;
+
+  const result = serializeMessage(parsed);
+  if (1 + 64 * parsed.header[0] + result.length > MAX_TRANSACTION_SIZE) {
+    throw new Error('Transaction is too large to add a priority fee');
+  }
+  return result;
+}
+
+/**
+ * Compute unit limit that fits a message, from a simulation with the maximum limit
+ * @returns {Promise<number|null>} Units consumed plus headroom, or null if the simulation failed
+ */
+export async function estimateComputeUnitLimit(rpcUrl, message) {
+  // Price left at 0 so the fee payer check doesn't count a priority fee at the maximum limit
+  const probe = setComputeBudget(message, { microLamports: 0, computeUnitLimit: MAX_COMPUTE_UNITS });
+  const numSigners = probe[(probe[0] & 0x80) ? 1 : 0];
+  const unsignedTx = new Uint8Array(1 + 64 * numSigners + probe.length);
+  unsignedTx[0] = numSigners;
+  unsignedTx.set(probe, 1 + 64 * numSigners);
+
+  const result = await rpcCall(rpcUrl, 'simulateTransaction', [
+    btoa(String.fromCharCode(...unsignedTx)),
+    { encoding: 'base64', sigVerify: false, replaceRecentBlockhash: true, commitment: 'confirmed' }
+  ]);
+  const { err, unitsConsumed } = result?.value || {};
+  if (err || !unitsConsumed) {
+    logger.warn('[ComputeBudget] Simulation failed, keeping the default limit:', JSON.stringify(err));
+    return null;
+  }
+  return Math.min(Math.ceil(unitsConsumed * COMPUTE_UNIT_MARGIN) + MIN_COMPUTE_UNIT_HEADROOM, MAX_COMPUTE_UNITS);
+}
+
+/**
+ * Price a message at microLamports per compute unit, with a compute unit limit from simulation
+ * If the simulation fails the message keeps whatever limit it already had.
+ * @returns {Promise<Uint8Array>} New message
+ */
+export async function applyPriorityFee(message, rpcUrl, microLamports) {
+  let computeUnitLimit;
+  try {
+    computeUnitLimit = await estimateComputeUnitLimit(rpcUrl, message) ?? undefined;
+  } catch (e) {
+    logger.warn('[ComputeBudget] Could not estimate compute units:', e.message);
+  }
+  logger.log('[ComputeBudget] Priority', microLamports, 'microlamports/CU, limit', computeUnitLimit ?? 'unchanged');
+  return setComputeBudget(message, { microLamports, computeUnitLimit });
+}
+
+/**
+ * Priority fee in lamports for a price and compute unit limit
+ */
+export function getPriorityFeeLamports(microLamports, computeUnits) {
+  return Math.ceil((microLamports * computeUnits) / 1_000_000);
+}
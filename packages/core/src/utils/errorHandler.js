@@ -16,7 +16,16 @@ const ERROR_MAPPINGS = [
   { pattern: /rate limit|429|too many requests/i, message: 'Too many requests. Please wait a moment and try again.' },
   { pattern: /blockhash not found|expired/i, message: 'Transaction expired. Please try again.' },
   
-  // Transaction errors  
+  // Token-2022 extension errors
+  { pattern: /non-transferable/i, message: 'This token is non-transferable and cannot be sent.' },
+  { pattern: /your token account is frozen/i, message: 'Your token account is frozen by the token issuer.' },
+  { pattern: /recipient's token account is frozen/i, message: 'The recipient\'s token account is frozen and cannot receive this token.' },
+  { pattern: /accounts for this token start frozen/i, message: 'The recipient needs the token issuer to thaw their account before they can receive this token.' },
+  { pattern: /transfers of this token are currently paused/i, message: 'Transfers of this token are currently paused by its issuer.' },
+  { pattern: /requires a memo/i, message: 'The recipient requires a memo on incoming transfers. Add a memo and try again.' },
+  { pattern: /transfer hook/i, message: 'This token\'s transfer hook could not be resolved. Please try again later.' },
+
+  // Transaction errors
   { pattern: /insufficient.*balance|insufficient.*funds/i, message: 'Insufficient balance for this transaction.' },
   { pattern: /invalid.*signature/i, message: 'Transaction signing failed. Please try again.' },
   { pattern: /simulation failed/i, message: 'Transaction simulation failed. Please check the details and try again.' },
@@ -0,0 +1,759 @@
+// Instruction decoder registry
+// Each known program registers a parser that turns raw instruction data into readable fields
+// so dApp approval, activity history and hardware signing prompts describe instructions the same way
+import { encodeBase58 } from './base58.js';
+
+const SYSTEM_PROGRAM_ID = '11111111111111111111111111111111';
+const TOKEN_PROGRAM_ID = 'TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA';
+const TOKEN_2022_PROGRAM_ID = 'TokenzQdBNbLqP5VEhdkAS6EPFLC1PHnBqCXEpPxuEb';
+const ASSOCIATED_TOKEN_PROGRAM_ID = 'ATokenGPvbdGVxr1b2hvZbsiqW5xWH25efTNsLJA8knL';
+const COMPUTE_BUDGET_PROGRAM_ID = 'ComputeBudget111111111111111111111111111111';
+const MEMO_PROGRAM_ID = 'MemoSq4gqABAXKb96qnH8TysNcWxMyWCqXgDLGmfcHr';
+const MEMO_V1_PROGRAM_ID = 'Memo1UhkJRfHyvLMcVucJwxXeuD728EqVDDwQDxFMNo';
+const STAKE_PROGRAM_ID = 'Stake11111111111111111111111111111111111111';
+const STAKE_POOL_PROGRAM_ID = 'XPoo1Fx6KNgeAzFcq2dPTo95bWGUSj5KdPVqYj9CZux';
+const WARP_BRIDGE_PROGRAM_ID = '6JbPTuxVuoTgyQeXFb9MH8C8nUY8NBbLP1Lu4B13JfMD';
+const XDEX_PROGRAM_IDS = ['sEsYH97wqmfnkzHedjNcw3zyJdPvUmsa9AixhS4b4fN'];
+const METADATA_PROGRAM_ID = 'metaqbxxUerdq28cj1RbAWkYQm3ybzjb6a8bt518x1s';
+const BUBBLEGUM_PROGRAM_ID = 'BGUMAp9Gq7iTEuizy4pqaxsTyUCBK68MDfK752saRPUY';
+const WRAPPED_NATIVE_MINT = 'So11111111111111111111111111111111111111112';
+
+const LAMPORTS_PER_SOL = 1e9;
+
+// programId -> { name, safe, decode(data, accounts) }
+const decoders = new Map();
+
+/**
+ * Register (or replace) the decoder for a program
+ * decode(data, accounts) returns { type, description?, fields?, warning?, ... } or null when it can't parse the data
+ * fields is a list of { label, value } pairs; any other keys are copied onto the decoded instruction.
+ * safe marks the program as known. Instructions of a known program that hand over control of the user's
+ * assets - approvals, authority changes, delegations - still return a warning.
+ */
+export function registerInstructionDecoder(programId, { name, safe = false, decode = null }) {
+  decoders.set(programId, { name, safe, decode });
+}
+
+// System program IDs sometimes arrive with odd encodings (all 1s, different lengths)
+function isSystemProgram(programId) {
+  if (programId === SYSTEM_PROGRAM_ID) return true;
+  return /^1+$/.test(programId) && programId.length >= 30 && programId.length <= 44;
+}
+
+/**
+ * Name and trust level for a program, or null if it isn't registered
+ */
+export function getProgramInfo(programId) {
+  if (!programId) return null;
+  const entry = decoders.get(isSystemProgram(programId) ? SYSTEM_PROGRAM_ID : programId);
+  return entry ? { name: entry.name, safe: entry.safe } : null;
+}
+
+/**
+ * Decode a single instruction with whichever decoder is registered for its program
+ * @param {Object} params
+ * @param {string|null} params.programId - Program address (null if it couldn't be resolved)
+ * @param {string[]} params.accounts - Instruction account addresses, in order
+ * @param {Uint8Array} params.data - Raw instruction data
+ * @returns {Object} { programId, programName, isKnownSafe, accounts, data, instructionType, description, fields }
+ */
+export function decodeInstruction({ programId, accounts = [], data = new Uint8Array(0) }) {
+  const entry = programId ? decoders.get(isSystemProgram(programId) ? SYSTEM_PROGRAM_ID : programId) : null;
+  const instruction = {
+    programId,
+    programName: entry?.name || 'Unknown Program',
+    isKnownSafe: entry?.safe || false,
+    accounts,
+    data,
+    fields: []
+  };
+  if (!entry?.decode) return instruction;
+
+  try {
+    const decoded = entry.decode(data, accounts);
+    if (decoded) {
+      const { type, ...rest } = decoded;
+      Object.assign(instruction, rest, { instructionType: type, fields: decoded.fields || [] });
+    }
+  } catch (e) {
+    // Malformed data - fall back to program name only
+  }
+  return instruction;
+}
+
+/**
+ * One-line human-readable description of a decoded instruction
+ */
+export function describeInstruction(instruction) {
+  if (instruction.description) return instruction.description;
+  if (instruction.instructionType) return instruction.instructionType;
+  if (instruction.programName !== 'Unknown Program') return instruction.programName;
+  return instruction.programId ? `Unknown program ${shortAddress(instruction.programId)}` : 'Unknown program';
+}
+
+// ============================================
+// HELPERS
+// ============================================
+
+function readU64(data, offset) {
+  let value = 0n;
+  for (let i = 7; i >= 0; i--) {
+    value = (value << 8n) | BigInt(data[offset + i]);
+  }
+  return value;
+}
+
+function readU32(data, offset) {
+  return (data[offset] | (data[offset + 1] << 8) | (data[offset + 2] << 16) | (data[offset + 3] << 24)) >>> 0;
+}
+
+function shortAddress(address) {
+  return address ? `${address.slice(0, 4)}...${address.slice(-4)}` : '?';
+}
+
+function formatLamports(lamports) {
+  return (Number(lamports) / LAMPORTS_PER_SOL).toString();
+}
+
+function formatUnits(amount, decimals) {
+  const divisor = 10n ** BigInt(decimals);
+  const fraction = (amount % divisor).toString().padStart(decimals, '0').replace(/0+$/, '');
+  return fraction ? `${amount / divisor}.${fraction}` : `${amount / divisor}`;
+}
+
+function matchesDiscriminator(data, discriminator) {
+  return data.length >= 8 && discriminator.every((byte, i) => data[i] === byte);
+}
+
+// Anchor programs prefix instruction data with an 8-byte discriminator
+function findAnchorInstruction(data, instructions) {
+  return instructions.find(ix => matchesDiscriminator(data, ix.discriminator)) || null;
+}
+
+// ============================================
+// SYSTEM PROGRAM
+// ============================================
+
+const SYSTEM_INSTRUCTIONS = {
+  0: 'Create Account',
+  1: 'Assign',
+  2: 'Transfer',
+  3: 'Create Account with Seed',
+  4: 'Advance Nonce',
+  5: 'Withdraw Nonce',
+  6: 'Initialize Nonce',
+  7: 'Authorize Nonce',
+  8: 'Allocate',
+  9: 'Allocate with Seed',
+  10: 'Assign with Seed',
+  11: 'Transfer with Seed',
+  12: 'Upgrade Nonceless Account'
+};
+
+registerInstructionDecoder(SYSTEM_PROGRAM_ID, {
+  name: 'System Program',
+  safe: true,
+  decode(data, accounts) {
+    if (data.length < 4) return null;
+    const index = readU32(data, 0);
+    const type = SYSTEM_INSTRUCTIONS[index] || `System Instruction ${index}`;
+
+    if (index === 2 && data.length >= 12) {
+      const lamports = readU64(data, 4);
+      return {
+        type,
+        amount: Number(lamports) / LAMPORTS_PER_SOL,
+        recipient: accounts[1],
+        description: `Transfer ${formatLamports(lamports)} to ${shortAddress(accounts[1])}`,
+        fields: [
+          { label: 'From', value: accounts[0] },
+          { label: 'To', value: accounts[1] },
+          { label: 'Amount', value: formatLamports(lamports) }
+        ]
+      };
+    }
+    if (index === 0 && data.length >= 52) {
+      const lamports = readU64(data, 4);
+      const owner = encodeBase58(data.slice(20, 52));
+      return {
+        type,
+        amount: Number(lamports) / LAMPORTS_PER_SOL,
+        fields: [
+          { label: 'New Account', value: accounts[1] },
+          { label: 'Funding', value: formatLamports(lamports) },
+          { label: 'Space', value: readU64(data, 12).toString() },
+          { label: 'Owner Program', value: getProgramInfo(owner)?.name || owner }
+        ]
+      };
+    }
+    if (index === 1 || index === 10) {
+      return {
+        type,
+        warning: 'Hands this account to another program, which can then move everything in it',
+        fields: [{ label: 'Account', value: accounts[0] }]
+      };
+    }
+    if (index === 7 && data.length >= 36) {
+      const newAuthority = encodeBase58(data.slice(4, 36));
+      return {
+        type,
+        warning: 'Gives another account control of this nonce account',
+        fields: [
+          { label: 'Nonce Account', value: accounts[0] },
+          { label: 'New Authority', value: newAuthority }
+        ]
+      };
+    }
+    if (index === 11 && data.length >= 12) {
+      const lamports = readU64(data, 4);
+      return {
+        type,
+        amount: Number(lamports) / LAMPORTS_PER_SOL,
+        recipient: accounts[2],
+        description: `Transfer ${formatLamports(lamports)} to ${shortAddress(accounts[2])}`,
+        fields: [
+          { label: 'To', value: accounts[2] },
+          { label: 'Amount', value: formatLamports(lamports) }
+        ]
+      };
+    }
+    return { type };
+  }
+});
+
+// ============================================
+// TOKEN PROGRAM / TOKEN-2022
+// ============================================
+
+const TOKEN_INSTRUCTIONS = {
+  0: 'Initialize Mint',
+  1: 'Initialize Account',
+  2: 'Initialize Multisig',
+  3: 'Transfer',
+  4: 'Approve',
+  5: 'Revoke',
+  6: 'Set Authority',
+  7: 'Mint To',
+  8: 'Burn',
+  9: 'Close Account',
+  10: 'Freeze Account',
+  11: 'Thaw Account',
+  12: 'Transfer Checked',
+  13: 'Approve Checked',
+  14: 'Mint To Checked',
+  15: 'Burn Checked',
+  16: 'Initialize Account 2',
+  17: 'Sync Native',
+  18: 'Initialize Account 3',
+  20: 'Initialize Mint 2',
+  22: 'Initialize Immutable Owner',
+  25: 'Initialize Mint Close Authority',
+  26: 'Transfer Fee Extension',
+  30: 'Memo Transfer Extension',
+  36: 'Transfer Hook Extension'
+};
+
+const AUTHORITY_TYPES = ['Mint Tokens', 'Freeze Account', 'Account Owner', 'Close Account'];
+
+const AUTHORITY_WARNINGS = {
+  'Mint Tokens': 'Changes who can mint this token',
+  'Freeze Account': 'Changes who can freeze accounts of this token',
+  'Account Owner': 'Transfers ownership of a token account',
+  'Close Account': 'Lets another account close this token account and take its balance'
+};
+
+function decodeTokenInstruction(data, accounts) {
+  if (data.length < 1) return null;
+  const index = data[0];
+  const type = TOKEN_INSTRUCTIONS[index] || `Token Instruction ${index}`;
+
+  switch (index) {
+    case 3: { // Transfer: source, destination, owner
+      if (data.length < 9) return { type };
+      const amount = readU64(data, 1);
+      return {
+        type,
+        tokenAmount: amount.toString(),
+        description: `Transfer ${amount} token units to ${shortAddress(accounts[1])}`,
+        fields: [
+          { label: 'From', value: accounts[0] },
+          { label: 'To', value: accounts[1] },
+          { label: 'Amount (raw)', value: amount.toString() }
+        ]
+      };
+    }
+    case 12: { // TransferChecked: source, mint, destination, owner
+      if (data.length < 10) return { type };
+      const amount = readU64(data, 1);
+      const uiAmount = formatUnits(amount, data[9]);
+      return {
+        type,
+        tokenAmount: amount.toString(),
+        mint: accounts[1],
+        description: `Transfer ${uiAmount} ${accounts[1] === WRAPPED_NATIVE_MINT ? 'wrapped native' : shortAddress(accounts[1])} to ${shortAddress(accounts[2])}`,
+        fields: [
+          { label: 'From', value: accounts[0] },
+          { label: 'To', value: accounts[2] },
+          { label: 'Mint', value: accounts[1] },
+          { label: 'Amount', value: uiAmount }
+        ]
+      };
+    }
+    case 4: // Approve: source, delegate, owner
+    case 13: { // ApproveChecked: source, mint, delegate, owner
+      const delegate = index === 4 ? accounts[1] : accounts[2];
+      const amount = data.length >= 9 ? readU64(data, 1) : null;
+      return {
+        type,
+        description: `Allow ${shortAddress(delegate)} to spend tokens`,
+        warning: 'Grants another account permission to move tokens from your account',
+        fields: [
+          { label: 'Token Account', value: accounts[0] },
+          { label: 'Delegate', value: delegate },
+          ...(amount !== null ? [{ label: 'Amount (raw)', value: amount.toString() }] : [])
+        ]
+      };
+    }
+    case 6: { // SetAuthority: account, current authority
+      const authorityType = AUTHORITY_TYPES[data[1]] || `Authority ${data[1]}`;
+      const newAuthority = data[2] === 1 && data.length >= 35 ? encodeBase58(data.slice(3, 35)) : null;
+      return {
+        type,
+        description: newAuthority
+          ? `Change ${authorityType} authority to ${shortAddress(newAuthority)}`
+          : `Remove ${authorityType} authority`,
+        warning: AUTHORITY_WARNINGS[authorityType] || 'Changes an authority over this account',
+        fields: [
+          { label: 'Account', value: accounts[0] },
+          { label: 'Authority Type', value: authorityType },
+          { label: 'New Authority', value: newAuthority || 'None' }
+        ]
+      };
+    }
+    case 8:
+    case 15: { // Burn / BurnChecked: account, mint, owner
+      if (data.length < 9) return { type };
+      const amount = readU64(data, 1);
+      const value = index === 15 && data.length >= 10 ? formatUnits(amount, data[9]) : amount.toString();
+      return {
+        type,
+        tokenAmount: amount.toString(),
+        fields: [
+          { label: 'Mint', value: accounts[1] },
+          { label: index === 15 ? 'Amount' : 'Amount (raw)', value }
+        ]
+      };
+    }
+    case 9: // CloseAccount: account, destination, owner
+      return {
+        type,
+        // Wrapped native accounts send their whole balance, not just rent
+        warning: accounts[1] && accounts[2] && accounts[1] !== accounts[2]
+          ? 'Sends what is left in this account to another address'
+          : undefined,
+        fields: [
+          { label: 'Account', value: accounts[0] },
+          { label: 'Rent To', value: accounts[1] }
+        ]
+      };
+    default:
+      return { type };
+  }
+}
+
+registerInstructionDecoder(TOKEN_PROGRAM_ID, { name: 'Token Program', safe: true, decode: decodeTokenInstruction });
+registerInstructionDecoder(TOKEN_2022_PROGRAM_ID, { name: 'Token-2022 Program', safe: true, decode: decodeTokenInstruction });
+
+// ============================================
+// COMPUTE BUDGET / ASSOCIATED TOKEN / MEMO
+// ============================================
+
+const COMPUTE_BUDGET_INSTRUCTIONS = {
+  0: 'Request Heap Frame',
+  1: 'Set Compute Unit Limit', // Legacy
+  2: 'Set Compute Unit Limit',
+  3: 'Set Compute Unit Price'
+};
+
+registerInstructionDecoder(COMPUTE_BUDGET_PROGRAM_ID, {
+  name: 'Compute Budget',
+  safe: true,
+  decode(data) {
+    if (data.length < 1) return null;
+    const type = COMPUTE_BUDGET_INSTRUCTIONS[data[0]] || `Compute Budget ${data[0]}`;
+    if (data[0] === 2 && data.length >= 5) {
+      return { type, fields: [{ label: 'Units', value: readU32(data, 1).toString() }] };
+    }
+    if (data[0] === 3 && data.length >= 9) {
+      return { type, fields: [{ label: 'Micro-lamports per CU', value: readU64(data, 1).toString() }] };
+    }
+    return { type };
+  }
+});
+
+registerInstructionDecoder(ASSOCIATED_TOKEN_PROGRAM_ID, {
+  name: 'Associated Token Program',
+  safe: true,
+  decode(data, accounts) {
+    // payer, associated account, owner, mint
+    const type = data[0] === 2 ? 'Recover Nested Account' : 'Create Associated Token Account';
+    return {
+      type,
+      fields: data[0] === 2 ? [] : [
+        { label: 'Owner', value: accounts[2] },
+        { label: 'Mint', value: accounts[3] }
+      ]
+    };
+  }
+});
+
+function decodeMemo(data) {
+  const memo = new TextDecoder().decode(data);
+  return {
+    type: 'Memo',
+    description: `Memo: "${memo.length > 40 ? `${memo.slice(0, 40)}...` : memo}"`,
+    fields: [{ label: 'Memo', value: memo }]
+  };
+}
+
+registerInstructionDecoder(MEMO_PROGRAM_ID, { name: 'Memo Program', safe: true, decode: decodeMemo });
+registerInstructionDecoder(MEMO_V1_PROGRAM_ID, { name: 'Memo Program v1', safe: true, decode: decodeMemo });
+
+// ============================================
+// STAKE PROGRAM
+// ============================================
+
+const STAKE_INSTRUCTIONS = {
+  0: 'Initialize Stake',
+  1: 'Authorize',
+  2: 'Delegate Stake',
+  3: 'Split Stake',
+  4: 'Withdraw Stake',
+  5: 'Deactivate Stake',
+  6: 'Set Lockup',
+  7: 'Merge Stake',
+  8: 'Authorize with Seed',
+  9: 'Initialize Stake (Checked)',
+  10: 'Authorize (Checked)',
+  11: 'Authorize with Seed (Checked)',
+  12: 'Set Lockup (Checked)',
+  13: 'Get Minimum Delegation',
+  14: 'Deactivate Delinquent',
+  15: 'Redelegate',
+  16: 'Move Stake',
+  17: 'Move Lamports'
+};
+
+registerInstructionDecoder(STAKE_PROGRAM_ID, {
+  name: 'Stake Program',
+  safe: true,
+  decode(data, accounts) {
+    if (data.length < 4) return null;
+    const index = readU32(data, 0);
+    const type = STAKE_INSTRUCTIONS[index] || `Stake Instruction ${index}`;
+
+    switch (index) {
+      case 2: // DelegateStake: stake, vote
+        return {
+          type,
+          description: `Delegate stake to ${shortAddress(accounts[1])}`,
+          fields: [
+            { label: 'Stake Account', value: accounts[0] },
+            { label: 'Validator', value: accounts[1] }
+          ]
+        };
+      case 3: // Split: stake, split destination
+      case 4: { // Withdraw: stake, recipient
+        if (data.length < 12) return { type };
+        const lamports = readU64(data, 4);
+        return {
+          type,
+          amount: Number(lamports) / LAMPORTS_PER_SOL,
+          recipient: index === 4 ? accounts[1] : undefined,
+          fields: [
+            { label: 'Stake Account', value: accounts[0] },
+            { label: index === 4 ? 'To' : 'New Stake Account', value: accounts[1] },
+            { label: 'Amount', value: formatLamports(lamports) }
+          ]
+        };
+      }
+      case 5: // Deactivate: stake
+      case 7: // Merge: destination, source
+        return { type, fields: [{ label: 'Stake Account', value: accounts[0] }] };
+      case 1: // Authorize(new authority, staker|withdrawer): stake, clock, current authority
+      case 8: // AuthorizeWithSeed
+      case 10: // AuthorizeChecked: stake, clock, current authority, new authority
+      case 11: { // AuthorizeWithSeedChecked
+        const newAuthority = index === 1 && data.length >= 36 ? encodeBase58(data.slice(4, 36))
+          : index === 10 ? accounts[3] : null;
+        return {
+          type,
+          warning: 'Changes who controls this stake account',
+          fields: [
+            { label: 'Stake Account', value: accounts[0] },
+            ...(newAuthority ? [{ label: 'New Authority', value: newAuthority }] : [])
+          ]
+        };
+      }
+      case 6: // SetLockup: stake, custodian
+      case 12: // SetLockupChecked
+        return {
+          type,
+          warning: 'Changes the lockup - can stop withdrawals until a future date or hand the lockup to another account',
+          fields: [{ label: 'Stake Account', value: accounts[0] }]
+        };
+      default:
+        return { type };
+    }
+  }
+});
+
+// ============================================
+// X1 STAKE POOL (SPL Stake Pool fork)
+// ============================================
+
+const STAKE_POOL_INSTRUCTIONS = {
+  9: 'Deposit Stake',
+  10: 'Withdraw Stake',
+  14: 'Deposit',
+  16: 'Withdraw',
+  23: 'Deposit Stake',
+  24: 'Withdraw Stake',
+  25: 'Deposit',
+  26: 'Withdraw'
+};
+
+registerInstructionDecoder(STAKE_POOL_PROGRAM_ID, {
+  name: 'X1 Stake Pool',
+  safe: true,
+  decode(data, accounts) {
+    if (data.length < 1) return null;
+    const index = data[0];
+    const type = STAKE_POOL_INSTRUCTIONS[index] || `Stake Pool Instruction ${index}`;
+
+    // DepositSol: pool, withdraw authority, reserve, funding account, pool token destination, ...
+    if ((index === 14 || index === 25) && data.length >= 9) {
+      const lamports = readU64(data, 1);
+      return {
+        type,
+        amount: Number(lamports) / LAMPORTS_PER_SOL,
+        description: `Stake ${formatLamports(lamports)} into pool`,
+        fields: [
+          { label: 'Pool', value: accounts[0] },
+          { label: 'Amount', value: formatLamports(lamports) },
+          { label: 'Pool Tokens To', value: accounts[4] }
+        ]
+      };
+    }
+    // WithdrawSol: pool, withdraw authority, user authority, burn from, reserve, lamports destination, ...
+    if ((index === 16 || index === 26) && data.length >= 9) {
+      const poolTokens = readU64(data, 1);
+      return {
+        type,
+        tokenAmount: poolTokens.toString(),
+        recipient: accounts[5],
+        description: `Unstake ${formatLamports(poolTokens)} pool tokens`,
+        fields: [
+          { label: 'Pool', value: accounts[0] },
+          { label: 'Pool Tokens', value: formatLamports(poolTokens) },
+          { label: 'To', value: accounts[5] }
+        ]
+      };
+    }
+    return { type, fields: accounts[0] ? [{ label: 'Pool', value: accounts[0] }] : [] };
+  }
+});
+
+// ============================================
+// WARP BRIDGE
+// ============================================
+
+const BRIDGE_CHAINS = { 0: 'Solana', 1: 'X1' };
+
+registerInstructionDecoder(WARP_BRIDGE_PROGRAM_ID, {
+  name: 'Warp Bridge',
+  safe: true,
+  decode(data, accounts) {
+    const bridgeOut = findAnchorInstruction(data, [
+      { discriminator: [27, 194, 57, 119, 215, 165, 247, 150] }
+    ]);
+    if (!bridgeOut || data.length < 24) return null;
+
+    // bridge_out(seq, amount) - seq carries [source chain:4][dest chain:4] in its top byte
+    // Accounts: config, token registry, outgoing message, sender, sender token account, mint, ...
+    const chainPair = Number(readU64(data, 8) >> 56n);
+    const destChain = BRIDGE_CHAINS[chainPair & 0x0f] || `chain ${chainPair & 0x0f}`;
+    const amount = readU64(data, 16);
+    return {
+      type: 'Bridge Out',
+      tokenAmount: amount.toString(),
+      mint: accounts[5],
+      description: `Bridge tokens to ${destChain}`,
+      fields: [
+        { label: 'Destination Chain', value: destChain },
+        { label: 'Mint', value: accounts[5] },
+        { label: 'Amount (raw)', value: amount.toString() }
+      ]
+    };
+  }
+});
+
+// ============================================
+// XDEX (constant-product AMM)
+// ============================================
+
+const XDEX_INSTRUCTIONS = [
+  { discriminator: [143, 190, 90, 218, 196, 30, 51, 222], type: 'Swap', amountLabels: ['Amount In', 'Minimum Out'] },
+  { discriminator: [55, 217, 98, 86, 163, 74, 180, 173], type: 'Swap', amountLabels: ['Maximum In', 'Amount Out'] },
+  { discriminator: [242, 35, 198, 137, 82, 225, 242, 182], type: 'Add Liquidity', amountLabels: ['LP Tokens'] },
+  { discriminator: [183, 18, 70, 156, 148, 109, 161, 34], type: 'Remove Liquidity', amountLabels: ['LP Tokens'] }
+];
+
+function decodeXdexInstruction(data, accounts) {
+  const ix = findAnchorInstruction(data, XDEX_INSTRUCTIONS);
+  if (!ix) return null;
+
+  const fields = ix.amountLabels
+    .filter((_, i) => data.length >= 16 + i * 8)
+    .map((label, i) => ({ label: `${label} (raw)`, value: readU64(data, 8 + i * 8).toString() }));
+
+  if (ix.type === 'Swap') {
+    // payer, authority, config, pool, input account, output account, input vault, output vault,
+    // input token program, output token program, input mint, output mint, observation
+    const inputMint = accounts[10];
+    const outputMint = accounts[11];
+    return {
+      type: ix.type,
+      description: `Swap ${shortAddress(inputMint)} for ${shortAddress(outputMint)}`,
+      fields: [
+        { label: 'Sell', value: inputMint },
+        { label: 'Buy', value: outputMint },
+        ...fields
+      ]
+    };
+  }
+  return { type: ix.type, fields };
+}
+
+XDEX_PROGRAM_IDS.forEach(programId => {
+  registerInstructionDecoder(programId, { name: 'XDEX', safe: true, decode: decodeXdexInstruction });
+});
+
+// ============================================
+// METAPLEX TOKEN METADATA
+// ============================================
+
+const METADATA_INSTRUCTIONS = {
+  15: 'Update Metadata',
+  17: 'Create Master Edition',
+  18: 'Verify Collection',
+  25: 'Set and Verify Collection',
+  26: 'Freeze Delegated Account',
+  27: 'Thaw Delegated Account',
+  29: 'Burn NFT',
+  33: 'Create Metadata',
+  41: 'Burn',
+  42: 'Create',
+  43: 'Mint',
+  44: 'Delegate',
+  45: 'Revoke',
+  46: 'Lock',
+  47: 'Unlock',
+  49: 'Transfer',
+  50: 'Update',
+  52: 'Verify',
+  53: 'Unverify'
+};
+
+const METADATA_WARNINGS = {
+  26: 'Freezes this NFT so it can\'t be moved',
+  29: 'Destroys this NFT',
+  41: 'Destroys this NFT',
+  46: 'Locks this NFT so it can\'t be moved',
+  50: 'Changes this NFT\'s metadata or its update authority'
+};
+
+registerInstructionDecoder(METADATA_PROGRAM_ID, {
+  name: 'Metaplex Token Metadata',
+  safe: true,
+  decode(data, accounts) {
+    if (data.length < 1) return null;
+    const type = METADATA_INSTRUCTIONS[data[0]] || `Metadata Instruction ${data[0]}`;
+
+    // Transfer: token, token owner, destination, destination owner, mint, ...
+    if (data[0] === 49) {
+      return {
+        type: 'Transfer NFT',
+        description: `Transfer NFT to ${shortAddress(accounts[3])}`,
+        fields: [
+          { label: 'Mint', value: accounts[4] },
+          { label: 'To', value: accounts[3] }
+        ]
+      };
+    }
+    // Delegate: delegate record, delegate, metadata, master edition, token record, mint, ...
+    if (data[0] === 44) {
+      return {
+        type,
+        description: `Delegate NFT to ${shortAddress(accounts[1])}`,
+        warning: 'Grants another account control over this NFT',
+        fields: [
+          { label: 'Delegate', value: accounts[1] },
+          { label: 'Mint', value: accounts[5] }
+        ]
+      };
+    }
+    return { type, warning: METADATA_WARNINGS[data[0]] };
+  }
+});
+
+// ============================================
+// BUBBLEGUM (compressed NFTs)
+// ============================================
+
+const BUBBLEGUM_INSTRUCTIONS = [
+  { discriminator: [163, 52, 200, 231, 140, 3, 69, 186], type: 'Transfer cNFT' },
+  { discriminator: [116, 110, 29, 56, 107, 219, 42, 93], type: 'Burn cNFT' },
+  { discriminator: [90, 147, 75, 178, 85, 88, 4, 137], type: 'Delegate cNFT' },
+  { discriminator: [145, 98, 192, 118, 184, 147, 118, 104], type: 'Mint cNFT' },
+  { discriminator: [153, 18, 178, 47, 197, 158, 86, 15], type: 'Mint cNFT to Collection' },
+  { discriminator: [165, 83, 136, 142, 89, 202, 47, 220], type: 'Create Tree' }
+];
+
+registerInstructionDecoder(BUBBLEGUM_PROGRAM_ID, {
+  name: 'Bubblegum',
+  safe: true,
+  decode(data, accounts) {
+    const ix = findAnchorInstruction(data, BUBBLEGUM_INSTRUCTIONS);
+    if (!ix) return null;
+
+    // transfer: tree authority, leaf owner, leaf delegate, new leaf owner, merkle tree, ...
+    if (ix.type === 'Transfer cNFT') {
+      return {
+        type: ix.type,
+        description: `Transfer compressed NFT to ${shortAddress(accounts[3])}`,
+        // Compressed NFTs have no token account, so the simulation preview can't show this one leaving
+        warning: 'Moves this compressed NFT out of your wallet',
+        fields: [
+          { label: 'To', value: accounts[3] },
+          { label: 'Tree', value: accounts[4] }
+        ]
+      };
+    }
+    // delegate: tree authority, leaf owner, previous delegate, new delegate, merkle tree, ...
+    if (ix.type === 'Delegate cNFT') {
+      return {
+        type: ix.type,
+        warning: 'Grants another account control over this NFT',
+        fields: [{ label: 'Delegate', value: accounts[3] }]
+      };
+    }
+    if (ix.type === 'Burn cNFT') {
+      return { type: ix.type, warning: 'Destroys this compressed NFT' };
+    }
+    return { type: ix.type };
+  }
+});
+
+// Wrapped native mint shows up as a program in some dApp transactions
+registerInstructionDecoder(WRAPPED_NATIVE_MINT, { name: 'Wrapped SOL/XNT', safe: true });
@@ -0,0 +1,316 @@
+// Durable nonce accounts
+// A transaction that starts with AdvanceNonceAccount and uses the stored nonce in place of a
+// recent blockhash never expires, so it can be signed later (slow Ledger prompts, air-gapped machines).
+import { decodeBase58, encodeBase58 } from './base58.js';
+import { generateKeyPair } from './crypto.js';
+import { sign } from './bip44.js';
+import { logger } from './logger.js';
+import { rpcCall } from './rpc.js';
+import { buildTransaction, sendTransaction } from './transaction.js';
+import { readCompactU16 } from './transactionDecoder.js';
+
+const SYSTEM_PROGRAM_ID = '11111111111111111111111111111111';
+const SYSVAR_RECENT_BLOCKHASHES_ID = 'SysvarRecentB1ockHashes11111111111111111111';
+const SYSVAR_RENT_ID = 'SysvarRent111111111111111111111111111111111';
+
+// version (u32) + state (u32) + authority (32) + nonce (32) + lamportsPerSignature (u64)
+export const NONCE_ACCOUNT_LENGTH = 80;
+
+const NONCE_STORAGE_KEY = 'x1wallet_nonceAccounts';
+
+function u32(value) {
+  const bytes = new Uint8Array(4);
+  new DataView(bytes.buffer).setUint32(0, value, true);
+  return bytes;
+}
+
+function u64(value) {
+  const bytes = new Uint8Array(8);
+  new DataView(bytes.buffer).setBigUint64(0, BigInt(value), true);
+  return bytes;
+}
+
+/**
+ * Parse raw nonce account data
+ * @returns {Object|null} { authority, nonce, lamportsPerSignature } or null if uninitialized/not a nonce account
+ */
+export function parseNonceAccount(data) {
+  if (!data || data.length < NONCE_ACCOUNT_LENGTH) return null;
+  const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+  const state = view.getUint32(4, true);
+  if (state !== 1) return null;
+  return {
+    authority: encodeBase58(data.slice(8, 40)),
+    nonce: encodeBase58(data.slice(40, 72)),
+    lamportsPerSignature: Number(view.getBigUint64(72, true))
+  };
+}
+
+/**
+ * Fetch a nonce account's current state
+ * @returns {Promise<Object>} { address, authority, nonce, lamportsPerSignature, lamports }
+ */
+export async function getNonceAccount(rpcUrl, address) {
+  const result = await rpcCall(rpcUrl, 'getAccountInfo', [address, { encoding: 'base64', commitment: 'confirmed' }]);
+  const account = result?.value;
+  if (!account) {
+    throw new Error('Nonce account not found');
+  }
+  if (account.owner !== SYSTEM_PROGRAM_ID) {
+    throw new Error('Account is not a nonce account');
+  }
+  const data = Uint8Array.from(atob(account.data[0]), c => c.charCodeAt(0));
+  const parsed = parseNonceAccount(data);
+  if (!parsed) {
+    throw new Error('Nonce account is not initialized');
+  }
+  return { address, ...parsed, lamports: account.lamports };
+}
+
+/**
+ * Fetch the durable nonce to build a transaction against
+ * @returns {Promise<Object>} { nonceAccount, authority, nonce } - pass as durableNonce to the transaction builders
+ */
+export async function getDurableNonce(rpcUrl, nonceAccount, owner) {
+  const account = await getNonceAccount(rpcUrl, nonceAccount);
+  if (account.authority !== owner) {
+    throw new Error('This wallet is not the nonce authority');
+  }
+  return { nonceAccount, authority: account.authority, nonce: account.nonce };
+}
+
+/**
+ * AdvanceNonceAccount instruction - must be the first instruction of a durable-nonce transaction
+ */
+export function createAdvanceNonceInstruction(nonceAccount, authority) {
+  return {
+    programId: SYSTEM_PROGRAM_ID,
+    keys: [
+      { pubkey: nonceAccount, isSigner: false, isWritable: true },
+      { pubkey: SYSVAR_RECENT_BLOCKHASHES_ID, isSigner: false, isWritable: false },
+      { pubkey: authority, isSigner: true, isWritable: false }
+    ],
+    data: u32(4)
+  };
+}
+
+/**
+ * CreateAccount + InitializeNonceAccount for a new nonce account
+ */
+export function createNonceAccountInstructions({ payer, nonceAccount, authority, lamports }) {
+  const authorityBytes = decodeBase58(authority);
+  const createData = new Uint8Array(4 + 8 + 8 + 32);
+  createData.set(u32(0), 0);
+  createData.set(u64(lamports), 4);
+  createData.set(u64(NONCE_ACCOUNT_LENGTH), 12);
+  // Owner program (bytes 20..52) is the System Program, which is all zeros
+
+  const initData = new Uint8Array(4 + 32);
+  initData.set(u32(6), 0);
+  initData.set(authorityBytes, 4);
+
+  return [
+    {
+      programId: SYSTEM_PROGRAM_ID,
+      keys: [
+        { pubkey: payer, isSigner: true, isWritable: true },
+        { pubkey: nonceAccount, isSigner: true, isWritable: true }
+      ],
+      data: createData
+    },
+    {
+      programId: SYSTEM_PROGRAM_ID,
+      keys: [
+        { pubkey: nonceAccount, isSigner: false, isWritable: true },
+        { pubkey: SYSVAR_RECENT_BLOCKHASHES_ID, isSigner: false, isWritable: false },
+        { pubkey: SYSVAR_RENT_ID, isSigner: false, isWritable: false }
+      ],
+      data: initData
+    }
+  ];
+}
+
+/**
+ * WithdrawNonceAccount instruction - withdrawing the full balance closes the account
+ */
+export function createWithdrawNonceInstruction({ nonceAccount, authority, to, lamports }) {
+  const data = new Uint8Array(12);
+  data.set(u32(5), 0);
+  data.set(u64(lamports), 4);
+  return {
+    programId: SYSTEM_PROGRAM_ID,
+    keys: [
+      { pubkey: nonceAccount, isSigner: false, isWritable: true },
+      { pubkey: to, isSigner: false, isWritable: true },
+      { pubkey: SYSVAR_RECENT_BLOCKHASHES_ID, isSigner: false, isWritable: false },
+      { pubkey: SYSVAR_RENT_ID, isSigner: false, isWritable: false },
+      { pubkey: authority, isSigner: true, isWritable: false }
+    ],
+    data
+  };
+}
+
+/**
+ * Decompile a legacy message back into fee payer + instructions
+ * Versioned (v0) messages are rejected - their lookup-table accounts can't be re-addressed here
+ */
+export function decompileLegacyMessage(message) {
+  if (message[0] & 0x80) {
+    throw new Error('Durable nonce is not supported for versioned transactions');
+  }
+  const [numSigners, numReadonlySigned, numReadonlyUnsigned] = message;
+  let offset = 3;
+  const { value: numKeys, bytesRead } = readCompactU16(message, offset);
+  offset += bytesRead;
+
+  const keys = [];
+  for (let i = 0; i < numKeys; i++) {
+    const isSigner = i < numSigners;
+    const isWritable = isSigner
+      ? i < numSigners - numReadonlySigned
+      : i < numKeys - numReadonlyUnsigned;
+    keys.push({ pubkey: encodeBase58(message.slice(offset, offset + 32)), isSigner, isWritable });
+    offset += 32;
+  }
+  const recentBlockhash = encodeBase58(message.slice(offset, offset + 32));
+  offset += 32;
+
+  const { value: numInstructions, bytesRead: ixBytes } = readCompactU16(message, offset);
+  offset += ixBytes;
+  const instructions = [];
+  for (let i = 0; i < numInstructions; i++) {
+    const programIdIndex = message[offset++];
+    const accounts = readCompactU16(message, offset);
+    offset += accounts.bytesRead;
+    const accountIndexes = Array.from(message.slice(offset, offset + accounts.value));
+    offset += accounts.value;
+    const dataLen = readCompactU16(message, offset);
+    offset += dataLen.bytesRead;
+    const data = message.slice(offset, offset + dataLen.value);
+    offset += dataLen.value;
+    instructions.push({
+      programId: keys[programIdIndex].pubkey,
+      keys: accountIndexes.map(index => ({ ...keys[index] })),
+      data
+    });
+  }
+
+  return { feePayer: keys[0].pubkey, recentBlockhash, instructions };
+}
+
+/**
+ * Rebuild a legacy message against a durable nonce
+ * AdvanceNonceAccount goes first and the stored nonce replaces the recent blockhash.
+ * @param {Uint8Array} message - Message from any of the transaction builders
+ * @param {Object} durableNonce - { nonceAccount, authority, nonce } (from getNonceAccount)
+ * @returns {Uint8Array} New message
+ */
+export function applyDurableNonce(message, { nonceAccount, authority, nonce }) {
+  const { feePayer, instructions } = decompileLegacyMessage(message);
+  if (authority !== feePayer) {
+    throw new Error('Nonce authority must be the signing wallet');
+  }
+  return buildTransaction({
+    feePayer,
+    recentBlockhash: nonce,
+    instructions: [createAdvanceNonceInstruction(nonceAccount, authority), ...instructions]
+  });
+}
+
+/**
+ * Create and initialize a new nonce account owned by the wallet
+ * The nonce account keypair is throwaway - only the authority can advance or withdraw.
+ * @param {Object} params
+ * @param {string} params.owner - Wallet address (fee payer and nonce authority)
+ * @param {string} params.rpcUrl - RPC endpoint
+ * @param {string|Uint8Array} [params.privateKey] - Software wallet secret key
+ * @param {Function} [params.signMessage] - async (message) => signature, for hardware wallets
+ * @returns {Promise<Object>} { address, signature }
+ */
+export async function createNonceAccount({ owner, rpcUrl, privateKey, signMessage }) {
+  if (!privateKey && !signMessage) {
+    throw new Error('A private key or hardware signer is required');
+  }
+
+  const nonceKeypair = await generateKeyPair(crypto.getRandomValues(new Uint8Array(32)));
+  const nonceAccount = encodeBase58(nonceKeypair.publicKey);
+  const lamports = await rpcCall(rpcUrl, 'getMinimumBalanceForRentExemption', [NONCE_ACCOUNT_LENGTH]);
+  const { value } = await rpcCall(rpcUrl, 'getLatestBlockhash', [{ commitment: 'finalized' }]);
+
+  const message = buildTransaction({
+    feePayer: owner,
+    recentBlockhash: value.blockhash,
+    instructions: createNonceAccountInstructions({ payer: owner, nonceAccount, authority: owner, lamports })
+  });
+
+  const ownerSecret = typeof privateKey === 'string' ? decodeBase58(privateKey) : privateKey;
+  const ownerSignature = signMessage ? await signMessage(message) : await sign(message, ownerSecret);
+  const nonceSignature = await sign(message, nonceKeypair.secretKey);
+
+  // Fee payer signs first, then the new account (same order as the message's signer keys)
+  const signedTx = new Uint8Array(1 + 64 * 2 + message.length);
+  signedTx[0] = 2;
+  signedTx.set(ownerSignature, 1);
+  signedTx.set(nonceSignature, 65);
+  signedTx.set(message, 129);
+
+  const signature = await sendTransaction(signedTx, rpcUrl);
+  logger.log('[Nonce] Created nonce account', nonceAccount, signature);
+  return { address: nonceAccount, signature };
+}
+
+/**
+ * Close a nonce account, returning its rent to the wallet
+ * @returns {Promise<string>} Transaction signature
+ */
+export async function closeNonceAccount({ owner, nonceAccount, rpcUrl, privateKey, signMessage }) {
+  if (!privateKey && !signMessage) {
+    throw new Error('A private key or hardware signer is required');
+  }
+  const account = await getNonceAccount(rpcUrl, nonceAccount);
+  if (account.authority !== owner) {
+    throw new Error('This wallet is not the nonce authority');
+  }
+  const { value } = await rpcCall(rpcUrl, 'getLatestBlockhash', [{ commitment: 'finalized' }]);
+  const message = buildTransaction({
+    feePayer: owner,
+    recentBlockhash: value.blockhash,
+    instructions: [createWithdrawNonceInstruction({ nonceAccount, authority: owner, to: owner, lamports: account.lamports })]
+  });
+
+  const ownerSecret = typeof privateKey === 'string' ? decodeBase58(privateKey) : privateKey;
+  const ownerSignature = signMessage ? await signMessage(message) : await sign(message, ownerSecret);
+  const signedTx = new Uint8Array(1 + 64 + message.length);
+  signedTx[0] = 1;
+  signedTx.set(ownerSignature, 1);
+  signedTx.set(message, 65);
+  return sendTransaction(signedTx, rpcUrl);
+}
+
+// Saved nonce accounts are public addresses, kept per network and wallet
+function readSavedNonceAccounts() {
+  try {
+    return JSON.parse(localStorage.getItem(NONCE_STORAGE_KEY)) || {};
+  } catch {
+    return {};
+  }
+}
+
+export function getSavedNonceAccounts(owner, network) {
+  return readSavedNonceAccounts()[network]?.[owner] || [];
+}
+
+export function saveNonceAccount(owner, network, address) {
+  const saved = readSavedNonceAccounts();
+  const list = saved[network]?.[owner] || [];
+  if (list.includes(address)) return;
+  saved[network] = { ...saved[network], [owner]: [...list, address] };
+  localStorage.setItem(NONCE_STORAGE_KEY, JSON.stringify(saved));
+}
+
+export function removeNonceAccount(owner, network, address) {
+  const saved = readSavedNonceAccounts();
+  const list = saved[network]?.[owner] || [];
+  saved[network] = { ...saved[network], [owner]: list.filter(a => a !== address) };
+  localStorage.setItem(NONCE_STORAGE_KEY, JSON.stringify(saved));
+}
@@ -0,0 +1,229 @@
+// Offline (air-gapped) signing
+// A watch-only wallet exports an unsigned transaction, a wallet holding the key imports it, reviews it,
+// signs it and exports just the signature, which the watch-only side attaches before broadcasting.
+// Payloads are small JSON envelopes, carried as a file or as a sequence of QR frames.
+import { encodeBase58, decodeBase58 } from './base58.js';
+import { sign } from './bip44.js';
+import { logger } from './logger.js';
+import { decodeTransaction, decodeWithLookupTables } from './transactionDecoder.js';
+
+export const OFFLINE_PAYLOAD_VERSION = 1;
+export const OFFLINE_TYPE_UNSIGNED = 'x1-unsigned-tx';
+export const OFFLINE_TYPE_SIGNATURE = 'x1-tx-signature';
+
+// Frame prefix for animated QR: X1TX:<index>/<total>:<chunk>
+const QR_FRAME_PREFIX = 'X1TX:';
+const QR_FRAME_SIZE = 300;
+
+const PENDING_STORAGE_KEY = 'x1wallet_pendingOfflineTx';
+
+function bytesToBase64(bytes) {
+  return btoa(String.fromCharCode(...bytes));
+}
+
+function base64ToBytes(b64) {
+  return Uint8Array.from(atob(b64), c => c.charCodeAt(0));
+}
+
+/**
+ * Short fingerprint of a message so both sides can check they're looking at the same transaction
+ */
+export async function getMessageHash(message) {
+  const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', message));
+  return encodeBase58(digest);
+}
+
+/**
+ * Wrap an unsigned message for export
+ * @param {Object} params
+ * @param {Uint8Array} params.message - Serialized message (legacy or V0)
+ * @param {string} params.signer - Address whose signature is needed
+ * @param {string} params.network - Network name, shown to the signer
+ * @param {string} [params.description] - Human summary, e.g. "Send 5 XNT to 9xQe...VFin"
+ * @returns {Promise<string>} Payload text
+ */
+export async function createUnsignedPayload({ message, signer, network, description = '' }) {
+  return JSON.stringify({
+    version: OFFLINE_PAYLOAD_VERSION,
+    type: OFFLINE_TYPE_UNSIGNED,
+    network,
+    signer,
+    description,
+    messageHash: await getMessageHash(message),
+    message: bytesToBase64(message)
+  });
+}
+
+/**
+ * Parse a payload from a file, pasted text or joined QR frames
+ * @returns {Object} The envelope, with message bytes decoded for unsigned payloads
+ */
+export function parseOfflinePayload(text) {
+  let payload;
+  try {
+    payload = JSON.parse(joinQrFrames(text));
+  } catch {
+    throw new Error('Not an offline signing payload');
+  }
+  if (payload?.version !== OFFLINE_PAYLOAD_VERSION) {
+    throw new Error('Unsupported offline signing payload version');
+  }
+  if (payload.type === OFFLINE_TYPE_UNSIGNED) {
+    return { ...payload, message: base64ToBytes(payload.message) };
+  }
+  if (payload.type === OFFLINE_TYPE_SIGNATURE) {
+    return payload;
+  }
+  throw new Error('Unknown offline signing payload type');
+}
+
+/**
+ * Decode an imported unsigned payload for review, checking its fingerprint
+ * @param {Object} payload - From parseOfflinePayload
+ * @param {string} [rpcUrl] - Resolves lookup tables when the signing device is online
+ * @returns {Promise<Object>} decodeTransaction() result for the message
+ */
+export async function reviewUnsignedPayload(payload, rpcUrl = null) {
+  if (await getMessageHash(payload.message) !== payload.messageHash) {
+    throw new Error('Transaction fingerprint does not match - the payload may be corrupted');
+  }
+  // decodeTransaction expects a full transaction - prefix an empty signature slot
+  const tx = new Uint8Array(1 + 64 + payload.message.length);
+  tx[0] = 1;
+  tx.set(payload.message, 65);
+  return rpcUrl ? decodeWithLookupTables(tx, rpcUrl) : decodeTransaction(tx);
+}
+
+/**
+ * Sign an unsigned payload and return the signature payload to send back
+ * @param {Object} params
+ * @param {Object} params.payload - From parseOfflinePayload
+ * @param {string} params.publicKey - Signing wallet address (must match payload.signer)
+ * @param {string|Uint8Array} [params.privateKey] - Software wallet secret key
+ * @param {Function} [params.signMessage] - async (message) => signature, for hardware wallets
+ * @returns {Promise<string>} Signature payload text
+ */
+export async function signUnsignedPayload({ payload, publicKey, privateKey, signMessage }) {
+  if (payload.type !== OFFLINE_TYPE_UNSIGNED) {
+    throw new Error('Expected an unsigned transaction');
+  }
+  if (payload.signer !== publicKey) {
+    throw new Error('This transaction must be signed by a different wallet');
+  }
+  if (await getMessageHash(payload.message) !== payload.messageHash) {
+    throw new Error('Transaction fingerprint does not match - the payload may be corrupted');
+  }
+
+  let signature;
+  if (signMessage) {
+    signature = await signMessage(payload.message);
+  } else {
+    const secretKey = typeof privateKey === 'string' ? decodeBase58(privateKey) : privateKey;
+    if (!secretKey || secretKey.length !== 64) {
+      throw new Error('Wallet is locked. Please unlock your wallet to sign transactions.');
+    }
+    signature = await sign(payload.message, secretKey);
+  }
+
+  logger.log('[Offline] Signed transaction', payload.messageHash);
+  return JSON.stringify({
+    version: OFFLINE_PAYLOAD_VERSION,
+    type: OFFLINE_TYPE_SIGNATURE,
+    signer: publicKey,
+    messageHash: payload.messageHash,
+    signature: encodeBase58(signature)
+  });
+}
+
+/**
+ * Attach a returned signature to the unsigned message
+ * @param {Uint8Array} message - The exported message
+ * @param {Object} signaturePayload - From parseOfflinePayload
+ * @returns {Promise<Uint8Array>} Signed transaction bytes, ready for sendTransaction
+ */
+export async function attachOfflineSignature(message, signaturePayload) {
+  if (signaturePayload.type !== OFFLINE_TYPE_SIGNATURE) {
+    throw new Error('Expected a signature payload');
+  }
+  if (await getMessageHash(message) !== signaturePayload.messageHash) {
+    throw new Error('Signature is for a different transaction');
+  }
+  const signature = decodeBase58(signaturePayload.signature);
+  if (signature.length !== 64) {
+    throw new Error('Invalid signature');
+  }
+  const signedTx = new Uint8Array(1 + 64 + message.length);
+  signedTx[0] = 1;
+  signedTx.set(signature, 1);
+  signedTx.set(message, 65);
+  return signedTx;
+}
+
+/**
+ * Split a payload into frames for an animated QR code
+ */
+export function splitIntoQrFrames(text, frameSize = QR_FRAME_SIZE) {
+  const total = Math.ceil(text.length / frameSize) || 1;
+  const frames = [];
+  for (let i = 0; i < total; i++) {
+    frames.push(`${QR_FRAME_PREFIX}${i + 1}/${total}:${text.slice(i * frameSize, (i + 1) * frameSize)}`);
+  }
+  return frames;
+}
+
+/**
+ * Reassemble QR frames (one per line, any order, duplicates allowed)
+ * Text that isn't framed is returned unchanged.
+ */
+export function joinQrFrames(text) {
+  const trimmed = String(text || '').trim();
+  if (!trimmed.startsWith(QR_FRAME_PREFIX)) return trimmed;
+
+  const parts = new Map();
+  let total = 0;
+  for (const line of trimmed.split(/\r?\n/)) {
+    const match = line.trim().match(/^X1TX:(\d+)\/(\d+):(.*)$/);
+    if (!match) continue;
+    total = Number(match[2]);
+    parts.set(Number(match[1]), match[3]);
+  }
+  for (let i = 1; i <= total; i++) {
+    if (!parts.has(i)) {
+      throw new Error(`Missing QR frame ${i} of ${total}`);
+    }
+  }
+  return Array.from({ length: total }, (_, i) => parts.get(i + 1)).join('');
+}
+
+// Exported-but-unsigned transactions waiting for a signature, kept by message hash
+function readPending() {
+  try {
+    return JSON.parse(localStorage.getItem(PENDING_STORAGE_KEY)) || {};
+  } catch {
+    return {};
+  }
+}
+
+export function savePendingOfflineTransaction(payloadText) {
+  const { messageHash } = JSON.parse(payloadText);
+  const pending = readPending();
+  pending[messageHash] = { payloadText, createdAt: Date.now() };
+  localStorage.setItem(PENDING_STORAGE_KEY, JSON.stringify(pending));
+}
+
+/**
+ * Exported transactions still waiting for a signature, newest first
+ * @returns {Array<Object>} Parsed payloads with their original payloadText and createdAt
+ */
+export function getPendingOfflineTransactions(signer) {
+  return Object.values(readPending())
+    .map(({ payloadText, createdAt }) => ({ ...parseOfflinePayload(payloadText), payloadText, createdAt }))
+    .filter(p => !signer || p.signer === signer)
+    .sort((a, b) => b.createdAt - a.createdAt);
+}
+
+export function removePendingOfflineTransaction(messageHash) {
+  const pending = readPending();
+  delete pending[messageHash];
+  localStorage.setItem(PENDING_STORAGE_KEY, JSON.stringify(pending));
+}
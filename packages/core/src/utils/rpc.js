@@ -0,0 +1,40 @@
+// JSON-RPC helpers shared by the core modules that talk to a node directly
+// Errors carry the node's message, or the method name when the node sent none.
+
+/**
+ * Call a JSON-RPC method
+ * @param {string} rpcUrl
+ * @param {string} method
+ * @param {Array} [params]
+ * @returns {Promise<any>} The result field
+ */
+export async function rpcCall(rpcUrl, method, params = []) {
+  const response = await fetch(rpcUrl, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ jsonrpc: '2.0', id: 1, method, params })
+  });
+  const data = await response.json();
+  if (data.error) throw new Error(data.error.message || `${method} failed`);
+  return data.result;
+}
+
+/**
+ * Where a sent transaction stands, searching the node's full signature history
+ * Once the block height passes lastValidBlockHeight without the signature landing the transaction
+ * can never execute - it is 'expired' and safe to send again with a fresh blockhash.
+ * @param {number|null} [lastValidBlockHeight] - From getLatestBlockhash; null for durable nonce transactions
+ * @returns {Promise<{ status: 'processed'|'confirmed'|'finalized'|'failed'|'expired'|'pending', error?: string }>}
+ */
+export async function getSignatureOutcome(rpcUrl, signature, lastValidBlockHeight = null) {
+  // Block height first, so a transaction landing between the two calls isn't reported expired
+  const blockHeight = lastValidBlockHeight != null
+    ? await rpcCall(rpcUrl, 'getBlockHeight', [{ commitment: 'confirmed' }])
+    : null;
+  const result = await rpcCall(rpcUrl, 'getSignatureStatuses', [[signature], { searchTransactionHistory: true }]);
+  const status = result?.value?.[0];
+  if (status?.err) return { status: 'failed', error: JSON.stringify(status.err) };
+  if (status) return { status: status.confirmationStatus || 'finalized' };
+  if (blockHeight !== null && blockHeight > lastValidBlockHeight) return { status: 'expired' };
+  return { status: 'pending' };
+}
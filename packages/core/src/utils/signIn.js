@@ -0,0 +1,88 @@
+// Sign-In With Solana (SIWS)
+// Builds the canonical sign-in message from a dApp's structured input (Wallet Standard `solana:signIn`)
+// and flags anything that doesn't line up with the requesting site before the user signs it.
+
+/**
+ * Build the canonical SIWS message text (same layout as @solana/wallet-standard-util)
+ * @param {Object} input - Completed sign-in input (domain and address required)
+ * @returns {string}
+ */
+export function createSignInMessageText(input) {
+  let message = `${input.domain} wants you to sign in with your Solana account:\n`;
+  message += `${input.address}`;
+
+  if (input.statement) {
+    message += `\n\n${input.statement}`;
+  }
+
+  const fields = [];
+  if (input.uri) fields.push(`URI: ${input.uri}`);
+  if (input.version) fields.push(`Version: ${input.version}`);
+  if (input.chainId) fields.push(`Chain ID: ${input.chainId}`);
+  if (input.nonce) fields.push(`Nonce: ${input.nonce}`);
+  if (input.issuedAt) fields.push(`Issued At: ${input.issuedAt}`);
+  if (input.expirationTime) fields.push(`Expiration Time: ${input.expirationTime}`);
+  if (input.notBefore) fields.push(`Not Before: ${input.notBefore}`);
+  if (input.requestId) fields.push(`Request ID: ${input.requestId}`);
+  if (input.resources?.length) {
+    fields.push('Resources:');
+    for (const resource of input.resources) {
+      fields.push(`- ${resource}`);
+    }
+  }
+  if (fields.length) {
+    message += `\n\n${fields.join('\n')}`;
+  }
+
+  return message;
+}
+
+function hostOf(origin) {
+  try {
+    return new URL(origin).host;
+  } catch {
+    return origin || '';
+  }
+}
+
+function parseTime(value) {
+  const time = value ? Date.parse(value) : NaN;
+  return Number.isNaN(time) ? null : time;
+}
+
+/**
+ * Complete a sign-in request for the active account and check it against the requesting site
+ * Missing domain and address are filled in by the wallet, as the spec allows; nothing else is added.
+ * @param {Object} input - Sign-in input from the dApp (may be empty)
+ * @param {Object} context
+ * @param {string} context.origin - Verified origin of the requesting site
+ * @param {string} context.address - Active wallet address
+ * @param {number} [context.now] - Current time in ms
+ * @returns {{ input: Object, message: string, warnings: string[] }}
+ */
+export function prepareSignIn(input, { origin, address, now = Date.now() }) {
+  const host = hostOf(origin);
+  const completed = {
+    ...(input || {}),
+    domain: input?.domain || host,
+    address: input?.address || address
+  };
+
+  const warnings = [];
+  if (completed.domain !== host) {
+    warnings.push(`Sign-in is for ${completed.domain} but the request came from ${host}. This may be a phishing attempt.`);
+  }
+  if (completed.address !== address) {
+    warnings.push('Sign-in is for a different account than the one currently selected.');
+  }
+  const expiration = parseTime(completed.expirationTime);
+  if (expiration !== null && expiration < now) {
+    warnings.push('This sign-in request has already expired.');
+  }
+  const notBefore = parseTime(completed.notBefore);
+  if (notBefore !== null && notBefore > now) {
+    warnings.push('This sign-in request is not valid yet.');
+  }
+
+  return { input: completed, message: createSignInMessageText(completed), warnings };
+}
@@ -0,0 +1,259 @@
+// Solana Pay transfer requests
+// Parses and builds `solana:<recipient>?amount=...` URIs and the matching transfer transaction
+// Spec: https://docs.solanapay.com/spec
+import { validateAddress, decodeBase58, encodeBase58 } from './base58.js';
+import { rpcCall } from './rpc.js';
+import { findProgramAddress } from './token2022.js';
+import { buildTransaction } from './transaction.js';
+
+const SOLANA_PAY_PROTOCOL = 'solana:';
+
+const SYSTEM_PROGRAM_ID = '11111111111111111111111111111111';
+const TOKEN_PROGRAM_ID = 'TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA';
+const ASSOCIATED_TOKEN_PROGRAM_ID = 'ATokenGPvbdGVxr1b2hvZbsiqW5xWH25efTNsLJA8knL';
+const COMPUTE_BUDGET_PROGRAM_ID = 'ComputeBudget111111111111111111111111111111';
+const MEMO_PROGRAM_ID = 'MemoSq4gqABAXKb96qnH8TysNcWxMyWCqXgDLGmfcHr';
+
+// Spec: non-negative integer or decimal, no exponent, no leading dot
+const AMOUNT_REGEX = /^\d+(\.\d+)?$/;
+
+// Quick check used to route pasted text to the parser
+export function isSolanaPayUrl(text) {
+  return typeof text === 'string' && text.trim().toLowerCase().startsWith(SOLANA_PAY_PROTOCOL);
+}
+
+/**
+ * Parse a Solana Pay transfer request URI
+ * Returns { recipient, amount, splToken, references, label, message, memo }
+ * amount is kept as the original decimal string so no precision is lost
+ * Throws on malformed requests; transaction requests (solana:https://...) are not supported
+ */
+export function parseSolanaPayUrl(uri) {
+  if (!isSolanaPayUrl(uri)) {
+    throw new Error('Not a Solana Pay URL');
+  }
+
+  const body = uri.trim().slice(SOLANA_PAY_PROTOCOL.length);
+  const queryIndex = body.indexOf('?');
+  let pathname;
+  try {
+    pathname = decodeURIComponent(queryIndex === -1 ? body : body.slice(0, queryIndex));
+  } catch {
+    throw new Error('Invalid recipient: malformed percent-encoding');
+  }
+  const query = queryIndex === -1 ? '' : body.slice(queryIndex + 1);
+
+  if (/^https?:/i.test(pathname)) {
+    throw new Error('Solana Pay transaction requests are not supported');
+  }
+
+  const recipientCheck = validateAddress(pathname);
+  if (!recipientCheck.valid) {
+    throw new Error(`Invalid recipient: ${recipientCheck.error}`);
+  }
+
+  const params = new URLSearchParams(query);
+
+  let amount = null;
+  const amountParam = params.get('amount');
+  if (amountParam !== null) {
+    if (!AMOUNT_REGEX.test(amountParam)) {
+      throw new Error('Invalid amount');
+    }
+    amount = amountParam;
+  }
+
+  let splToken = null;
+  const splTokenParam = params.get('spl-token');
+  if (splTokenParam !== null) {
+    const check = validateAddress(splTokenParam);
+    if (!check.valid) {
+      throw new Error(`Invalid spl-token: ${check.error}`);
+    }
+    splToken = splTokenParam;
+  }
+
+  const references = params.getAll('reference');
+  for (const reference of references) {
+    const check = validateAddress(reference);
+    if (!check.valid) {
+      throw new Error(`Invalid reference: ${check.error}`);
+    }
+  }
+
+  return {
+    recipient: pathname,
+    amount,
+    splToken,
+    references,
+    label: params.get('label'),
+    message: params.get('message'),
+    memo: params.get('memo')
+  };
+}
+
+/**
+ * Build a Solana Pay transfer request URI
+ * Only recipient is required; empty fields are omitted
+ */
+export function buildSolanaPayUrl({ recipient, amount, splToken, references = [], label, message, memo }) {
+  const recipientCheck = validateAddress(recipient);
+  if (!recipientCheck.valid) {
+    throw new Error(`Invalid recipient: ${recipientCheck.error}`);
+  }
+
+  const params = [];
+  if (amount !== undefined && amount !== null && amount !== '') {
+    const amountStr = String(amount);
+    if (!AMOUNT_REGEX.test(amountStr)) {
+      throw new Error('Invalid amount');
+    }
+    params.push(`amount=${amountStr}`);
+  }
+  if (splToken) params.push(`spl-token=${encodeURIComponent(splToken)}`);
+  for (const reference of references) {
+    params.push(`reference=${encodeURIComponent(reference)}`);
+  }
+  if (label) params.push(`label=${encodeURIComponent(label)}`);
+  if (message) params.push(`message=${encodeURIComponent(message)}`);
+  if (memo) params.push(`memo=${encodeURIComponent(memo)}`);
+
+  return `${SOLANA_PAY_PROTOCOL}${recipient}${params.length ? `?${params.join('&')}` : ''}`;
+}
+
+// Random public key used as a reference to find the payment on-chain later
+export function createReference() {
+  return encodeBase58(crypto.getRandomValues(new Uint8Array(32)));
+}
+
+/**
+ * Convert a decimal amount string to integer base units without floating point
+ * Rejects amounts with more decimal places than the token supports
+ */
+export function amountToBaseUnits(amount, decimals) {
+  const amountStr = String(amount).trim();
+  if (!AMOUNT_REGEX.test(amountStr)) {
+    throw new Error('Invalid amount');
+  }
+  const [whole, fraction = ''] = amountStr.split('.');
+  if (fraction.length > decimals) {
+    throw new Error(`Amount has more than ${decimals} decimal places`);
+  }
+  return BigInt(whole + fraction.padEnd(decimals, '0'));
+}
+
+function u64ToBytes(value) {
+  const bytes = new Uint8Array(8);
+  let v = BigInt(value);
+  for (let i = 0; i < 8; i++) {
+    bytes[i] = Number(v & 0xffn);
+    v >>= 8n;
+  }
+  return bytes;
+}
+
+/**
+ * Build the unsigned message for a Solana Pay transfer request
+ * Memo goes immediately before the transfer; reference keys are attached to the
+ * transfer instruction as read-only non-signers so the merchant can find the payment
+ * For SPL tokens pass the payer's token account, decimals and token program.
+ * Tokens always go to the recipient's associated token account, which is created idempotently
+ * when it does not exist yet.
+ */
+export async function buildSolanaPayTransferMessage({
+  payer,
+  request,
+  amount,
+  recentBlockhash,
+  rpcUrl,
+  sourceTokenAccount = null,
+  decimals = 9,
+  tokenProgramId = TOKEN_PROGRAM_ID,
+  priorityFee = 0
+}) {
+  const baseUnits = amountToBaseUnits(amount, decimals);
+  if (baseUnits <= 0n) {
+    throw new Error('Amount must be greater than 0');
+  }
+
+  const instructions = [];
+
+  if (priorityFee > 0) {
+    instructions.push({
+      programId: COMPUTE_BUDGET_PROGRAM_ID,
+      keys: [],
+      data: new Uint8Array([3, ...u64ToBytes(priorityFee)])
+    });
+  }
+
+  const referenceKeys = (request.references || []).map(pubkey => ({
+    pubkey,
+    isSigner: false,
+    isWritable: false
+  }));
+
+  let transferIx;
+  if (!request.splToken) {
+    transferIx = {
+      programId: SYSTEM_PROGRAM_ID,
+      keys: [
+        { pubkey: payer, isSigner: true, isWritable: true },
+        { pubkey: request.recipient, isSigner: false, isWritable: true },
+        ...referenceKeys
+      ],
+      data: new Uint8Array([2, 0, 0, 0, ...u64ToBytes(baseUnits)])
+    };
+  } else {
+    if (!sourceTokenAccount) {
+      throw new Error('Token account not found for requested token');
+    }
+
+    // The spec pays the ATA even when the recipient holds other accounts for the mint -
+    // merchants confirm the payment from that account's balance change
+    const destination = await findProgramAddress(
+      [decodeBase58(request.recipient), decodeBase58(tokenProgramId), decodeBase58(request.splToken)],
+      ASSOCIATED_TOKEN_PROGRAM_ID
+    );
+    const destinationInfo = await rpcCall(rpcUrl, 'getAccountInfo', [destination, { encoding: 'base64' }]);
+    if (!destinationInfo?.value) {
+      // CreateIdempotent - succeeds even if the account appears before we land
+      instructions.push({
+        programId: ASSOCIATED_TOKEN_PROGRAM_ID,
+        keys: [
+          { pubkey: payer, isSigner: true, isWritable: true },
+          { pubkey: destination, isSigner: false, isWritable: true },
+          { pubkey: request.recipient, isSigner: false, isWritable: false },
+          { pubkey: request.splToken, isSigner: false, isWritable: false },
+          { pubkey: SYSTEM_PROGRAM_ID, isSigner: false, isWritable: false },
+          { pubkey: tokenProgramId, isSigner: false, isWritable: false }
+        ],
+        data: new Uint8Array([1])
+      });
+    }
+
+    // TransferChecked (instruction 12) so the mint and decimals are verified on-chain
+    transferIx = {
+      programId: tokenProgramId,
+      keys: [
+        { pubkey: sourceTokenAccount, isSigner: false, isWritable: true },
+        { pubkey: request.splToken, isSigner: false, isWritable: false },
+        { pubkey: destination, isSigner: false, isWritable: true },
+        { pubkey: payer, isSigner: true, isWritable: false },
+        ...referenceKeys
+      ],
+      data: new Uint8Array([12, ...u64ToBytes(baseUnits), decimals])
+    };
+  }
+
+  if (request.memo) {
+    instructions.push({
+      programId: MEMO_PROGRAM_ID,
+      keys: [],
+      data: new TextEncoder().encode(request.memo)
+    });
+  }
+
+  instructions.push(transferIx);
+
+  return buildTransaction({ feePayer: payer, recentBlockhash, instructions });
+}
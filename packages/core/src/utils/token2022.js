@@ -0,0 +1,327 @@
+// Token-2022 extension handling for transfers
+// Reads mint/account extensions (transfer fee, memo-required, transfer hook, non-transferable,
+// frozen and paused state) and builds the instructions a compliant transfer needs
+import { decodeBase58, encodeBase58 } from './base58.js';
+import { logger } from './logger.js';
+import { rpcCall } from './rpc.js';
+
+const TOKEN_2022_PROGRAM_ID = 'TokenzQdBNbLqP5VEhdkAS6EPFLC1PHnBqCXEpPxuEb';
+const MEMO_PROGRAM_ID = 'MemoSq4gqABAXKb96qnH8TysNcWxMyWCqXgDLGmfcHr';
+
+// Token-2022 instruction indexes
+const TRANSFER_CHECKED = 12;
+const TRANSFER_FEE_EXTENSION = 26;
+const TRANSFER_CHECKED_WITH_FEE = 1;
+
+// Transfer hook interface - Execute instruction and its ExtraAccountMetaList TLV entry share this discriminator
+const EXECUTE_DISCRIMINATOR = [105, 37, 101, 197, 75, 251, 102, 26];
+const EXTRA_ACCOUNT_METAS_SEED = 'extra-account-metas';
+const EXTRA_ACCOUNT_META_SIZE = 35;
+
+const MAX_FEE_BASIS_POINTS = 10000n;
+
+function u64ToBytes(value) {
+  const bytes = new Uint8Array(8);
+  let v = BigInt(value);
+  for (let i = 0; i < 8; i++) {
+    bytes[i] = Number(v & 0xffn);
+    v >>= 8n;
+  }
+  return bytes;
+}
+
+function findExtension(extensions, name) {
+  return (extensions || []).find(e => e.extension === name)?.state || null;
+}
+
+/**
+ * Fee withheld by the mint's transfer fee extension for a transfer of `amount` raw units
+ * Uses the newer fee schedule once its activation epoch is reached
+ */
+export function calculateTransferFee(transferFeeConfig, epoch, amount) {
+  const schedule = epoch >= transferFeeConfig.newerTransferFee.epoch
+    ? transferFeeConfig.newerTransferFee
+    : transferFeeConfig.olderTransferFee;
+  const basisPoints = BigInt(schedule.transferFeeBasisPoints);
+  const maximumFee = BigInt(schedule.maximumFee);
+  const raw = BigInt(amount);
+  if (basisPoints === 0n || raw === 0n) {
+    return { basisPoints: Number(basisPoints), maximumFee: maximumFee.toString(), fee: '0' };
+  }
+  // Round up, as the token program does
+  const fee = (raw * basisPoints + MAX_FEE_BASIS_POINTS - 1n) / MAX_FEE_BASIS_POINTS;
+  return {
+    basisPoints: Number(basisPoints),
+    maximumFee: maximumFee.toString(),
+    fee: (fee > maximumFee ? maximumFee : fee).toString()
+  };
+}
+
+/**
+ * Read the extensions that affect a Token-2022 transfer
+ * Throws a readable error when the transfer cannot succeed (non-transferable, frozen, paused)
+ * @param {Object} params
+ * @param {string} params.rpcUrl
+ * @param {string} params.mint - Token mint
+ * @param {string} params.sourceTokenAccount - Sender's token account
+ * @param {string|null} params.destinationTokenAccount - Recipient's token account (null if it doesn't exist yet)
+ * @param {number|bigint|string} params.amount - Raw amount being sent
+ * @returns {Promise<Object>} { decimals, transferFee, memoRequired, transferHookProgramId }
+ *   transferFee is null for mints without the extension, else { basisPoints, maximumFee, fee } (raw strings)
+ */
+export async function getToken2022TransferInfo({ rpcUrl, mint, sourceTokenAccount, destinationTokenAccount = null, amount }) {
+  const addresses = [mint, sourceTokenAccount, ...(destinationTokenAccount ? [destinationTokenAccount] : [])];
+  const result = await rpcCall(rpcUrl, 'getMultipleAccounts', [addresses, { encoding: 'jsonParsed', commitment: 'confirmed' }]);
+  const [mintAccount, sourceAccount, destinationAccount] = result?.value || [];
+
+  const mintInfo = mintAccount?.data?.parsed?.info;
+  if (!mintInfo) throw new Error('Token mint not found');
+  const sourceInfo = sourceAccount?.data?.parsed?.info;
+  if (!sourceInfo) throw new Error('Your token account was not found. Please refresh your wallet.');
+  const destinationInfo = destinationAccount?.data?.parsed?.info || null;
+
+  if (findExtension(mintInfo.extensions, 'nonTransferable')) {
+    throw new Error('This token is non-transferable and cannot be sent');
+  }
+  if (findExtension(mintInfo.extensions, 'pausableConfig')?.paused) {
+    throw new Error('Transfers of this token are currently paused by its issuer');
+  }
+  if (sourceInfo.state === 'frozen') {
+    throw new Error('Your token account is frozen by the token issuer');
+  }
+  if (destinationInfo?.state === 'frozen') {
+    throw new Error('The recipient\'s token account is frozen and cannot receive this token');
+  }
+  if (!destinationInfo && findExtension(mintInfo.extensions, 'defaultAccountState')?.accountState === 'frozen') {
+    throw new Error('New accounts for this token start frozen - the recipient needs the issuer to thaw their account first');
+  }
+
+  let transferFee = null;
+  const feeConfig = findExtension(mintInfo.extensions, 'transferFeeConfig');
+  if (feeConfig) {
+    const epochInfo = await rpcCall(rpcUrl, 'getEpochInfo', [{ commitment: 'confirmed' }]);
+    transferFee = calculateTransferFee(feeConfig, epochInfo.epoch, amount);
+  }
+
+  return {
+    decimals: mintInfo.decimals,
+    transferFee,
+    memoRequired: !!findExtension(destinationInfo?.extensions, 'memoTransfer')?.requireIncomingTransferMemos,
+    transferHookProgramId: findExtension(mintInfo.extensions, 'transferHook')?.programId || null
+  };
+}
+
+// ============================================
+// PROGRAM DERIVED ADDRESSES
+// ============================================
+
+const ED25519_P = (1n << 255n) - 19n;
+
+function modPow(base, exponent, modulus) {
+  let result = 1n;
+  let b = base % modulus;
+  let e = exponent;
+  while (e > 0n) {
+    if (e & 1n) result = (result * b) % modulus;
+    b = (b * b) % modulus;
+    e >>= 1n;
+  }
+  return result;
+}
+
+const ED25519_D = (-121665n * modPow(121666n, ED25519_P - 2n, ED25519_P) % ED25519_P + ED25519_P) % ED25519_P;
+
+// Whether 32 bytes decompress to an ed25519 point - PDAs must not
+function isOnCurve(bytes) {
+  let y = 0n;
+  for (let i = 31; i >= 0; i--) {
+    y = (y << 8n) | BigInt(i === 31 ? bytes[i] & 0x7f : bytes[i]);
+  }
+  y %= ED25519_P;
+  const y2 = (y * y) % ED25519_P;
+  const u = (y2 - 1n + ED25519_P) % ED25519_P;
+  const v = (ED25519_D * y2 + 1n) % ED25519_P;
+  // Candidate square root of u/v; the point exists if v*r^2 is u or -u
+  const v3 = modPow(v, 3n, ED25519_P);
+  const v7 = modPow(v, 7n, ED25519_P);
+  const r = (u * v3 % ED25519_P) * modPow(u * v7 % ED25519_P, (ED25519_P - 5n) / 8n, ED25519_P) % ED25519_P;
+  const check = (v * r % ED25519_P) * r % ED25519_P;
+  return check === u || check === (ED25519_P - u) % ED25519_P;
+}
+
+/**
+ * Program derived address for the seeds - the first bump (from 255 down) that lands off the curve
+ * @param {Uint8Array[]} seeds
+ * @param {string} programId
+ * @returns {Promise<string>} Address
+ */
+export async function findProgramAddress(seeds, programId) {
+  const programBytes = decodeBase58(programId);
+  const marker = new TextEncoder().encode('ProgramDerivedAddress');
+  for (let bump = 255; bump >= 0; bump--) {
+    const parts = [...seeds, new Uint8Array([bump]), programBytes, marker];
+    const buffer = new Uint8Array(parts.reduce((n, p) => n + p.length, 0));
+    let offset = 0;
+    for (const part of parts) {
+      buffer.set(part, offset);
+      offset += part.length;
+    }
+    const hash = new Uint8Array(await crypto.subtle.digest('SHA-256', buffer));
+    if (!isOnCurve(hash)) return encodeBase58(hash);
+  }
+  throw new Error('Could not derive program address');
+}
+
+// ============================================
+// TRANSFER HOOK EXTRA ACCOUNTS
+// ============================================
+
+// Seeds are packed into the 32-byte address config: [type, ...args] repeated, 0 terminates
+async function unpackSeeds(config, instructionData, accountKeys, fetchAccountData) {
+  const seeds = [];
+  let offset = 0;
+  while (offset < config.length && config[offset] !== 0) {
+    const type = config[offset];
+    if (type === 1) { // Literal
+      const length = config[offset + 1];
+      seeds.push(config.slice(offset + 2, offset + 2 + length));
+      offset += 2 + length;
+    } else if (type === 2) { // Instruction data slice
+      const index = config[offset + 1];
+      const length = config[offset + 2];
+      seeds.push(instructionData.slice(index, index + length));
+      offset += 3;
+    } else if (type === 3) { // Account key
+      seeds.push(decodeBase58(accountKeys[config[offset + 1]]));
+      offset += 2;
+    } else if (type === 4) { // Account data slice
+      const data = await fetchAccountData(accountKeys[config[offset + 1]]);
+      const dataIndex = config[offset + 2];
+      const length = config[offset + 3];
+      seeds.push(data.slice(dataIndex, dataIndex + length));
+      offset += 4;
+    } else {
+      throw new Error(`Unsupported transfer hook seed type ${type}`);
+    }
+  }
+  return seeds;
+}
+
+/**
+ * Resolve the extra accounts a transfer hook program requires
+ * Returns account metas to append to the transfer instruction: the hook's extra accounts,
+ * then the hook program and its validation account
+ */
+export async function resolveTransferHookAccounts({ rpcUrl, hookProgramId, mint, sourceTokenAccount, destinationTokenAccount, owner, amount }) {
+  const validationAccount = await findProgramAddress(
+    [new TextEncoder().encode(EXTRA_ACCOUNT_METAS_SEED), decodeBase58(mint)],
+    hookProgramId
+  );
+
+  const accountDataCache = new Map();
+  const fetchAccountData = async (address) => {
+    if (!accountDataCache.has(address)) {
+      const result = await rpcCall(rpcUrl, 'getAccountInfo', [address, { encoding: 'base64', commitment: 'confirmed' }]);
+      const b64 = result?.value?.data?.[0];
+      accountDataCache.set(address, b64 ? Uint8Array.from(atob(b64), c => c.charCodeAt(0)) : null);
+    }
+    const data = accountDataCache.get(address);
+    if (!data) throw new Error('Transfer hook account not found');
+    return data;
+  };
+
+  const hookAccounts = [
+    { pubkey: hookProgramId, isSigner: false, isWritable: false },
+    { pubkey: validationAccount, isSigner: false, isWritable: false }
+  ];
+
+  let data;
+  try {
+    data = await fetchAccountData(validationAccount);
+  } catch (e) {
+    // Hook programs without extra accounts may not create the validation account
+    logger.log('[Token2022] No extra account metas for transfer hook:', hookProgramId);
+    return hookAccounts;
+  }
+
+  // TLV entry: [discriminator 8][length u32][count u32][ExtraAccountMeta 35 bytes]...
+  if (!EXECUTE_DISCRIMINATOR.every((b, i) => data[i] === b)) {
+    throw new Error('Transfer hook account data is not in the expected format');
+  }
+  const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+  const count = view.getUint32(12, true);
+
+  const instructionData = new Uint8Array([...EXECUTE_DISCRIMINATOR, ...u64ToBytes(amount)]);
+  // Execute accounts: source, mint, destination, owner, validation, then each resolved extra account
+  const accountKeys = [sourceTokenAccount, mint, destinationTokenAccount, owner, validationAccount];
+  const extraAccounts = [];
+
+  for (let i = 0; i < count; i++) {
+    const entry = data.slice(16 + i * EXTRA_ACCOUNT_META_SIZE, 16 + (i + 1) * EXTRA_ACCOUNT_META_SIZE);
+    const kind = entry[0];
+    const config = entry.slice(1, 33);
+    let pubkey;
+    if (kind === 0) {
+      pubkey = encodeBase58(config);
+    } else if (kind === 1) {
+      pubkey = await findProgramAddress(await unpackSeeds(config, instructionData, accountKeys, fetchAccountData), hookProgramId);
+    } else if (kind === 2) {
+      // Pubkey read from instruction data or from another account's data
+      const raw = config[0] === 1
+        ? instructionData.slice(config[1], config[1] + 32)
+        : (await fetchAccountData(accountKeys[config[1]])).slice(config[2], config[2] + 32);
+      pubkey = encodeBase58(raw);
+    } else if (kind >= 128) {
+      const programId = accountKeys[kind - 128];
+      pubkey = await findProgramAddress(await unpackSeeds(config, instructionData, accountKeys, fetchAccountData), programId);
+    } else {
+      throw new Error(`Unsupported transfer hook account type ${kind}`);
+    }
+    accountKeys.push(pubkey);
+    extraAccounts.push({ pubkey, isSigner: entry[33] === 1, isWritable: entry[34] === 1 });
+  }
+
+  return [...extraAccounts, ...hookAccounts];
+}
+
+/**
+ * Instructions for a Token-2022 transfer: optional memo (immediately before the transfer, as
+ * memo-required accounts demand) then TransferCheckedWithFee for fee mints or TransferChecked otherwise
+ */
+export function createToken2022TransferInstructions({
+  sourceTokenAccount,
+  mint,
+  destinationTokenAccount,
+  owner,
+  amount,
+  decimals,
+  transferFee = null,
+  memo = null,
+  hookAccounts = []
+}) {
+  const instructions = [];
+  if (memo) {
+    instructions.push({
+      programId: MEMO_PROGRAM_ID,
+      keys: [{ pubkey: owner, isSigner: true, isWritable: false }],
+      data: new TextEncoder().encode(memo)
+    });
+  }
+
+  const data = transferFee
+    ? new Uint8Array([TRANSFER_FEE_EXTENSION, TRANSFER_CHECKED_WITH_FEE, ...u64ToBytes(amount), decimals, ...u64ToBytes(transferFee.fee)])
+    : new Uint8Array([TRANSFER_CHECKED, ...u64ToBytes(amount), decimals]);
+
+  instructions.push({
+    programId: TOKEN_2022_PROGRAM_ID,
+    keys: [
+      { pubkey: sourceTokenAccount, isSigner: false, isWritable: true },
+      { pubkey: mint, isSigner: false, isWritable: false },
+      { pubkey: destinationTokenAccount, isSigner: false, isWritable: true },
+      { pubkey: owner, isSigner: true, isWritable: false },
+      ...hookAccounts
+    ],
+    data
+  });
+  return instructions;
+}
@@ -1,7 +1,12 @@
 // Transaction Utilities for Solana/X1 compatible chains
-import { decodeBase58, encodeBase58 } from './base58';
-import { sign } from './bip44';
+import { decodeBase58, encodeBase58 } from './base58.js';
+import { sign } from './bip44.js';
 import { logger } from './logger.js';
+import { decodeInstruction, describeInstruction } from './instructionDecoders.js';
+import { getToken2022TransferInfo, resolveTransferHookAccounts, createToken2022TransferInstructions } from './token2022.js';
+import { applyDurableNonce } from './nonce.js';
+import { applyPriorityFee } from './computeBudget.js';
+import { readCompactU16 } from './transactionDecoder.js';
 
 // System Program ID for transfers
 const SYSTEM_PROGRAM_ID = '11111111111111111111111111111111';
@@ -36,7 +41,9 @@ function decodeToFixedSize(base58Str, size) {
 }
 
 // Create a transfer transaction
-export async function createTransferTransaction({ fromPubkey, toPubkey, lamports, recentBlockhash, privateKey, priorityFee = 0 }) {
+// durableNonce ({ nonceAccount, authority, nonce } from getDurableNonce) replaces recentBlockhash when set
+// With rpcUrl, a priority fee also gets a compute unit limit from simulation
+export async function createTransferTransaction({ fromPubkey, toPubkey, lamports, recentBlockhash, privateKey, priorityFee = 0, durableNonce = null, rpcUrl = null }) {
   try {
     // Decode the private key (stored as base58 encoded 64-byte secret key)
     let secretKey;
@@ -52,7 +59,13 @@ export async function createTransferTransaction({ fromPubkey, toPubkey, lamports
     }
 
     // Build the transaction message (with optional priority fee)
-    const message = buildTransferMessage(fromPubkey, toPubkey, lamports, recentBlockhash, priorityFee);
+    let message = buildTransferMessage(fromPubkey, toPubkey, lamports, recentBlockhash || durableNonce?.nonce, priorityFee);
+    if (priorityFee > 0 && rpcUrl) {
+      message = await applyPriorityFee(message, rpcUrl, priorityFee);
+    }
+    if (durableNonce) {
+      message = applyDurableNonce(message, durableNonce);
+    }
     
     // Sign the message using Ed25519
     const signature = await sign(message, secretKey);
@@ -80,7 +93,10 @@ export async function createTokenTransferTransaction({
   recentBlockhash, 
   privateKey,
   programId,
-  rpcUrl
+  rpcUrl,
+  memo = null, // Token-2022 only: required when the recipient's account demands incoming memos
+  durableNonce = null, // Optional { nonceAccount, authority, nonce } - replaces recentBlockhash
+  priorityFee = 0 // Optional microlamports per compute unit
 }) {
   try {
     logger.log('=== TOKEN TRANSFER START ===');
@@ -169,9 +185,25 @@ export async function createTokenTransferTransaction({
       throw new Error('Derived ATA matches mint address - invalid derivation');
     }
     
-    // Build the appropriate message
+    // Build the appropriate message (the nonce stands in for the blockhash until applyDurableNonce)
+    const blockhash = recentBlockhash || durableNonce?.nonce;
     let message;
-    if (needsCreateATA) {
+    if (tokenProgramId === TOKEN_2022_PROGRAM_ID && rpcUrl) {
+      // Token-2022 extensions (fees, hooks, memo-required) need TransferChecked-style instructions
+      ({ message } = await buildToken2022TransferMessage({
+        fromPubkey,
+        toPubkey,
+        fromTokenAccount,
+        toTokenAccount,
+        needsCreateATA,
+        mint,
+        amount,
+        recentBlockhash: blockhash,
+        rpcUrl,
+        memo
+      }));
+      logger.log('Built Token-2022 transfer');
+    } else if (needsCreateATA) {
       // Include CreateAssociatedTokenAccount instruction before transfer
       message = buildTokenTransferWithCreateATAMessage({
         fromPubkey,
@@ -180,7 +212,7 @@ export async function createTokenTransferTransaction({
         toTokenAccount,
         mint,
         amount,
-        recentBlockhash,
+        recentBlockhash: blockhash,
         tokenProgramId
       });
       logger.log('Built transfer WITH ATA creation (2 instructions)');
@@ -191,12 +223,19 @@ export async function createTokenTransferTransaction({
         fromTokenAccount,
         toTokenAccount,
         amount,
-        recentBlockhash,
+        recentBlockhash: blockhash,
         tokenProgramId
       });
       logger.log('Built simple transfer (1 instruction)');
     }
     
+    if (priorityFee > 0) {
+      message = await applyPriorityFee(message, rpcUrl, priorityFee);
+    }
+    if (durableNonce) {
+      message = applyDurableNonce(message, durableNonce);
+    }
+    
     // Sign the message
     const signature = await sign(message, secretKey);
     
@@ -1376,6 +1415,79 @@ export function buildTokenTransferMessageForHardware({
   }
 }
 
+/**
+ * Build a Token-2022 transfer message that honours the mint's and accounts' extensions
+ * Used for both software and hardware signing
+ * @returns {Promise<Object>} { message, transferInfo } - transferInfo from getToken2022TransferInfo
+ * @throws When the transfer can't succeed (non-transferable, frozen, paused) or a required memo is missing
+ */
+export async function buildToken2022TransferMessage({
+  fromPubkey,
+  toPubkey,
+  fromTokenAccount,
+  toTokenAccount,
+  needsCreateATA = false,
+  mint,
+  amount,
+  recentBlockhash,
+  rpcUrl,
+  memo = null
+}) {
+  const transferInfo = await getToken2022TransferInfo({
+    rpcUrl,
+    mint,
+    sourceTokenAccount: fromTokenAccount,
+    destinationTokenAccount: needsCreateATA ? null : toTokenAccount,
+    amount
+  });
+  if (transferInfo.memoRequired && !memo) {
+    throw new Error('The recipient requires a memo on incoming transfers. Add a memo and try again.');
+  }
+
+  const hookAccounts = transferInfo.transferHookProgramId
+    ? await resolveTransferHookAccounts({
+        rpcUrl,
+        hookProgramId: transferInfo.transferHookProgramId,
+        mint,
+        sourceTokenAccount: fromTokenAccount,
+        destinationTokenAccount: toTokenAccount,
+        owner: fromPubkey,
+        amount
+      })
+    : [];
+
+  const instructions = [];
+  if (needsCreateATA) {
+    // CreateIdempotent (instruction 1)
+    instructions.push({
+      programId: ASSOCIATED_TOKEN_PROGRAM_ID,
+      keys: [
+        { pubkey: fromPubkey, isSigner: true, isWritable: true },
+        { pubkey: toTokenAccount, isSigner: false, isWritable: true },
+        { pubkey: toPubkey, isSigner: false, isWritable: false },
+        { pubkey: mint, isSigner: false, isWritable: false },
+        { pubkey: SYSTEM_PROGRAM_ID, isSigner: false, isWritable: false },
+        { pubkey: TOKEN_2022_PROGRAM_ID, isSigner: false, isWritable: false }
+      ],
+      data: new Uint8Array([1])
+    });
+  }
+  instructions.push(...createToken2022TransferInstructions({
+    sourceTokenAccount: fromTokenAccount,
+    mint,
+    destinationTokenAccount: toTokenAccount,
+    owner: fromPubkey,
+    amount,
+    decimals: transferInfo.decimals,
+    transferFee: transferInfo.transferFee,
+    memo,
+    hookAccounts
+  }));
+
+  const message = buildTransaction({ feePayer: fromPubkey, recentBlockhash, instructions });
+  return { message, transferInfo };
+}
+
 // Serialize transaction with signature
 export function serializeTransaction(signature, message) {
   const tx = new Uint8Array(1 + 64 + message.length);
@@ -1760,11 +1872,16 @@ function parseTransaction(txData, walletAddress, signature, network = '') {
     ];
     
     let dappProgram = null;
+    let dappInstruction = null;
     if (instructions.length > 2 || innerInstructions.length > 0) {
       for (const inst of instructions) {
         const programId = inst.programId || (typeof inst.program === 'string' ? inst.program : inst.program?.pubkey);
         if (programId && !simplePrograms.includes(programId)) {
           dappProgram = programId;
+          // jsonParsed leaves programs the RPC doesn't know as base58 data + account list
+          if (typeof inst.data === 'string') {
+            dappInstruction = decodeInstruction({ programId, accounts: inst.accounts || [], data: decodeBase58(inst.data) });
+          }
           break;
         }
       }
@@ -1778,7 +1895,9 @@ function parseTransaction(txData, walletAddress, signature, network = '') {
       status: meta.err ? 'failed' : 'confirmed',
       fee: (meta.fee || 0) / 1e9,
       source: 'blockchain',
-      dappProgram
+      dappProgram,
+      dappProgramName: dappInstruction?.programName !== 'Unknown Program' ? dappInstruction?.programName : null,
+      dappDescription: dappInstruction?.instructionType ? describeInstruction(dappInstruction) : null
     };
     
     // Handle stake reward (same token in/out, net positive) - show as receive with net amount
@@ -1890,7 +2009,8 @@ function parseTransaction(txData, walletAddress, signature, network = '') {
 }
 
 /**
- * Modify the priority fee (ComputeUnitPrice) in a transaction
+ * Set the priority fee (ComputeUnitPrice) in a transaction, with a simulated compute unit limit
+ * The blockhash is refreshed as well, since the message has to be re-signed anyway.
  * @param {Uint8Array} messageBytes - Transaction message bytes (without signature prefix)
  * @param {number} priorityMicroLamports - Priority fee in microlamports
  * @param {string} rpcUrl - RPC endpoint to get fresh blockhash
@@ -1898,122 +2018,33 @@ function parseTransaction(txData, walletAddress, signature, network = '') {
  */
 async function modifyTransactionPriorityFee(messageBytes, priorityMicroLamports, rpcUrl) {
   try {
-    // Check if this is a versioned transaction (v0)
-    const isVersioned = messageBytes[0] === 0x80;
-    let offset = isVersioned ? 1 : 0;
-    
-    // Read header
-    const numRequiredSigs = messageBytes[offset];
-    const numReadonlySigned = messageBytes[offset + 1];
-    const numReadonlyUnsigned = messageBytes[offset + 2];
-    offset += 3;
-    
-    // Read number of account keys
-    const numAccountKeys = messageBytes[offset];
-    offset += 1;
-    
-    // Find ComputeBudget program index in account keys
-    let computeBudgetIndex = -1;
-    const computeBudgetPubkey = decodeBase58(COMPUTE_BUDGET_PROGRAM_ID);
-    
-    for (let i = 0; i < numAccountKeys; i++) {
-      const keyStart = offset + (i * 32);
-      const key = messageBytes.slice(keyStart, keyStart + 32);
-      
-      // Compare with ComputeBudget program ID
-      let match = true;
-      for (let j = 0; j < 32; j++) {
-        if (key[j] !== computeBudgetPubkey[j]) {
-          match = false;
-          break;
-        }
-      }
-      if (match) {
-        computeBudgetIndex = i;
-        break;
-      }
-    }
-    
-    if (computeBudgetIndex === -1) {
-      logger.log('[Priority Fee] ComputeBudget program not found in transaction');
-      return messageBytes; // Return unchanged
-    }
+    const modifiedMessage = await applyPriorityFee(messageBytes, rpcUrl, priorityMicroLamports);
+    logger.log('[Priority Fee] Updated priority fee to', priorityMicroLamports, 'microlamports');
     
-    // Skip account keys
-    offset += numAccountKeys * 32;
+    // Blockhash follows the header and account keys
+    let offset = (modifiedMessage[0] & 0x80) ? 4 : 3;
+    const numAccountKeys = readCompactU16(modifiedMessage, offset);
+    offset += numAccountKeys.bytesRead + numAccountKeys.value * 32;
     
-    // Skip blockhash (32 bytes) - we'll update it later
-    const blockhashOffset = offset;
-    offset += 32;
-    
-    // Read number of instructions
-    const numInstructions = messageBytes[offset];
-    offset += 1;
+    // Get fresh blockhash
+    const blockhashResponse = await fetch(rpcUrl, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        jsonrpc: '2.0',
+        id: 1,
+        method: 'getLatestBlockhash',
+        params: [{ commitment: 'finalized' }]
+      })
+    });
+    const blockhashResult = await blockhashResponse.json();
     
-    // Search for SetComputeUnitPrice instruction (discriminator 0x03)
-    for (let i = 0; i < numInstructions; i++) {
-      const programIndex = messageBytes[offset];
-      offset += 1;
-      
-      // Read number of account indices (compact-u16, but typically small)
-      const numAccounts = messageBytes[offset];
-      offset += 1;
-      
-      // Skip account indices
-      offset += numAccounts;
-      
-      // Read data length (compact-u16, but typically small)
-      const dataLen = messageBytes[offset];
-      offset += 1;
-      
-      // Check if this is ComputeBudget SetComputeUnitPrice
-      if (programIndex === computeBudgetIndex && dataLen === 9 && messageBytes[offset] === 0x03) {
-        // Found SetComputeUnitPrice instruction!
-        // Data format: [0x03 (discriminator), u64 microlamports (8 bytes LE)]
-        logger.log('[Priority Fee] Found SetComputeUnitPrice at offset', offset);
-        
-        // Create modified message
-        const modifiedMessage = new Uint8Array(messageBytes);
-        
-        // Write new priority fee (u64 little-endian) at offset+1
-        const feeBytes = new BigUint64Array([BigInt(priorityMicroLamports)]);
-        const feeView = new Uint8Array(feeBytes.buffer);
-        for (let j = 0; j < 8; j++) {
-          modifiedMessage[offset + 1 + j] = feeView[j];
-        }
-        
-        logger.log('[Priority Fee] Updated priority fee to', priorityMicroLamports, 'microlamports');
-        
-        // Get fresh blockhash
-        const blockhashResponse = await fetch(rpcUrl, {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({
-            jsonrpc: '2.0',
-            id: 1,
-            method: 'getLatestBlockhash',
-            params: [{ commitment: 'finalized' }]
-          })
-        });
-        const blockhashResult = await blockhashResponse.json();
-        
-        if (blockhashResult.result?.value?.blockhash) {
-          const newBlockhash = decodeBase58(blockhashResult.result.value.blockhash);
-          for (let j = 0; j < 32; j++) {
-            modifiedMessage[blockhashOffset + j] = newBlockhash[j];
-          }
-          logger.log('[Priority Fee] Updated blockhash');
-        }
-        
-        return modifiedMessage;
-      }
-      
-      // Skip instruction data
-      offset += dataLen;
+    if (blockhashResult.result?.value?.blockhash) {
+      modifiedMessage.set(decodeBase58(blockhashResult.result.value.blockhash), offset);
+      logger.log('[Priority Fee] Updated blockhash');
     }
     
-    logger.log('[Priority Fee] SetComputeUnitPrice instruction not found');
-    return messageBytes;
+    return modifiedMessage;
   } catch (error) {
     logger.error('[Priority Fee] Error modifying priority fee:', error);
     return messageBytes; // Return unchanged on error
@@ -0,0 +1,353 @@
+// Transaction decoder
+// Turns raw (legacy or V0) transaction bytes into accounts and decoded instructions for review screens:
+// dApp approval and offline signing both show the user exactly what they're about to sign
+import { encodeBase58 } from './base58.js';
+import { logger } from './logger.js';
+import { decodeInstruction as decodeProgramInstruction } from './instructionDecoders.js';
+
+/**
+ * Read a compact-u16 encoded value from a buffer
+ * Solana uses compact-u16 for array lengths and other variable-length integers
+ */
+export function readCompactU16(buffer, offset) {
+  let value = 0;
+  let shift = 0;
+  let bytesRead = 0;
+  
+  while (offset + bytesRead < buffer.length) {
+    const byte = buffer[offset + bytesRead];
+    bytesRead++;
+    
+    value |= (byte & 0x7f) << shift;
+    
+    if ((byte & 0x80) === 0) {
+      break;
+    }
+    shift += 7;
+    
+    // Prevent infinite loop
+    if (bytesRead > 3) break;
+  }
+  
+  return { value, bytesRead };
+}
+
+/**
+ * Detect if transaction is versioned (V0) or legacy
+ */
+function isVersionedTransaction(txBytes, messageStart) {
+  // In versioned transactions, the first byte of the message has the high bit set
+  // and the lower 7 bits indicate the version (0 for V0)
+  const firstMessageByte = txBytes[messageStart];
+  // Check if high bit is set (0x80) - indicates versioned transaction
+  return (firstMessageByte & 0x80) !== 0;
+}
+
+// Address Lookup Table program and account layout
+const ADDRESS_LOOKUP_TABLE_PROGRAM_ID = 'AddressLookupTab1e1111111111111111111111111';
+const LOOKUP_TABLE_META_SIZE = 56;
+
+/**
+ * Fetch Address Lookup Table accounts and return their address lists
+ * @param {string} rpcUrl - RPC endpoint
+ * @param {string[]} tableKeys - Lookup table account addresses
+ * @returns {Promise<Object>} Map of table address -> array of base58 addresses (missing tables omitted)
+ */
+export async function fetchLookupTables(rpcUrl, tableKeys) {
+  const response = await fetch(rpcUrl, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      jsonrpc: '2.0',
+      id: 1,
+      method: 'getMultipleAccounts',
+      params: [tableKeys, { encoding: 'base64', commitment: 'confirmed' }]
+    })
+  });
+  const data = await response.json();
+  if (data.error) throw new Error(data.error.message);
+  
+  const tables = {};
+  (data.result?.value || []).forEach((account, i) => {
+    // Only trust accounts actually owned by the lookup table program
+    if (!account || account.owner !== ADDRESS_LOOKUP_TABLE_PROGRAM_ID) return;
+    const raw = Uint8Array.from(atob(account.data[0]), c => c.charCodeAt(0));
+    const addresses = [];
+    for (let offset = LOOKUP_TABLE_META_SIZE; offset + 32 <= raw.length; offset += 32) {
+      addresses.push(encodeBase58(raw.slice(offset, offset + 32)));
+    }
+    tables[tableKeys[i]] = addresses;
+  });
+  return tables;
+}
+
+/**
+ * Decode transaction to show user-friendly details (X1W-003)
+ * Supports both legacy and versioned (V0) transaction formats
+ * @param {Uint8Array} txBytes - Raw transaction bytes
+ * @param {Object} [lookupTables] - Resolved lookup tables (see fetchLookupTables) for V0 messages
+ * @returns {Object} Decoded transaction details
+ */
+export function decodeTransaction(txBytes, lookupTables = null) {
+  try {
+    // Read number of signatures using compact-u16
+    const sigCountResult = readCompactU16(txBytes, 0);
+    const numSignatures = sigCountResult.value;
+    const messageStart = sigCountResult.bytesRead + (numSignatures * 64);
+    
+    if (messageStart >= txBytes.length) {
+      return { success: false, error: 'Invalid transaction: message start beyond buffer', raw: true };
+    }
+    
+    const message = txBytes.slice(messageStart);
+    
+    // Detect versioned vs legacy transaction
+    const isVersioned = isVersionedTransaction(txBytes, messageStart);
+    
+    let accountKeys = [];
+    let instructions = [];
+    let offset = 0;
+    let numRequiredSignatures = 0;
+    let numReadonlySignedAccounts = 0;
+    let numReadonlyUnsignedAccounts = 0;
+    let hasAddressLookupTables = false;
+    let addressTableLookups = [];
+    let lookupTablesResolved = null;
+    let numLoadedAddresses = 0;
+    
+    if (isVersioned) {
+      // Versioned transaction (V0)
+      const version = message[0] & 0x7f; // Lower 7 bits are version
+      offset = 1;
+      
+      if (version !== 0) {
+        // We only support V0 for now
+        return {
+          success: true,
+          isVersioned: true,
+          version,
+          instructions: [{ programName: `Versioned Transaction (V${version})`, isKnownSafe: true }],
+          hasUnknownPrograms: false,
+          note: `Transaction version ${version} - details not fully decoded`
+        };
+      }
+      
+      // Parse V0 message header
+      numRequiredSignatures = message[offset];
+      numReadonlySignedAccounts = message[offset + 1];
+      numReadonlyUnsignedAccounts = message[offset + 2];
+      offset += 3;
+      
+      // Read static account keys using compact-u16 length
+      const staticKeysResult = readCompactU16(message, offset);
+      const numStaticKeys = staticKeysResult.value;
+      offset += staticKeysResult.bytesRead;
+      
+      for (let i = 0; i < numStaticKeys && offset + 32 <= message.length; i++) {
+        const key = message.slice(offset, offset + 32);
+        accountKeys.push(encodeBase58(key));
+        offset += 32;
+      }
+      
+      // Skip recent blockhash (32 bytes)
+      offset += 32;
+      
+      // Parse instructions using compact-u16 for counts
+      // Decoding waits until lookup tables are parsed - indexes may point at loaded addresses
+      const rawInstructions = [];
+      const numInstructionsResult = readCompactU16(message, offset);
+      const numInstructions = numInstructionsResult.value;
+      offset += numInstructionsResult.bytesRead;
+      
+      for (let i = 0; i < numInstructions && offset < message.length; i++) {
+        const programIdIndex = message[offset];
+        offset += 1;
+        
+        const numAccountsResult = readCompactU16(message, offset);
+        const numAccounts = numAccountsResult.value;
+        offset += numAccountsResult.bytesRead;
+        
+        const accountIndices = [];
+        for (let j = 0; j < numAccounts && offset < message.length; j++) {
+          accountIndices.push(message[offset]);
+          offset += 1;
+        }
+        
+        const dataLenResult = readCompactU16(message, offset);
+        const dataLen = dataLenResult.value;
+        offset += dataLenResult.bytesRead;
+        
+        const data = message.slice(offset, offset + dataLen);
+        offset += dataLen;
+        
+        rawInstructions.push({ programIdIndex, accountIndices, data });
+      }
+      
+      // Parse address table lookups (after instructions)
+      if (offset < message.length) {
+        const numALTsResult = readCompactU16(message, offset);
+        offset += numALTsResult.bytesRead;
+        
+        for (let i = 0; i < numALTsResult.value && offset + 32 <= message.length; i++) {
+          const accountKey = encodeBase58(message.slice(offset, offset + 32));
+          offset += 32;
+          
+          const writableResult = readCompactU16(message, offset);
+          offset += writableResult.bytesRead;
+          const writableIndexes = Array.from(message.slice(offset, offset + writableResult.value));
+          offset += writableResult.value;
+          
+          const readonlyResult = readCompactU16(message, offset);
+          offset += readonlyResult.bytesRead;
+          const readonlyIndexes = Array.from(message.slice(offset, offset + readonlyResult.value));
+          offset += readonlyResult.value;
+          
+          addressTableLookups.push({ accountKey, writableIndexes, readonlyIndexes });
+        }
+        hasAddressLookupTables = addressTableLookups.length > 0;
+      }
+      
+      // Loaded addresses follow the static keys: all writable (table order), then all readonly.
+      // Unresolved entries stay null so they show up as unknown, never as safe.
+      if (hasAddressLookupTables) {
+        const loadedWritable = [];
+        const loadedReadonly = [];
+        let allResolved = !!lookupTables;
+        for (const lookup of addressTableLookups) {
+          const table = lookupTables?.[lookup.accountKey];
+          for (const idx of lookup.writableIndexes) {
+            const address = table?.[idx] || null;
+            if (!address) allResolved = false;
+            loadedWritable.push(address);
+          }
+          for (const idx of lookup.readonlyIndexes) {
+            const address = table?.[idx] || null;
+            if (!address) allResolved = false;
+            loadedReadonly.push(address);
+          }
+        }
+        numLoadedAddresses = loadedWritable.length + loadedReadonly.length;
+        accountKeys = [...accountKeys, ...loadedWritable, ...loadedReadonly];
+        lookupTablesResolved = allResolved;
+      }
+      
+      for (const raw of rawInstructions) {
+        const programId = accountKeys[raw.programIdIndex] || null;
+        const instruction = decodeInstruction(programId, raw.accountIndices, raw.data, accountKeys);
+        if (!programId && raw.programIdIndex < accountKeys.length) {
+          instruction.note = 'Program loaded from an unresolved Address Lookup Table';
+        }
+        instructions.push(instruction);
+      }
+      
+    } else {
+      // Legacy transaction format
+      numRequiredSignatures = message[0];
+      numReadonlySignedAccounts = message[1];
+      numReadonlyUnsignedAccounts = message[2];
+      
+      // Read number of accounts using compact-u16
+      const numAccountsResult = readCompactU16(message, 3);
+      const numAccounts = numAccountsResult.value;
+      offset = 3 + numAccountsResult.bytesRead;
+      
+      for (let i = 0; i < numAccounts && offset + 32 <= message.length; i++) {
+        const key = message.slice(offset, offset + 32);
+        accountKeys.push(encodeBase58(key));
+        offset += 32;
+      }
+      
+      // Skip recent blockhash (32 bytes)
+      offset += 32;
+      
+      // Parse instructions
+      const numInstructionsResult = readCompactU16(message, offset);
+      const numInstructions = numInstructionsResult.value;
+      offset += numInstructionsResult.bytesRead;
+      
+      for (let i = 0; i < numInstructions && offset < message.length; i++) {
+        const programIdIndex = message[offset];
+        offset += 1;
+        
+        const numAccountsResult = readCompactU16(message, offset);
+        const numAccountIndices = numAccountsResult.value;
+        offset += numAccountsResult.bytesRead;
+        
+        const accountIndices = [];
+        for (let j = 0; j < numAccountIndices && offset < message.length; j++) {
+          accountIndices.push(message[offset]);
+          offset += 1;
+        }
+        
+        const dataLenResult = readCompactU16(message, offset);
+        const dataLen = dataLenResult.value;
+        offset += dataLenResult.bytesRead;
+        
+        const data = message.slice(offset, offset + dataLen);
+        offset += dataLen;
+        
+        const programId = programIdIndex < accountKeys.length 
+          ? accountKeys[programIdIndex] 
+          : null;
+        
+        const instruction = decodeInstruction(programId, accountIndices, data, accountKeys);
+        instructions.push(instruction);
+      }
+    }
+    
+    return {
+      success: true,
+      isVersioned,
+      numSignatures,
+      numAccounts: accountKeys.length,
+      accounts: accountKeys,
+      instructions,
+      hasUnknownPrograms: instructions.some(i => !i.isKnownSafe),
+      // Known programs can still hand over control of assets (approvals, authority changes, delegations)
+      hasWarnings: instructions.some(i => i.warning),
+      hasAddressLookupTables,
+      addressTableLookups,
+      numLoadedAddresses,
+      lookupTablesResolved, // null = no lookups, false = pending/failed, true = every loaded address resolved
+      estimatedFee: null // Will be calculated in display using getBaseFee(network) * numSignatures
+    };
+  } catch (e) {
+    logger.error('[decodeTransaction] Error:', e);
+    return {
+      success: false,
+      error: 'Could not decode transaction',
+      raw: true
+    };
+  }
+}
+
+/**
+ * Decode a single instruction using the shared decoder registry
+ */
+function decodeInstruction(programId, accountIndices, data, accountKeys) {
+  const instruction = decodeProgramInstruction({
+    programId,
+    accounts: accountIndices.map(idx => accountKeys[idx] || `Index ${idx}`),
+    data
+  });
+  // Program ID couldn't be resolved (unresolved lookup table or malformed index) - never assume safe
+  if (!programId) {
+    instruction.note = 'Program could not be resolved';
+  }
+  return instruction;
+}
+
+/**
+ * Decode a transaction, resolving its lookup tables first when it has any
+ */
+export async function decodeWithLookupTables(txBytes, rpcUrl) {
+  const decoded = decodeTransaction(txBytes);
+  if (!decoded.addressTableLookups?.length) return decoded;
+  try {
+    const tables = await fetchLookupTables(rpcUrl, decoded.addressTableLookups.map(l => l.accountKey));
+    return decodeTransaction(txBytes, tables);
+  } catch (e) {
+    logger.warn('[TxDecoder] Lookup tables unavailable:', e.message);
+    return decoded;
+  }
+}
@@ -0,0 +1,41 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { encode, decode, isValid, validateAddress } from '../src/utils/base58.js';
+
+// 32 zero bytes - the System Program, and the default pubkey in account data
+const SYSTEM_PROGRAM_ID = '11111111111111111111111111111111';
+
+test('encodes all-zero bytes as one 1 per byte', () => {
+  assert.equal(encode(new Uint8Array(32)), SYSTEM_PROGRAM_ID);
+  assert.equal(encode(new Uint8Array(1)), '1');
+  assert.equal(encode(new Uint8Array(0)), '');
+});
+
+test('decodes all-1 strings to the same number of zero bytes', () => {
+  assert.deepEqual(decode(SYSTEM_PROGRAM_ID), new Uint8Array(32));
+  assert.deepEqual(decode('1'), new Uint8Array(1));
+  assert.deepEqual(decode(''), new Uint8Array(0));
+});
+
+test('keeps leading zero bytes as leading 1s', () => {
+  assert.equal(encode(new Uint8Array([0, 0, 1])), '112');
+  assert.deepEqual(decode('112'), new Uint8Array([0, 0, 1]));
+
+  const key = new Uint8Array(32).fill(255);
+  key[0] = 0;
+  const encoded = encode(key);
+  assert.equal(encoded[0], '1');
+  assert.deepEqual(decode(encoded), key);
+});
+
+test('round-trips bytes with no leading zeros', () => {
+  assert.equal(encode(new Uint8Array([1])), '2');
+  assert.equal(encode(new Uint8Array([58])), '21');
+  const key = Uint8Array.from({ length: 32 }, (_, i) => i + 1);
+  assert.deepEqual(decode(encode(key)), key);
+});
+
+test('accepts the System Program address as a valid address', () => {
+  assert.equal(isValid(SYSTEM_PROGRAM_ID), true);
+  assert.equal(validateAddress(SYSTEM_PROGRAM_ID).valid, true);
+});
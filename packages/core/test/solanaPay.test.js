@@ -0,0 +1,34 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseSolanaPayUrl, buildSolanaPayUrl } from '../src/utils/solanaPay.js';
+
+const RECIPIENT = 'mvines9iiHiQTysrwkJjGf2gb9Ex9jXJX8ns3qwf2kN';
+const USDC_MINT = 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v';
+
+test('parses a transfer request', () => {
+  const request = parseSolanaPayUrl(`solana:${RECIPIENT}?amount=0.01&spl-token=${USDC_MINT}&label=Shop&memo=Order%201`);
+  assert.equal(request.recipient, RECIPIENT);
+  assert.equal(request.amount, '0.01');
+  assert.equal(request.splToken, USDC_MINT);
+  assert.equal(request.label, 'Shop');
+  assert.equal(request.memo, 'Order 1');
+});
+
+test('round-trips a built request', () => {
+  const url = buildSolanaPayUrl({ recipient: RECIPIENT, amount: '1.5', message: 'Thanks!' });
+  const request = parseSolanaPayUrl(url);
+  assert.equal(request.amount, '1.5');
+  assert.equal(request.message, 'Thanks!');
+});
+
+test('rejects malformed percent-encoding as an invalid recipient', () => {
+  assert.throws(() => parseSolanaPayUrl('solana:%E0%A4%A'), {
+    name: 'Error',
+    message: /^Invalid recipient/
+  });
+});
+
+test('rejects bad amounts and transaction requests', () => {
+  assert.throws(() => parseSolanaPayUrl(`solana:${RECIPIENT}?amount=1e3`), /Invalid amount/);
+  assert.throws(() => parseSolanaPayUrl('solana:https%3A%2F%2Fexample.com'), /not supported/);
+});
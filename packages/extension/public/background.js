@@ -22,27 +22,55 @@ const MAX_REQUESTS_PER_MINUTE = 30;
 const MAX_PENDING_PER_ORIGIN = 5;
 const RATE_LIMIT_WINDOW_MS = 60 * 1000;
 
-// Known phishing domains - update this list regularly
-const KNOWN_PHISHING_DOMAINS = new Set([
-  'phantom-wallet.com',
-  'phantomwallet.io', 
-  'solanawallet.com',
-  'sollet-wallet.com',
-  'phantom-app.com',
-  'solflare-wallet.com',
-  'x1wallet.com',
-  'x1-wallet.com',
-  'x1wallet.io',
-  'x1-wallet.io'
-]);
-
-// Suspicious URL patterns that may indicate phishing
-const SUSPICIOUS_PATTERNS = [
-  /phantom.*wallet/i,
-  /free.*airdrop/i,
-  /claim.*token/i,
-  /connect.*wallet.*verify/i
-];
+// Phishing blocklist - the bundled list is the fallback until a newer version is fetched
+// from the configured URL. Lists are { version, domains, patterns, allowlist }.
+const BLOCKLIST_STORAGE_KEY = 'x1wallet_blocklist';
+const BLOCKLIST_URL_KEY = 'x1wallet_blocklist_url';
+const PHISHING_ALLOWLIST_KEY = 'x1wallet_phishing_allowlist';
+const DEFAULT_BLOCKLIST_URL = 'https://core.x1.xyz/blocklist.json';
+const BLOCKLIST_REFRESH_MS = 6 * 60 * 60 * 1000; // 6 hours
+const BLOCKLIST_RETRY_MS = 10 * 60 * 1000; // After a failed fetch
+const MAX_BLOCKLIST_PATTERN_LENGTH = 200;
+
+const BUNDLED_BLOCKLIST = {
+  version: 1,
+  domains: [
+    'phantom-wallet.com',
+    'phantomwallet.io',
+    'solanawallet.com',
+    'sollet-wallet.com',
+    'phantom-app.com',
+    'solflare-wallet.com',
+    'x1wallet.com',
+    'x1-wallet.com',
+    'x1wallet.io',
+    'x1-wallet.io'
+  ],
+  // Suspicious URL patterns that may indicate phishing
+  patterns: [
+    'phantom.*wallet',
+    'free.*airdrop',
+    'claim.*token',
+    'connect.*wallet.*verify'
+  ],
+  allowlist: []
+};
+
+// Brands protected against lookalike domains, with the domains allowed to use them
+const PROTECTED_BRANDS = {
+  xdex: ['xdex.xyz'],
+  x1: ['x1.xyz'],
+  phantom: ['phantom.app', 'phantom.com']
+};
+
+// Non-Latin characters that render like Latin letters (Cyrillic, Greek, Latin extensions)
+const CONFUSABLE_CHARS = {
+  'а': 'a', 'ɑ': 'a', 'α': 'a', 'Ь': 'b', 'с': 'c', 'ϲ': 'c', 'ԁ': 'd', 'е': 'e', 'ε': 'e',
+  'ɡ': 'g', 'һ': 'h', 'і': 'i', 'ı': 'i', 'ɩ': 'i', 'ι': 'i', 'ј': 'j', 'κ': 'k', 'к': 'k',
+  'ӏ': 'l', 'ℓ': 'l', 'ո': 'n', 'о': 'o', 'ο': 'o', 'օ': 'o', 'р': 'p', 'ρ': 'p', 'ԛ': 'q',
+  'ѕ': 's', 'τ': 't', 'υ': 'u', 'ս': 'u', 'ν': 'v', 'ѵ': 'v', 'ԝ': 'w', 'х': 'x', 'χ': 'x',
+  'у': 'y', 'γ': 'y', 'ʐ': 'z'
+};
 
 // ============================================================================
 // End security constants
@@ -220,20 +248,17 @@ async function isSiteConnected(origin) {
   
   if (!siteData) return false;
   
-  // Check session timeout
-  if (siteData.connectedAt) {
-    const sessionAge = Date.now() - siteData.connectedAt;
-    if (sessionAge > SESSION_TIMEOUT_MS) {
-      // Session expired - remove connection
-      console.log('[Background] Session expired for:', origin);
-      delete sites[origin];
-      await saveConnectedSites(sites);
-      return false;
-    }
+  // Check session expiry (chosen at connect time, SESSION_TIMEOUT_MS for older connections)
+  if (siteData.connectedAt && Date.now() > getSitePermissions(siteData).expiresAt) {
+    // Session expired - remove connection
+    console.log('[Background] Session expired for:', origin);
+    delete sites[origin];
+    await saveConnectedSites(sites);
+    return false;
   }
   
   // X1W-SEC-PATCH: Re-check if domain has become a known phishing site since connection
-  const phishingCheck = isPhishingDomain(origin);
+  const phishingCheck = await checkPhishing(origin);
   if (phishingCheck.isPhishing) {
     console.warn('[Background] Previously connected site now flagged as phishing:', origin, phishingCheck.reason);
     delete sites[origin];
@@ -275,6 +300,370 @@ async function updateLastSensitiveOp(origin) {
   }
 }
 
+// ============================================================================
+// Site permissions and daily spend caps
+// getSitePermissions() mirrors core/services/sitePermissions.js - background can't import core
+// ============================================================================
+
+const MAX_SITE_EXPIRY_MS = 30 * 24 * 60 * 60 * 1000; // Longest expiry offered at connect time
+
+// RPC endpoints per network in failover order, active one first - mirrored by core/services/rpcEndpoints.js
+const RPC_ENDPOINT_ORDER_KEY = 'x1wallet_rpcEndpointOrder';
+
+// Built-in endpoints (NETWORKS[name].rpcUrls in core), for networks the wallet hasn't mirrored yet
+const NETWORK_RPC_URLS = {
+  'X1 Mainnet': ['https://rpc.mainnet.x1.xyz'],
+  'X1 Testnet': ['https://rpc.testnet.x1.xyz'],
+  'Solana Mainnet': ['https://jessamine-463apc-fast-mainnet.helius-rpc.com', 'https://api.mainnet-beta.solana.com'],
+  'Solana Devnet': ['https://rose-l3rk46-fast-devnet.helius-rpc.com', 'https://api.devnet.solana.com']
+};
+
+const SYSTEM_PROGRAM_ID = '11111111111111111111111111111111';
+const TOKEN_PROGRAM_IDS = [
+  'TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA',
+  'TokenzQdBNbLqP5VEhdkAS6EPFLC1PHnBqCXEpPxuEb'
+];
+const BASE58_ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+
+// Permissions for a stored site, with defaults for sites connected before permissions existed
+function getSitePermissions(site) {
+  const permissions = (site && site.permissions) || {};
+  return {
+    accounts: permissions.accounts || (site && site.publicKey ? [site.publicKey] : []),
+    networks: permissions.networks || null, // null = every network
+    signMessage: permissions.signMessage !== false,
+    expiresAt: permissions.expiresAt || (((site && site.connectedAt) || 0) + SESSION_TIMEOUT_MS),
+    spendLimit: permissions.spendLimit || null
+  };
+}
+
+// Build the stored record for an approved connect/signIn, keeping accounts and caps already granted
+function buildConnectedSite(existing, publicKey, granted = {}) {
+  const previous = existing ? getSitePermissions(existing) : null;
+  const now = Date.now();
+  const expiresInMs = Number(granted.expiresInMs) > 0
+    ? Math.min(Number(granted.expiresInMs), MAX_SITE_EXPIRY_MS)
+    : SESSION_TIMEOUT_MS;
+  // Accounts picked in the approval popup replace the shared list; signIn keeps what was shared
+  const accounts = Array.isArray(granted.accounts) && granted.accounts.length > 0
+    ? granted.accounts.filter(a => typeof a === 'string')
+    : (previous ? previous.accounts : []);
+  const networks = Array.isArray(granted.networks)
+    ? granted.networks.filter(n => typeof n === 'string')
+    : (previous ? previous.networks : null);
+  
+  return {
+    connectedAt: now,
+    lastSensitiveOp: now,
+    publicKey,
+    permissions: {
+      accounts: Array.from(new Set([publicKey, ...accounts])),
+      networks: networks && networks.length > 0 ? networks : null,
+      signMessage: typeof granted.signMessage === 'boolean' ? granted.signMessage : (previous ? previous.signMessage : true),
+      expiresAt: now + expiresInMs,
+      spendLimit: previous ? previous.spendLimit : null
+    },
+    spent: existing ? existing.spent : undefined
+  };
+}
+
+// Accounts shared with a site, with the account the dApp sees as primary first
+function getSharedAccounts(site, primary) {
+  const accounts = getSitePermissions(site).accounts;
+  return primary ? [primary, ...accounts.filter(a => a !== primary)] : accounts;
+}
+
+// Whether the active account is one this site was given
+async function isAccountShared(origin) {
+  const sites = await getConnectedSites();
+  const wallet = await getActiveWallet();
+  if (!wallet) return true; // Wallet not loaded yet - fall back to the stored connection
+  return getSitePermissions(sites[origin]).accounts.includes(wallet.publicKey);
+}
+
+// Check account, network and message-signing permissions before a request reaches the popup
+// Returns the account that signs: the one the dApp named, or the site's primary account
+async function checkSitePermissions(origin, method, account) {
+  const sites = await getConnectedSites();
+  const site = sites[origin];
+  const permissions = getSitePermissions(site);
+  const signer = account || (site && site.publicKey);
+  
+  if (!signer || !permissions.accounts.includes(signer)) {
+    throw new Error('The selected account is not shared with this site');
+  }
+  
+  const network = await getCurrentNetwork();
+  if (permissions.networks && !permissions.networks.includes(network)) {
+    throw new Error(`This site is not allowed on ${network}`);
+  }
+  
+  if (method === 'signMessage' && !permissions.signMessage) {
+    throw new Error('Message signing is not allowed for this site');
+  }
+  
+  return signer;
+}
+
+function encodeBase58(bytes) {
+  const digits = [];
+  for (const byte of bytes) {
+    let carry = byte;
+    for (let i = 0; i < digits.length; i++) {
+      carry += digits[i] << 8;
+      digits[i] = carry % 58;
+      carry = (carry / 58) | 0;
+    }
+    while (carry > 0) {
+      digits.push(carry % 58);
+      carry = (carry / 58) | 0;
+    }
+  }
+  let result = '';
+  for (let i = 0; i < bytes.length && bytes[i] === 0; i++) result += '1';
+  for (let i = digits.length - 1; i >= 0; i--) result += BASE58_ALPHABET[digits[i]];
+  return result;
+}
+
+function readCompactU16(bytes, offset) {
+  let value = 0;
+  let bytesRead = 0;
+  let byte;
+  do {
+    byte = bytes[offset + bytesRead];
+    value |= (byte & 0x7f) << (7 * bytesRead);
+    bytesRead++;
+  } while (byte & 0x80 && bytesRead < 3);
+  return { value, bytesRead };
+}
+
+function readU64(bytes, offset) {
+  let value = 0n;
+  for (let i = 7; i >= 0; i--) {
+    value = (value << 8n) | BigInt(bytes[offset + i]);
+  }
+  return value;
+}
+
+// Native lamports and token amounts the owner sends in a serialized (legacy or V0) transaction
+// Accounts loaded from lookup tables stay unknown; signers (the owner) are always static keys.
+// Instructions that hand the owner's funds or accounts to someone else - token approvals, authority
+// changes, Assign - can't be counted now, so they come back in `refused` and a capped site can't use them.
+function decodeOutgoingTransfers(txBase64, owner) {
+  const bytes = Uint8Array.from(atob(txBase64), c => c.charCodeAt(0));
+  let offset = 0;
+  
+  const signatures = readCompactU16(bytes, offset);
+  offset += signatures.bytesRead + signatures.value * 64;
+  if (bytes[offset] & 0x80) offset += 1; // Versioned message prefix
+  offset += 3; // Header
+  
+  const keyCount = readCompactU16(bytes, offset);
+  offset += keyCount.bytesRead;
+  const keys = [];
+  for (let i = 0; i < keyCount.value; i++) {
+    keys.push(encodeBase58(bytes.slice(offset, offset + 32)));
+    offset += 32;
+  }
+  offset += 32; // Recent blockhash
+  
+  const spend = { native: 0n, tokens: [], refused: [] };
+  const ixCount = readCompactU16(bytes, offset);
+  offset += ixCount.bytesRead;
+  for (let i = 0; i < ixCount.value; i++) {
+    const programId = keys[bytes[offset]];
+    offset += 1;
+    const accountCount = readCompactU16(bytes, offset);
+    offset += accountCount.bytesRead;
+    const accounts = Array.from(bytes.slice(offset, offset + accountCount.value), index => keys[index]);
+    offset += accountCount.value;
+    const dataLength = readCompactU16(bytes, offset);
+    offset += dataLength.bytesRead;
+    const data = bytes.slice(offset, offset + dataLength.value);
+    offset += dataLength.value;
+    
+    if (programId === SYSTEM_PROGRAM_ID && data.length >= 4) {
+      const type = data[0] | (data[1] << 8) | (data[2] << 16) | (data[3] << 24);
+      if ((type === 0 || type === 2) && data.length >= 12 && accounts[0] === owner) {
+        // CreateAccount and Transfer carry lamports at offset 4, funded by account 0
+        spend.native += readU64(data, 4);
+      } else if (type === 3 && accounts[0] === owner) {
+        // CreateAccountWithSeed - lamports follow the base key and the length-prefixed seed
+        const seedLength = Number(readU64(data, 36));
+        spend.native += readU64(data, 44 + seedLength);
+      } else if (type === 11 && data.length >= 12 && (accounts[0] === owner || accounts[1] === owner)) {
+        // TransferWithSeed - from an account derived from the owner's key, which signs as base
+        spend.native += readU64(data, 4);
+      } else if (type === 5 && data.length >= 12 && accounts[4] === owner) {
+        // WithdrawNonceAccount - lamports out of a nonce account the owner controls
+        spend.native += readU64(data, 4);
+      } else if (type === 1 && accounts[0] === owner) {
+        spend.refused.push('reassigning your account to another program');
+      }
+    } else if (TOKEN_PROGRAM_IDS.includes(programId) && data.length >= 1) {
+      const type = data[0];
+      if (type === 3 && data.length >= 9 && accounts[2] === owner) {
+        spend.tokens.push({ source: accounts[0], mint: null, amount: readU64(data, 1) });
+      } else if (type === 12 && data.length >= 9 && accounts[3] === owner) {
+        spend.tokens.push({ source: accounts[0], mint: accounts[1] || null, amount: readU64(data, 1) });
+      } else if (type === 26 && data[1] === 1 && data.length >= 10 && accounts[3] === owner) {
+        // Token-2022 TransferFeeExtension -> TransferCheckedWithFee; the fee comes out of the amount
+        spend.tokens.push({ source: accounts[0], mint: accounts[1] || null, amount: readU64(data, 2) });
+      } else if ((type === 8 || type === 15) && data.length >= 9 && accounts[2] === owner) {
+        // Burn and BurnChecked - the tokens leave the owner as surely as a transfer
+        spend.tokens.push({ source: accounts[0], mint: accounts[1] || null, amount: readU64(data, 1) });
+      } else if ((type === 4 && accounts[2] === owner) || (type === 13 && accounts[3] === owner)) {
+        spend.refused.push('token approvals');
+      } else if (type === 6 && accounts[1] === owner) {
+        spend.refused.push('changing a token account or mint authority');
+      } else if (type === 9 && accounts[2] === owner && accounts[1] !== owner) {
+        // CloseAccount sends the account's lamports - all of it, for wrapped native tokens - to account 1
+        spend.refused.push('closing a token account to another wallet');
+      }
+    }
+  }
+  return spend;
+}
+
+// Endpoints for a network - the wallet's mirrored order, else the built-in or custom network RPC
+async function getRpcEndpoints(network) {
+  const result = await chrome.storage.local.get(RPC_ENDPOINT_ORDER_KEY);
+  const mirrored = (result[RPC_ENDPOINT_ORDER_KEY] || {})[network];
+  if (mirrored && mirrored.length > 0) return mirrored;
+  if (NETWORK_RPC_URLS[network]) return NETWORK_RPC_URLS[network];
+  const custom = (await getCustomNetworks()).find(n => n.name === network);
+  return custom && custom.url ? [custom.url] : [];
+}
+
+// JSON-RPC call that moves to the next endpoint when one errors - mirrors fetchRpcWithFailover() in core
+async function rpcRequest(network, method, params) {
+  let lastError = null;
+  for (const url of await getRpcEndpoints(network)) {
+    let data;
+    try {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ jsonrpc: '2.0', id: 1, method, params })
+      });
+      if (response.status >= 500) throw new Error(`HTTP ${response.status}`);
+      data = await response.json();
+    } catch (e) {
+      lastError = e;
+      continue;
+    }
+    if (data.error) throw new Error(data.error.message || `${method} failed`);
+    return data.result;
+  }
+  throw lastError || new Error(`No RPC endpoint for ${network}`);
+}
+
+// Mint of a token account, for plain Transfer instructions that don't name it
+async function resolveTokenMint(tokenAccount, network) {
+  if (!tokenAccount) return null;
+  try {
+    const result = await rpcRequest(network, 'getAccountInfo', [tokenAccount, { encoding: 'jsonParsed' }]);
+    const parsed = result && result.value && result.value.data && result.value.data.parsed;
+    return (parsed && parsed.info && parsed.info.mint) || null;
+  } catch (e) {
+    console.warn('[Background] Token account lookup failed:', e.message);
+    return null;
+  }
+}
+
+// Spend is tracked per UTC day; amounts are stored as base-unit strings
+function getSpendDay() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+function getRecordedSpend(site) {
+  const total = { native: 0n, tokens: {} };
+  if (site && site.spent && site.spent.day === getSpendDay()) {
+    addSpend(total, site.spent);
+  }
+  return total;
+}
+
+function addSpend(total, spend) {
+  total.native += BigInt(spend.native || '0');
+  for (const [mint, amount] of Object.entries(spend.tokens || {})) {
+    total.tokens[mint] = (total.tokens[mint] || 0n) + BigInt(amount);
+  }
+}
+
+// Check transactions against the site's daily spend cap before the approval popup opens
+// Returns the spend to record once the user approves, or null when the site has no cap
+async function checkSpendLimit(origin, transactions, signer) {
+  const sites = await getConnectedSites();
+  const site = sites[origin];
+  const { spendLimit } = getSitePermissions(site);
+  if (!spendLimit) return null;
+  
+  const network = await getCurrentNetwork();
+  const spend = { native: 0n, tokens: {} };
+  
+  for (const tx of transactions) {
+    let decoded;
+    try {
+      decoded = decodeOutgoingTransfers(tx, signer);
+    } catch (e) {
+      throw new Error('Could not check this transaction against the spend limit for this site');
+    }
+    if (decoded.refused.length > 0) {
+      throw new Error(`This site has a spend limit, so it can't ask for ${decoded.refused[0]}`);
+    }
+    spend.native += decoded.native;
+    for (const transfer of decoded.tokens) {
+      const mint = transfer.mint || await resolveTokenMint(transfer.source, network);
+      if (!mint) {
+        throw new Error('Could not check this token transfer against the spend limit for this site');
+      }
+      spend.tokens[mint] = (spend.tokens[mint] || 0n) + transfer.amount;
+    }
+  }
+  
+  // Already spent today, plus requests from this site still waiting for approval
+  const used = getRecordedSpend(site);
+  for (const [, entry] of pendingRequests) {
+    if (entry.request && entry.request.origin === origin && entry.request.spend) {
+      addSpend(used, entry.request.spend);
+    }
+  }
+  
+  if (spendLimit.native != null && used.native + spend.native > BigInt(spendLimit.native)) {
+    throw new Error('This would exceed the daily spend limit you set for this site');
+  }
+  for (const [mint, limit] of Object.entries(spendLimit.tokens || {})) {
+    if ((used.tokens[mint] || 0n) + (spend.tokens[mint] || 0n) > BigInt(limit.amount)) {
+      throw new Error(`This would exceed the daily ${limit.symbol || 'token'} spend limit you set for this site`);
+    }
+  }
+  
+  // Requests are posted to the popup, so keep amounts JSON-safe
+  const tokens = {};
+  for (const [mint, amount] of Object.entries(spend.tokens)) {
+    tokens[mint] = amount.toString();
+  }
+  return { native: spend.native.toString(), tokens };
+}
+
+// Add an approved request's spend to today's total for the site
+async function recordSiteSpend(origin, spend) {
+  if (!spend) return;
+  const sites = await getConnectedSites();
+  const site = sites[origin];
+  if (!site) return;
+  
+  const total = getRecordedSpend(site);
+  addSpend(total, spend);
+  const tokens = {};
+  for (const [mint, amount] of Object.entries(total.tokens)) {
+    tokens[mint] = amount.toString();
+  }
+  site.spent = { day: getSpendDay(), native: total.native.toString(), tokens };
+  await saveConnectedSites(sites);
+}
+
 // X1W-006: Validate origin from Chrome's sender object (more secure than content script)
 function validateOrigin(providedOrigin, sender) {
   // Use Chrome's sender.origin when available (more trustworthy)
@@ -457,6 +846,46 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     return true; // Keep channel open for async response
   }
   
+  // Content script asks whether the page it loaded in is flagged - flagged pages get the warning page
+  if (message.type === 'check-phishing') {
+    if (sender.tab && sender.tab.id >= 0 && sender.url) {
+      checkPhishing(sender.url).then(result => {
+        if (result.isPhishing) {
+          console.warn('[Background] Showing phishing warning for:', sender.url, result.reason);
+          return showPhishingWarning(sender.tab.id, sender.url, result.reason);
+        }
+      }).catch(err => console.error('[Background] Phishing check failed:', err));
+    }
+    return;
+  }
+  
+  // "Proceed anyway" from the warning page
+  if (message.type === 'phishing-allow') {
+    if (!isExtensionPage(sender)) return;
+    let hostname;
+    try {
+      const url = new URL(message.url);
+      if (url.protocol !== 'https:' && url.protocol !== 'http:') throw new Error('Unsupported protocol');
+      hostname = url.hostname.toLowerCase();
+    } catch (e) {
+      sendResponse({ error: 'Invalid URL' });
+      return;
+    }
+    allowPhishingSite(hostname).then(() => sendResponse({ success: true })).catch(err => {
+      sendResponse({ error: err.message });
+    });
+    return true;
+  }
+  
+  // "Update now" in phishing protection settings
+  if (message.type === 'refresh-blocklist') {
+    if (!isExtensionPage(sender)) return;
+    refreshBlocklist().then(result => sendResponse({ result })).catch(err => {
+      sendResponse({ error: err.message });
+    });
+    return true;
+  }
+  
   // Handle provider requests from content script
   if (message.type === 'provider-request') {
     handleProviderRequest(message, sender).then(sendResponse).catch(err => {
@@ -479,17 +908,28 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       // Clear badge since request is being handled
       clearBadge();
       
+      // A connected site's signIn must come back signed by the account it was checked against
+      if (currentRequest && currentRequest.type === 'signIn' && currentRequest.account &&
+          payload.result && payload.result.publicKey !== currentRequest.account) {
+        callback({ error: 'The selected account is not shared with this site' });
+        removePendingRequest(id);
+        return;
+      }
+      
       // If this is a successful connection, save the connected site BEFORE resolving
-      if (currentRequest && currentRequest.type === 'connect' && payload.result && !payload.error) {
+      // signIn connects the site as part of signing, so it is saved the same way
+      if (currentRequest && ['connect', 'signIn'].includes(currentRequest.type) && payload.result && !payload.error) {
         console.log('[Background] Saving connection for origin:', currentRequest.origin);
         // Save synchronously before resolving the promise
         getConnectedSites().then(sites => {
           console.log('[Background] Current sites before save:', Object.keys(sites));
-          sites[currentRequest.origin] = {
-            connectedAt: Date.now(),
-            lastSensitiveOp: Date.now(),
-            publicKey: payload.result.publicKey
-          };
+          // Permissions chosen in the approval popup; accounts and spend caps already granted are kept
+          sites[currentRequest.origin] = buildConnectedSite(
+            sites[currentRequest.origin],
+            payload.result.publicKey,
+            { ...message.permissions, accounts: payload.result.accounts }
+          );
+          payload.result.accounts = getSharedAccounts(sites[currentRequest.origin], payload.result.publicKey);
           return saveConnectedSites(sites);
         }).then(() => {
           console.log('[Background] Saved connected site:', currentRequest.origin);
@@ -507,7 +947,9 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       // X1W-SEC: Update lastSensitiveOp for successful signing operations
       if (currentRequest && ['signTransaction', 'signAllTransactions', 'signAndSendTransaction', 'signMessage'].includes(currentRequest.type)) {
         if (payload.result && !payload.error) {
-          updateLastSensitiveOp(currentRequest.origin).catch(console.error);
+          updateLastSensitiveOp(currentRequest.origin)
+            .then(() => recordSiteSpend(currentRequest.origin, currentRequest.spend))
+            .catch(console.error);
         }
       }
       
@@ -599,8 +1041,9 @@ async function handleWalletChanged(publicKey, force = false) {
   
   console.log('[Background] Connected sites to notify:', origins);
   
-  // Update stored public key for all connected sites
-  for (const origin of origins) {
+  // Update stored public key only for sites this account is shared with
+  const sharedOrigins = origins.filter(origin => getSitePermissions(sites[origin]).accounts.includes(publicKey));
+  for (const origin of sharedOrigins) {
     sites[origin].publicKey = publicKey;
   }
   await saveConnectedSites(sites);
@@ -620,11 +1063,12 @@ async function handleWalletChanged(publicKey, force = false) {
       // Skip extension pages and chrome:// URLs
       if (!tab.id || tab.id < 0) continue;
       
-      // Send message to content script - it will forward to provider
-      // Provider already knows if it's connected
+      // Send message to content script - it forwards only to the origins listed
+      // Sites the account isn't shared with never learn about it
       chrome.tabs.sendMessage(tab.id, {
         type: 'accountChanged',
         target: 'x1-wallet-content',
+        origins: sharedOrigins,
         payload: { publicKey }
       }).then(() => {
         console.log('[Background] Sent accountChanged to tab:', tab.id);
@@ -679,36 +1123,308 @@ function countPendingForOrigin(origin) {
   return count;
 }
 
+// ============================================================================
+// Phishing blocklist and lookalike detection
+// ============================================================================
+
+let blocklistCache = null; // Compiled list in use
+let blocklistRefresh = null; // In-flight refresh
+let lastBlocklistAttempt = 0;
+let phishingAllowlistCache = null;
+
+// Check a downloaded list before it replaces the one in use
+function validateBlocklist(data) {
+  if (!data || typeof data !== 'object' || !Number.isInteger(data.version) || data.version < 1) {
+    throw new Error('Blocklist has no valid version');
+  }
+  const strings = (value, field) => {
+    if (value === undefined) return [];
+    if (!Array.isArray(value) || value.some(v => typeof v !== 'string')) {
+      throw new Error(`Blocklist ${field} must be an array of strings`);
+    }
+    return value;
+  };
+  return {
+    version: data.version,
+    domains: strings(data.domains, 'domains').map(d => d.toLowerCase()),
+    patterns: strings(data.patterns, 'patterns').filter(p => p.length <= MAX_BLOCKLIST_PATTERN_LENGTH),
+    allowlist: strings(data.allowlist, 'allowlist').map(d => d.toLowerCase())
+  };
+}
+
+function compileBlocklist(list) {
+  const patterns = [];
+  for (const source of list.patterns) {
+    try {
+      patterns.push(new RegExp(source, 'i'));
+    } catch (e) {
+      console.warn('[Background] Skipping invalid blocklist pattern:', source);
+    }
+  }
+  return {
+    version: list.version,
+    domains: new Set(list.domains),
+    patterns,
+    allowlist: list.allowlist,
+    fetchedAt: list.fetchedAt || 0,
+    source: list.source || 'bundled'
+  };
+}
+
+// List in use - the stored download when it is at least as new as the bundled one
+async function getBlocklist() {
+  if (!blocklistCache) {
+    const result = await chrome.storage.local.get(BLOCKLIST_STORAGE_KEY);
+    const stored = result[BLOCKLIST_STORAGE_KEY];
+    blocklistCache = compileBlocklist(
+      stored && stored.version >= BUNDLED_BLOCKLIST.version ? stored : BUNDLED_BLOCKLIST
+    );
+  }
+  
+  const now = Date.now();
+  if (now - blocklistCache.fetchedAt > BLOCKLIST_REFRESH_MS && now - lastBlocklistAttempt > BLOCKLIST_RETRY_MS) {
+    refreshBlocklist().catch(err => console.warn('[Background] Blocklist update failed:', err.message));
+  }
+  return blocklistCache;
+}
+
+// Fetch the list from the configured URL; older versions than the one in use are ignored
+function refreshBlocklist() {
+  if (blocklistRefresh) return blocklistRefresh;
+  lastBlocklistAttempt = Date.now();
+  
+  blocklistRefresh = (async () => {
+    const result = await chrome.storage.local.get(BLOCKLIST_URL_KEY);
+    const url = result[BLOCKLIST_URL_KEY] || DEFAULT_BLOCKLIST_URL;
+    const response = await fetch(url, { cache: 'no-store' });
+    if (!response.ok) {
+      throw new Error(`Blocklist request failed (${response.status})`);
+    }
+    const list = validateBlocklist(await response.json());
+    const current = blocklistCache ? blocklistCache.version : BUNDLED_BLOCKLIST.version;
+    if (list.version < current) {
+      throw new Error(`Blocklist version ${list.version} is older than version ${current} in use`);
+    }
+    
+    const stored = { ...list, fetchedAt: Date.now(), source: url };
+    await chrome.storage.local.set({ [BLOCKLIST_STORAGE_KEY]: stored });
+    blocklistCache = compileBlocklist(stored);
+    console.log('[Background] Blocklist updated to version', list.version, 'from', url);
+    return { version: list.version, fetchedAt: stored.fetchedAt, source: url };
+  })().finally(() => {
+    blocklistRefresh = null;
+  });
+  return blocklistRefresh;
+}
+
+async function getPhishingAllowlist() {
+  if (!phishingAllowlistCache) {
+    const result = await chrome.storage.local.get(PHISHING_ALLOWLIST_KEY);
+    phishingAllowlistCache = result[PHISHING_ALLOWLIST_KEY] || [];
+  }
+  return phishingAllowlistCache;
+}
+
+// The user chose "proceed anyway" on the warning page
+async function allowPhishingSite(hostname) {
+  const allowlist = await getPhishingAllowlist();
+  if (!allowlist.includes(hostname)) {
+    await chrome.storage.local.set({ [PHISHING_ALLOWLIST_KEY]: [...allowlist, hostname] });
+  }
+}
+
+// Settings changes made in the popup take effect here
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName !== 'local') return;
+  if (changes[PHISHING_ALLOWLIST_KEY]) {
+    phishingAllowlistCache = null;
+  }
+  if (changes[CUSTOM_NETWORKS_KEY]) {
+    customNetworksCache = changes[CUSTOM_NETWORKS_KEY].newValue || [];
+  }
+  if (changes[BLOCKLIST_URL_KEY]) {
+    // A different source starts over from the bundled list
+    blocklistCache = null;
+    chrome.storage.local.remove(BLOCKLIST_STORAGE_KEY)
+      .then(() => refreshBlocklist())
+      .catch(err => console.warn('[Background] Blocklist update failed:', err.message));
+  }
+});
+
+function matchesDomain(hostname, domain) {
+  return hostname === domain || hostname.endsWith('.' + domain);
+}
+
+// Decode one xn-- label (RFC 3492) so lookalike characters can be inspected
+function decodePunycodeLabel(label) {
+  if (!label.startsWith('xn--')) return label;
+  const input = label.slice(4);
+  const base = 36, tMin = 1, tMax = 26, skew = 38, damp = 700;
+  const adapt = (delta, numPoints, firstTime) => {
+    delta = firstTime ? Math.floor(delta / damp) : delta >> 1;
+    delta += Math.floor(delta / numPoints);
+    let k = 0;
+    while (delta > ((base - tMin) * tMax) >> 1) {
+      delta = Math.floor(delta / (base - tMin));
+      k += base;
+    }
+    return k + Math.floor((base - tMin + 1) * delta / (delta + skew));
+  };
+  
+  const basicEnd = input.lastIndexOf('-');
+  const output = basicEnd > 0 ? Array.from(input.slice(0, basicEnd)) : [];
+  let pos = basicEnd > 0 ? basicEnd + 1 : 0;
+  let n = 128, i = 0, bias = 72;
+  while (pos < input.length) {
+    const oldI = i;
+    let w = 1;
+    for (let k = base; ; k += base) {
+      const c = input.charCodeAt(pos++);
+      const digit = c >= 48 && c <= 57 ? c - 22 : c >= 97 && c <= 122 ? c - 97 : base;
+      if (digit >= base) throw new Error('Invalid punycode');
+      i += digit * w;
+      const t = k <= bias ? tMin : k >= bias + tMax ? tMax : k - bias;
+      if (digit < t) break;
+      w *= base - t;
+    }
+    const length = output.length + 1;
+    bias = adapt(i - oldI, length, oldI === 0);
+    n += Math.floor(i / length);
+    i %= length;
+    output.splice(i++, 0, String.fromCodePoint(n));
+  }
+  return output.join('');
+}
+
+// Replace characters that look like Latin letters with those letters
+function replaceConfusables(text) {
+  return Array.from(text.normalize('NFKC'), ch => CONFUSABLE_CHARS[ch] || ch).join('');
+}
+
+// Text reduced to how it reads: accents dropped, look-alike digits and letters folded together
+function lookalikeSkeleton(text) {
+  return replaceConfusables(text)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/0/g, 'o')
+    .replace(/[1il|]/g, 'l')
+    .replace(/rn/g, 'm')
+    .replace(/vv/g, 'w');
+}
+
+function editDistanceAtMostOne(a, b) {
+  if (Math.abs(a.length - b.length) > 1) return false;
+  let i = 0, j = 0, edits = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      i++; j++;
+      continue;
+    }
+    if (++edits > 1) return false;
+    if (a.length > b.length) i++;
+    else if (b.length > a.length) j++;
+    else { i++; j++; }
+  }
+  return edits + (a.length - i) + (b.length - j) <= 1;
+}
+
 /**
- * Check if a domain is a known phishing site
- * @returns {{ isPhishing: boolean, reason?: string }}
+ * Look for spoofed hostnames: labels written with look-alike characters, and names
+ * imitating a protected brand on a domain that brand doesn't use
+ * @returns {{ kind: string, brand?: string }|null}
  */
-function isPhishingDomain(origin) {
+function findLookalike(hostname) {
+  let labels;
   try {
-    const url = new URL(origin);
-    const hostname = url.hostname.toLowerCase();
-    
-    // Check against known phishing domains
-    if (KNOWN_PHISHING_DOMAINS.has(hostname)) {
-      return { isPhishing: true, reason: 'Known phishing domain' };
-    }
-    
-    // Check for homograph attacks (non-ASCII characters in domain)
-    if (/[^\x00-\x7F]/.test(hostname)) {
-      return { isPhishing: true, reason: 'Non-ASCII characters in domain (possible homograph attack)' };
+    labels = hostname.split('.').map(decodePunycodeLabel);
+  } catch (e) {
+    return { kind: 'homograph' };
+  }
+  
+  // Non-ASCII characters that all read as Latin letters only exist to imitate an ASCII name
+  for (const label of labels) {
+    if (/[^\x00-\x7F]/.test(label) && /^[\x00-\x7F]*$/.test(replaceConfusables(label))) {
+      return { kind: 'homograph' };
     }
-    
-    // Check suspicious URL patterns
-    for (const pattern of SUSPICIOUS_PATTERNS) {
-      if (pattern.test(origin)) {
-        return { isPhishing: true, reason: 'Suspicious URL pattern', pattern: pattern.toString() };
+  }
+  
+  // Brand names are compared in every label but the top-level domain
+  const names = labels.slice(0, -1);
+  for (const [brand, domains] of Object.entries(PROTECTED_BRANDS)) {
+    if (domains.some(domain => matchesDomain(hostname, domain))) continue;
+    const brandSkeleton = lookalikeSkeleton(brand);
+    for (const name of names) {
+      const skeleton = lookalikeSkeleton(name);
+      const words = skeleton.split('-');
+      // Short brands only match a whole word and typos are only checked for long ones,
+      // otherwise ordinary names (or other DEXes) would be flagged
+      const imitates = brand.length < 4
+        ? words.includes(brandSkeleton)
+        : skeleton.includes(brandSkeleton) ||
+          (brand.length >= 6 && words.some(word => editDistanceAtMostOne(word, brandSkeleton)));
+      if (imitates) {
+        return { kind: 'lookalike', brand };
       }
     }
-    
-    return { isPhishing: false };
+  }
+  return null;
+}
+
+/**
+ * Check a site against the blocklist, the user's allowlist and lookalike detection
+ * @returns {Promise<{ isPhishing: boolean, reason?: string, allowlisted?: boolean }>}
+ */
+async function checkPhishing(origin) {
+  let hostname;
+  try {
+    hostname = new URL(origin).hostname.toLowerCase();
   } catch (e) {
     return { isPhishing: true, reason: 'Invalid origin URL' };
   }
+  
+  const allowlist = await getPhishingAllowlist();
+  if (allowlist.includes(hostname)) {
+    return { isPhishing: false, allowlisted: true };
+  }
+  
+  const list = await getBlocklist();
+  for (const domain of list.domains) {
+    if (matchesDomain(hostname, domain)) {
+      return { isPhishing: true, reason: 'Known phishing domain' };
+    }
+  }
+  if (list.allowlist.some(domain => matchesDomain(hostname, domain))) {
+    return { isPhishing: false };
+  }
+  
+  const lookalike = findLookalike(hostname);
+  if (lookalike && lookalike.kind === 'homograph') {
+    return { isPhishing: true, reason: 'Domain uses look-alike characters (possible homograph attack)' };
+  }
+  if (lookalike) {
+    return { isPhishing: true, reason: `Domain imitates ${lookalike.brand}` };
+  }
+  
+  for (const pattern of list.patterns) {
+    if (pattern.test(origin)) {
+      return { isPhishing: true, reason: 'Suspicious URL pattern', pattern: pattern.toString() };
+    }
+  }
+  
+  return { isPhishing: false };
+}
+
+// Replace a flagged page with the full-page warning
+function showPhishingWarning(tabId, url, reason) {
+  const warningUrl = chrome.runtime.getURL('phishing.html') +
+    '?url=' + encodeURIComponent(url) +
+    '&reason=' + encodeURIComponent(reason);
+  return chrome.tabs.update(tabId, { url: warningUrl });
+}
+
+// Messages that change phishing settings may only come from the extension's own pages
+function isExtensionPage(sender) {
+  return sender.id === chrome.runtime.id && !!sender.url && sender.url.startsWith(chrome.runtime.getURL(''));
 }
 
 /**
@@ -756,6 +1472,43 @@ function validateRequestParams(method, params) {
     }
   }
   
+  // Validate the account a signing request is routed to (base58 public key)
+  if (params && params.account !== undefined) {
+    if (typeof params.account !== 'string' || !/^[1-9A-HJ-NP-Za-km-z]{32,44}$/.test(params.account)) {
+      return { valid: false, error: 'Invalid account' };
+    }
+  }
+  
+  // Validate the chain a dApp asks to switch to (CAIP-2 style, e.g. x1:mainnet)
+  if (method === 'switchChain') {
+    if (!params || typeof params.chain !== 'string' || !/^[-a-z0-9]{3,8}:[-_a-zA-Z0-9]{1,32}$/.test(params.chain)) {
+      return { valid: false, error: 'Invalid chain' };
+    }
+  }
+  
+  // Validate Sign-In With Solana input (all fields optional strings, statement on one line)
+  if (method === 'signIn' && params && params.input !== undefined) {
+    const input = params.input;
+    if (typeof input !== 'object' || input === null || Array.isArray(input)) {
+      return { valid: false, error: 'Sign-in input must be an object' };
+    }
+    if (JSON.stringify(input).length > MAX_MESSAGE_SIZE) {
+      return { valid: false, error: 'Sign-in input exceeds maximum size' };
+    }
+    const textFields = ['domain', 'address', 'statement', 'uri', 'version', 'chainId', 'nonce', 'issuedAt', 'expirationTime', 'notBefore', 'requestId'];
+    for (const field of textFields) {
+      if (input[field] !== undefined && typeof input[field] !== 'string') {
+        return { valid: false, error: `Sign-in ${field} must be a string` };
+      }
+    }
+    if (input.statement && input.statement.includes('\n')) {
+      return { valid: false, error: 'Sign-in statement must not contain newlines' };
+    }
+    if (input.resources !== undefined && (!Array.isArray(input.resources) || input.resources.some(r => typeof r !== 'string'))) {
+      return { valid: false, error: 'Sign-in resources must be an array of strings' };
+    }
+  }
+  
   return { valid: true };
 }
 
@@ -786,7 +1539,7 @@ async function handleProviderRequest(message, sender) {
   }
   
   // X1W-SEC-PATCH: Check for phishing domains
-  const phishingCheck = isPhishingDomain(origin);
+  const phishingCheck = await checkPhishing(origin);
   if (phishingCheck.isPhishing) {
     console.error('[Background] BLOCKED phishing attempt:', origin, phishingCheck.reason);
     throw new Error('This site has been flagged as potentially dangerous.');
@@ -800,7 +1553,7 @@ async function handleProviderRequest(message, sender) {
   }
   
   // X1W-SEC-PATCH: Limit pending requests per origin for signing operations
-  if (['signTransaction', 'signAllTransactions', 'signAndSendTransaction', 'signMessage'].includes(method)) {
+  if (['signTransaction', 'signAllTransactions', 'signAndSendTransaction', 'signMessage', 'signIn', 'switchChain'].includes(method)) {
     const pendingCount = countPendingForOrigin(origin);
     if (pendingCount >= MAX_PENDING_PER_ORIGIN) {
       throw new Error('Too many pending requests. Please approve or reject existing requests first.');
@@ -831,6 +1584,9 @@ async function handleProviderRequest(message, sender) {
     case 'signMessage':
       return handleSignMessage(params, origin, sender);
       
+    case 'signIn':
+      return handleSignIn(params, origin, favicon);
+      
     case 'getNetwork':
       return handleGetNetwork();
       
@@ -846,8 +1602,8 @@ async function handleProviderRequest(message, sender) {
 async function handleConnect(origin, favicon, sender, params = {}) {
   console.log('[Background] handleConnect called:', origin, 'params:', JSON.stringify(params));
   
-  // Check if already connected
-  const connected = await isSiteConnected(origin);
+  // Check if already connected with the active account shared
+  const connected = await isSiteConnected(origin) && await isAccountShared(origin);
   console.log('[Background] Site already connected?', connected);
   
   if (connected) {
@@ -863,16 +1619,18 @@ async function handleConnect(origin, favicon, sender, params = {}) {
       // For now, just return current - switchChain should be used to change
     }
     
+    const sites = await getConnectedSites();
+    const siteData = sites[origin];
     if (wallet) {
       console.log('[Background] Returning existing connection:', wallet.publicKey);
-      return { result: { publicKey: wallet.publicKey, network, chain } };
+      const accounts = getSharedAccounts(siteData, wallet.publicKey);
+      return { result: { publicKey: wallet.publicKey, accounts, network, chain } };
     } else {
       // Wallet not loaded yet but site is connected - try to get public key from stored connection
-      const sites = await getConnectedSites();
-      const siteData = sites[origin];
       if (siteData && siteData.publicKey) {
         console.log('[Background] Returning stored connection (wallet not loaded):', siteData.publicKey);
-        return { result: { publicKey: siteData.publicKey, network, chain } };
+        const accounts = getSharedAccounts(siteData, siteData.publicKey);
+        return { result: { publicKey: siteData.publicKey, accounts, network, chain } };
       }
       console.log('[Background] Site connected but no wallet/publicKey available');
     }
@@ -925,6 +1683,21 @@ async function handleConnect(origin, favicon, sender, params = {}) {
   });
 }
 
+// Custom networks the user added in Settings, mirrored from the popup by core/services/customNetworks.js
+const CUSTOM_NETWORKS_KEY = 'x1wallet_customRpcs';
+let customNetworksCache = null;
+
+async function getCustomNetworks() {
+  if (!customNetworksCache) {
+    const result = await chrome.storage.local.get(CUSTOM_NETWORKS_KEY);
+    customNetworksCache = result[CUSTOM_NETWORKS_KEY] || [];
+  }
+  return customNetworksCache;
+}
+
+// Load early so the synchronous chain lookups below know about custom networks
+getCustomNetworks().catch(err => console.warn('[Background] Failed to load custom networks:', err.message));
+
 // Convert network name to chain identifier
 function networkToChain(network) {
   const map = {
@@ -934,37 +1707,77 @@ function networkToChain(network) {
     'Solana Devnet': 'solana:devnet',
     'Solana Testnet': 'solana:testnet'
   };
-  return map[network] || 'x1:mainnet';
+  const custom = (customNetworksCache || []).find(n => n.name === network);
+  return map[network] || custom?.chainId || 'x1:mainnet';
 }
 
-// Convert chain identifier to network name
+// Convert chain identifier to network name, or null if the wallet doesn't know the chain
 function chainToNetwork(chain) {
   const map = {
     'x1:mainnet': 'X1 Mainnet',
     'x1:testnet': 'X1 Testnet',
     'solana:mainnet': 'Solana Mainnet',
-    'solana:devnet': 'Solana Devnet',
-    'solana:testnet': 'Solana Testnet'
+    'solana:devnet': 'Solana Devnet'
   };
-  return map[chain] || 'X1 Mainnet';
+  const custom = (customNetworksCache || []).find(n => n.chainId === chain);
+  return map[chain] || custom?.name || null;
 }
 
-// Handle switch chain request
+// Handle switch chain request - the user approves the switch in the popup
 async function handleSwitchChain(params, origin) {
-  const { chain } = params;
-  
-  if (!chain) {
-    throw new Error('Chain parameter required');
+  const connected = await isSiteConnected(origin);
+  if (!connected) {
+    throw new Error('Site not connected');
   }
   
+  await getCustomNetworks();
+  const { chain } = params;
   const network = chainToNetwork(chain);
+  if (!network) {
+    throw new Error(`Unsupported chain: ${chain}`);
+  }
   
-  // Save the new network preference
-  await chrome.storage.local.set({ 'x1wallet_network': network });
-  
-  console.log('[Background] Switched to chain:', chain, 'network:', network);
+  const fromNetwork = await getCurrentNetwork();
+  if (fromNetwork === network) {
+    return { result: { chain, network } };
+  }
   
-  return { result: { chain, network } };
+  return new Promise((resolve) => {
+    const requestId = generateRequestId();
+    const request = {
+      type: 'switchChain',
+      origin,
+      chain,
+      network,
+      fromNetwork,
+      timestamp: Date.now(),
+      requestId
+    };
+    
+    const timeoutId = setTimeout(() => {
+      const entry = getPendingRequestById(requestId);
+      if (entry) {
+        entry.callback({ error: 'Request timeout' });
+        removePendingRequest(requestId);
+        if (pendingRequests.size > 0) {
+          chrome.action.setBadgeText({ text: pendingRequests.size.toString() });
+        } else {
+          clearBadge();
+        }
+      }
+    }, 30000);
+    
+    pendingRequests.set(requestId, { request, callback: resolve, timeoutId });
+    
+    notifyPendingRequest(requestId, request);
+    
+    console.log('[Background] Opening extension popup for switchChain:', fromNetwork, '->', network);
+    chrome.action.openPopup().catch(err => {
+      console.log('[Background] openPopup requires user gesture, showing badge');
+      chrome.action.setBadgeText({ text: pendingRequests.size.toString() });
+      chrome.action.setBadgeBackgroundColor({ color: '#FF6B00' });
+    });
+  });
 }
 
 // Handle disconnect
@@ -988,6 +1801,9 @@ async function handleSignTransaction(params, origin, sender) {
     throw new Error('Site not connected');
   }
   
+  const account = await checkSitePermissions(origin, 'signTransaction', params.account);
+  const spend = await checkSpendLimit(origin, [params.transaction], account);
+  
   // X1W-SEC: Check if reauth is required for sensitive operations
   const needsReauth = await requiresReauth(origin);
   console.log('[Background] Requires reauth:', needsReauth);
@@ -998,6 +1814,8 @@ async function handleSignTransaction(params, origin, sender) {
       type: 'signTransaction',
       origin,
       transaction: params.transaction,
+      account,
+      spend,
       timestamp: Date.now(),
       requiresReauth: needsReauth,
       requestId  // Include ID in request for popup to use
@@ -1043,6 +1861,9 @@ async function handleSignAllTransactions(params, origin, sender) {
     throw new Error('Site not connected');
   }
   
+  const account = await checkSitePermissions(origin, 'signAllTransactions', params.account);
+  const spend = await checkSpendLimit(origin, params.transactions, account);
+  
   // X1W-SEC: Check if reauth is required for sensitive operations
   const needsReauth = await requiresReauth(origin);
   
@@ -1052,6 +1873,8 @@ async function handleSignAllTransactions(params, origin, sender) {
       type: 'signAllTransactions',
       origin,
       transactions: params.transactions,
+      account,
+      spend,
       timestamp: Date.now(),
       requiresReauth: needsReauth,
       requestId
@@ -1092,6 +1915,9 @@ async function handleSignAndSendTransaction(params, origin, sender) {
     throw new Error('Site not connected');
   }
   
+  const account = await checkSitePermissions(origin, 'signAndSendTransaction', params.account);
+  const spend = await checkSpendLimit(origin, [params.transaction], account);
+  
   // X1W-SEC: Check if reauth is required for sensitive operations
   const needsReauth = await requiresReauth(origin);
   
@@ -1102,6 +1928,8 @@ async function handleSignAndSendTransaction(params, origin, sender) {
       origin,
       transaction: params.transaction,
       options: params.options,
+      account,
+      spend,
       timestamp: Date.now(),
       requiresReauth: needsReauth,
       requestId
@@ -1142,6 +1970,8 @@ async function handleSignMessage(params, origin, sender) {
     throw new Error('Site not connected');
   }
   
+  const account = await checkSitePermissions(origin, 'signMessage', params.account);
+  
   // X1W-SEC: Check if reauth is required for sensitive operations
   const needsReauth = await requiresReauth(origin);
   
@@ -1151,6 +1981,7 @@ async function handleSignMessage(params, origin, sender) {
       type: 'signMessage',
       origin,
       message: params.message,
+      account,
       timestamp: Date.now(),
       requiresReauth: needsReauth,
       requestId
@@ -1184,6 +2015,56 @@ async function handleSignMessage(params, origin, sender) {
   });
 }
 
+// Handle Sign-In With Solana - connects the site (if needed) and signs the SIWS message in one approval
+// The popup builds the canonical message so the wallet, not the site, fills in domain and address
+async function handleSignIn(params, origin, favicon) {
+  // Reauth and site permissions only apply once the site has an existing session
+  const connected = await isSiteConnected(origin);
+  const input = params.input || {};
+  const account = connected ? await checkSitePermissions(origin, 'signMessage', input.address) : null;
+  const needsReauth = connected ? await requiresReauth(origin) : false;
+  
+  return new Promise((resolve) => {
+    const requestId = generateRequestId();
+    const request = {
+      type: 'signIn',
+      origin,
+      favicon,
+      input,
+      account,
+      timestamp: Date.now(),
+      requiresReauth: needsReauth,
+      requestId
+    };
+    
+    const timeoutId = setTimeout(() => {
+      const entry = getPendingRequestById(requestId);
+      if (entry) {
+        entry.callback({ error: 'Request timeout' });
+        removePendingRequest(requestId);
+        if (pendingRequests.size > 0) {
+          chrome.action.setBadgeText({ text: pendingRequests.size.toString() });
+        } else {
+          clearBadge();
+        }
+      }
+    }, 30000);  // X1W-SEC: Reduced timeout for security
+    
+    pendingRequests.set(requestId, { request, callback: resolve, timeoutId });
+    
+    // Notify connected popups about the pending request
+    notifyPendingRequest(requestId, request);
+    
+    // Open the extension popup dropdown for approval
+    console.log('[Background] Opening extension popup for signIn');
+    chrome.action.openPopup().catch(err => {
+      console.log('[Background] openPopup requires user gesture, showing badge');
+      chrome.action.setBadgeText({ text: pendingRequests.size.toString() });
+      chrome.action.setBadgeBackgroundColor({ color: '#FF6B00' });
+    });
+  });
+}
+
 // Handle get network
 async function handleGetNetwork() {
   const network = await getCurrentNetwork();
@@ -1199,7 +2080,7 @@ async function handleGetConnectionStatus(origin) {
   const sites = await getConnectedSites();
   console.log('[Background] All connected sites:', Object.keys(sites));
   
-  const connected = await isSiteConnected(origin);
+  const connected = await isSiteConnected(origin) && await isAccountShared(origin);
   console.log('[Background] isSiteConnected result:', connected);
   
   if (connected) {
@@ -1208,16 +2089,18 @@ async function handleGetConnectionStatus(origin) {
     const chain = networkToChain(network);
     
     // First try to get public key from wallet
+    const siteData = sites[origin];
     if (wallet && wallet.publicKey) {
       console.log('[Background] Connection status - CONNECTED (from wallet):', origin, wallet.publicKey);
-      return { result: { connected: true, publicKey: wallet.publicKey, network, chain } };
+      const accounts = getSharedAccounts(siteData, wallet.publicKey);
+      return { result: { connected: true, publicKey: wallet.publicKey, accounts, network, chain } };
     }
     
     // Fallback: get public key from stored connection
-    const siteData = sites[origin];
     if (siteData && siteData.publicKey) {
       console.log('[Background] Connection status - CONNECTED (from storage):', origin, siteData.publicKey);
-      return { result: { connected: true, publicKey: siteData.publicKey, network, chain } };
+      const accounts = getSharedAccounts(siteData, siteData.publicKey);
+      return { result: { connected: true, publicKey: siteData.publicKey, accounts, network, chain } };
     }
     
     console.log('[Background] Connection status - connected but no publicKey found');
@@ -1242,11 +2125,13 @@ async function handleApproveSign(message) {
   
   const id = requestId || entry.id;
   const callback = entry.callback;
+  const { origin, spend } = entry.request || {};
   
   if (message.signedTransaction) {
     console.log('[Background] Sending signedTransaction back to DApp');
     callback({ result: { signedTransaction: message.signedTransaction } });
     removePendingRequest(id);
+    await recordSiteSpend(origin, spend);
     return { success: true };
   }
   
@@ -1254,6 +2139,7 @@ async function handleApproveSign(message) {
     console.log('[Background] Sending signedTransactions back to DApp');
     callback({ result: { signedTransactions: message.signedTransactions } });
     removePendingRequest(id);
+    await recordSiteSpend(origin, spend);
     return { success: true };
   }
   
@@ -1261,6 +2147,7 @@ async function handleApproveSign(message) {
     console.log('[Background] Sending signature back to DApp:', message.signature);
     callback({ result: { signature: message.signature } });
     removePendingRequest(id);
+    await recordSiteSpend(origin, spend);
     
     // Trigger balance refresh in wallet UI
     broadcastBalanceRefresh();
@@ -1361,4 +2248,179 @@ function broadcastBalanceRefresh() {
   }).catch(() => {});
 }
 
+// ============================================================================
+// Limit orders - poll XDEX quotes for open orders and notify when one triggers
+// Orders are written by core/services/limitOrders.js; getQuoteOutputAmount() and isOrderTriggered()
+// mirror it there. Swaps are signed from the wallet UI - this only watches prices.
+// ============================================================================
+
+const LIMIT_ORDERS_KEY = 'x1wallet_limitOrders';
+const LIMIT_ORDER_ALARM = 'x1wallet-limit-orders';
+const LIMIT_ORDER_POLL_MINUTES = 0.5; // Shortest alarm period Chrome allows
+const LIMIT_ORDER_EXECUTING_TIMEOUT_MS = 5 * 60 * 1000; // An execution the wallet closed during goes back to triggered, for approval
+const XDEX_QUOTE_URL = 'https://api.xdex.xyz/api/xendex/swap/quote';
+
+let limitOrderCheck = null;
+
+// Same lock as core/services/limitOrders.js takes, so the merge below can't overwrite an order the
+// wallet claimed between the re-read and the write
+function withLimitOrdersLock(fn) {
+  return navigator.locks ? navigator.locks.request(LIMIT_ORDERS_KEY, fn) : fn();
+}
+
+function getQuoteOutputAmount(quote) {
+  const data = (quote && quote.data) || {};
+  const output = data.outputAmount != null ? data.outputAmount
+    : data.token_out_amount != null ? data.token_out_amount
+    : quote && quote.outputAmount != null ? quote.outputAmount
+    : quote && quote.token_out_amount;
+  const parsed = parseFloat(output);
+  return isNaN(parsed) ? null : parsed;
+}
+
+function isOrderTriggered(order, price) {
+  if (price === null || price === undefined || !(price > 0)) return false;
+  return order.condition === 'below' ? price <= order.targetPrice : price >= order.targetPrice;
+}
+
+async function getLimitOrderPrice(order) {
+  const params = new URLSearchParams({
+    network: order.network,
+    token_in: order.tokenIn,
+    token_out: order.tokenOut,
+    token_in_amount: order.amount.toString(),
+    is_exact_amount_in: 'true'
+  });
+  const response = await fetch(`${XDEX_QUOTE_URL}?${params}`, { headers: { 'Accept': 'application/json' } });
+  if (!response.ok) {
+    throw new Error(`Quote request failed (${response.status})`);
+  }
+  const output = getQuoteOutputAmount(await response.json());
+  return output === null ? null : output / order.amount;
+}
+
+function notifyLimitOrderTriggered(order, price) {
+  const receive = (price * order.amount).toPrecision(6);
+  const action = order.autoExecute
+    ? 'It will execute the next time X1 Wallet is open and unlocked.'
+    : 'Open X1 Wallet to approve the swap.';
+  chrome.notifications.create(`limit-order:${order.id}`, {
+    type: 'basic',
+    iconUrl: 'icons/128-wallet.png',
+    title: order.kind === 'stopLoss' ? 'Stop loss triggered' : order.kind === 'takeProfit' ? 'Take profit triggered' : 'Limit order triggered',
+    message: `${order.amount} ${order.fromToken.symbol} → ~${parseFloat(receive)} ${order.toToken.symbol}. ${action}`,
+    priority: 2,
+    requireInteraction: true
+  }, () => {
+    if (chrome.runtime.lastError) {
+      console.warn('[Background] Limit order notification failed:', chrome.runtime.lastError.message);
+    }
+  });
+}
+
+// Check every open order once - expire, trigger or leave it
+function checkLimitOrders() {
+  if (limitOrderCheck) return limitOrderCheck;
+  
+  limitOrderCheck = (async () => {
+    const result = await chrome.storage.local.get(LIMIT_ORDERS_KEY);
+    const orders = result[LIMIT_ORDERS_KEY] || [];
+    const now = Date.now();
+    const changes = {}; // id -> { from: status when checked, fields to update }
+    const triggered = [];
+    const triggeredGroups = new Set();
+    
+    for (const order of orders) {
+      if (order.status === 'executing' && now - (order.executingAt || 0) > LIMIT_ORDER_EXECUTING_TIMEOUT_MS) {
+        // The swap may have been sent - the error stops auto-execution, and approving checks the stored signature first
+        const error = order.signature
+          ? 'The wallet closed before the swap confirmed - approve to check it and retry if it did not land'
+          : 'The wallet closed while the swap was being sent - approve to retry';
+        changes[order.id] = { from: 'executing', fields: { status: 'triggered', error } };
+        continue;
+      }
+      if (order.status !== 'open') continue;
+      if (order.expiresAt && now > order.expiresAt) {
+        changes[order.id] = { from: 'open', fields: { status: 'expired', closedAt: now } };
+        continue;
+      }
+      // Only one half of a take profit / stop loss pair can trigger
+      if (order.groupId && triggeredGroups.has(order.groupId)) continue;
+      try {
+        const price = await getLimitOrderPrice(order);
+        changes[order.id] = { from: 'open', fields: { lastPrice: price, lastCheckedAt: now } };
+        if (isOrderTriggered(order, price)) {
+          Object.assign(changes[order.id].fields, { status: 'triggered', triggeredAt: now, triggerPrice: price });
+          triggered.push({ order, price });
+          if (order.groupId) triggeredGroups.add(order.groupId);
+        }
+      } catch (err) {
+        console.warn('[Background] Limit order quote failed:', order.id, err.message);
+      }
+    }
+    
+    if (Object.keys(changes).length === 0) return;
+    
+    // Re-read so orders placed or cancelled while quotes were fetched aren't lost
+    const updated = await withLimitOrdersLock(async () => {
+      const latest = (await chrome.storage.local.get(LIMIT_ORDERS_KEY))[LIMIT_ORDERS_KEY] || [];
+      const merged = latest.map(order => {
+        const change = changes[order.id];
+        // Skip orders the wallet executed or cancelled in the meantime
+        if (!change || order.status !== change.from) return order;
+        return { ...order, ...change.fields };
+      });
+      await chrome.storage.local.set({ [LIMIT_ORDERS_KEY]: merged });
+      return merged;
+    });
+    
+    for (const { order, price } of triggered) {
+      const current = updated.find(o => o.id === order.id);
+      if (current && current.status === 'triggered') {
+        console.log('[Background] Limit order triggered:', order.id, 'at', price);
+        notifyLimitOrderTriggered(order, price);
+      }
+    }
+  })().finally(() => {
+    limitOrderCheck = null;
+  });
+  return limitOrderCheck;
+}
+
+// Poll only while there are open orders
+async function updateLimitOrderAlarm() {
+  const result = await chrome.storage.local.get(LIMIT_ORDERS_KEY);
+  const orders = result[LIMIT_ORDERS_KEY] || [];
+  const watching = orders.some(o => o.status === 'open' || o.status === 'executing');
+  const existing = await chrome.alarms.get(LIMIT_ORDER_ALARM);
+  if (watching && !existing) {
+    chrome.alarms.create(LIMIT_ORDER_ALARM, { delayInMinutes: LIMIT_ORDER_POLL_MINUTES, periodInMinutes: LIMIT_ORDER_POLL_MINUTES });
+  } else if (!watching && existing) {
+    chrome.alarms.clear(LIMIT_ORDER_ALARM);
+  }
+}
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name !== LIMIT_ORDER_ALARM) return;
+  checkLimitOrders().catch(err => console.error('[Background] Limit order check failed:', err));
+});
+
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === 'local' && changes[LIMIT_ORDERS_KEY]) {
+    updateLimitOrderAlarm().catch(() => {});
+  }
+});
+
+// Clicking the notification opens the wallet on the order
+chrome.notifications.onClicked.addListener((notificationId) => {
+  if (!notificationId.startsWith('limit-order:')) return;
+  chrome.notifications.clear(notificationId);
+  chrome.action.openPopup().catch(() => {
+    chrome.action.setBadgeText({ text: '!' });
+    chrome.action.setBadgeBackgroundColor({ color: '#FF6B00' });
+  });
+});
+
+updateLimitOrderAlarm().catch(() => {});
+
 console.log('[X1 Wallet] Background script loaded');
\ No newline at end of file
@@ -116,6 +116,10 @@
   // Listen for messages from extension (events like disconnect, account change)
   chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     if (message.target === 'x1-wallet-content') {
+      // Messages scoped to particular sites (e.g. account changes) skip pages they don't list
+      if (message.origins && !message.origins.includes(currentOrigin)) {
+        return false;
+      }
       console.log('[X1 Wallet Content] Forwarding to provider:', message.type, message.payload);
       
       // Use secure port if available, fallback to postMessage
@@ -147,5 +151,11 @@
   // Inject immediately
   injectProvider();
 
+  // Ask the background to check this page against the phishing blocklist
+  // Flagged pages are replaced with the extension's warning page
+  if (window.top === window && /^https?:$/.test(window.location.protocol)) {
+    chrome.runtime.sendMessage({ type: 'check-phishing' }).catch(() => {});
+  }
+
   console.log('[X1 Wallet] Content script loaded for:', window.location.origin);
 })();
\ No newline at end of file
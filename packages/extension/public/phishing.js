@@ -0,0 +1,67 @@
+// X1 Wallet phishing warning page
+// Shown in place of a page the background flagged; "Proceed anyway" adds the site to the user's allowlist
+
+(function() {
+  'use strict';
+
+  const params = new URLSearchParams(window.location.search);
+  const blockedUrl = params.get('url') || '';
+  const reason = params.get('reason') || 'Flagged by the phishing blocklist';
+
+  let hostname = '';
+  try {
+    const url = new URL(blockedUrl);
+    if (url.protocol === 'http:' || url.protocol === 'https:') {
+      hostname = url.hostname;
+    }
+  } catch (e) {
+    // Leave hostname empty - proceeding is disabled below
+  }
+
+  document.getElementById('host').textContent = hostname || 'Unknown site';
+  document.getElementById('reason').textContent = reason;
+
+  // Closing the tab is the safe way out - going back could land on the same page again
+  document.getElementById('back').addEventListener('click', () => {
+    chrome.tabs.getCurrent(tab => {
+      if (tab && tab.id !== undefined) {
+        chrome.tabs.remove(tab.id);
+      } else {
+        window.location.replace('about:blank');
+      }
+    });
+  });
+
+  const showConfirm = document.getElementById('show-confirm');
+  const confirmBox = document.getElementById('confirm');
+  const confirmCheck = document.getElementById('confirm-check');
+  const proceed = document.getElementById('proceed');
+
+  if (!hostname) {
+    showConfirm.disabled = true;
+  }
+
+  showConfirm.addEventListener('click', () => {
+    confirmBox.classList.add('visible');
+    showConfirm.style.display = 'none';
+  });
+
+  confirmCheck.addEventListener('change', () => {
+    proceed.disabled = !confirmCheck.checked;
+  });
+
+  proceed.addEventListener('click', async () => {
+    proceed.disabled = true;
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'phishing-allow', url: blockedUrl });
+      if (response && response.success) {
+        window.location.replace(blockedUrl);
+        return;
+      }
+      console.error('[X1 Wallet] Could not allow site:', response && response.error);
+    } catch (e) {
+      console.error('[X1 Wallet] Could not allow site:', e);
+    }
+    proceed.disabled = false;
+  });
+})();
@@ -12,6 +12,7 @@ import WalletMain from './components/WalletMain';
 import WalletManager from './components/WalletManager';
 import SettingsScreen from './components/SettingsScreen';
 import SendFlow from './components/SendFlow';
+import BatchSend from './components/BatchSend';
 import ReceiveScreen from './components/ReceiveScreen';
 import SwapScreen from './components/SwapScreen';
 import BridgeScreen from './components/BridgeScreen';
@@ -464,6 +465,8 @@ function App() {
   const [isLocked, setIsLocked] = useState(false);
   const [initialCheckDone, setInitialCheckDone] = useState(false);
   const [selectedToken, setSelectedToken] = useState(null);
+  // Expired send picked from Activity to send again
+  const [retryTransaction, setRetryTransaction] = useState(null);
   const [activityRefreshKey, setActivityRefreshKey] = useState(0);
   const [balanceRefreshKey, setBalanceRefreshKey] = useState(0);
   const [userTokens, setUserTokens] = useState([]);
@@ -782,7 +785,7 @@ function App() {
 
     const checkLock = () => {
       // Don't lock during active operations - these screens mean user is actively doing something
-      const activeScreens = ['settings', 'send', 'swap', 'bridge', 'stake', 'tokenDetail', 'create', 'import', 'hardware'];
+      const activeScreens = ['settings', 'send', 'batchSend', 'swap', 'bridge', 'stake', 'tokenDetail', 'create', 'import', 'hardware'];
       if (activeScreens.includes(screen)) return;
       
       // For "Immediately" (0), we only lock on initial load, not during active use
@@ -967,7 +970,7 @@ function App() {
   };
 
   // Handle wallet import - ALWAYS requires password (turns protection ON)
-  const handleImportComplete = async (mnemonic, name, password, derivationIndex = 0) => {
+  const handleImportComplete = async (mnemonic, name, password, derivationIndex = 0, derivationPath = null) => {
     try {
       // Import ALWAYS requires password (existing funds need protection)
       if (!password) {
@@ -983,7 +986,7 @@ function App() {
       const effectivePasswordExists = passwordExists && hasWallets;
       
       // Pass password directly to importWallet (avoids React state timing issue)
-      await wallet.importWallet(mnemonic, name, password, derivationIndex);
+      await wallet.importWallet(mnemonic, name, password, derivationIndex, derivationPath);
       
       // Set up password hash if first time
       if (!effectivePasswordExists) {
@@ -1086,10 +1089,11 @@ function App() {
         // Use accountIndex for derivation (not the sorted display index)
         // Also pass the derivation path if it differs from standard
         const derivationIndex = addr.accountIndex ?? addr.index;
+        const derivationPath = addr.scheme === 'standard' ? null : addr.path;
         
         try {
           logger.log(`[ImportMultiple] Importing wallet ${i + 1}/${derivedAddresses.length}: ${walletName} (derivation index ${derivationIndex}, path: ${addr.path || 'standard'})`);
-          await wallet.importWallet(mnemonic, walletName, password, derivationIndex);
+          await wallet.importWallet(mnemonic, walletName, password, derivationIndex, derivationPath);
           importedCount++;
           logger.log(`[ImportMultiple] Successfully imported: ${walletName}`);
           
@@ -1739,14 +1743,35 @@ function App() {
           wallet={wallet}
           selectedToken={selectedToken}
           userTokens={userTokens}
+          retryTransaction={retryTransaction}
           onBack={() => { 
             setSelectedToken(null); 
+            setRetryTransaction(null);
             setScreen('main'); 
             triggerBalanceRefresh();
           }}
           onSuccess={() => { 
             triggerActivityRefresh(); 
           }}
+          onBatchSend={() => { setSelectedToken(null); setScreen('batchSend'); }}
+        />
+        <BottomNav />
+      </div>
+    );
+  }
+
+  // Batch (CSV) send screen
+  if (screen === 'batchSend') {
+    return (
+      <div className="app">
+        <BatchSend
+          wallet={wallet}
+          userTokens={userTokens}
+          onBack={() => {
+            setScreen('main');
+            triggerBalanceRefresh();
+          }}
+          onSuccess={() => triggerActivityRefresh()}
         />
         <BottomNav />
       </div>
@@ -1761,7 +1786,7 @@ function App() {
           token={selectedToken}
           wallet={wallet}
           onBack={() => { setSelectedToken(null); setScreen('main'); }}
-          onSend={(token) => { setSelectedToken(token); setScreen('send'); }}
+          onSend={(token) => { setSelectedToken(token); setRetryTransaction(null); setScreen('send'); }}
           onReceive={() => setScreen('receive')}
           onSwap={(token) => { setSelectedToken(token); setScreen('swap'); }}
           onBridge={() => setScreen('bridge')}
@@ -1778,6 +1803,7 @@ function App() {
       <div className="app">
         <ReceiveScreen
           wallet={wallet}
+          userTokens={userTokens}
           onBack={() => setScreen('main')}
         />
         <BottomNav />
@@ -2051,7 +2077,8 @@ function App() {
         userTokens={userTokens}
         onTokensUpdate={setUserTokens}
         onWalletSwitch={() => setUserTokens([])}
-        onSend={(token) => { setSelectedToken(token || null); setScreen('send'); }}
+        onSend={(token) => { setSelectedToken(token || null); setRetryTransaction(null); setScreen('send'); }}
+        onRetrySend={(tx) => { setSelectedToken(null); setRetryTransaction(tx); setScreen('send'); }}
         onReceive={() => setScreen('receive')}
         onSwap={(token) => { setSelectedToken(token || null); setScreen('swap'); }}
         onBridge={() => setScreen('bridge')}
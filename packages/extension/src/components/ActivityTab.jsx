@@ -2,11 +2,13 @@ import React, { useState, useEffect } from 'react';
 import { logger, getUserFriendlyError, ErrorMessages } from '@x1-wallet/core';
 import { getTransactionHistory, formatTransaction } from '@x1-wallet/core/utils/transaction';
 import { getTxExplorerUrl } from '@x1-wallet/core/services/networks';
+import { flagPoisonedTransactions, recordPoisonedAddresses, getRecentRecipients } from '@x1-wallet/core/utils/addressPoisoning';
 
 export function ActivityTab({ wallet, network, networkConfig }) {
   const [transactions, setTransactions] = useState([]);
   const [sortOrder, setSortOrder] = useState('desc'); // 'desc' = newest first, 'asc' = oldest first
   const [loading, setLoading] = useState(true);
+  const [showPoisoned, setShowPoisoned] = useState(false);
 
   useEffect(() => {
     if (wallet?.wallet?.publicKey) {
@@ -20,7 +22,9 @@ export function ActivityTab({ wallet, network, networkConfig }) {
       const walletAddress = wallet.wallet.publicKey;
       const history = getTransactionHistory(walletAddress, network, sortOrder);
       logger.log('[ActivityTab] Loading transactions for wallet:', walletAddress, 'network:', network, 'found:', history.length);
-      setTransactions(history.map(formatTransaction));
+      const flagged = flagPoisonedTransactions(history.map(formatTransaction), walletAddress, getRecentRecipients());
+      recordPoisonedAddresses(flagged);
+      setTransactions(flagged);
     } catch (e) {
       logger.error('Failed to load transactions:', e);
     }
@@ -79,6 +83,9 @@ export function ActivityTab({ wallet, network, networkConfig }) {
     if (tx.type === 'send') {
       return `To: ${tx.shortTo || tx.to?.slice(0, 6) + '...' + tx.to?.slice(-4)}`;
     }
+    if (tx.poisoning) {
+      return `Imitates ${tx.poisoning.lookalikeOf.slice(0, 6)}...${tx.poisoning.lookalikeOf.slice(-4)} - do not copy`;
+    }
     // Default: receive or unknown
     return `From: ${tx.shortFrom || tx.from?.slice(0, 6) + '...' + tx.from?.slice(-4)}`;
   };
@@ -111,6 +118,10 @@ export function ActivityTab({ wallet, network, networkConfig }) {
     return `${dateStr} · ${timeStr}`;
   };
 
+  // Incoming dust from lookalikes of past recipients - hidden unless the user asks to see it
+  const poisonedCount = transactions.filter(tx => tx.poisoning).length;
+  const visibleTransactions = showPoisoned ? transactions : transactions.filter(tx => !tx.poisoning);
+
   if (loading) {
     return (
       <div className="activity-tab">
@@ -140,8 +151,17 @@ export function ActivityTab({ wallet, network, networkConfig }) {
         </button>
       </div>
 
+      {poisonedCount > 0 && (
+        <div className="activity-poisoned-notice">
+          <span>
+            {poisonedCount} suspicious transfer{poisonedCount === 1 ? '' : 's'} {showPoisoned ? 'shown' : 'hidden'} - never copy addresses from them
+          </span>
+          <button onClick={() => setShowPoisoned(!showPoisoned)}>{showPoisoned ? 'Hide' : 'Show'}</button>
+        </div>
+      )}
+
       {/* Transaction List */}
-      {transactions.length === 0 ? (
+      {visibleTransactions.length === 0 ? (
         <div className="activity-empty">
           <svg width="48" height="48" viewBox="0 0 24 24" fill="none" stroke="var(--text-secondary)" strokeWidth="1.5">
             <rect x="3" y="3" width="18" height="18" rx="2"/>
@@ -151,12 +171,12 @@ export function ActivityTab({ wallet, network, networkConfig }) {
         </div>
       ) : (
         <div className="activity-list">
-          {transactions.map((tx, index) => {
+          {visibleTransactions.map((tx, index) => {
             const typeInfo = getTxTypeInfo(tx);
             return (
             <div 
               key={tx.signature || index} 
-              className="activity-item"
+              className={`activity-item ${tx.poisoning ? 'poisoned' : ''}`}
               onClick={() => tx.signature && openExplorer(tx.signature)}
             >
               <div className="activity-icon-wrap">
@@ -192,7 +212,7 @@ export function ActivityTab({ wallet, network, networkConfig }) {
               <div className="activity-details">
                 <div className="activity-type-row">
                   <span className="activity-type-label">
-                    {typeInfo.label} {tx.symbol || ''}
+                    {tx.poisoning ? 'Possible address poisoning' : `${typeInfo.label} ${tx.symbol || ''}`}
                   </span>
                   <span className="activity-time">{formatTime(tx.timestamp)}</span>
                 </div>
@@ -282,6 +302,33 @@ export function ActivityTab({ wallet, network, networkConfig }) {
           background: var(--bg-secondary);
         }
         
+.activity-item.poisoned .activity-type-label,
+        .activity-item.poisoned .activity-address {
+          color: var(--warning, #f59e0b);
+        }
+        
+        .activity-poisoned-notice {
+          display: flex;
+          align-items: center;
+          justify-content: space-between;
+          gap: 8px;
+          padding: 8px 16px;
+          background: rgba(245, 158, 11, 0.1);
+          color: var(--warning, #f59e0b);
+          font-size: 12px;
+        }
+        
+        .activity-poisoned-notice button {
+          flex-shrink: 0;
+          padding: 4px 10px;
+          border-radius: 6px;
+          border: 1px solid rgba(245, 158, 11, 0.4);
+          background: transparent;
+          color: inherit;
+          font-size: 11px;
+          cursor: pointer;
+        }
+        
         .activity-icon-wrap {
           width: 36px;
           height: 36px;
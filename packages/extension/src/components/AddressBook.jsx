@@ -0,0 +1,238 @@
+// Address Book - Settings sub-screen for managing saved contacts
+// Contacts live in the encrypted address book exposed by useWallet
+import React, { useState } from 'react';
+import { getUserFriendlyError } from '@x1-wallet/core';
+import { NETWORKS } from '@x1-wallet/core/services/networks';
+import { sortContactsByRecent } from '@x1-wallet/core/services/addressBook';
+
+const EMPTY_FORM = { name: '', address: '', network: '', notes: '' };
+
+export default function AddressBook({ wallet, onBack }) {
+  const contacts = wallet?.contacts || [];
+  const [editing, setEditing] = useState(null); // null | 'new' | contact id
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [error, setError] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [confirmDelete, setConfirmDelete] = useState(null);
+  const [copiedId, setCopiedId] = useState(null);
+
+  const startAdd = () => {
+    setForm({ ...EMPTY_FORM, network: '' });
+    setError('');
+    setEditing('new');
+  };
+
+  const startEdit = (contact) => {
+    setForm({
+      name: contact.name,
+      address: contact.address,
+      network: contact.network || '',
+      notes: contact.notes || ''
+    });
+    setError('');
+    setEditing(contact.id);
+  };
+
+  const cancelEdit = () => {
+    setEditing(null);
+    setForm(EMPTY_FORM);
+    setError('');
+  };
+
+  const handleSave = async () => {
+    setError('');
+    setSaving(true);
+    try {
+      const fields = { ...form, network: form.network || null };
+      if (editing === 'new') {
+        await wallet.addContact(fields);
+      } else {
+        await wallet.updateContact(editing, fields);
+      }
+      cancelEdit();
+    } catch (err) {
+      setError(getUserFriendlyError(err, 'Failed to save contact'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (contactId) => {
+    try {
+      await wallet.removeContact(contactId);
+    } catch (err) {
+      setError(getUserFriendlyError(err, 'Failed to delete contact'));
+    }
+    setConfirmDelete(null);
+  };
+
+  const copyAddress = (contact) => {
+    navigator.clipboard.writeText(contact.address);
+    setCopiedId(contact.id);
+    setTimeout(() => setCopiedId(null), 2000);
+  };
+
+  const header = (title, backAction) => (
+    <div className="settings-header">
+      <button className="back-btn" onClick={backAction}>
+        <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+          <path d="M19 12H5M12 19l-7-7 7-7" />
+        </svg>
+      </button>
+      <h2>{title}</h2>
+    </div>
+  );
+
+  // Add / edit form
+  if (editing) {
+    return (
+      <div className="screen settings-screen">
+        {header(editing === 'new' ? 'Add Contact' : 'Edit Contact', cancelEdit)}
+        <div className="settings-content">
+          {error && (
+            <div className="error-message" style={{ marginBottom: '16px', padding: '12px', background: 'rgba(239, 68, 68, 0.1)', borderRadius: '8px', color: '#ef4444', fontSize: '13px' }}>
+              {error}
+            </div>
+          )}
+          <div className="form-group">
+            <label>Name *</label>
+            <input
+              type="text"
+              className="form-input"
+              placeholder="e.g. Alice"
+              value={form.name}
+              maxLength={32}
+              onChange={e => setForm({ ...form, name: e.target.value })}
+            />
+          </div>
+          <div className="form-group">
+            <label>Address *</label>
+            <input
+              type="text"
+              className="form-input"
+              placeholder="Wallet address"
+              value={form.address}
+              onChange={e => setForm({ ...form, address: e.target.value })}
+              autoComplete="off"
+              spellCheck="false"
+            />
+          </div>
+          <div className="form-group">
+            <label>Network</label>
+            <select
+              className="form-input"
+              value={form.network}
+              onChange={e => setForm({ ...form, network: e.target.value })}
+            >
+              <option value="">All networks</option>
+              {Object.keys(NETWORKS).map(net => (
+                <option key={net} value={net}>{net}</option>
+              ))}
+            </select>
+          </div>
+          <div className="form-group">
+            <label>Notes (optional)</label>
+            <input
+              type="text"
+              className="form-input"
+              placeholder="e.g. Exchange deposit address"
+              value={form.notes}
+              maxLength={200}
+              onChange={e => setForm({ ...form, notes: e.target.value })}
+            />
+          </div>
+          <button
+            className="btn-primary"
+            onClick={handleSave}
+            disabled={saving || !form.name.trim() || !form.address.trim()}
+            style={{ marginTop: '8px' }}
+          >
+            {saving ? 'Saving...' : 'Save Contact'}
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="screen settings-screen">
+      {header('Address Book', onBack)}
+      <div className="settings-content">
+        {error && <div className="error-message" style={{ marginBottom: 12 }}>{error}</div>}
+
+        {contacts.length === 0 ? (
+          <div className="settings-item-info">
+            <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="var(--text-muted)" strokeWidth="2">
+              <circle cx="12" cy="12" r="10" />
+              <line x1="12" y1="16" x2="12" y2="12" />
+              <line x1="12" y1="8" x2="12.01" y2="8" />
+            </svg>
+            <span>No contacts yet. Save addresses you send to often.</span>
+          </div>
+        ) : (
+          <div className="settings-section">
+            {sortContactsByRecent(contacts).map(contact => (
+              <div key={contact.id} className="settings-item" style={{ alignItems: 'flex-start' }}>
+                <div className="settings-item-left" style={{ overflow: 'hidden', cursor: 'pointer' }} onClick={() => copyAddress(contact)}>
+                  <span className="wallet-avatar-initials" style={{ width: 32, height: 32, flexShrink: 0, marginRight: 8 }}>
+                    {contact.name.charAt(0).toUpperCase()}
+                  </span>
+                  <div style={{ overflow: 'hidden' }}>
+                    <span style={{ display: 'block', fontWeight: 500 }}>{contact.name}</span>
+                    <span style={{ fontSize: 11, color: copiedId === contact.id ? 'var(--success)' : 'var(--text-muted)' }}>
+                      {copiedId === contact.id ? 'Copied!' : `${contact.address.slice(0, 6)}...${contact.address.slice(-6)}`}
+                      {contact.network ? ` · ${contact.network}` : ''}
+                    </span>
+                    {contact.notes && (
+                      <span style={{ display: 'block', fontSize: 11, color: 'var(--text-muted)', marginTop: 2 }}>{contact.notes}</span>
+                    )}
+                  </div>
+                </div>
+                {confirmDelete === contact.id ? (
+                  <div style={{ display: 'flex', gap: 6 }}>
+                    <button className="btn-secondary" style={{ padding: '6px 10px', fontSize: 12 }} onClick={() => setConfirmDelete(null)}>
+                      Cancel
+                    </button>
+                    <button
+                      onClick={() => handleDelete(contact.id)}
+                      style={{ background: 'rgba(239, 68, 68, 0.1)', border: '1px solid rgba(239, 68, 68, 0.3)', borderRadius: 8, padding: '6px 10px', color: 'var(--error)', fontSize: 12, fontWeight: 500, cursor: 'pointer' }}
+                    >
+                      Delete
+                    </button>
+                  </div>
+                ) : (
+                  <div style={{ display: 'flex', gap: 4 }}>
+                    <button
+                      onClick={() => startEdit(contact)}
+                      style={{ background: 'none', border: 'none', color: 'var(--text-muted)', cursor: 'pointer', padding: 4 }}
+                      title="Edit contact"
+                    >
+                      <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                        <path d="M11 4H4a2 2 0 0 0-2 2v14a2 2 0 0 0 2 2h14a2 2 0 0 0 2-2v-7" />
+                        <path d="M18.5 2.5a2.121 2.121 0 0 1 3 3L12 15l-4 1 1-4 9.5-9.5z" />
+                      </svg>
+                    </button>
+                    <button
+                      onClick={() => setConfirmDelete(contact.id)}
+                      style={{ background: 'none', border: 'none', color: 'var(--text-muted)', cursor: 'pointer', padding: 4 }}
+                      title="Delete contact"
+                    >
+                      <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                        <polyline points="3 6 5 6 21 6" />
+                        <path d="M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2" />
+                      </svg>
+                    </button>
+                  </div>
+                )}
+              </div>
+            ))}
+          </div>
+        )}
+
+        <button className="btn-primary" onClick={startAdd} style={{ marginTop: 16 }}>
+          Add Contact
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,341 @@
+// Batch Send - multi-recipient send from a CSV (address, amount, optional token mint, memo)
+// Flow: Import → Review → Sending → Done (with retry for rows that weren't sent)
+import React, { useState } from 'react';
+import { NETWORKS, getTxExplorerUrl } from '@x1-wallet/core/services/networks';
+import { logger, getUserFriendlyError } from '@x1-wallet/core';
+import {
+  parseBatchCsv,
+  validateBatchRows,
+  prepareBatchTransfers,
+  packBatchTransactions,
+  estimateBatchFees,
+  summarizeBatchTotals,
+  sendBatchTransactions,
+  refreshBatchRows,
+  isBatchRowResendable
+} from '@x1-wallet/core/utils/batchSend';
+import { hardwareWallet } from '../services/hardware';
+
+const STEPS = {
+  IMPORT: 'import',
+  REVIEW: 'review',
+  SENDING: 'sending',
+  DONE: 'done'
+};
+
+const STATUS_LABELS = {
+  ready: 'Ready',
+  invalid: 'Invalid',
+  signing: 'Signing',
+  sending: 'Sending',
+  confirmed: 'Sent',
+  failed: 'Failed',
+  expired: 'Expired',
+  pending: 'Unconfirmed'
+};
+
+// Rows the retry button picks up - 'pending' ones are looked up again and only resent once expired
+const RETRY_STATUSES = ['failed', 'expired', 'pending'];
+
+function formatBaseUnits(amount, decimals) {
+  const value = BigInt(amount);
+  const divisor = 10n ** BigInt(decimals);
+  const fraction = (value % divisor).toString().padStart(decimals, '0').replace(/0+$/, '');
+  return (value / divisor).toString() + (fraction ? '.' + fraction : '');
+}
+
+export default function BatchSend({ wallet, userTokens = [], onBack, onSuccess }) {
+  const [step, setStep] = useState(STEPS.IMPORT);
+  const [csvText, setCsvText] = useState('');
+  const [rows, setRows] = useState([]);
+  const [totals, setTotals] = useState([]);
+  const [batchCount, setBatchCount] = useState(0);
+  const [preparing, setPreparing] = useState(false);
+  const [error, setError] = useState('');
+  const [hwStatus, setHwStatus] = useState('');
+
+  const isHardwareWallet = wallet?.wallet?.isHardware ||
+                           wallet?.activeWallet?.isHardware ||
+                           wallet?.isHardware || false;
+
+  const network = wallet?.network || 'X1 Mainnet';
+  const networkConfig = NETWORKS[network] || { symbol: 'XNT', decimals: 9, rpcUrl: 'https://rpc.testnet.x1.xyz' };
+  const owner = wallet?.wallet?.publicKey;
+
+  const readyRows = rows.filter(r => r.status === 'ready');
+  const invalidRows = rows.filter(r => r.status === 'invalid');
+  const retryRows = rows.filter(r => RETRY_STATUSES.includes(r.status));
+  const hasInsufficient = totals.some(t => t.insufficient);
+
+  const handleFile = (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => setCsvText(String(reader.result || ''));
+    reader.readAsText(file);
+    e.target.value = '';
+  };
+
+  // Parse, validate and pack the CSV so the review screen shows the real transaction count and fees
+  const handleReview = async () => {
+    setError('');
+    setPreparing(true);
+    try {
+      const parsed = parseBatchCsv(csvText);
+      if (parsed.length === 0) {
+        throw new Error('No rows found in the CSV');
+      }
+      const native = {
+        symbol: networkConfig.symbol,
+        decimals: networkConfig.decimals,
+        balance: BigInt(Math.floor((wallet?.balance || 0) * Math.pow(10, networkConfig.decimals))).toString()
+      };
+      const validated = validateBatchRows(parsed, { owner, tokens: userTokens, native });
+      const prepared = await prepareBatchTransfers({ rows: validated.rows, owner, rpcUrl: networkConfig.rpcUrl });
+      const packed = packBatchTransactions(prepared, { feePayer: owner });
+      const fees = await estimateBatchFees({ batches: packed.batches, rows: packed.rows, feePayer: owner, rpcUrl: networkConfig.rpcUrl });
+
+      setRows(packed.rows);
+      setTotals(summarizeBatchTotals(packed.rows, { tokens: userTokens, native, fees }));
+      setBatchCount(packed.batches.length);
+      setStep(STEPS.REVIEW);
+    } catch (err) {
+      setError(getUserFriendlyError(err, 'Failed to read the CSV'));
+    } finally {
+      setPreparing(false);
+    }
+  };
+
+  const signWithHardware = async (message) => {
+    try {
+      if (!hardwareWallet.isReady()) {
+        setHwStatus('Connecting to Ledger...');
+        await hardwareWallet.connect();
+        await hardwareWallet.openApp();
+      }
+      setHwStatus('Please confirm transaction on Ledger...');
+      return await hardwareWallet.signTransaction(message, wallet?.wallet?.derivationPath);
+    } catch (err) {
+      logger.error('[BatchSend] Hardware signing error:', err);
+      if (err.message?.includes('rejected')) {
+        throw new Error('Transaction rejected on Ledger');
+      }
+      throw new Error(`Ledger signing failed: ${err.message}`);
+    }
+  };
+
+  // Send the given rows; rows are re-prepared so retries pick up ATAs created by earlier batches
+  // recordedRows are the rows as last shown - ones already confirmed there are in the history
+  const runBatches = async (sendRows, recordedRows = sendRows) => {
+    const privateKey = wallet?.wallet?.privateKey;
+    if (!isHardwareWallet && !privateKey) {
+      setError('Wallet is locked or not available. Please unlock your wallet first.');
+      return;
+    }
+
+    setError('');
+    setStep(STEPS.SENDING);
+    try {
+      const prepared = await prepareBatchTransfers({ rows: sendRows, owner, rpcUrl: networkConfig.rpcUrl });
+      const packed = packBatchTransactions(prepared, { feePayer: owner });
+      let current = packed.rows;
+      setRows(current);
+
+      await sendBatchTransactions({
+        batches: packed.batches,
+        feePayer: owner,
+        rpcUrl: networkConfig.rpcUrl,
+        privateKey: isHardwareWallet ? null : privateKey,
+        signMessage: isHardwareWallet ? signWithHardware : null,
+        onUpdate: (rowIndexes, update) => {
+          current = current.map((row, i) => rowIndexes.includes(i) ? { ...row, ...update } : row);
+          setRows(current);
+        }
+      });
+
+      const { addTransaction } = await import('@x1-wallet/core/utils/transaction');
+      current.forEach((row, i) => {
+        // Rows confirmed by an earlier attempt were already recorded
+        if (row.status !== 'confirmed' || recordedRows[i].status === 'confirmed') return;
+        addTransaction({
+          signature: row.signature,
+          type: 'send',
+          amount: parseFloat(row.amount),
+          symbol: row.symbol,
+          from: owner,
+          to: row.address,
+          timestamp: Date.now(),
+          status: 'confirmed',
+          network,
+          isToken: !!row.mint,
+          mint: row.mint || undefined,
+          tokenName: row.token?.name || row.symbol,
+          memo: row.memo || undefined
+        });
+      });
+      if (current.some(r => r.status === 'confirmed') && onSuccess) onSuccess();
+    } catch (err) {
+      setError(getUserFriendlyError(err, 'Batch send failed'));
+    } finally {
+      setHwStatus('');
+      setStep(STEPS.DONE);
+    }
+  };
+
+  // A batch that timed out may still land - look every earlier signature up and only resend rows whose
+  // transfer certainly didn't happen, so a retry can't pay anyone twice
+  const handleRetryFailed = async () => {
+    setError('');
+    setStep(STEPS.SENDING);
+    const refreshed = await refreshBatchRows(rows, networkConfig.rpcUrl);
+    const sendRows = refreshed.map(r => isBatchRowResendable(r)
+      ? { ...r, status: 'ready', error: null, signature: null, lastValidBlockHeight: null }
+      : r);
+    await runBatches(sendRows, rows);
+  };
+
+  const renderRow = (row, i) => (
+    <div key={i} className="batch-row">
+      <div className="batch-row-main">
+        <span className="batch-row-address">
+          {row.address ? `${row.address.slice(0, 6)}...${row.address.slice(-4)}` : `Line ${row.line}`}
+        </span>
+        <span className="batch-row-amount">{row.amount} {row.symbol || ''}</span>
+        <span className={`batch-row-status ${row.status}`}>{STATUS_LABELS[row.status] || row.status}</span>
+      </div>
+      {row.memo && <div className="batch-row-detail">Memo: {row.memo}</div>}
+      {row.error && <div className="batch-row-detail error">Line {row.line}: {row.error}</div>}
+      {row.signature && (
+        <a className="batch-row-detail" href={getTxExplorerUrl(network, row.signature)} target="_blank" rel="noopener noreferrer">
+          View transaction
+        </a>
+      )}
+    </div>
+  );
+
+  const renderStep = () => {
+    switch (step) {
+      case STEPS.IMPORT:
+        return (
+          <div className="send-step-content">
+            <div className="send-section">
+              <div className="send-section-label">PASTE OR UPLOAD CSV</div>
+              <textarea
+                className="form-input batch-csv-input"
+                placeholder={'address,amount,mint,memo\nRecipient...,1.5,,January payroll'}
+                value={csvText}
+                onChange={(e) => setCsvText(e.target.value)}
+                spellCheck="false"
+              />
+              <label className="btn-secondary batch-file-btn">
+                Choose file
+                <input type="file" accept=".csv,text/csv,text/plain" onChange={handleFile} hidden />
+              </label>
+              <div className="batch-hint">
+                Leave the mint empty to send {networkConfig.symbol}. Missing token accounts are created for recipients.
+              </div>
+            </div>
+            {error && <div className="error-message">{error}</div>}
+            <button className="btn-primary" onClick={handleReview} disabled={!csvText.trim() || preparing}>
+              {preparing ? 'Checking rows...' : 'Review'}
+            </button>
+          </div>
+        );
+
+      case STEPS.REVIEW:
+        return (
+          <div className="send-step-content">
+            <div className="send-summary-card">
+              {totals.map(total => (
+                <div key={total.mint || 'native'} className="send-summary-row">
+                  <span className="send-summary-label">Total {total.symbol}</span>
+                  <span className="send-summary-value" style={total.insufficient ? { color: 'var(--error)' } : undefined}>
+                    {formatBaseUnits(total.amount, total.decimals)}
+                    {total.fees !== '0' ? ` + ${formatBaseUnits(total.fees, total.decimals)} fees & rent` : ''}
+                    {total.insufficient ? ' (insufficient balance)' : ''}
+                  </span>
+                </div>
+              ))}
+              <div className="send-summary-row">
+                <span className="send-summary-label">Recipients</span>
+                <span className="send-summary-value">{readyRows.length} ready, {invalidRows.length} invalid</span>
+              </div>
+              <div className="send-summary-row">
+                <span className="send-summary-label">Transactions</span>
+                <span className="send-summary-value">{batchCount}{isHardwareWallet && batchCount > 0 ? ' (confirm each on Ledger)' : ''}</span>
+              </div>
+            </div>
+            <div className="send-section">
+              <div className="send-section-label">ROWS</div>
+              {rows.map(renderRow)}
+            </div>
+            {error && <div className="error-message">{error}</div>}
+            <button
+              className="btn-primary"
+              onClick={() => runBatches(rows)}
+              disabled={readyRows.length === 0 || hasInsufficient}
+            >
+              {invalidRows.length > 0 ? `Send ${readyRows.length} valid rows` : `Send to ${readyRows.length} recipients`}
+            </button>
+          </div>
+        );
+
+      case STEPS.SENDING:
+      case STEPS.DONE:
+        return (
+          <div className="send-step-content">
+            {hwStatus && step === STEPS.SENDING && (
+              <div className="send-hw-status">{hwStatus}</div>
+            )}
+            <div className="send-section">
+              <div className="send-section-label">
+                {step === STEPS.SENDING ? 'SENDING...' : `${rows.filter(r => r.status === 'confirmed').length} OF ${rows.length} SENT`}
+              </div>
+              {rows.map(renderRow)}
+            </div>
+            {error && <div className="error-message">{error}</div>}
+            {step === STEPS.DONE && retryRows.length > 0 && (
+              <button className="btn-secondary" onClick={handleRetryFailed} style={{ marginBottom: 12 }}>
+                Retry {retryRows.length} unsent {retryRows.length === 1 ? 'row' : 'rows'}
+              </button>
+            )}
+            {step === STEPS.DONE && (
+              <button className="btn-primary" onClick={onBack}>Done</button>
+            )}
+          </div>
+        );
+
+      default:
+        return null;
+    }
+  };
+
+  const handleBack = () => {
+    if (step === STEPS.REVIEW) {
+      setStep(STEPS.IMPORT);
+    } else {
+      onBack();
+    }
+  };
+
+  return (
+    <div className="screen send-screen send-flow-container">
+      <div className="page-header">
+        <div className="header-left">
+          {step !== STEPS.SENDING && (
+            <button className="back-btn" onClick={handleBack}>
+              <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                <path d="M19 12H5M12 19l-7-7 7-7" />
+              </svg>
+            </button>
+          )}
+        </div>
+        <h2 className="header-title">Batch Send</h2>
+        <div className="header-right" />
+      </div>
+      <div className="send-flow-content">
+        {renderStep()}
+      </div>
+    </div>
+  );
+}
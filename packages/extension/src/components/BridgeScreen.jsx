@@ -2,6 +2,7 @@
 import { logger, getUserFriendlyError, ErrorMessages } from '@x1-wallet/core';
 import React, { useState, useEffect, useCallback, useRef } from 'react';
 import { getTxExplorerUrl } from '@x1-wallet/core/services/networks';
+import { withPriorityFee } from '@x1-wallet/core/services/priorityFees';
 import { hardwareWallet } from '../services/hardware';
 
 // Bridge API Configuration - try multiple URLs
@@ -1460,7 +1461,7 @@ export default function BridgeScreen({ wallet, userTokens = [], onBack, onNetwor
       
       // Build message
       const messageLen = 3 + numAccountsCompact.length + (32 * finalNumAccounts) + 32 + numInstructions.length + instructionBytes.length;
-      const message = new Uint8Array(messageLen);
+      let message = new Uint8Array(messageLen);
       let msgOffset = 0;
       
       message.set(header, msgOffset); msgOffset += 3;
@@ -1472,6 +1473,9 @@ export default function BridgeScreen({ wallet, userTokens = [], onBack, onNetwor
       
       logger.log('[Bridge] Message built, length:', message.length, 'accounts:', finalNumAccounts);
       
+      // Priority fee from recent fees on the bridge accounts, with a compute unit limit from simulation
+      message = await withPriorityFee(rpcUrl, message);
+      
       // --- Sign the message ---
       setTxStatus({ stage: 'idle', message: 'Signing transaction...' });
       
@@ -3,8 +3,20 @@ import React, { useState, useEffect, useRef } from 'react';
 import * as crypto from '@x1-wallet/core/utils/crypto';
 import * as base58 from '@x1-wallet/core/utils/base58';
 import { logger, getUserFriendlyError, ErrorMessages } from '@x1-wallet/core';
+import { simulateBalanceChanges } from '@x1-wallet/core/services/simulation';
+import { describeInstruction } from '@x1-wallet/core/utils/instructionDecoders';
+import { readCompactU16, fetchLookupTables, decodeTransaction, decodeWithLookupTables } from '@x1-wallet/core/utils/transactionDecoder';
+import { prepareSignIn } from '@x1-wallet/core/utils/signIn';
+import { SITE_EXPIRY_OPTIONS, DEFAULT_SITE_SESSION_MS } from '@x1-wallet/core/services/sitePermissions';
+import { loadCustomNetworks, getCustomNetwork, verifyNetworkIdentity, chainToNetwork as customChainToNetwork } from '@x1-wallet/core/services/customNetworks';
+import { getActiveRpcUrl, fetchRpcWithFailover } from '@x1-wallet/core/services/rpcEndpoints';
+import { PRIORITY_LEVELS, getPriorityFeeOptions, feeToMicroLamports } from '@x1-wallet/core/services/priorityFees';
+import { applyPriorityFee, estimateComputeUnitLimit, getWritableAccounts, readComputeBudget, getPriorityFeeLamports } from '@x1-wallet/core/utils/computeBudget';
 import { hardwareWallet } from '../services/hardware';
 
+// Requests that are simulated before they can be approved
+const SIGNING_REQUEST_TYPES = ['signTransaction', 'signAndSendTransaction', 'signAllTransactions'];
+
 // Safe wrapper for chrome.runtime.sendMessage to handle context invalidation
 // Returns null if chrome.runtime is unavailable (extension context invalidated)
 async function safeSendMessage(message) {
@@ -31,57 +43,12 @@ async function safeSendMessage(message) {
   }
 }
 
-// Transaction priority options - network aware
-function getPriorityOptions(network) {
-  const isX1 = network?.includes('X1');
-  // X1 has higher base fees than Solana
-  if (isX1) {
-    return [
-      { id: 'auto', name: 'Auto', fee: 0, description: 'Standard speed' },
-      { id: 'fast', name: 'Fast', fee: 0.001, description: 'Higher priority' },
-      { id: 'turbo', name: 'Turbo', fee: 0.005, description: 'Very high priority' },
-      { id: 'degen', name: 'Degen', fee: 0.01, description: 'Maximum priority' },
-      { id: 'custom', name: 'Custom', fee: 0, description: 'Set your own fee' }
-    ];
-  }
-  // Solana fees
-  return [
-    { id: 'auto', name: 'Auto', fee: 0, description: 'Standard speed' },
-    { id: 'fast', name: 'Fast', fee: 0.000005, description: 'Higher priority' },
-    { id: 'turbo', name: 'Turbo', fee: 0.00005, description: 'Very high priority' },
-    { id: 'degen', name: 'Degen', fee: 0.001, description: 'Maximum priority' },
-    { id: 'custom', name: 'Custom', fee: 0, description: 'Set your own fee' }
-  ];
-}
-
 // Get base transaction fee for network
 function getBaseFee(network) {
   const isX1 = network?.includes('X1');
   return isX1 ? 0.002 : 0.000005; // X1: 0.002 XNT, Solana: 5000 lamports
 }
 
-// Legacy constant for backwards compatibility
-const PRIORITY_OPTIONS = [
-  { id: 'auto', name: 'Auto', fee: 0, description: 'Standard speed' },
-  { id: 'fast', name: 'Fast', fee: 0.000005, description: 'Higher priority' },
-  { id: 'turbo', name: 'Turbo', fee: 0.00005, description: 'Very high priority' },
-  { id: 'degen', name: 'Degen', fee: 0.001, description: 'Maximum priority' },
-  { id: 'custom', name: 'Custom', fee: 0, description: 'Set your own fee' }
-];
-
-// Known program IDs for X1/Solana
-const KNOWN_PROGRAMS = {
-  '11111111111111111111111111111111': { name: 'System Program', safe: true },
-  'TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA': { name: 'Token Program', safe: true },
-  'TokenzQdBNbLqP5VEhdkAS6EPFLC1PHnBqCXEpPxuEb': { name: 'Token-2022 Program', safe: true },
-  'ATokenGPvbdGVxr1b2hvZbsiqW5xWH25efTNsLJA8knL': { name: 'Associated Token Program', safe: true },
-  'ComputeBudget111111111111111111111111111111': { name: 'Compute Budget', safe: true },
-  'MemoSq4gqABAXKb96qnH8TysNcWxMyWCqXgDLGmfcHr': { name: 'Memo Program', safe: true },
-  'Memo1UhkJRfHyvLMcVucJwxXeuD728EqVDDwQDxFMNo': { name: 'Memo Program v1', safe: true },
-  // Wrapped SOL mint (used in XNT wrapping/unwrapping)
-  'So11111111111111111111111111111111111111112': { name: 'Wrapped SOL/XNT', safe: true },
-};
-
 // Trusted dApp origins - don't show "unknown program" warning for these
 // Uses partial matching so 'x1.xyz' matches 'app.x1.xyz', 'staging.x1.xyz', etc.
 const TRUSTED_DAPP_ORIGINS = [
@@ -89,372 +56,99 @@ const TRUSTED_DAPP_ORIGINS = [
   'xdex.xyz',    // Matches all *.xdex.xyz
 ];
 
-// System program instruction types
-const SYSTEM_INSTRUCTIONS = {
-  0: 'Create Account',
-  1: 'Assign',
-  2: 'Transfer',
-  3: 'Create Account with Seed',
-  4: 'Advance Nonce',
-  5: 'Withdraw Nonce',
-  6: 'Initialize Nonce',
-  7: 'Authorize Nonce',
-  8: 'Allocate',
-  9: 'Allocate with Seed',
-  10: 'Assign with Seed',
-  11: 'Transfer with Seed',
-  12: 'Upgrade Nonceless Account'
-};
-
-// Token program instruction types
-const TOKEN_INSTRUCTIONS = {
-  0: 'Initialize Mint',
-  1: 'Initialize Account',
-  2: 'Initialize Multisig',
-  3: 'Transfer',
-  4: 'Approve',
-  5: 'Revoke',
-  6: 'Set Authority',
-  7: 'Mint To',
-  8: 'Burn',
-  9: 'Close Account',
-  10: 'Freeze Account',
-  11: 'Thaw Account',
-  12: 'Transfer Checked',
-  13: 'Approve Checked',
-  14: 'Mint To Checked',
-  15: 'Burn Checked',
-  16: 'Initialize Account 2',
-  17: 'Sync Native',
-  18: 'Initialize Account 3',
-};
-
-// Compute Budget instruction types
-const COMPUTE_BUDGET_INSTRUCTIONS = {
-  0: 'Request Heap Frame',
-  1: 'Set Compute Unit Limit', // Legacy
-  2: 'Set Compute Unit Limit',
-  3: 'Set Compute Unit Price',
-};
-
 /**
- * Read a compact-u16 encoded value from a buffer
- * Solana uses compact-u16 for array lengths and other variable-length integers
+ * Merge per-transaction simulation results for a request into one preview
+ * Only a failure of the first transaction blocks approval - later transactions in a batch
+ * may depend on earlier ones landing, so their failures are shown as warnings
  */
-function readCompactU16(buffer, offset) {
-  let value = 0;
-  let shift = 0;
-  let bytesRead = 0;
+function combineSimulationResults(results) {
+  const combined = { success: true, unitsConsumed: 0, changes: [], blockingError: null, warnings: [] };
+  const byAsset = new Map();
   
-  while (offset + bytesRead < buffer.length) {
-    const byte = buffer[offset + bytesRead];
-    bytesRead++;
-    
-    value |= (byte & 0x7f) << shift;
-    
-    if ((byte & 0x80) === 0) {
-      break;
+  results.forEach((result, i) => {
+    const label = results.length > 1 ? `Transaction ${i + 1}: ` : '';
+    if (!result.success) {
+      combined.success = false;
+      if (result.unavailable) {
+        combined.warnings.push(`${label}Simulation unavailable`);
+      } else if (i === 0) {
+        combined.blockingError = `${label}${result.error}`;
+      } else {
+        combined.warnings.push(`${label}${result.error}`);
+      }
+      return;
     }
-    shift += 7;
-    
-    // Prevent infinite loop
-    if (bytesRead > 3) break;
-  }
+    combined.unitsConsumed += result.unitsConsumed || 0;
+    for (const change of result.changes) {
+      const key = change.mint || 'native';
+      const existing = byAsset.get(key);
+      if (existing) {
+        existing.amount = (BigInt(existing.amount) + BigInt(change.amount)).toString();
+        if (existing.rawUnits && !change.rawUnits) {
+          Object.assign(existing, { decimals: change.decimals, rawUnits: false });
+        }
+        existing.uiAmount = existing.rawUnits ? Number(existing.amount) : Number(existing.amount) / 10 ** existing.decimals;
+      } else {
+        byAsset.set(key, { ...change });
+      }
+    }
+  });
   
-  return { value, bytesRead };
+  combined.changes = [...byAsset.values()].filter(c => c.amount !== '0');
+  return combined;
 }
 
 /**
- * Detect if transaction is versioned (V0) or legacy
+ * Format address for display
  */
-function isVersionedTransaction(txBytes, messageStart) {
-  // In versioned transactions, the first byte of the message has the high bit set
-  // and the lower 7 bits indicate the version (0 for V0)
-  const firstMessageByte = txBytes[messageStart];
-  // Check if high bit is set (0x80) - indicates versioned transaction
-  return (firstMessageByte & 0x80) !== 0;
+function formatAddr(addr) {
+  if (!addr || addr.length < 8) return addr || 'Unknown';
+  return `${addr.slice(0, 4)}...${addr.slice(-4)}`;
 }
 
 /**
- * Decode transaction to show user-friendly details (X1W-003)
- * Supports both legacy and versioned (V0) transaction formats
- * @param {Uint8Array} txBytes - Raw transaction bytes
- * @returns {Object} Decoded transaction details
+ * Find an address across all wallets, with what is needed to sign for it
  */
-function decodeTransaction(txBytes) {
-  try {
-    // Read number of signatures using compact-u16
-    const sigCountResult = readCompactU16(txBytes, 0);
-    const numSignatures = sigCountResult.value;
-    const messageStart = sigCountResult.bytesRead + (numSignatures * 64);
-    
-    if (messageStart >= txBytes.length) {
-      return { success: false, error: 'Invalid transaction: message start beyond buffer', raw: true };
-    }
-    
-    const message = txBytes.slice(messageStart);
-    
-    // Detect versioned vs legacy transaction
-    const isVersioned = isVersionedTransaction(txBytes, messageStart);
-    
-    let accountKeys = [];
-    let instructions = [];
-    let offset = 0;
-    let numRequiredSignatures = 0;
-    let numReadonlySignedAccounts = 0;
-    let numReadonlyUnsignedAccounts = 0;
-    let hasAddressLookupTables = false;
-    
-    if (isVersioned) {
-      // Versioned transaction (V0)
-      const version = message[0] & 0x7f; // Lower 7 bits are version
-      offset = 1;
-      
-      if (version !== 0) {
-        // We only support V0 for now
-        return {
-          success: true,
-          isVersioned: true,
-          version,
-          instructions: [{ programName: `Versioned Transaction (V${version})`, isKnownSafe: true }],
-          hasUnknownPrograms: false,
-          note: `Transaction version ${version} - details not fully decoded`
-        };
-      }
-      
-      // Parse V0 message header
-      numRequiredSignatures = message[offset];
-      numReadonlySignedAccounts = message[offset + 1];
-      numReadonlyUnsignedAccounts = message[offset + 2];
-      offset += 3;
-      
-      // Read static account keys using compact-u16 length
-      const staticKeysResult = readCompactU16(message, offset);
-      const numStaticKeys = staticKeysResult.value;
-      offset += staticKeysResult.bytesRead;
-      
-      for (let i = 0; i < numStaticKeys && offset + 32 <= message.length; i++) {
-        const key = message.slice(offset, offset + 32);
-        accountKeys.push(base58.encode(key));
-        offset += 32;
-      }
-      
-      // Skip recent blockhash (32 bytes)
-      offset += 32;
-      
-      // Parse instructions using compact-u16 for counts
-      const numInstructionsResult = readCompactU16(message, offset);
-      const numInstructions = numInstructionsResult.value;
-      offset += numInstructionsResult.bytesRead;
-      
-      for (let i = 0; i < numInstructions && offset < message.length; i++) {
-        const programIdIndex = message[offset];
-        offset += 1;
-        
-        const numAccountsResult = readCompactU16(message, offset);
-        const numAccounts = numAccountsResult.value;
-        offset += numAccountsResult.bytesRead;
-        
-        const accountIndices = [];
-        for (let j = 0; j < numAccounts && offset < message.length; j++) {
-          accountIndices.push(message[offset]);
-          offset += 1;
-        }
-        
-        const dataLenResult = readCompactU16(message, offset);
-        const dataLen = dataLenResult.value;
-        offset += dataLenResult.bytesRead;
-        
-        const data = message.slice(offset, offset + dataLen);
-        offset += dataLen;
-        
-        // Get program ID - may be from static keys or lookup table
-        const programId = programIdIndex < accountKeys.length 
-          ? accountKeys[programIdIndex] 
-          : null;
-        
-        const instruction = decodeInstruction(programId, accountIndices, data, accountKeys);
-        instructions.push(instruction);
-      }
-      
-      // Check for address lookup tables (after instructions)
-      if (offset < message.length) {
-        const numALTsResult = readCompactU16(message, offset);
-        hasAddressLookupTables = numALTsResult.value > 0;
-      }
-      
-    } else {
-      // Legacy transaction format
-      numRequiredSignatures = message[0];
-      numReadonlySignedAccounts = message[1];
-      numReadonlyUnsignedAccounts = message[2];
-      
-      // Read number of accounts using compact-u16
-      const numAccountsResult = readCompactU16(message, 3);
-      const numAccounts = numAccountsResult.value;
-      offset = 3 + numAccountsResult.bytesRead;
-      
-      for (let i = 0; i < numAccounts && offset + 32 <= message.length; i++) {
-        const key = message.slice(offset, offset + 32);
-        accountKeys.push(base58.encode(key));
-        offset += 32;
-      }
-      
-      // Skip recent blockhash (32 bytes)
-      offset += 32;
-      
-      // Parse instructions
-      const numInstructionsResult = readCompactU16(message, offset);
-      const numInstructions = numInstructionsResult.value;
-      offset += numInstructionsResult.bytesRead;
-      
-      for (let i = 0; i < numInstructions && offset < message.length; i++) {
-        const programIdIndex = message[offset];
-        offset += 1;
-        
-        const numAccountsResult = readCompactU16(message, offset);
-        const numAccountIndices = numAccountsResult.value;
-        offset += numAccountsResult.bytesRead;
-        
-        const accountIndices = [];
-        for (let j = 0; j < numAccountIndices && offset < message.length; j++) {
-          accountIndices.push(message[offset]);
-          offset += 1;
-        }
-        
-        const dataLenResult = readCompactU16(message, offset);
-        const dataLen = dataLenResult.value;
-        offset += dataLenResult.bytesRead;
-        
-        const data = message.slice(offset, offset + dataLen);
-        offset += dataLen;
-        
-        const programId = programIdIndex < accountKeys.length 
-          ? accountKeys[programIdIndex] 
-          : null;
-        
-        const instruction = decodeInstruction(programId, accountIndices, data, accountKeys);
-        instructions.push(instruction);
-      }
+function findWalletAccount(wallets, publicKey) {
+  for (const w of wallets || []) {
+    const address = (w.addresses || []).find(a => a.publicKey === publicKey);
+    if (address) {
+      return {
+        publicKey,
+        privateKey: address.privateKey,
+        isHardware: !!w.isHardware,
+        derivationPath: w.derivationPath
+      };
     }
-    
-    return {
-      success: true,
-      isVersioned,
-      numSignatures,
-      numAccounts: accountKeys.length,
-      accounts: accountKeys,
-      instructions,
-      hasUnknownPrograms: instructions.some(i => !i.isKnownSafe),
-      hasAddressLookupTables,
-      estimatedFee: null // Will be calculated in display using getBaseFee(network) * numSignatures
-    };
-  } catch (e) {
-    logger.error('[decodeTransaction] Error:', e);
-    return {
-      success: false,
-      error: 'Could not decode transaction',
-      raw: true
-    };
   }
+  return null;
 }
 
-/**
- * Check if a program ID is the System Program (handles various encodings)
- */
-function isSystemProgram(programId) {
-  if (!programId) return false;
-  // Direct match
-  if (programId === '11111111111111111111111111111111') return true;
-  // Check if it's all 1s (various lengths due to encoding)
-  if (/^1+$/.test(programId) && programId.length >= 30 && programId.length <= 44) return true;
-  return false;
+// Message inside a serialized transaction
+function getTransactionMessage(txBytes) {
+  const { value, bytesRead } = readCompactU16(txBytes, 0);
+  return txBytes.slice(bytesRead + value * 64);
 }
 
-/**
- * Decode a single instruction based on program ID
- */
-function decodeInstruction(programId, accountIndices, data, accountKeys) {
-  // Handle case where program ID couldn't be resolved (e.g., from lookup table)
-  if (!programId) {
-    return {
-      programId: 'Lookup Table Reference',
-      programName: 'External Program (via Lookup Table)',
-      isKnownSafe: true, // Don't warn for lookup table references in standard ops
-      accounts: accountIndices.map(idx => accountKeys[idx] || `Index ${idx}`),
-      data,
-      note: 'Program resolved via Address Lookup Table'
-    };
-  }
-  
-  // Check for System Program first (handles encoding variations)
-  const isSysProgram = isSystemProgram(programId);
-  const programInfo = isSysProgram 
-    ? { name: 'System Program', safe: true }
-    : KNOWN_PROGRAMS[programId];
-  
-  const instruction = {
-    programId,
-    programName: programInfo?.name || 'Unknown Program',
-    isKnownSafe: programInfo?.safe || false,
-    accounts: accountIndices.map(idx => accountKeys[idx] || `Index ${idx}`),
-    data
-  };
-  
-  // Decode System Program instructions
-  if (isSysProgram && data.length >= 4) {
-    const instructionType = data[0] | (data[1] << 8) | (data[2] << 16) | (data[3] << 24);
-    instruction.instructionType = SYSTEM_INSTRUCTIONS[instructionType] || `System Instruction ${instructionType}`;
-    
-    // Decode transfer amount
-    if (instructionType === 2 && data.length >= 12) {
-      try {
-        const lamports = new DataView(data.buffer, data.byteOffset + 4, 8).getBigUint64(0, true);
-        instruction.amount = Number(lamports) / 1e9;
-        instruction.recipient = instruction.accounts[1];
-      } catch (e) {
-        // Ignore decode errors
-      }
-    }
-  }
-  
-  // Decode Token Program instructions
-  if ((programId === 'TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA' ||
-       programId === 'TokenzQdBNbLqP5VEhdkAS6EPFLC1PHnBqCXEpPxuEb') && data.length >= 1) {
-    const instructionType = data[0];
-    instruction.instructionType = TOKEN_INSTRUCTIONS[instructionType] || `Token Instruction ${instructionType}`;
-    
-    // Decode token transfer amount
-    if ((instructionType === 3 || instructionType === 12) && data.length >= 9) {
-      try {
-        const amount = new DataView(data.buffer, data.byteOffset + 1, 8).getBigUint64(0, true);
-        instruction.tokenAmount = amount.toString();
-      } catch (e) {
-        // Ignore decode errors
-      }
-    }
-  }
-  
-  // Decode Compute Budget instructions
-  if (programId === 'ComputeBudget111111111111111111111111111111' && data.length >= 1) {
-    const instructionType = data[0];
-    instruction.instructionType = COMPUTE_BUDGET_INSTRUCTIONS[instructionType] || `Compute Budget ${instructionType}`;
-  }
-  
-  // Decode Associated Token Program
-  if (programId === 'ATokenGPvbdGVxr1b2hvZbsiqW5xWH25efTNsLJA8knL') {
-    instruction.instructionType = 'Create Associated Token Account';
-  }
-  
-  return instruction;
+// Only a transaction the wallet alone signs can be repriced - changing it would break anyone else's signature
+function isSoleSigner(message) {
+  return message[(message[0] & 0x80) !== 0 ? 1 : 0] === 1;
 }
 
 /**
- * Format address for display
+ * Signature slot for a signer - its position among the message's required signers
+ * Falls back to the first slot (fee payer) when the signer isn't listed
  */
-function formatAddr(addr) {
-  if (!addr || addr.length < 8) return addr || 'Unknown';
-  return `${addr.slice(0, 4)}...${addr.slice(-4)}`;
+function getSignerSlot(message, signer) {
+  const headerStart = (message[0] & 0x80) !== 0 ? 1 : 0; // Skip version prefix
+  const numRequiredSignatures = message[headerStart];
+  const keyCount = readCompactU16(message, headerStart + 3);
+  let offset = headerStart + 3 + keyCount.bytesRead;
+  for (let i = 0; i < Math.min(numRequiredSignatures, keyCount.value); i++) {
+    if (base58.encode(message.slice(offset, offset + 32)) === signer) return i;
+    offset += 32;
+  }
+  return 0;
 }
 
 export default function DAppApproval({ wallet, requestId, onComplete }) {
@@ -464,16 +158,160 @@ export default function DAppApproval({ wallet, requestId, onComplete }) {
   const [processing, setProcessing] = useState(false);
   const [error, setError] = useState(null);
   const [currentNetwork, setCurrentNetwork] = useState(wallet.network || 'X1 Mainnet');
+  const [customNetworks] = useState(() => loadCustomNetworks());
   const [decodedTx, setDecodedTx] = useState(null); // X1W-003: Transaction details
-  const [priority, setPriority] = useState('auto');
+  const [simulation, setSimulation] = useState(null); // Pre-sign simulation preview ({ loading } while running)
+  const [priority, setPriority] = useState('auto'); // 'auto' keeps the dApp's own priority fee
   const [customFee, setCustomFee] = useState('');
+  // { dappFee, computeUnits, options, canReprice } for the transaction being approved
+  const [priorityInfo, setPriorityInfo] = useState(null);
   const [hwStatus, setHwStatus] = useState(''); // Hardware wallet status
   const [ledgerPopupError, setLedgerPopupError] = useState(false); // Ledger popup limitation
+  // Permissions granted on connect (editable later in Settings → Connected Sites)
+  const [allowSignMessage, setAllowSignMessage] = useState(true);
+  const [currentNetworkOnly, setCurrentNetworkOnly] = useState(false);
+  const [connectionExpiry, setConnectionExpiry] = useState(DEFAULT_SITE_SESSION_MS);
+  const [extraAccounts, setExtraAccounts] = useState([]); // Accounts shared alongside the active one
+  
+  const decodedTxBytes = useRef(null); // Raw bytes behind decodedTx, re-decoded once lookup tables load
   
   // Ref to prevent re-entry into signing functions
   const signingInProgress = useRef(false);
   const lastSignAttempt = useRef(0); // Timestamp of last attempt
 
+  // Decode a request's transaction (first one for batches) for display
+  const showDecodedTransaction = (request) => {
+    const txBase64 = request.transaction || request.transactions?.[0];
+    const totalTransactions = request.transactions?.length;
+    if (!txBase64) {
+      decodedTxBytes.current = null;
+      setDecodedTx(null);
+      return;
+    }
+    try {
+      const txBytes = Uint8Array.from(atob(txBase64), c => c.charCodeAt(0));
+      const decoded = decodeTransaction(txBytes);
+      if (totalTransactions) decoded.totalTransactions = totalTransactions;
+      decodedTxBytes.current = txBytes;
+      setDecodedTx(decoded);
+      logger.log('[DAppApproval] Decoded transaction:', decoded);
+    } catch (e) {
+      logger.error('[DAppApproval] Failed to decode transaction');
+      decodedTxBytes.current = null;
+      setDecodedTx({ success: false, raw: true, totalTransactions });
+    }
+  };
+
+  // Resolve Address Lookup Tables so loaded programs/accounts show real addresses
+  useEffect(() => {
+    if (!decodedTx?.addressTableLookups?.length || decodedTx.lookupTablesResolved || decodedTx.lookupTableError) return;
+    const txBytes = decodedTxBytes.current;
+    if (!txBytes) return;
+    
+    let cancelled = false;
+    const tableKeys = decodedTx.addressTableLookups.map(l => l.accountKey);
+    fetchLookupTables(getActiveRpcUrl(currentNetwork), tableKeys)
+      .then(tables => {
+        if (cancelled || decodedTxBytes.current !== txBytes) return;
+        const resolved = decodeTransaction(txBytes, tables);
+        resolved.totalTransactions = decodedTx.totalTransactions;
+        if (!resolved.lookupTablesResolved) {
+          resolved.lookupTableError = 'Some lookup table addresses could not be resolved';
+        }
+        setDecodedTx(resolved);
+      })
+      .catch(err => {
+        if (cancelled || decodedTxBytes.current !== txBytes) return;
+        logger.warn('[DAppApproval] Failed to load lookup tables:', err.message);
+        setDecodedTx(prev => ({ ...prev, lookupTableError: 'Could not load address lookup tables' }));
+      });
+    
+    return () => { cancelled = true; };
+  }, [decodedTx, currentNetwork]);
+
+  // Simulate every signing request up front so the user sees what it will do before approving
+  useEffect(() => {
+    const isSigningRequest = SIGNING_REQUEST_TYPES.includes(pendingRequest?.type);
+    const owner = pendingRequest?.account || wallet.wallet?.publicKey;
+    const txs = pendingRequest?.transaction ? [pendingRequest.transaction] : (pendingRequest?.transactions || []);
+    if (!isSigningRequest || !owner || txs.length === 0) {
+      setSimulation(null);
+      return;
+    }
+    
+    let cancelled = false;
+    setSimulation({ loading: true });
+    
+    const runSimulation = async () => {
+      const rpcUrl = getActiveRpcUrl(currentNetwork);
+      const results = [];
+      for (const txBase64 of txs) {
+        const txBytes = Uint8Array.from(atob(txBase64), c => c.charCodeAt(0));
+        const decoded = await decodeWithLookupTables(txBytes, rpcUrl);
+        results.push(await simulateBalanceChanges({
+          transaction: txBytes,
+          owner,
+          accounts: decoded.accounts || [],
+          network: currentNetwork,
+          rpcUrl
+        }));
+        if (cancelled) return;
+      }
+      setSimulation(combineSimulationResults(results));
+    };
+    
+    runSimulation().catch(err => {
+      logger.warn('[DAppApproval] Simulation failed:', err.message);
+      if (!cancelled) setSimulation({ success: false, changes: [], blockingError: null, warnings: ['Simulation unavailable'] });
+    });
+    
+    return () => { cancelled = true; };
+  }, [pendingRequest, currentNetwork, wallet.wallet?.publicKey]);
+
+  // Price the priority levels for a single signAndSend transaction from recent fees on its accounts
+  useEffect(() => {
+    setPriority('auto');
+    setCustomFee('');
+    if (!pendingRequest?.transaction) {
+      setPriorityInfo(null);
+      return;
+    }
+    
+    let cancelled = false;
+    const loadPriorityInfo = async () => {
+      const rpcUrl = getActiveRpcUrl(currentNetwork);
+      const message = getTransactionMessage(Uint8Array.from(atob(pendingRequest.transaction), c => c.charCodeAt(0)));
+      const budget = readComputeBudget(message);
+      const dappFee = getPriorityFeeLamports(budget.microLamports, budget.computeUnitLimit) / 1e9;
+      const canReprice = pendingRequest.type === 'signAndSendTransaction' && isSoleSigner(message);
+      if (!canReprice) {
+        if (!cancelled) setPriorityInfo({ dappFee, computeUnits: budget.computeUnitLimit, options: [], canReprice });
+        return;
+      }
+      const computeUnits = await estimateComputeUnitLimit(rpcUrl, message).catch(() => null) || budget.computeUnitLimit;
+      const options = await getPriorityFeeOptions(rpcUrl, { accounts: getWritableAccounts(message), computeUnits });
+      if (!cancelled) setPriorityInfo({ dappFee, computeUnits, options, canReprice });
+    };
+    
+    loadPriorityInfo().catch(err => {
+      logger.warn('[DAppApproval] Priority fee estimate failed:', err.message);
+      if (!cancelled) setPriorityInfo(null);
+    });
+    
+    return () => { cancelled = true; };
+  }, [pendingRequest, currentNetwork]);
+
+  // Selected priority as { microLamports, fee } - null for 'auto', which leaves the transaction as the dApp built it
+  const getSelectedPriority = () => {
+    if (priority === 'auto' || !priorityInfo?.canReprice) return null;
+    if (priority === 'custom') {
+      const fee = parseFloat(customFee) || 0;
+      return { microLamports: feeToMicroLamports(fee, priorityInfo.computeUnits), fee };
+    }
+    const option = priorityInfo.options.find(p => p.id === priority);
+    return { microLamports: option?.microLamports || 0, fee: option?.fee || 0 };
+  };
+
   // Helper: Check for next pending request before closing
   // This prevents missing sequential requests (e.g., connect -> signMessage)
   const completeAndCheckNext = async () => {
@@ -496,26 +334,7 @@ export default function DAppApproval({ wallet, requestId, onComplete }) {
         setError(null);
         
         // Decode transaction if needed
-        if (nextRequest.transaction) {
-          try {
-            const txBytes = Uint8Array.from(atob(nextRequest.transaction), c => c.charCodeAt(0));
-            const decoded = decodeTransaction(txBytes);
-            setDecodedTx(decoded);
-          } catch (e) {
-            setDecodedTx({ success: false, raw: true });
-          }
-        } else if (nextRequest.transactions && nextRequest.transactions.length > 0) {
-          try {
-            const txBytes = Uint8Array.from(atob(nextRequest.transactions[0]), c => c.charCodeAt(0));
-            const decoded = decodeTransaction(txBytes);
-            decoded.totalTransactions = nextRequest.transactions.length;
-            setDecodedTx(decoded);
-          } catch (e) {
-            setDecodedTx({ success: false, raw: true, totalTransactions: nextRequest.transactions.length });
-          }
-        } else {
-          setDecodedTx(null);
-        }
+        showDecodedTransaction(nextRequest);
         
         // Don't close - show the new request
         return;
@@ -566,28 +385,8 @@ export default function DAppApproval({ wallet, requestId, onComplete }) {
             setCurrentRequestId(reqId);
           }
           
-          // X1W-003: Decode transaction for display
-          if (request.transaction) {
-            try {
-              const txBytes = Uint8Array.from(atob(request.transaction), c => c.charCodeAt(0));
-              const decoded = decodeTransaction(txBytes);
-              setDecodedTx(decoded);
-              logger.log('[DAppApproval] Decoded transaction:', decoded);
-            } catch (e) {
-              logger.error('[DAppApproval] Failed to decode transaction');
-              setDecodedTx({ success: false, raw: true });
-            }
-          } else if (request.transactions && request.transactions.length > 0) {
-            // Decode first transaction for preview
-            try {
-              const txBytes = Uint8Array.from(atob(request.transactions[0]), c => c.charCodeAt(0));
-              const decoded = decodeTransaction(txBytes);
-              decoded.totalTransactions = request.transactions.length;
-              setDecodedTx(decoded);
-            } catch (e) {
-              setDecodedTx({ success: false, raw: true, totalTransactions: request.transactions.length });
-            }
-          }
+          // X1W-003: Decode transaction for display (first one for batches)
+          showDecodedTransaction(request);
         } else {
           setPendingRequest(null);
           setDecodedTx(null);
@@ -604,17 +403,28 @@ export default function DAppApproval({ wallet, requestId, onComplete }) {
     return () => clearInterval(interval);
   }, []);
 
+  // Account the request signs with - the one the dApp named, or the active account
+  const signerAddress = pendingRequest?.account || wallet.wallet?.publicKey;
+  const requestedAccount = signerAddress !== wallet.wallet?.publicKey
+    ? findWalletAccount(wallet.wallets, signerAddress)
+    : null;
+  
   // Check if hardware wallet
-  const isHardwareWallet = wallet?.wallet?.isHardware || 
+  const isHardwareWallet = requestedAccount ? requestedAccount.isHardware :
+                           (wallet?.wallet?.isHardware || 
                            wallet?.activeWallet?.isHardware || 
-                           wallet?.isHardware || false;
+                           wallet?.isHardware || false);
+  const signerDerivationPath = requestedAccount ? requestedAccount.derivationPath : wallet?.wallet?.derivationPath;
 
   // Get secret key from wallet (software wallets only)
   const getSecretKey = () => {
     if (isHardwareWallet) {
       throw new Error('Hardware wallet - use signWithHardware instead');
     }
-    const privateKey = wallet.wallet?.privateKey;
+    if (signerAddress !== wallet.wallet?.publicKey && !requestedAccount) {
+      throw new Error('The requested account is not in this wallet');
+    }
+    const privateKey = requestedAccount ? requestedAccount.privateKey : wallet.wallet?.privateKey;
     if (!privateKey) throw new Error('No private key');
     
     // Try to parse - could be base58 or JSON array
@@ -779,7 +589,12 @@ export default function DAppApproval({ wallet, requestId, onComplete }) {
       await safeSendMessage({
         type: 'provider-response',
         requestId: currentRequestId,  // X1W-SEC: Include request ID
-        payload: { result: { publicKey, network, chain } }
+        payload: { result: { publicKey, accounts: [publicKey, ...extraAccounts.filter(a => a !== publicKey)], network, chain } },
+        permissions: {
+          networks: currentNetworkOnly ? [network] : null,
+          signMessage: allowSignMessage,
+          expiresInMs: connectionExpiry
+        }
       });
       
       // Track XP for wallet connection (fire and forget)
@@ -811,7 +626,7 @@ export default function DAppApproval({ wallet, requestId, onComplete }) {
       'Solana Devnet': 'solana:devnet',
       'Solana Testnet': 'solana:testnet'
     };
-    return map[network] || 'x1:mainnet';
+    return map[network] || getCustomNetwork(network)?.chainId || 'x1:mainnet';
   };
 
   // Helper: Convert chain identifier to network name
@@ -823,7 +638,39 @@ export default function DAppApproval({ wallet, requestId, onComplete }) {
       'solana:devnet': 'Solana Devnet',
       'solana:testnet': 'Solana Testnet'
     };
-    return map[chain] || null;
+    return map[chain] || customChainToNetwork(chain);
+  };
+
+  // Approve a dApp's switchChain request - background already resolved the chain to one of our networks
+  const handleApproveSwitchChain = async () => {
+    setProcessing(true);
+    setError(null);
+    
+    try {
+      const { chain, network } = pendingRequest;
+      
+      // Don't move the wallet onto an RPC that now serves a different chain
+      const identity = await verifyNetworkIdentity(network, getActiveRpcUrl(network));
+      if (!identity.ok) {
+        throw new Error(`The RPC for ${network} reports a different genesis hash than when it was added`);
+      }
+      
+      localStorage.setItem('x1wallet_network', network);
+      if (wallet.setNetwork) {
+        wallet.setNetwork(network);
+      }
+      
+      await safeSendMessage({
+        type: 'provider-response',
+        requestId: currentRequestId,
+        payload: { result: { chain, network } }
+      });
+      
+      await completeAndCheckNext();
+    } catch (err) {
+      setError(getUserFriendlyError(err, 'Failed to switch network'));
+      setProcessing(false);
+    }
   };
 
   // Sign a transaction - the dApp sends serialized tx, we sign it
@@ -878,9 +725,8 @@ export default function DAppApproval({ wallet, requestId, onComplete }) {
       // Sign the message - hardware or software wallet
       let signature;
       if (isHardwareWallet) {
-        const derivationPath = wallet?.wallet?.derivationPath;
-        logger.log('[DAppApproval] Using derivation path:', derivationPath);
-        signature = await signWithHardware(message, derivationPath);
+        logger.log('[DAppApproval] Using derivation path:', signerDerivationPath);
+        signature = await signWithHardware(message, signerDerivationPath);
       } else {
         const secretKey = getSecretKey();
         signature = await crypto.sign(message, secretKey);
@@ -889,7 +735,7 @@ export default function DAppApproval({ wallet, requestId, onComplete }) {
       // Build signed transaction - preserve original structure
       const signedTx = new Uint8Array(txBytes.length);
       signedTx.set(txBytes); // Copy original
-      signedTx.set(signature, sigSlotsStart); // Place signature in first slot
+      signedTx.set(signature, sigSlotsStart + getSignerSlot(message, signerAddress) * 64); // Place signature in the signer's slot
       
       const signedTxBase64 = btoa(String.fromCharCode(...signedTx));
       
@@ -994,8 +840,7 @@ export default function DAppApproval({ wallet, requestId, onComplete }) {
           } else {
             setHwStatus(`Signing transaction ${i + 1} of ${pendingRequest.transactions.length}...`);
           }
-          const derivationPath = wallet?.wallet?.derivationPath;
-          signature = await signWithHardware(message, derivationPath);
+          signature = await signWithHardware(message, signerDerivationPath);
         } else {
           signature = await crypto.sign(message, secretKey);
         }
@@ -1003,7 +848,7 @@ export default function DAppApproval({ wallet, requestId, onComplete }) {
         // Build signed transaction - preserve original structure
         const signedTx = new Uint8Array(txBytes.length);
         signedTx.set(txBytes); // Copy original
-        signedTx.set(signature, sigSlotsStart); // Place signature in first slot
+        signedTx.set(signature, sigSlotsStart + getSignerSlot(message, signerAddress) * 64); // Place signature in the signer's slot
         
         signedTxs.push(btoa(String.fromCharCode(...signedTx)));
       }
@@ -1087,55 +932,22 @@ export default function DAppApproval({ wallet, requestId, onComplete }) {
     
     try {
       const txBytes = Uint8Array.from(atob(pendingRequest.transaction), c => c.charCodeAt(0));
-      
-      // Log selected priority for reference (network-aware fee options)
-      const priorityFeeNative = priority === 'custom' 
-        ? (parseFloat(customFee) || 0) 
-        : (getPriorityOptions(currentNetwork).find(p => p.id === priority)?.fee || 0);
-      
-      if (priorityFeeNative > 0) {
-        logger.log('[DAppApproval] User selected priority fee:', priorityFeeNative, currentNetwork?.includes('Solana') ? 'SOL' : 'XNT');
-      }
+      const selectedPriority = getSelectedPriority();
       
       // Get RPC URL based on network
-      let rpcUrl;
-      if (currentNetwork === 'X1 Mainnet') {
-        rpcUrl = 'https://rpc.mainnet.x1.xyz';
-      } else if (currentNetwork === 'X1 Testnet') {
-        rpcUrl = 'https://rpc.testnet.x1.xyz';
-      } else if (currentNetwork === 'Solana Mainnet') {
-        rpcUrl = 'https://jessamine-463apc-fast-mainnet.helius-rpc.com';
-      } else if (currentNetwork === 'Solana Devnet') {
-        rpcUrl = 'https://rose-l3rk46-fast-devnet.helius-rpc.com';
-      } else {
-        try {
-          const customNetworks = JSON.parse(localStorage.getItem('x1wallet_customRpcs') || '[]');
-          const customNet = customNetworks.find(n => n.name === currentNetwork);
-          if (customNet) {
-            rpcUrl = customNet.url;
-          } else {
-            rpcUrl = 'https://rpc.mainnet.x1.xyz';
-          }
-        } catch {
-          rpcUrl = 'https://rpc.mainnet.x1.xyz';
-        }
-      }
+      const rpcUrl = getActiveRpcUrl(currentNetwork);
       
       // Get wallet public key
-      const walletPubKey = wallet.wallet?.publicKey;
+      const walletPubKey = signerAddress;
       logger.log('[DAppApproval] Wallet public key:', walletPubKey);
       
       // Check balance before proceeding
       logger.log('[DAppApproval] Checking balance...');
-      const balanceResponse = await fetch(rpcUrl, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          jsonrpc: '2.0',
-          id: 1,
-          method: 'getBalance',
-          params: [walletPubKey, { commitment: 'confirmed' }]
-        })
+      const balanceResponse = await fetchRpcWithFailover(currentNetwork, {
+        jsonrpc: '2.0',
+        id: 1,
+        method: 'getBalance',
+        params: [walletPubKey, { commitment: 'confirmed' }]
       });
       
       const balanceData = await balanceResponse.json();
@@ -1160,7 +972,7 @@ export default function DAppApproval({ wallet, requestId, onComplete }) {
       const numSigSlots = sigCountResult.value;
       const sigSlotsStart = sigCountResult.bytesRead;
       const messageStart = sigSlotsStart + (numSigSlots * 64);
-      const message = txBytes.slice(messageStart);
+      let message = txBytes.slice(messageStart);
       
       // Check if versioned transaction (high bit set in first message byte)
       const isVersioned = (message[0] & 0x80) !== 0;
@@ -1188,42 +1000,44 @@ export default function DAppApproval({ wallet, requestId, onComplete }) {
         logger.warn('[DAppApproval] Fee payer mismatch! Wallet:', walletPubKey, 'Fee payer:', feePayerKey);
       }
       
+      // Reprice with the level the user picked (getSelectedPriority is null unless the wallet is the sole signer)
+      if (selectedPriority) {
+        logger.log('[DAppApproval] User selected priority fee:', selectedPriority.fee, selectedPriority.microLamports, 'microlamports/CU');
+        message = await applyPriorityFee(message, rpcUrl, selectedPriority.microLamports);
+      }
+      
       // Sign the message - hardware or software wallet
       logger.log('[DAppApproval] Signing message... isHardware:', isHardwareWallet);
       let signature;
       if (isHardwareWallet) {
-        const derivationPath = wallet?.wallet?.derivationPath;
-        logger.log('[DAppApproval] Using derivation path:', derivationPath);
-        signature = await signWithHardware(message, derivationPath);
+        logger.log('[DAppApproval] Using derivation path:', signerDerivationPath);
+        signature = await signWithHardware(message, signerDerivationPath);
       } else {
         const secretKey = getSecretKey();
         signature = await crypto.sign(message, secretKey);
       }
       logger.log('[DAppApproval] Signature generated, length:', signature.length);
       
-      // Build signed transaction - copy original and insert signature
-      const signedTx = new Uint8Array(txBytes.length);
-      signedTx.set(txBytes);
-      signedTx.set(signature, sigSlotsStart);
+      // Build signed transaction - original signature slots, the (possibly repriced) message, then our signature
+      const signedTx = new Uint8Array(messageStart + message.length);
+      signedTx.set(txBytes.slice(0, messageStart));
+      signedTx.set(message, messageStart);
+      signedTx.set(signature, sigSlotsStart + getSignerSlot(message, signerAddress) * 64);
       
       logger.log('[DAppApproval] Signed tx length:', signedTx.length);
       logger.log('[DAppApproval] Sending to RPC:', rpcUrl);
       
       // First try with simulation enabled to catch errors
-      let response = await fetch(rpcUrl, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          jsonrpc: '2.0',
-          id: 1,
-          method: 'sendTransaction',
-          params: [btoa(String.fromCharCode(...signedTx)), { 
-            encoding: 'base64',
-            skipPreflight: false,
-            preflightCommitment: 'confirmed',
-            maxRetries: 5
-          }]
-        })
+      let response = await fetchRpcWithFailover(currentNetwork, {
+        jsonrpc: '2.0',
+        id: 1,
+        method: 'sendTransaction',
+        params: [btoa(String.fromCharCode(...signedTx)), { 
+          encoding: 'base64',
+          skipPreflight: false,
+          preflightCommitment: 'confirmed',
+          maxRetries: 5
+        }]
       });
       
       let data = await response.json();
@@ -1232,20 +1046,16 @@ export default function DAppApproval({ wallet, requestId, onComplete }) {
       // If blockhash error, retry with skipPreflight (transaction may still succeed)
       if (data.error && data.error.message && data.error.message.includes('Blockhash not found')) {
         logger.log('[DAppApproval] Blockhash expired, retrying with skipPreflight...');
-        response = await fetch(rpcUrl, {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({
-            jsonrpc: '2.0',
-            id: 1,
-            method: 'sendTransaction',
-            params: [btoa(String.fromCharCode(...signedTx)), { 
-              encoding: 'base64',
-              skipPreflight: true,
-              preflightCommitment: 'confirmed',
-              maxRetries: 5
-            }]
-          })
+        response = await fetchRpcWithFailover(currentNetwork, {
+          jsonrpc: '2.0',
+          id: 1,
+          method: 'sendTransaction',
+          params: [btoa(String.fromCharCode(...signedTx)), { 
+            encoding: 'base64',
+            skipPreflight: true,
+            preflightCommitment: 'confirmed',
+            maxRetries: 5
+          }]
         });
         data = await response.json();
         logger.log('[DAppApproval] Retry RPC response:', JSON.stringify(data));
@@ -1261,7 +1071,7 @@ export default function DAppApproval({ wallet, requestId, onComplete }) {
       
       // Record transaction to local history
       try {
-        const walletAddress = wallet.wallet?.publicKey;
+        const walletAddress = signerAddress;
         const nativeSymbol = currentNetwork?.includes('Solana') ? 'SOL' : 'XNT';
         const dappName = pendingRequest.origin?.replace(/^https?:\/\//, '').split('/')[0] || 'DApp';
         
@@ -1335,7 +1145,13 @@ export default function DAppApproval({ wallet, requestId, onComplete }) {
     }
   };
 
-  // Handle sign message
+  // Canonical SIWS message for a signIn request, completed with the signing account
+  const getSignIn = () => prepareSignIn(pendingRequest.input, {
+    origin: pendingRequest.origin,
+    address: signerAddress
+  });
+
+  // Handle sign message (also signs the SIWS message for signIn requests)
   const handleSignMessage = async () => {
     // Prevent re-entry - don't allow multiple concurrent sign attempts
     if (signingInProgress.current) {
@@ -1369,13 +1185,16 @@ export default function DAppApproval({ wallet, requestId, onComplete }) {
     }
     
     try {
-      const messageBytes = Uint8Array.from(atob(pendingRequest.message), c => c.charCodeAt(0));
+      const isSignIn = pendingRequest.type === 'signIn';
+      const messageBytes = isSignIn
+        ? new TextEncoder().encode(getSignIn().message)
+        : Uint8Array.from(atob(pendingRequest.message), c => c.charCodeAt(0));
       
       let signature;
       if (isHardwareWallet) {
         // Sign with hardware wallet
         logger.log('[DAppApproval] Signing message with hardware wallet, bytes:', messageBytes.length);
-        signature = await hardwareWallet.signMessage(messageBytes, wallet?.activeWallet?.derivationPath);
+        signature = await hardwareWallet.signMessage(messageBytes, signerDerivationPath);
         logger.log('[DAppApproval] Hardware signature received:', signature?.length || 'null');
       } else {
         // Sign with software wallet
@@ -1385,10 +1204,27 @@ export default function DAppApproval({ wallet, requestId, onComplete }) {
       
       const signatureBase64 = btoa(String.fromCharCode(...signature));
       
-      await safeSendMessage({
-        type: 'approve-sign-message', requestId: currentRequestId,
-        signature: signatureBase64
-      });
+      if (isSignIn) {
+        // Sign-in also connects the site, so it answers like connect does
+        await safeSendMessage({
+          type: 'provider-response',
+          requestId: currentRequestId,
+          payload: {
+            result: {
+              publicKey: signerAddress,
+              network: currentNetwork,
+              chain: networkToChain(currentNetwork),
+              signedMessage: btoa(String.fromCharCode(...messageBytes)),
+              signature: signatureBase64
+            }
+          }
+        });
+      } else {
+        await safeSendMessage({
+          type: 'approve-sign-message', requestId: currentRequestId,
+          signature: signatureBase64
+        });
+      }
       
       // Check for next request before closing (handles sequential requests)
       await completeAndCheckNext();
@@ -1511,6 +1347,20 @@ export default function DAppApproval({ wallet, requestId, onComplete }) {
   
   const iconUrl = getIconUrl();
   
+  // Every address across wallets, for picking which to share on connect
+  const connectableAccounts = (wallet.wallets || []).flatMap(w =>
+    (w.addresses || []).map(a => ({
+      publicKey: a.publicKey,
+      label: w.addresses.length > 1 ? `${w.name} · ${a.name}` : w.name
+    }))
+  );
+  
+  // A sign-in bound to another address can't be signed by this account
+  const signInForOtherAccount = pendingRequest.type === 'signIn' && getSignIn().input.address !== signerAddress;
+  
+  // Nothing is signed before the user has seen the simulation preview (or that it was unavailable)
+  const simulationPending = SIGNING_REQUEST_TYPES.includes(pendingRequest.type) && (!simulation || simulation.loading);
+  
   // Get action handler
   // Click handler with debouncing - prevents multiple clicks before React re-renders
   const handleApproveClick = async () => {
@@ -1527,6 +1377,11 @@ export default function DAppApproval({ wallet, requestId, onComplete }) {
       return;
     }
     
+    // Simulation still running or says the transaction would fail (or sign-in is for another account) - don't let it be signed
+    if (simulationPending || simulation?.blockingError || signInForOtherAccount) {
+      return;
+    }
+    
     const handler = getHandler();
     if (handler) {
       await handler();
@@ -1540,6 +1395,8 @@ export default function DAppApproval({ wallet, requestId, onComplete }) {
       case 'signAllTransactions': return handleSignAllTransactions;
       case 'signAndSendTransaction': return handleSignAndSendTransaction;
       case 'signMessage': return handleSignMessage;
+      case 'signIn': return handleSignMessage;
+      case 'switchChain': return handleApproveSwitchChain;
       default: return handleReject;
     }
   };
@@ -1586,6 +1443,8 @@ export default function DAppApproval({ wallet, requestId, onComplete }) {
           )}
           <span>
             {pendingRequest.type === 'connect' ? 'Connect Wallet' : 
+             pendingRequest.type === 'switchChain' ? 'Switch Network' :
+             pendingRequest.type === 'signIn' ? 'Sign In' :
              pendingRequest.type === 'signMessage' ? 'Sign Message' :
              pendingRequest.type === 'signAndSendTransaction' ? 'Sign & Send Transaction' : 'Sign Transaction'}
           </span>
@@ -1597,11 +1456,16 @@ export default function DAppApproval({ wallet, requestId, onComplete }) {
             ? pendingRequest.chain 
               ? `This site is requesting to connect to your wallet on ${chainToNetwork(pendingRequest.chain) || pendingRequest.chain}.`
               : 'This site is requesting access to view your wallet address and request transaction approvals.'
-            : 'This site is requesting your signature for a transaction.'}
+            : pendingRequest.type === 'switchChain'
+              ? `This site is asking to switch your wallet to ${pendingRequest.network}.`
+            : pendingRequest.type === 'signIn'
+              ? 'This site is asking you to sign in with your wallet. Signing in also connects the site.'
+              : 'This site is requesting your signature for a transaction.'}
         </p>
         
         {/* Show chain mismatch warning */}
-        {pendingRequest.type === 'connect' && pendingRequest.chain && networkToChain(currentNetwork) !== pendingRequest.chain && (
+        {((pendingRequest.type === 'connect' && pendingRequest.chain && networkToChain(currentNetwork) !== pendingRequest.chain) ||
+          pendingRequest.type === 'switchChain') && (
           <div className="dapp-chain-warning" style={{
             background: 'rgba(251, 191, 36, 0.1)',
             border: '1px solid rgba(251, 191, 36, 0.3)',
@@ -1616,7 +1480,9 @@ export default function DAppApproval({ wallet, requestId, onComplete }) {
               <path d="M12 9v2m0 4h.01m-6.938 4h13.856c1.54 0 2.502-1.667 1.732-3L13.732 4c-.77-1.333-2.694-1.333-3.464 0L3.34 16c-.77 1.333.192 3 1.732 3z"/>
             </svg>
             <span style={{ color: '#fbbf24', fontSize: '13px' }}>
-              Will switch from {currentNetwork} to {chainToNetwork(pendingRequest.chain)}
+              {pendingRequest.type === 'switchChain'
+                ? `Will switch from ${pendingRequest.fromNetwork} to ${pendingRequest.network} (${pendingRequest.chain})`
+                : `Will switch from ${currentNetwork} to ${chainToNetwork(pendingRequest.chain)}`}
             </span>
           </div>
         )}
@@ -1631,7 +1497,7 @@ export default function DAppApproval({ wallet, requestId, onComplete }) {
               </svg>
               <span>Account</span>
             </div>
-            <span className="dapp-wallet-value">{wallet.wallet?.publicKey?.slice(0, 4)}...{wallet.wallet?.publicKey?.slice(-4)}</span>
+            <span className="dapp-wallet-value">{formatAddr(signerAddress)}</span>
           </div>
           <div className="dapp-wallet-row">
             <div className="dapp-wallet-label">
@@ -1669,16 +1535,81 @@ export default function DAppApproval({ wallet, requestId, onComplete }) {
                   <option value="Solana Mainnet">Solana Mainnet</option>
                   <option value="Solana Devnet">Solana Devnet</option>
                 </optgroup>
+                {customNetworks.length > 0 && (
+                  <optgroup label="Custom Networks">
+                    {customNetworks.map(n => (
+                      <option key={n.id} value={n.name}>{n.name}</option>
+                    ))}
+                  </optgroup>
+                )}
               </select>
             ) : (
               <span className="dapp-wallet-value network">
                 <span className="network-dot"></span>
-                {currentNetwork}
+                {pendingRequest.type === 'switchChain' ? pendingRequest.network : currentNetwork}
               </span>
             )}
           </div>
         </div>
 
+        {/* Other accounts to share - the active account is always shared */}
+        {pendingRequest.type === 'connect' && connectableAccounts.length > 1 && (
+          <div className="dapp-permissions">
+            <span className="dapp-message-label">Accounts to share</span>
+            {connectableAccounts.map(account => {
+              const isActive = account.publicKey === wallet.wallet?.publicKey;
+              const isShared = isActive || extraAccounts.includes(account.publicKey);
+              return (
+                <div
+                  key={account.publicKey}
+                  className="dapp-permission-row"
+                  onClick={() => !isActive && setExtraAccounts(isShared
+                    ? extraAccounts.filter(a => a !== account.publicKey)
+                    : [...extraAccounts, account.publicKey])}
+                >
+                  <span>
+                    {account.label} <span className="dapp-permission-detail">{formatAddr(account.publicKey)}{isActive ? ' · active' : ''}</span>
+                  </span>
+                  <div className={`toggle ${isShared ? 'active' : ''}`}>
+                    <div className="toggle-handle" />
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+        )}
+
+        {/* Permissions granted with the connection */}
+        {pendingRequest.type === 'connect' && (
+          <div className="dapp-permissions">
+            <span className="dapp-message-label">Permissions</span>
+            <div className="dapp-permission-row" onClick={() => setAllowSignMessage(!allowSignMessage)}>
+              <span>Allow message signing</span>
+              <div className={`toggle ${allowSignMessage ? 'active' : ''}`}>
+                <div className="toggle-handle" />
+              </div>
+            </div>
+            <div className="dapp-permission-row" onClick={() => setCurrentNetworkOnly(!currentNetworkOnly)}>
+              <span>Only on {currentNetwork}</span>
+              <div className={`toggle ${currentNetworkOnly ? 'active' : ''}`}>
+                <div className="toggle-handle" />
+              </div>
+            </div>
+            <div className="dapp-permission-row">
+              <span>Stay connected for</span>
+              <select
+                className="dapp-network-select"
+                value={connectionExpiry}
+                onChange={(e) => setConnectionExpiry(Number(e.target.value))}
+              >
+                {SITE_EXPIRY_OPTIONS.map(option => (
+                  <option key={option.ms} value={option.ms}>{option.label}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+        )}
+
         {/* Message preview for signMessage */}
         {pendingRequest.type === 'signMessage' && (
           <div className="dapp-message-preview">
@@ -1689,6 +1620,49 @@ export default function DAppApproval({ wallet, requestId, onComplete }) {
           </div>
         )}
         
+        {/* Structured sign-in details for signIn */}
+        {pendingRequest.type === 'signIn' && (() => {
+          const signIn = getSignIn();
+          const rows = [
+            ['Domain', signIn.input.domain],
+            ['Account', formatAddr(signIn.input.address)],
+            ['URI', signIn.input.uri],
+            ['Chain', signIn.input.chainId],
+            ['Nonce', signIn.input.nonce],
+            ['Issued At', signIn.input.issuedAt],
+            ['Expires', signIn.input.expirationTime],
+            ['Not Before', signIn.input.notBefore],
+            ['Request ID', signIn.input.requestId]
+          ].filter(([, value]) => value);
+          return (
+            <div className="dapp-message-preview">
+              {signIn.warnings.map(warning => (
+                <div key={warning} className="dapp-tx-warning raw">
+                  <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                    <path d="M12 9v2m0 4h.01m-6.938 4h13.856c1.54 0 2.502-1.667 1.732-3L13.732 4c-.77-1.333-2.694-1.333-3.464 0L3.34 16c-.77 1.333.192 3 1.732 3z"/>
+                  </svg>
+                  <span>{warning}</span>
+                </div>
+              ))}
+              {signIn.input.statement && (
+                <p className="dapp-signin-statement">{signIn.input.statement}</p>
+              )}
+              {rows.map(([label, value]) => (
+                <div key={label} className="dapp-signin-row">
+                  <span className="dapp-signin-label">{label}</span>
+                  <span className="dapp-signin-value">{value}</span>
+                </div>
+              ))}
+              {signIn.input.resources?.length > 0 && (
+                <div className="dapp-signin-row">
+                  <span className="dapp-signin-label">Resources</span>
+                  <span className="dapp-signin-value">{signIn.input.resources.join('\n')}</span>
+                </div>
+              )}
+            </div>
+          );
+        })()}
+        
         {/* Transaction details and Priority Fee - Grid layout */}
         {(pendingRequest.type === 'signTransaction' || 
           pendingRequest.type === 'signAndSendTransaction' || 
@@ -1711,6 +1685,25 @@ export default function DAppApproval({ wallet, requestId, onComplete }) {
                 <span>Contains unknown program calls</span>
               </div>
             )}
+
+            {decodedTx.hasWarnings && (
+              <div className="dapp-tx-warning">
+                <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                  <path d="M12 9v2m0 4h.01m-6.938 4h13.856c1.54 0 2.502-1.667 1.732-3L13.732 4c-.77-1.333-2.694-1.333-3.464 0L3.34 16c-.77 1.333.192 3 1.732 3z"/>
+                </svg>
+                <span>{decodedTx.instructions.find(i => i.warning).warning}</span>
+              </div>
+            )}
+            
+            {decodedTx.hasAddressLookupTables && !decodedTx.lookupTablesResolved && (
+              <div className="dapp-tx-warning raw">
+                <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                  <circle cx="12" cy="12" r="10"/>
+                  <path d="M12 8v4m0 4h.01"/>
+                </svg>
+                <span>{decodedTx.lookupTableError || 'Resolving address lookup tables...'}</span>
+              </div>
+            )}
             
             {decodedTx.success && decodedTx.instructions && (
               <details className="dapp-tx-row-details">
@@ -1726,22 +1719,51 @@ export default function DAppApproval({ wallet, requestId, onComplete }) {
                 <div className="dapp-tx-details-expanded">
                   {decodedTx.instructions.map((instr, idx) => {
                     const isTrustedOrigin = TRUSTED_DAPP_ORIGINS.some(domain => pendingRequest?.origin?.includes(domain));
-                    const displayName = instr.instructionType || 
+                    const flagged = instr.warning || (!instr.isKnownSafe && !isTrustedOrigin);
+                    const displayName = instr.description || instr.instructionType || 
                       (instr.programName === 'Unknown Program' && isTrustedOrigin 
                         ? 'dApp Operation' 
                         : instr.programName);
                     
                     return (
-                    <div key={idx} className={`dapp-tx-instruction-item ${instr.isKnownSafe || isTrustedOrigin ? 'safe' : 'unknown'}`}>
-                      <span className="dapp-tx-instr-num">{idx + 1}</span>
-                      <span className="dapp-tx-instr-name">
-                        {displayName}
-                      </span>
-                      {!instr.isKnownSafe && !isTrustedOrigin && (
-                        <span className="dapp-tx-instr-badge">!</span>
+                    <div key={idx}>
+                      <div
+                        className={`dapp-tx-instruction-item ${flagged ? 'unknown' : 'safe'}`}
+                        title={instr.programId || instr.note}
+                      >
+                        <span className="dapp-tx-instr-num">{idx + 1}</span>
+                        <span className="dapp-tx-instr-name">
+                          {displayName}
+                          {instr.programName === 'Unknown Program' && instr.programId && (
+                            <span style={{ color: 'var(--text-muted)', marginLeft: 6 }}>{formatAddr(instr.programId)}</span>
+                          )}
+                        </span>
+                        {flagged && (
+                          <span className="dapp-tx-instr-badge">!</span>
+                        )}
+                        {instr.amount !== undefined && (
+                          <span className="dapp-tx-instr-amount">{instr.amount.toFixed(4)}</span>
+                        )}
+                      </div>
+                      {instr.warning && (
+                        <div className="dapp-tx-instr-warning">{instr.warning}</div>
+                      )}
+                      {instr.fields?.length > 0 && (
+                        <div className="dapp-tx-instr-fields">
+                          {instr.fields.map((field, i) => (
+                            <div key={i} className="dapp-tx-instr-field">
+                              <span>{field.label}</span>
+                              <span title={field.value}>{field.value?.length >= 32 ? formatAddr(field.value) : field.value}</span>
+                            </div>
+                          ))}
+                        </div>
                       )}
-                      {instr.amount !== undefined && (
-                        <span className="dapp-tx-instr-amount">{instr.amount.toFixed(4)}</span>
+                      {instr.accounts?.length > 0 && (
+                        <div className="dapp-tx-instr-accounts">
+                          {instr.accounts.map((acc, i) => (
+                            <code key={i} title={acc}>{acc.startsWith('Index ') ? 'Unresolved' : formatAddr(acc)}</code>
+                          ))}
+                        </div>
                       )}
                     </div>
                     );
@@ -1760,40 +1782,118 @@ export default function DAppApproval({ wallet, requestId, onComplete }) {
               </div>
             )}
             
+            {/* Simulation preview - balance changes for this wallet */}
+            {simulation?.loading && (
+              <div className="dapp-tx-row">
+                <span className="dapp-tx-row-label">Balance Changes</span>
+                <span className="dapp-tx-row-value">Simulating...</span>
+              </div>
+            )}
+            
+            {simulation && !simulation.loading && (
+              <>
+                {simulation.blockingError && (
+                  <div className="dapp-tx-warning">
+                    <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                      <path d="M12 9v2m0 4h.01m-6.938 4h13.856c1.54 0 2.502-1.667 1.732-3L13.732 4c-.77-1.333-2.694-1.333-3.464 0L3.34 16c-.77 1.333.192 3 1.732 3z"/>
+                    </svg>
+                    <span>Simulation failed - this transaction would fail: {simulation.blockingError}</span>
+                  </div>
+                )}
+                
+                {simulation.warnings.map((warning, idx) => (
+                  <div key={idx} className="dapp-tx-warning raw">
+                    <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                      <circle cx="12" cy="12" r="10"/>
+                      <path d="M12 8v4m0 4h.01"/>
+                    </svg>
+                    <span>{warning}</span>
+                  </div>
+                ))}
+                
+                {!simulation.blockingError && (
+                  <div className="dapp-tx-row">
+                    <span className="dapp-tx-row-label">Balance Changes</span>
+                    <span className="dapp-tx-row-value">
+                      {simulation.changes.length === 0 ? (
+                        'No changes'
+                      ) : (
+                        simulation.changes.map(change => {
+                          const isSend = change.uiAmount < 0;
+                          const symbol = change.symbol || formatAddr(change.mint);
+                          return (
+                            <div key={change.mint || 'native'} className={`dapp-sim-change ${isSend ? 'send' : 'receive'}`}>
+                              {isSend ? 'You send ' : 'You receive '}
+                              {Math.abs(change.uiAmount).toLocaleString(undefined, { maximumFractionDigits: change.decimals ?? 0 })} {symbol}
+                              {change.rawUnits && ' (raw units - decimals unknown)'}
+                            </div>
+                          );
+                        })
+                      )}
+                    </span>
+                  </div>
+                )}
+                
+                {simulation.unitsConsumed > 0 && (
+                  <div className="dapp-tx-row">
+                    <span className="dapp-tx-row-label">Compute Units</span>
+                    <span className="dapp-tx-row-value">{simulation.unitsConsumed.toLocaleString()}</span>
+                  </div>
+                )}
+              </>
+            )}
+            
             {/* Estimated Fee Row */}
             <div className="dapp-tx-row">
               <span className="dapp-tx-row-label">Estimated Fee</span>
               <span className="dapp-tx-row-value">{(getBaseFee(currentNetwork) * (decodedTx.numSignatures || 1)).toFixed(6)} {currentNetwork?.includes('Solana') ? 'SOL' : 'XNT'}</span>
             </div>
             
-            {/* Priority Fee Section */}
-            <div className="dapp-tx-row priority-section">
-              <span className="dapp-tx-row-label">Priority</span>
-              <div className="dapp-priority-chips">
-                {getPriorityOptions(currentNetwork).filter(opt => opt.id !== 'custom').map(opt => (
+            {/* Priority Fee Section - the dApp's own fee unless the wallet can reprice the transaction */}
+            {priorityInfo?.canReprice ? (
+              <div className="dapp-tx-row priority-section">
+                <span className="dapp-tx-row-label">Priority</span>
+                <div className="dapp-priority-chips">
                   <button
-                    key={opt.id}
-                    className={`dapp-priority-chip ${priority === opt.id ? 'active' : ''}`}
-                    onClick={() => { setPriority(opt.id); setCustomFee(''); }}
+                    className={`dapp-priority-chip ${priority === 'auto' ? 'active' : ''}`}
+                    onClick={() => { setPriority('auto'); setCustomFee(''); }}
                     type="button"
                     disabled={processing}
+                    title="Keep the fee the dApp set"
                   >
-                    {opt.name}
+                    Auto
                   </button>
-                ))}
-                <button
-                  className={`dapp-priority-chip ${priority === 'custom' ? 'active' : ''}`}
-                  onClick={() => setPriority('custom')}
-                  type="button"
-                  disabled={processing}
-                >
-                  ⚙
-                </button>
+                  {PRIORITY_LEVELS.map(opt => (
+                    <button
+                      key={opt.id}
+                      className={`dapp-priority-chip ${priority === opt.id ? 'active' : ''}`}
+                      onClick={() => { setPriority(opt.id); setCustomFee(''); }}
+                      type="button"
+                      disabled={processing}
+                      title={opt.description}
+                    >
+                      {opt.name}
+                    </button>
+                  ))}
+                  <button
+                    className={`dapp-priority-chip ${priority === 'custom' ? 'active' : ''}`}
+                    onClick={() => setPriority('custom')}
+                    type="button"
+                    disabled={processing}
+                  >
+                    ⚙
+                  </button>
+                </div>
               </div>
-            </div>
+            ) : priorityInfo?.dappFee > 0 && (
+              <div className="dapp-tx-row">
+                <span className="dapp-tx-row-label">Priority Fee</span>
+                <span className="dapp-tx-row-value">{priorityInfo.dappFee.toFixed(6)} {currentNetwork?.includes('Solana') ? 'SOL' : 'XNT'}</span>
+              </div>
+            )}
             
             {/* Custom Fee Input - only show when custom selected */}
-            {priority === 'custom' && (
+            {priority === 'custom' && priorityInfo?.canReprice && (
               <div className="dapp-tx-row">
                 <span className="dapp-tx-row-label">Custom Fee</span>
                 <div className="dapp-custom-fee-wrapper">
@@ -1820,7 +1920,7 @@ export default function DAppApproval({ wallet, requestId, onComplete }) {
             <div className="dapp-tx-row total">
               <span className="dapp-tx-row-label">Total Fee</span>
               <span className="dapp-tx-row-value highlight">
-                {((getBaseFee(currentNetwork) * (decodedTx.numSignatures || 1)) + (priority === 'custom' ? parseFloat(customFee) || 0 : getPriorityOptions(currentNetwork).find(p => p.id === priority)?.fee || 0)).toFixed(6)} {currentNetwork?.includes('Solana') ? 'SOL' : 'XNT'}
+                {((getBaseFee(currentNetwork) * (decodedTx.numSignatures || 1)) + (getSelectedPriority()?.fee ?? priorityInfo?.dappFee ?? 0)).toFixed(6)} {currentNetwork?.includes('Solana') ? 'SOL' : 'XNT'}
               </span>
             </div>
           </div>
@@ -1971,20 +2071,31 @@ export default function DAppApproval({ wallet, requestId, onComplete }) {
           </div>
         )}
         
+        {/* What the device is being asked to sign - Ledger only shows a message hash for most programs */}
+        {hwStatus && decodedTx?.success && decodedTx.instructions?.length > 0 && (
+          <div className="dapp-hw-summary">
+            <span className="dapp-hw-summary-title">You are signing:</span>
+            {decodedTx.instructions.map((instr, idx) => (
+              <span key={idx} className="dapp-hw-summary-item">{idx + 1}. {describeInstruction(instr)}</span>
+            ))}
+          </div>
+        )}
+        
         {/* Actions */}
         {!ledgerPopupError && (
         <div className="dapp-approval-actions">
           <button className="dapp-btn-reject" onClick={handleReject} disabled={processing}>
             {pendingRequest.type === 'connect' ? 'Cancel' : 'Deny'}
           </button>
-          <button className="dapp-btn-approve" onClick={handleApproveClick} disabled={processing}>
+          <button className="dapp-btn-approve" onClick={handleApproveClick} disabled={processing || simulationPending || !!simulation?.blockingError || signInForOtherAccount}>
             {processing ? (
               <>
                 <span className="btn-spinner"></span>
                 Processing...
               </>
             ) : (
-              pendingRequest.type === 'connect' ? 'Connect' : 'Approve'
+              pendingRequest.type === 'connect' ? 'Connect' : pendingRequest.type === 'signIn' ? 'Sign In' :
+              pendingRequest.type === 'switchChain' ? 'Switch' : 'Approve'
             )}
           </button>
         </div>
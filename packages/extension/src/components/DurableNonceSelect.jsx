@@ -0,0 +1,31 @@
+// Durable Nonce Select - lets a send/swap/stake sign against a saved nonce account instead of a recent blockhash
+// Hidden when the wallet has no nonce accounts on this network (create them in Settings → Durable Nonces)
+import React from 'react';
+import { getSavedNonceAccounts } from '@x1-wallet/core/utils/nonce';
+
+export default function DurableNonceSelect({ wallet, value, onChange, disabled = false }) {
+  const owner = wallet?.wallet?.publicKey;
+  const network = wallet?.network || 'X1 Mainnet';
+  const accounts = owner ? getSavedNonceAccounts(owner, network) : [];
+
+  if (accounts.length === 0) return null;
+
+  return (
+    <div className="form-group" style={{ marginTop: 12 }}>
+      <label>Transaction Lifetime</label>
+      <select
+        className="form-input"
+        value={value}
+        onChange={e => onChange(e.target.value)}
+        disabled={disabled}
+      >
+        <option value="">Recent blockhash (expires in ~1 minute)</option>
+        {accounts.map(address => (
+          <option key={address} value={address}>
+            Durable nonce {address.slice(0, 6)}...{address.slice(-4)}
+          </option>
+        ))}
+      </select>
+    </div>
+  );
+}
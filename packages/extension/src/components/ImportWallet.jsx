@@ -2,7 +2,7 @@
 import { logger, getUserFriendlyError, ErrorMessages } from '@x1-wallet/core';
 import React, { useState, useRef, useEffect } from 'react';
 import { validateMnemonic, WORDLIST } from '@x1-wallet/core/utils/bip39';
-import { mnemonicToKeypair } from '@x1-wallet/core/utils/bip44';
+import { mnemonicToKeypair, validateDerivationPath } from '@x1-wallet/core/utils/bip44';
 import { encodeBase58 } from '@x1-wallet/core/utils/base58';
 import { NETWORKS } from '@x1-wallet/core/services/networks';
 
@@ -22,6 +22,17 @@ const DERIVATION_SCHEMES = {
   }
 };
 
+// Quick picks for the custom path screen
+const CUSTOM_PATH_PRESETS = [
+  { label: 'Phantom / X1', path: "m/44'/501'/0'/0'" },
+  { label: 'Solflare', path: "m/44'/501'/0'" },
+  { label: 'Root', path: "m/44'/501'" },
+  { label: 'Sollet', path: "m/501'/0'/0'/0'" }
+];
+
+// Non-standard paths must travel with the address so the same key is derived on import
+const getCustomDerivationPath = (addr) => (addr && addr.scheme !== 'standard' ? addr.path : null);
+
 export default function ImportWallet({ onComplete, onBack, onCompletePrivateKey, onCompleteMultiple, onCompleteWatchOnly, sessionPassword, existingWallets = [], initialImportType = 'phrase' }) {
   const [importType, setImportType] = useState(initialImportType); // 'phrase', 'privatekey', or 'watchonly'
   const [seedLength, setSeedLength] = useState(12);
@@ -69,6 +80,9 @@ export default function ImportWallet({ onComplete, onBack, onCompletePrivateKey,
   
   // Custom derivation path state
   const [customPath, setCustomPath] = useState("m/44'/501'/0'/0'");
+  const [customPathError, setCustomPathError] = useState('');
+  const [customPreview, setCustomPreview] = useState(null); // { path, publicKey, balance }
+  const [previewLoading, setPreviewLoading] = useState(false);
   
   // Private key state
   const [privateKeyInput, setPrivateKeyInput] = useState('');
@@ -129,6 +143,64 @@ export default function ImportWallet({ onComplete, onBack, onCompletePrivateKey,
     checkPassword();
   }, []);
 
+  // Live preview of the address (and balance) at the custom path being typed
+  useEffect(() => {
+    if (step !== 'custom-path') return;
+
+    const check = validateDerivationPath(customPath);
+    if (!check.valid) {
+      setCustomPathError(check.error);
+      setCustomPreview(null);
+      setPreviewLoading(false);
+      return;
+    }
+    setCustomPathError('');
+    setPreviewLoading(true);
+
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      try {
+        const { publicKey } = await mnemonicToKeypair(words.join(' '), check.path);
+        const address = encodeBase58(publicKey);
+        if (cancelled) return;
+        setCustomPreview({ path: check.path, publicKey: address, balance: null });
+
+        let network = localStorage.getItem('x1wallet_network');
+        if (network && network.startsWith('"')) {
+          try { network = JSON.parse(network); } catch (e) { /* ignore */ }
+        }
+        const networkConfig = NETWORKS[network || 'X1 Mainnet'];
+        if (!networkConfig?.rpcUrl) return;
+
+        const response = await fetch(networkConfig.rpcUrl, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({
+            jsonrpc: '2.0',
+            id: 1,
+            method: 'getBalance',
+            params: [address, { commitment: 'confirmed' }]
+          })
+        });
+        const data = await response.json();
+        if (!cancelled && data.result?.value !== undefined) {
+          const balance = data.result.value / Math.pow(10, networkConfig.decimals || 9);
+          setCustomPreview({ path: check.path, publicKey: address, balance });
+        }
+      } catch (err) {
+        logger.warn('[ImportWallet] Custom path preview failed:', err);
+        if (!cancelled) setCustomPathError(err.message || 'Failed to derive address');
+      } finally {
+        if (!cancelled) setPreviewLoading(false);
+      }
+    }, 400);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [step, customPath]);
+
   const handleLengthChange = (len) => {
     setSeedLength(len);
     setWords(Array(len).fill(''));
@@ -241,19 +313,23 @@ export default function ImportWallet({ onComplete, onBack, onCompletePrivateKey,
         // Scan all derivation paths for accounts with balances
         await scanAllPaths(phrase);
       } else if (mode === 'custom') {
-        // Custom path - derive single account
-        // For now, just use index 0 with standard derivation
-        // TODO: Add proper custom path derivation when mnemonicToKeypairWithPath is available
+        // Custom path - derive the single account at exactly this path
+        const check = validateDerivationPath(customPath);
+        if (!check.valid) {
+          setError(check.error);
+          return;
+        }
         const addresses = [];
-        const { publicKey } = await mnemonicToKeypair(phrase, 0);
+        const { publicKey } = await mnemonicToKeypair(phrase, check.path);
         const address = encodeBase58(publicKey);
         addresses.push({ 
           index: 0, 
           accountIndex: 0,
           publicKey: address, 
-          path: customPath,
+          path: check.path,
           scheme: 'custom',
-          uniqueKey: `custom-0`
+          schemeName: 'Custom',
+          uniqueKey: `custom-${check.path}`
         });
         setDerivedAddresses(addresses);
         setSelectedAddresses(new Set([0]));
@@ -561,7 +637,7 @@ export default function ImportWallet({ onComplete, onBack, onCompletePrivateKey,
       } else {
         // Single address - use standard completion
         const firstAddr = completionData.derivedAddresses[0];
-        onComplete(completionData.mnemonic, completionData.walletName, null, firstAddr?.index || 0);
+        onComplete(completionData.mnemonic, completionData.walletName, null, firstAddr?.index || 0, getCustomDerivationPath(firstAddr));
       }
       return;
     }
@@ -577,7 +653,7 @@ export default function ImportWallet({ onComplete, onBack, onCompletePrivateKey,
             onCompleteMultiple(completionData.mnemonic, completionData.walletName, sessionPassword, completionData.derivedAddresses);
           } else {
             const firstAddr = completionData.derivedAddresses[0];
-            onComplete(completionData.mnemonic, completionData.walletName, sessionPassword, firstAddr?.index || 0);
+            onComplete(completionData.mnemonic, completionData.walletName, sessionPassword, firstAddr?.index || 0, getCustomDerivationPath(firstAddr));
           }
           return;
         }
@@ -623,7 +699,7 @@ export default function ImportWallet({ onComplete, onBack, onCompletePrivateKey,
         onCompleteMultiple(words.join(' '), walletName || suggestedName, password, selectedAddrsArray);
       } else {
         const firstAddr = selectedAddrsArray[0];
-        onComplete(words.join(' '), walletName || suggestedName, password, firstAddr?.index || 0);
+        onComplete(words.join(' '), walletName || suggestedName, password, firstAddr?.index || 0, getCustomDerivationPath(firstAddr));
       }
     } catch (err) {
       logger.error('Password verification error:', err);
@@ -655,7 +731,7 @@ export default function ImportWallet({ onComplete, onBack, onCompletePrivateKey,
       onCompleteMultiple(words.join(' '), walletName || suggestedName, password, selectedAddrsArray);
     } else {
       const firstAddr = selectedAddrsArray[0];
-      onComplete(words.join(' '), walletName || suggestedName, password, firstAddr?.index || 0);
+      onComplete(words.join(' '), walletName || suggestedName, password, firstAddr?.index || 0, getCustomDerivationPath(firstAddr));
     }
   };
   
@@ -1021,12 +1097,8 @@ export default function ImportWallet({ onComplete, onBack, onCompletePrivateKey,
           {/* Custom Path Option */}
           <button
             onClick={() => {
-              // Show custom path input
-              const path = prompt("Enter derivation path:", customPath);
-              if (path) {
-                setCustomPath(path);
-                handleDerivationSelect('custom');
-              }
+              setError('');
+              setStep('custom-path');
             }}
             disabled={loadingAddresses}
             style={{
@@ -1079,6 +1151,115 @@ export default function ImportWallet({ onComplete, onBack, onCompletePrivateKey,
     );
   }
 
+  // Custom derivation path step - enter any hardened path and preview the result
+  if (step === 'custom-path') {
+    let network = localStorage.getItem('x1wallet_network');
+    if (network && network.startsWith('"')) {
+      try { network = JSON.parse(network); } catch (e) { /* ignore */ }
+    }
+    const symbol = NETWORKS[network || 'X1 Mainnet']?.symbol || 'XNT';
+    const previewCurrent = customPreview && !customPathError && !previewLoading;
+    const alreadyImported = customPreview && existingWallets.some(w =>
+      w.publicKey === customPreview.publicKey ||
+      w.addresses?.some(a => a.publicKey === customPreview.publicKey)
+    );
+
+    return (
+      <div className="screen hardware-screen no-nav" style={{ display: 'flex', flexDirection: 'column', height: '100%' }}>
+        <button className="back-btn" onClick={() => { setError(''); setStep('select-derivation'); }} style={{ alignSelf: 'flex-start', flexShrink: 0 }}>
+          <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+            <path d="M19 12H5M12 19l-7-7 7-7" />
+          </svg>
+        </button>
+
+        <h2 style={{ marginBottom: 8, textAlign: 'center', flexShrink: 0 }}>Custom Path</h2>
+        <p style={{ margin: '0 0 20px 0', fontSize: 14, color: 'var(--text-muted)', textAlign: 'center', flexShrink: 0 }}>
+          Enter the derivation path used by your previous wallet
+        </p>
+
+        <div style={{ flex: '1 1 auto' }}>
+          <input
+            type="text"
+            className="form-input"
+            value={customPath}
+            onChange={(e) => setCustomPath(e.target.value)}
+            placeholder="m/44'/501'/0'/0'"
+            autoComplete="off"
+            spellCheck="false"
+            style={{ fontFamily: 'monospace' }}
+          />
+
+          <div style={{ display: 'flex', flexWrap: 'wrap', gap: 6, marginTop: 10 }}>
+            {CUSTOM_PATH_PRESETS.map(preset => (
+              <button
+                key={preset.path}
+                type="button"
+                onClick={() => setCustomPath(preset.path)}
+                style={{
+                  padding: '4px 10px',
+                  fontSize: 12,
+                  background: customPath === preset.path ? 'var(--x1-blue)' : 'var(--bg-secondary)',
+                  color: customPath === preset.path ? '#fff' : 'var(--text-secondary)',
+                  border: '1px solid var(--border-color)',
+                  borderRadius: 12,
+                  cursor: 'pointer'
+                }}
+                title={preset.path}
+              >
+                {preset.label}
+              </button>
+            ))}
+          </div>
+
+          <p style={{ fontSize: 12, color: 'var(--text-muted)', marginTop: 10 }}>
+            All segments must be hardened ('). Any coin type is supported.
+          </p>
+
+          {/* Live preview */}
+          <div style={{
+            marginTop: 16,
+            padding: 16,
+            background: 'var(--bg-secondary)',
+            border: '1px solid var(--border-color)',
+            borderRadius: 12
+          }}>
+            {customPathError ? (
+              <span style={{ fontSize: 13, color: 'var(--error)' }}>{customPathError}</span>
+            ) : previewLoading && !customPreview ? (
+              <span style={{ fontSize: 13, color: 'var(--text-muted)' }}>Deriving address...</span>
+            ) : customPreview ? (
+              <>
+                <div style={{ fontSize: 12, color: 'var(--text-muted)', marginBottom: 4 }}>Address</div>
+                <div style={{ fontSize: 13, fontFamily: 'monospace', wordBreak: 'break-all', color: 'var(--text-primary)', opacity: previewLoading ? 0.5 : 1 }}>
+                  {customPreview.publicKey}
+                </div>
+                <div style={{ fontSize: 12, color: 'var(--text-muted)', marginTop: 10 }}>
+                  Balance: {customPreview.balance === null
+                    ? '...'
+                    : `${customPreview.balance.toLocaleString(undefined, { maximumFractionDigits: 6 })} ${symbol}`}
+                </div>
+                {alreadyImported && (
+                  <div style={{ fontSize: 12, color: 'var(--warning)', marginTop: 6 }}>This address is already imported</div>
+                )}
+              </>
+            ) : null}
+          </div>
+        </div>
+
+        {error && <div className="error-message" style={{ marginTop: 12 }}>{error}</div>}
+
+        <button
+          className="btn-primary"
+          onClick={() => handleDerivationSelect('custom')}
+          disabled={!previewCurrent || loadingAddresses}
+          style={{ marginTop: 16, flexShrink: 0 }}
+        >
+          {loadingAddresses ? 'Loading...' : 'Continue'}
+        </button>
+      </div>
+    );
+  }
+
   // Select addresses step - styled like hardware wallet
   if (step === 'select-addresses') {
     // Get network - handle both raw and JSON formats
@@ -1101,7 +1282,7 @@ export default function ImportWallet({ onComplete, onBack, onCompletePrivateKey,
     
     return (
       <div className="screen hardware-screen no-nav" style={{ display: 'flex', flexDirection: 'column', height: '100%' }}>
-        <button className="back-btn" onClick={() => setStep('select-derivation')} style={{ alignSelf: 'flex-start', flexShrink: 0 }}>
+        <button className="back-btn" onClick={() => setStep(scanMode === 'custom' ? 'custom-path' : 'select-derivation')} style={{ alignSelf: 'flex-start', flexShrink: 0 }}>
           <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
             <path d="M19 12H5M12 19l-7-7 7-7" />
           </svg>
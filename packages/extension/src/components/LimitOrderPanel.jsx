@@ -0,0 +1,316 @@
+// Limit Order Panel - place limit and take profit / stop loss orders for the selected pair
+// The background worker watches prices; triggered orders are approved here with one click,
+// or run on their own for software wallets that opted in.
+import React, { useState, useEffect, useCallback } from 'react';
+import { logger, getUserFriendlyError } from '@x1-wallet/core';
+import { getTxExplorerUrl } from '@x1-wallet/core/services/networks';
+import {
+  LIMIT_ORDER_TYPES,
+  LIMIT_ORDER_EXPIRY_OPTIONS,
+  getLimitOrders,
+  placeLimitOrder,
+  cancelLimitOrder,
+  executeLimitOrder,
+  runAutoExecuteOrders
+} from '@x1-wallet/core/services/limitOrders';
+import { hardwareWallet } from '../services/hardware';
+
+const LIMIT_ORDERS_KEY = 'x1wallet_limitOrders';
+
+const ORDER_KIND_LABELS = { limit: 'Limit', takeProfit: 'Take profit', stopLoss: 'Stop loss' };
+const STATUS_COLORS = {
+  open: 'var(--text-muted)',
+  triggered: 'var(--warning)',
+  executing: 'var(--x1-blue)',
+  filled: 'var(--success)',
+  cancelled: 'var(--text-muted)',
+  expired: 'var(--text-muted)'
+};
+
+const formatPrice = (price) => price === null || price === undefined ? '—' : parseFloat(Number(price).toPrecision(6)).toString();
+
+export default function LimitOrderPanel({ wallet, networkConfig, fromToken, toToken, fromAmount, marketPrice, slippage, isHardwareWallet, onFilled }) {
+  const network = wallet?.network || 'X1 Mainnet';
+  const walletAddress = wallet?.wallet?.publicKey || wallet?.activeAddress?.publicKey;
+  const privateKey = wallet?.wallet?.privateKey || wallet?.activeAddress?.privateKey;
+
+  const [orderType, setOrderType] = useState('limit');
+  const [targetPrice, setTargetPrice] = useState('');
+  const [stopPrice, setStopPrice] = useState('');
+  const [expiresIn, setExpiresIn] = useState(LIMIT_ORDER_EXPIRY_OPTIONS[1].ms);
+  const [autoExecute, setAutoExecute] = useState(false);
+  const [orders, setOrders] = useState([]);
+  const [placing, setPlacing] = useState(false);
+  const [approvingId, setApprovingId] = useState('');
+  const [hwStatus, setHwStatus] = useState('');
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  const loadOrders = useCallback(async () => {
+    if (!walletAddress) return;
+    setOrders(await getLimitOrders(network, walletAddress));
+  }, [network, walletAddress]);
+
+  // Background updates order status as prices move
+  useEffect(() => {
+    loadOrders();
+    if (typeof chrome === 'undefined' || !chrome.storage) return;
+    const handleChange = (changes, areaName) => {
+      if (areaName === 'local' && changes[LIMIT_ORDERS_KEY]) loadOrders();
+    };
+    chrome.storage.onChanged.addListener(handleChange);
+    return () => chrome.storage.onChanged.removeListener(handleChange);
+  }, [loadOrders]);
+
+  // Triggered orders that opted in run as soon as they show up
+  useEffect(() => {
+    if (isHardwareWallet || !privateKey || !networkConfig?.rpcUrl) return;
+    if (!orders.some(o => o.status === 'triggered' && o.autoExecute && !o.error)) return;
+    runAutoExecuteOrders({ network, wallet: walletAddress, rpcUrl: networkConfig.rpcUrl, privateKey })
+      .then(results => {
+        if (results.some(r => r.signature) && onFilled) onFilled();
+      });
+  }, [orders, isHardwareWallet, privateKey, network, walletAddress, networkConfig?.rpcUrl]);
+
+  const handlePlace = async () => {
+    setPlacing(true);
+    setError('');
+    setSuccess('');
+    try {
+      const placed = await placeLimitOrder({
+        network,
+        wallet: walletAddress,
+        fromToken,
+        toToken,
+        amount: fromAmount,
+        type: orderType,
+        targetPrice: parseFloat(targetPrice),
+        stopPrice: parseFloat(stopPrice),
+        slippageBps: Math.round(slippage * 100),
+        expiresIn,
+        autoExecute: autoExecute && !isHardwareWallet
+      });
+      setSuccess(placed.length > 1 ? 'Take profit and stop loss placed' : 'Order placed');
+      setTargetPrice('');
+      setStopPrice('');
+      loadOrders();
+    } catch (err) {
+      setError(err.message || 'Failed to place order');
+    } finally {
+      setPlacing(false);
+    }
+  };
+
+  const handleCancel = async (id) => {
+    setError('');
+    try {
+      await cancelLimitOrder(id);
+      loadOrders();
+    } catch (err) {
+      setError(err.message || 'Failed to cancel order');
+    }
+  };
+
+  const handleApprove = async (order) => {
+    setApprovingId(order.id);
+    setError('');
+    setSuccess('');
+    try {
+      let signer = { rpcUrl: networkConfig.rpcUrl, privateKey };
+      if (isHardwareWallet) {
+        setHwStatus('Connecting to Ledger...');
+        if (!hardwareWallet.isReady()) {
+          await hardwareWallet.connect('hid');
+          await hardwareWallet.openApp();
+        }
+        setHwStatus('Please confirm on your Ledger...');
+        const derivationPath = wallet?.wallet?.derivationPath ||
+          wallet?.derivationPath ||
+          wallet?.activeWallet?.derivationPath ||
+          "44'/501'/0'/0'"; // Default fallback
+        signer = { rpcUrl: networkConfig.rpcUrl, hardwareWallet, derivationPath };
+      }
+      const signature = await executeLimitOrder(order, signer);
+      setSuccess(
+        <>
+          Swapped {order.amount} {order.fromToken.symbol} → {order.toToken.symbol}.{' '}
+          <a href={getTxExplorerUrl(network, signature)} target="_blank" rel="noopener noreferrer" className="tx-link">
+            View Transaction →
+          </a>
+        </>
+      );
+      if (onFilled) onFilled();
+    } catch (err) {
+      logger.error('[LimitOrders] Approve failed:', err);
+      setError(getUserFriendlyError(err, 'Swap failed'));
+    } finally {
+      setHwStatus('');
+      setApprovingId('');
+      loadOrders();
+    }
+  };
+
+  const pair = `${toToken.symbol} per ${fromToken.symbol}`;
+  const activeOrders = orders.filter(o => ['open', 'triggered', 'executing'].includes(o.status));
+  const pastOrders = orders.filter(o => !['open', 'triggered', 'executing'].includes(o.status)).slice(0, 10);
+
+  const renderOrder = (order) => (
+    <div key={order.id} className="settings-item" style={{ flexDirection: 'column', alignItems: 'stretch', gap: 4 }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+        <span style={{ fontWeight: 500 }}>
+          {ORDER_KIND_LABELS[order.kind]} · {order.amount} {order.fromToken.symbol} → {order.toToken.symbol}
+        </span>
+        <span style={{ fontSize: 11, fontWeight: 600, color: STATUS_COLORS[order.status] || 'var(--error)', textTransform: 'uppercase' }}>
+          {order.status}
+        </span>
+      </div>
+      <div style={{ display: 'flex', justifyContent: 'space-between', fontSize: 11, color: 'var(--text-muted)' }}>
+        <span>{order.condition === 'below' ? '≤' : '≥'} {formatPrice(order.targetPrice)} {order.toToken.symbol}</span>
+        <span>
+          {order.status === 'filled' ? `Filled at ${formatPrice(order.fillPrice)}`
+            : order.triggerPrice ? `Hit ${formatPrice(order.triggerPrice)}`
+            : `Last ${formatPrice(order.lastPrice)}`}
+        </span>
+        <span>
+          {order.expiresAt ? `Expires ${new Date(order.expiresAt).toLocaleDateString()}` : 'No expiry'}
+          {order.autoExecute ? ' · Auto' : ''}
+        </span>
+      </div>
+      {order.error && order.status === 'triggered' && (
+        <div style={{ fontSize: 11, color: 'var(--error)' }}>{order.error}</div>
+      )}
+      {['open', 'triggered'].includes(order.status) && (
+        <div style={{ display: 'flex', gap: 8, marginTop: 4 }}>
+          {order.status === 'triggered' && (
+            <button
+              className="btn-primary"
+              style={{ padding: '6px 10px', fontSize: 12 }}
+              onClick={() => handleApprove(order)}
+              disabled={!!approvingId}
+            >
+              {approvingId === order.id ? <span className="spinner-small" /> : 'Approve swap'}
+            </button>
+          )}
+          <button
+            className="btn-secondary"
+            style={{ padding: '6px 10px', fontSize: 12 }}
+            onClick={() => handleCancel(order.id)}
+            disabled={approvingId === order.id}
+          >
+            Cancel
+          </button>
+        </div>
+      )}
+    </div>
+  );
+
+  return (
+    <div style={{ marginTop: 16 }}>
+      <div style={{ display: 'flex', gap: 6, marginBottom: 12 }}>
+        {LIMIT_ORDER_TYPES.map(type => (
+          <button
+            key={type.id}
+            className={`tab ${orderType === type.id ? 'active' : ''}`}
+            style={{ flex: 'none', padding: '6px 10px', fontSize: 12 }}
+            onClick={() => setOrderType(type.id)}
+          >
+            {type.name}
+          </button>
+        ))}
+      </div>
+
+      <div style={{ fontSize: 12, color: 'var(--text-muted)', marginBottom: 8 }}>
+        Market: {marketPrice ? (
+          <span style={{ cursor: 'pointer', color: 'var(--x1-blue)' }} onClick={() => setTargetPrice(formatPrice(marketPrice))}>
+            {formatPrice(marketPrice)} {pair}
+          </span>
+        ) : 'enter an amount for a quote'}
+      </div>
+
+      <div className="form-group">
+        <label>{orderType === 'bracket' ? 'Take profit at' : 'Swap when price reaches'} ({pair})</label>
+        <input
+          className="form-input"
+          inputMode="decimal"
+          placeholder={orderType === 'bracket' ? 'Optional' : '0.00'}
+          value={targetPrice}
+          onChange={(e) => setTargetPrice(e.target.value.replace(/[^0-9.]/g, ''))}
+        />
+      </div>
+
+      {orderType === 'bracket' && (
+        <div className="form-group">
+          <label>Stop loss at ({pair})</label>
+          <input
+            className="form-input"
+            inputMode="decimal"
+            placeholder="Optional"
+            value={stopPrice}
+            onChange={(e) => setStopPrice(e.target.value.replace(/[^0-9.]/g, ''))}
+          />
+        </div>
+      )}
+
+      <div className="form-group">
+        <label>Expires after</label>
+        <select
+          className="form-input"
+          value={expiresIn === null ? '' : expiresIn}
+          onChange={(e) => setExpiresIn(e.target.value === '' ? null : Number(e.target.value))}
+        >
+          {LIMIT_ORDER_EXPIRY_OPTIONS.map(option => (
+            <option key={option.label} value={option.ms === null ? '' : option.ms}>{option.label}</option>
+          ))}
+        </select>
+      </div>
+
+      <label style={{ display: 'flex', alignItems: 'center', gap: 8, fontSize: 12, color: 'var(--text-muted)', marginBottom: 12, cursor: isHardwareWallet ? 'default' : 'pointer' }}>
+        <input
+          type="checkbox"
+          checked={autoExecute && !isHardwareWallet}
+          onChange={(e) => setAutoExecute(e.target.checked)}
+          disabled={isHardwareWallet}
+        />
+        {isHardwareWallet
+          ? 'Hardware wallets approve each triggered order on the device'
+          : 'Swap automatically when triggered (while the wallet is open and unlocked)'}
+      </label>
+
+      <div style={{ fontSize: 11, color: 'var(--text-muted)', marginBottom: 12 }}>
+        Prices are checked every 30 seconds while the browser is open. You'll get a notification when an order triggers.
+      </div>
+
+      {hwStatus && (
+        <div className="hw-status" style={{ display: 'flex', alignItems: 'center', justifyContent: 'center', gap: 8, padding: '12px 16px', background: 'var(--bg-tertiary)', borderRadius: 8, marginBottom: 12, color: 'var(--x1-blue)' }}>
+          <div className="spinner-small" />
+          <span>{hwStatus}</span>
+        </div>
+      )}
+      {error && <div className="error-message" style={{ marginBottom: 12 }}>{error}</div>}
+      {success && <div className="stake-success" style={{ marginBottom: 12 }}>{success}</div>}
+
+      {activeOrders.length > 0 && (
+        <>
+          <div style={{ fontSize: 12, fontWeight: 600, marginBottom: 8 }}>Open orders</div>
+          <div className="settings-section">{activeOrders.map(renderOrder)}</div>
+        </>
+      )}
+      {pastOrders.length > 0 && (
+        <>
+          <div style={{ fontSize: 12, fontWeight: 600, margin: '12px 0 8px' }}>History</div>
+          <div className="settings-section">{pastOrders.map(renderOrder)}</div>
+        </>
+      )}
+
+      <div className="send-bottom-action">
+        <button
+          className="btn-primary"
+          onClick={handlePlace}
+          disabled={placing || !fromAmount || parseFloat(fromAmount) <= 0 || (!targetPrice && !stopPrice)}
+        >
+          {placing ? 'Placing...' : orderType === 'bracket' ? 'Place TP / SL' : 'Place Limit Order'}
+        </button>
+      </div>
+    </div>
+  );
+}
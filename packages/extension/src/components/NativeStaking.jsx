@@ -0,0 +1,374 @@
+// Native Staking - stake accounts delegated straight to a validator
+// Works on any network with the Stake program; lists the wallet's stake accounts with their activation
+// state this epoch and lets the user create, deactivate, withdraw, split and merge them.
+import React, { useState, useEffect, useCallback } from 'react';
+import { getUserFriendlyError, logger } from '@x1-wallet/core';
+import { getTxExplorerUrl } from '@x1-wallet/core/services/networks';
+import {
+  getStakeAccounts,
+  canMergeStakeAccounts,
+  createStakeAccount,
+  delegateStake,
+  deactivateStake,
+  withdrawStake,
+  splitStake,
+  mergeStake
+} from '@x1-wallet/core/services/nativeStake';
+import { getValidatorList, getFavoriteValidators } from '@x1-wallet/core/services/validators';
+import { hardwareWallet } from '../services/hardware';
+import ValidatorBrowser from './ValidatorBrowser';
+
+const ACTIVATION_COLORS = {
+  activating: 'var(--warning)',
+  active: 'var(--success)',
+  deactivating: 'var(--warning)',
+  inactive: 'var(--text-muted)'
+};
+
+const shorten = (address) => `${address.slice(0, 4)}...${address.slice(-4)}`;
+
+export default function NativeStaking({ wallet, networkConfig, onRefreshBalance }) {
+  const owner = wallet?.wallet?.publicKey;
+  const rpcUrl = networkConfig?.rpcUrl;
+  const decimals = networkConfig?.decimals || 9;
+  const symbol = networkConfig?.symbol || 'XNT';
+  const isHardwareWallet = wallet?.wallet?.isHardware || wallet?.activeWallet?.isHardware || false;
+
+  const [accounts, setAccounts] = useState([]);
+  const [epoch, setEpoch] = useState(null);
+  const [validators, setValidators] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [votePubkey, setVotePubkey] = useState('');
+  const [showBrowser, setShowBrowser] = useState(false);
+  const [amount, setAmount] = useState('');
+  const [action, setAction] = useState(null); // { type: 'split'|'merge'|'withdraw', address }
+  const [actionAmount, setActionAmount] = useState('');
+  const [busy, setBusy] = useState(''); // '' | 'create' | address being acted on
+  const [error, setError] = useState('');
+  const [status, setStatus] = useState('');
+  const [txSignature, setTxSignature] = useState('');
+
+  const toNative = (lamports) => (lamports / Math.pow(10, decimals)).toLocaleString(undefined, { maximumFractionDigits: 4 });
+  const toLamports = (value) => Math.round(parseFloat(value) * Math.pow(10, decimals));
+
+  const refresh = useCallback(async () => {
+    if (!owner || !rpcUrl) return;
+    try {
+      const result = await getStakeAccounts(rpcUrl, owner);
+      setAccounts(result.accounts);
+      setEpoch(result.epoch);
+    } catch (err) {
+      logger.error('[NativeStaking] Failed to load stake accounts:', err);
+      setError(getUserFriendlyError(err, 'Failed to load stake accounts'));
+    } finally {
+      setLoading(false);
+    }
+  }, [owner, rpcUrl]);
+
+  useEffect(() => {
+    setLoading(true);
+    refresh();
+    if (!rpcUrl) return;
+    getValidatorList(rpcUrl)
+      .then(({ validators: list }) => {
+        setValidators(list);
+        // Default to a favorite, otherwise the largest healthy validator
+        const favorites = getFavoriteValidators(wallet?.network);
+        const preferred = list.find(v => favorites.includes(v.votePubkey) && !v.delinquent) || list.find(v => !v.delinquent);
+        setVotePubkey(current => current || preferred?.votePubkey || '');
+      })
+      .catch(err => logger.warn('[NativeStaking] Failed to load validators:', err.message));
+  }, [refresh, rpcUrl]);
+
+  const signer = () => {
+    if (!isHardwareWallet) {
+      if (!wallet?.wallet?.privateKey) {
+        throw new Error('Wallet is locked. Please unlock your wallet first.');
+      }
+      return { privateKey: wallet.wallet.privateKey };
+    }
+    return {
+      signMessage: async (message) => {
+        if (!hardwareWallet.isReady()) {
+          setStatus('Connecting to Ledger...');
+          await hardwareWallet.connect();
+          await hardwareWallet.openApp();
+        }
+        setStatus('Please confirm on your Ledger...');
+        return hardwareWallet.signTransaction(message, wallet?.wallet?.derivationPath);
+      }
+    };
+  };
+
+  // Run one stake operation, then reload once the transaction has had time to land
+  const run = async (key, fallbackError, operation, doneMessage) => {
+    setError('');
+    setStatus('');
+    setTxSignature('');
+    setBusy(key);
+    try {
+      const result = await operation({ owner, rpcUrl, ...signer() });
+      setTxSignature(typeof result === 'string' ? result : result.signature);
+      setStatus(doneMessage);
+      setAction(null);
+      setActionAmount('');
+      setTimeout(() => {
+        refresh();
+        onRefreshBalance?.();
+      }, 3000);
+      return true;
+    } catch (err) {
+      logger.error('[NativeStaking]', fallbackError, err);
+      setError(getUserFriendlyError(err, fallbackError));
+      setStatus('');
+      return false;
+    } finally {
+      setBusy('');
+    }
+  };
+
+  const handleCreate = async () => {
+    const lamports = toLamports(amount);
+    if (!votePubkey) {
+      setError('Choose a validator');
+      return;
+    }
+    if (!lamports || lamports <= 0) {
+      setError('Enter an amount to stake');
+      return;
+    }
+    const created = await run('create', 'Failed to create stake account',
+      (params) => createStakeAccount({ ...params, votePubkey, lamports }),
+      'Stake account created. Your stake activates at the start of the next epoch.'
+    );
+    if (created) setAmount('');
+  };
+
+  const handleDelegate = (address) => run(address, 'Failed to delegate stake',
+    (params) => delegateStake({ ...params, stakeAccount: address, votePubkey }),
+    'Stake delegated. It activates at the start of the next epoch.'
+  );
+
+  const handleDeactivate = (address) => run(address, 'Failed to deactivate stake',
+    (params) => deactivateStake({ ...params, stakeAccount: address }),
+    'Stake deactivating. You can withdraw it once this epoch ends.'
+  );
+
+  const handleActionConfirm = (account) => {
+    const { type } = action;
+    if (type === 'merge') {
+      run(account.address, 'Failed to merge stake accounts',
+        (params) => mergeStake({ ...params, destination: action.destination, source: account.address }),
+        'Stake accounts merged.'
+      );
+      return;
+    }
+    const lamports = toLamports(actionAmount);
+    if (!lamports || lamports <= 0) {
+      setError('Enter an amount');
+      return;
+    }
+    if (type === 'split') {
+      run(account.address, 'Failed to split stake account',
+        (params) => splitStake({ ...params, stakeAccount: account.address, lamports }),
+        'Stake account split.'
+      );
+    } else {
+      run(account.address, 'Failed to withdraw stake',
+        (params) => withdrawStake({ ...params, stakeAccount: account.address, lamports: Math.min(lamports, account.withdrawable) }),
+        'Withdrawn to your wallet.'
+      );
+    }
+  };
+
+  const openAction = (type, account) => {
+    setError('');
+    setAction({ type, address: account.address });
+    setActionAmount(type === 'withdraw' ? String(account.withdrawable / Math.pow(10, decimals)) : '');
+  };
+
+  const mergeTargets = (account) => accounts.filter(other => canMergeStakeAccounts(other, account, epoch));
+
+  const validatorName = (vote) => {
+    const validator = validators.find(v => v.votePubkey === vote);
+    return validator ? `${shorten(vote)} · ${validator.commission}%` : shorten(vote);
+  };
+
+  const smallBtn = { padding: '6px 10px', fontSize: 12, width: 'auto' };
+
+  if (showBrowser) {
+    return (
+      <ValidatorBrowser
+        network={wallet?.network}
+        networkConfig={networkConfig}
+        selected={votePubkey}
+        onSelect={(vote) => {
+          setVotePubkey(vote);
+          setShowBrowser(false);
+        }}
+        onClose={() => setShowBrowser(false)}
+      />
+    );
+  }
+
+  const selectedValidator = validators.find(v => v.votePubkey === votePubkey);
+
+  return (
+    <div className="send-step-content">
+      <div className="form-group">
+        <label>Validator</label>
+        <div className="settings-item" style={{ cursor: 'pointer' }} onClick={() => setShowBrowser(true)}>
+          <div>
+            <span style={{ display: 'block', fontWeight: 500 }}>
+              {votePubkey ? shorten(votePubkey) : validators.length === 0 ? 'Loading validators...' : 'Choose a validator'}
+            </span>
+            {selectedValidator && (
+              <span style={{ fontSize: 11, color: 'var(--text-muted)' }}>
+                {toNative(selectedValidator.activatedStake)} {symbol} staked · {selectedValidator.commission}% commission
+                {selectedValidator.apy !== null && ` · ${selectedValidator.apySource === 'estimate' ? '~' : ''}${(selectedValidator.apy * 100).toFixed(2)}% APY`}
+              </span>
+            )}
+          </div>
+          <span style={{ fontSize: 12, color: 'var(--x1-blue)' }}>Browse →</span>
+        </div>
+      </div>
+
+      <div className="form-group">
+        <label>Amount</label>
+        <input
+          className="form-input"
+          type="number"
+          min="0"
+          placeholder={`0.00 ${symbol}`}
+          value={amount}
+          onChange={(e) => setAmount(e.target.value)}
+        />
+      </div>
+
+      <button className="btn-primary" onClick={handleCreate} disabled={!!busy || !amount || !votePubkey}>
+        {busy === 'create' ? <span className="btn-loading"><span className="spinner-small" /></span> : 'Create Stake Account'}
+      </button>
+
+      {error && <div className="error-message" style={{ marginTop: 12 }}>{error}</div>}
+      {status && (
+        <div style={{ marginTop: 12, fontSize: 13, color: 'var(--text-secondary)' }}>
+          {status}
+          {txSignature && (
+            <a href={getTxExplorerUrl(wallet.network, txSignature)} target="_blank" rel="noopener noreferrer" className="tx-link">
+              {' '}View Transaction →
+            </a>
+          )}
+        </div>
+      )}
+
+      <div style={{ display: 'flex', justifyContent: 'space-between', margin: '20px 0 8px', fontSize: 12, color: 'var(--text-muted)' }}>
+        <span>Your Stake Accounts</span>
+        {epoch !== null && <span>Epoch {epoch}</span>}
+      </div>
+
+      {loading ? (
+        <div style={{ display: 'flex', justifyContent: 'center', padding: 20 }}><div className="spinner" /></div>
+      ) : accounts.length === 0 ? (
+        <div style={{ fontSize: 13, color: 'var(--text-muted)', textAlign: 'center', padding: 20 }}>
+          No stake accounts yet
+        </div>
+      ) : (
+        <div className="settings-section">
+          {accounts.map(account => {
+            const delegation = account.delegation;
+            const isOpen = action?.address === account.address;
+            const targets = mergeTargets(account);
+            return (
+              <div key={account.address} className="settings-item" style={{ flexDirection: 'column', alignItems: 'stretch', gap: 8 }}>
+                <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+                  <div>
+                    <span style={{ display: 'block', fontWeight: 500 }}>{toNative(account.lamports)} {symbol}</span>
+                    <span style={{ fontSize: 11, color: 'var(--text-muted)' }}>
+                      {shorten(account.address)}{delegation ? ` → ${validatorName(delegation.voter)}` : ' · not delegated'}
+                    </span>
+                  </div>
+                  <span style={{ fontSize: 11, fontWeight: 600, textTransform: 'capitalize', color: ACTIVATION_COLORS[account.activation] }}>
+                    {account.activation}
+                  </span>
+                </div>
+
+                {account.activation !== 'inactive' && account.activation !== 'active' && (
+                  <span style={{ fontSize: 11, color: 'var(--text-muted)' }}>
+                    {account.activation === 'activating'
+                      ? 'Earns rewards from the next epoch'
+                      : 'Withdrawable once this epoch ends'}
+                  </span>
+                )}
+
+                {isOpen ? (
+                  <div style={{ display: 'flex', gap: 6, alignItems: 'center' }}>
+                    {action.type === 'merge' ? (
+                      <select
+                        className="form-input"
+                        style={{ flex: 1, padding: '6px 8px', fontSize: 12 }}
+                        value={action.destination || ''}
+                        onChange={(e) => setAction({ ...action, destination: e.target.value })}
+                      >
+                        <option value="">Merge into...</option>
+                        {targets.map(t => (
+                          <option key={t.address} value={t.address}>{shorten(t.address)} · {toNative(t.lamports)} {symbol}</option>
+                        ))}
+                      </select>
+                    ) : (
+                      <input
+                        className="form-input"
+                        style={{ flex: 1, padding: '6px 8px', fontSize: 12 }}
+                        type="number"
+                        min="0"
+                        placeholder={action.type === 'split' ? 'Amount to split off' : 'Amount to withdraw'}
+                        value={actionAmount}
+                        onChange={(e) => setActionAmount(e.target.value)}
+                      />
+                    )}
+                    <button className="btn-secondary" style={smallBtn} onClick={() => setAction(null)}>Cancel</button>
+                    <button
+                      className="btn-primary"
+                      style={smallBtn}
+                      disabled={!!busy || (action.type === 'merge' && !action.destination)}
+                      onClick={() => handleActionConfirm(account)}
+                    >
+                      {busy === account.address ? <span className="spinner-small" /> : 'Confirm'}
+                    </button>
+                  </div>
+                ) : (
+                  <div style={{ display: 'flex', gap: 6, flexWrap: 'wrap' }}>
+                    {(account.activation === 'active' || account.activation === 'activating') && (
+                      <button className="btn-secondary" style={smallBtn} disabled={!!busy} onClick={() => handleDeactivate(account.address)}>
+                        {busy === account.address ? <span className="spinner-small" /> : 'Deactivate'}
+                      </button>
+                    )}
+                    {account.activation === 'inactive' && votePubkey && (
+                      <button className="btn-secondary" style={smallBtn} disabled={!!busy} onClick={() => handleDelegate(account.address)}>
+                        {busy === account.address ? <span className="spinner-small" /> : 'Delegate'}
+                      </button>
+                    )}
+                    {account.withdrawable > 0 && (
+                      <button className="btn-secondary" style={smallBtn} disabled={!!busy} onClick={() => openAction('withdraw', account)}>
+                        Withdraw
+                      </button>
+                    )}
+                    {delegation && (
+                      <button className="btn-secondary" style={smallBtn} disabled={!!busy} onClick={() => openAction('split', account)}>
+                        Split
+                      </button>
+                    )}
+                    {targets.length > 0 && (
+                      <button className="btn-secondary" style={smallBtn} disabled={!!busy} onClick={() => openAction('merge', account)}>
+                        Merge
+                      </button>
+                    )}
+                  </div>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+}
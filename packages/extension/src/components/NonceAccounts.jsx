@@ -0,0 +1,285 @@
+// Durable Nonces - Settings sub-screen for managing nonce accounts
+// Transactions built against a nonce account don't expire, so they can be signed later
+// (slow Ledger confirmation) or on another machine and broadcast from here.
+import React, { useState, useEffect, useCallback } from 'react';
+import { getUserFriendlyError, logger } from '@x1-wallet/core';
+import { NETWORKS } from '@x1-wallet/core/services/networks';
+import { validateAddress } from '@x1-wallet/core/utils/base58';
+import {
+  getNonceAccount,
+  createNonceAccount,
+  closeNonceAccount,
+  getSavedNonceAccounts,
+  saveNonceAccount,
+  removeNonceAccount
+} from '@x1-wallet/core/utils/nonce';
+import { hardwareWallet } from '../services/hardware';
+
+export default function NonceAccounts({ wallet, onBack }) {
+  const owner = wallet?.wallet?.publicKey;
+  const network = wallet?.network || 'X1 Mainnet';
+  const networkConfig = NETWORKS[network] || NETWORKS['X1 Mainnet'];
+  const isHardwareWallet = wallet?.wallet?.isHardware || wallet?.activeWallet?.isHardware || wallet?.isHardware || false;
+
+  const [accounts, setAccounts] = useState([]); // [{ address, nonce, lamports, error }]
+  const [busy, setBusy] = useState(''); // '' | 'create' | 'add' | 'broadcast' | address being closed
+  const [error, setError] = useState('');
+  const [status, setStatus] = useState('');
+  const [existingAddress, setExistingAddress] = useState('');
+  const [signedTx, setSignedTx] = useState('');
+  const [confirmClose, setConfirmClose] = useState(null);
+  const [copied, setCopied] = useState(null);
+
+  const refresh = useCallback(async () => {
+    if (!owner) return;
+    const saved = getSavedNonceAccounts(owner, network);
+    const loaded = await Promise.all(saved.map(async address => {
+      try {
+        return await getNonceAccount(networkConfig.rpcUrl, address);
+      } catch (err) {
+        return { address, error: err.message };
+      }
+    }));
+    setAccounts(loaded);
+  }, [owner, network, networkConfig.rpcUrl]);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  const signer = () => {
+    if (!isHardwareWallet) {
+      if (!wallet?.wallet?.privateKey) {
+        throw new Error('Wallet is locked. Please unlock your wallet first.');
+      }
+      return { privateKey: wallet.wallet.privateKey };
+    }
+    return {
+      signMessage: async (message) => {
+        if (!hardwareWallet.isReady()) {
+          setStatus('Connecting to Ledger...');
+          await hardwareWallet.connect();
+          await hardwareWallet.openApp();
+        }
+        setStatus('Please confirm on your Ledger...');
+        return hardwareWallet.signTransaction(message, wallet?.wallet?.derivationPath);
+      }
+    };
+  };
+
+  const handleCreate = async () => {
+    setError('');
+    setBusy('create');
+    try {
+      const { address } = await createNonceAccount({ owner, rpcUrl: networkConfig.rpcUrl, ...signer() });
+      saveNonceAccount(owner, network, address);
+      setStatus('Nonce account created. It may take a few seconds to appear.');
+      setTimeout(refresh, 3000);
+    } catch (err) {
+      logger.error('[Nonce] Create failed:', err);
+      setError(getUserFriendlyError(err, 'Failed to create nonce account'));
+      setStatus('');
+    } finally {
+      setBusy('');
+    }
+  };
+
+  const handleAddExisting = async () => {
+    setError('');
+    const address = existingAddress.trim();
+    const check = validateAddress(address);
+    if (!check.valid) {
+      setError(check.error);
+      return;
+    }
+    setBusy('add');
+    try {
+      const account = await getNonceAccount(networkConfig.rpcUrl, address);
+      if (account.authority !== owner) {
+        throw new Error('This wallet is not the nonce authority');
+      }
+      saveNonceAccount(owner, network, address);
+      setExistingAddress('');
+      await refresh();
+    } catch (err) {
+      setError(getUserFriendlyError(err, 'Failed to add nonce account'));
+    } finally {
+      setBusy('');
+    }
+  };
+
+  const handleClose = async (address) => {
+    setError('');
+    setConfirmClose(null);
+    setBusy(address);
+    try {
+      await closeNonceAccount({ owner, nonceAccount: address, rpcUrl: networkConfig.rpcUrl, ...signer() });
+      removeNonceAccount(owner, network, address);
+      setStatus('Nonce account closed and its balance returned to your wallet.');
+      await refresh();
+    } catch (err) {
+      logger.error('[Nonce] Close failed:', err);
+      setError(getUserFriendlyError(err, 'Failed to close nonce account'));
+      setStatus('');
+    } finally {
+      setBusy('');
+    }
+  };
+
+  const handleForget = (address) => {
+    removeNonceAccount(owner, network, address);
+    setAccounts(accounts.filter(a => a.address !== address));
+  };
+
+  // Broadcast a transaction that was signed elsewhere against one of these nonces
+  const handleBroadcast = async () => {
+    setError('');
+    setBusy('broadcast');
+    try {
+      const response = await fetch(networkConfig.rpcUrl, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          jsonrpc: '2.0',
+          id: 1,
+          method: 'sendTransaction',
+          params: [signedTx.replace(/\s/g, ''), { encoding: 'base64', preflightCommitment: 'confirmed' }]
+        })
+      });
+      const data = await response.json();
+      if (data.error) throw new Error(data.error.message);
+      setStatus(`Transaction sent: ${data.result.slice(0, 8)}...`);
+      setSignedTx('');
+      setTimeout(refresh, 3000);
+    } catch (err) {
+      setError(getUserFriendlyError(err, 'Failed to broadcast transaction'));
+    } finally {
+      setBusy('');
+    }
+  };
+
+  const copy = (value) => {
+    navigator.clipboard.writeText(value);
+    setCopied(value);
+    setTimeout(() => setCopied(null), 2000);
+  };
+
+  return (
+    <div className="screen settings-screen">
+      <div className="settings-header">
+        <button className="back-btn" onClick={onBack}>
+          <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+            <path d="M19 12H5M12 19l-7-7 7-7" />
+          </svg>
+        </button>
+        <h2>Durable Nonces</h2>
+      </div>
+      <div className="settings-content">
+        <div className="settings-item-info">
+          <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="var(--text-muted)" strokeWidth="2">
+            <circle cx="12" cy="12" r="10" />
+            <line x1="12" y1="16" x2="12" y2="12" />
+            <line x1="12" y1="8" x2="12.01" y2="8" />
+          </svg>
+          <span>
+            Transactions built with a nonce account don't expire after a minute. Pick one on the send, swap or stake
+            confirm screen. Each nonce account holds a small rent deposit you get back when closing it.
+          </span>
+        </div>
+
+        {error && <div className="error-message" style={{ marginBottom: 12 }}>{error}</div>}
+        {status && <div style={{ marginBottom: 12, fontSize: 13, color: 'var(--text-secondary)' }}>{status}</div>}
+
+        {accounts.length > 0 && (
+          <div className="settings-section">
+            {accounts.map(account => (
+              <div key={account.address} className="settings-item" style={{ alignItems: 'flex-start' }}>
+                <div className="settings-item-left" style={{ overflow: 'hidden', cursor: 'pointer' }} onClick={() => copy(account.address)}>
+                  <div style={{ overflow: 'hidden' }}>
+                    <span style={{ display: 'block', fontWeight: 500, color: copied === account.address ? 'var(--success)' : undefined }}>
+                      {copied === account.address ? 'Copied!' : `${account.address.slice(0, 6)}...${account.address.slice(-6)}`}
+                    </span>
+                    <span style={{ fontSize: 11, color: account.error ? 'var(--error)' : 'var(--text-muted)' }}>
+                      {account.error || `Nonce ${account.nonce.slice(0, 8)}... · ${(account.lamports / Math.pow(10, networkConfig.decimals)).toFixed(5)} ${networkConfig.symbol}`}
+                    </span>
+                  </div>
+                </div>
+                {confirmClose === account.address ? (
+                  <div style={{ display: 'flex', gap: 6 }}>
+                    <button className="btn-secondary" style={{ padding: '6px 10px', fontSize: 12 }} onClick={() => setConfirmClose(null)}>
+                      Cancel
+                    </button>
+                    <button
+                      onClick={() => handleClose(account.address)}
+                      style={{ background: 'rgba(239, 68, 68, 0.1)', border: '1px solid rgba(239, 68, 68, 0.3)', borderRadius: 8, padding: '6px 10px', color: 'var(--error)', fontSize: 12, fontWeight: 500, cursor: 'pointer' }}
+                    >
+                      Close
+                    </button>
+                  </div>
+                ) : (
+                  <button
+                    className="btn-secondary"
+                    style={{ width: 'auto', padding: '6px 10px', fontSize: 12 }}
+                    disabled={!!busy}
+                    onClick={() => account.error ? handleForget(account.address) : setConfirmClose(account.address)}
+                  >
+                    {busy === account.address ? 'Closing...' : account.error ? 'Remove' : 'Close'}
+                  </button>
+                )}
+              </div>
+            ))}
+          </div>
+        )}
+
+        <button className="btn-primary" onClick={handleCreate} disabled={!!busy || !owner} style={{ marginTop: 16 }}>
+          {busy === 'create' ? 'Creating...' : 'Create Nonce Account'}
+        </button>
+
+        <div className="form-group" style={{ marginTop: 20 }}>
+          <label>Add existing nonce account</label>
+          <div style={{ display: 'flex', gap: 8 }}>
+            <input
+              type="text"
+              className="form-input"
+              placeholder="Nonce account address"
+              value={existingAddress}
+              onChange={e => setExistingAddress(e.target.value)}
+              autoComplete="off"
+              spellCheck="false"
+              style={{ flex: 1 }}
+            />
+            <button
+              className="btn-secondary"
+              onClick={handleAddExisting}
+              disabled={!!busy || !existingAddress.trim()}
+              style={{ width: 'auto', padding: '8px 16px' }}
+            >
+              {busy === 'add' ? 'Adding...' : 'Add'}
+            </button>
+          </div>
+        </div>
+
+        <div className="form-group" style={{ marginTop: 12 }}>
+          <label>Broadcast signed transaction (base64)</label>
+          <textarea
+            className="form-input"
+            rows={4}
+            placeholder="Paste a transaction signed offline"
+            value={signedTx}
+            onChange={e => setSignedTx(e.target.value)}
+            spellCheck="false"
+            style={{ fontFamily: 'monospace', fontSize: 11, resize: 'vertical' }}
+          />
+          <button
+            className="btn-secondary"
+            onClick={handleBroadcast}
+            disabled={!!busy || !signedTx.trim()}
+            style={{ marginTop: 8 }}
+          >
+            {busy === 'broadcast' ? 'Sending...' : 'Broadcast'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
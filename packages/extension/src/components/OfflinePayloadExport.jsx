@@ -0,0 +1,70 @@
+// Offline Payload Export - shows an offline signing payload as an animated QR code, a file download and copyable text
+// Large payloads are split into numbered frames that cycle, so a camera on the other device can collect them all
+import React, { useState, useEffect, useRef } from 'react';
+import { logger } from '@x1-wallet/core';
+import { splitIntoQrFrames } from '@x1-wallet/core/utils/offlineSigning';
+
+const FRAME_INTERVAL_MS = 600;
+
+export default function OfflinePayloadExport({ payloadText, filename }) {
+  const canvasRef = useRef(null);
+  const [frameIndex, setFrameIndex] = useState(0);
+  const [copied, setCopied] = useState(false);
+
+  const frames = splitIntoQrFrames(payloadText);
+
+  useEffect(() => {
+    setFrameIndex(0);
+    if (frames.length < 2) return;
+    const timer = setInterval(() => setFrameIndex(i => (i + 1) % frames.length), FRAME_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, [payloadText]);
+
+  useEffect(() => {
+    if (!canvasRef.current) return;
+    import('qrcode').then(QRCode => {
+      QRCode.toCanvas(canvasRef.current, frames[frameIndex] || '', {
+        width: 220,
+        margin: 2,
+        color: {
+          dark: '#000000',
+          light: '#ffffff'
+        },
+        errorCorrectionLevel: 'L'
+      }, (err) => {
+        if (err) logger.error('QR generation failed:', err);
+      });
+    }).catch(err => {
+      logger.error('Failed to load QR library:', err);
+    });
+  }, [payloadText, frameIndex]);
+
+  const handleDownload = () => {
+    const blob = new Blob([payloadText], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const handleCopy = () => {
+    navigator.clipboard.writeText(payloadText);
+    setCopied(true);
+    setTimeout(() => setCopied(false), 2000);
+  };
+
+  return (
+    <div className="offline-export">
+      <canvas ref={canvasRef} className="qr-code" style={{ borderRadius: 12 }} />
+      {frames.length > 1 && (
+        <div className="offline-export-frame">Frame {frameIndex + 1} of {frames.length}</div>
+      )}
+      <div className="offline-export-actions">
+        <button className="btn-secondary" onClick={handleDownload}>Download file</button>
+        <button className="btn-secondary" onClick={handleCopy}>{copied ? 'Copied!' : 'Copy text'}</button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,276 @@
+// Offline Signing - Settings sub-screen for air-gapped signing
+// Key-holding wallets import an unsigned transaction, review it and export the signature.
+// Watch-only wallets see their exported transactions that are still waiting for a signature.
+import React, { useState } from 'react';
+import { getUserFriendlyError, logger } from '@x1-wallet/core';
+import { NETWORKS } from '@x1-wallet/core/services/networks';
+import { describeInstruction } from '@x1-wallet/core/utils/instructionDecoders';
+import {
+  parseOfflinePayload,
+  reviewUnsignedPayload,
+  signUnsignedPayload,
+  getPendingOfflineTransactions,
+  removePendingOfflineTransaction,
+  OFFLINE_TYPE_UNSIGNED
+} from '@x1-wallet/core/utils/offlineSigning';
+import { hardwareWallet } from '../services/hardware';
+import OfflinePayloadExport from './OfflinePayloadExport';
+import OfflineTransactionExport from './OfflineTransactionExport';
+
+export default function OfflineSigning({ wallet, onBack }) {
+  const owner = wallet?.wallet?.publicKey;
+  const network = wallet?.network || 'X1 Mainnet';
+  const networkConfig = NETWORKS[network] || NETWORKS['X1 Mainnet'];
+  const isWatchOnly = wallet?.wallet?.type === 'watchonly' || wallet?.wallet?.isWatchOnly;
+  const isHardwareWallet = wallet?.wallet?.isHardware || wallet?.activeWallet?.isHardware || wallet?.isHardware || false;
+
+  const [payloadText, setPayloadText] = useState('');
+  const [payload, setPayload] = useState(null);
+  const [decoded, setDecoded] = useState(null);
+  const [signatureText, setSignatureText] = useState('');
+  const [pending, setPending] = useState(() => owner ? getPendingOfflineTransactions(owner) : []);
+  const [openPending, setOpenPending] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+  const [status, setStatus] = useState('');
+
+  const handleFile = (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => setPayloadText(String(reader.result || ''));
+    reader.readAsText(file);
+    e.target.value = '';
+  };
+
+  const handleReview = async () => {
+    setError('');
+    setBusy(true);
+    try {
+      const parsed = parseOfflinePayload(payloadText);
+      if (parsed.type !== OFFLINE_TYPE_UNSIGNED) {
+        throw new Error('This is a signature - import it on the watch-only wallet instead');
+      }
+      // Only resolve lookup tables when this device is actually online
+      setDecoded(await reviewUnsignedPayload(parsed, navigator.onLine ? networkConfig.rpcUrl : null));
+      setPayload(parsed);
+    } catch (err) {
+      setError(getUserFriendlyError(err, 'Could not read the transaction'));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const signWithHardware = async (message) => {
+    if (!hardwareWallet.isReady()) {
+      setStatus('Connecting to Ledger...');
+      await hardwareWallet.connect();
+      await hardwareWallet.openApp();
+    }
+    setStatus('Please confirm on your Ledger...');
+    return hardwareWallet.signTransaction(message, wallet?.wallet?.derivationPath);
+  };
+
+  const handleSign = async () => {
+    setError('');
+    setBusy(true);
+    try {
+      setSignatureText(await signUnsignedPayload({
+        payload,
+        publicKey: owner,
+        privateKey: isHardwareWallet ? null : wallet?.wallet?.privateKey,
+        signMessage: isHardwareWallet ? signWithHardware : null
+      }));
+    } catch (err) {
+      logger.error('[Offline] Signing failed:', err);
+      setError(getUserFriendlyError(err, 'Failed to sign transaction'));
+    } finally {
+      setBusy(false);
+      setStatus('');
+    }
+  };
+
+  const resetImport = () => {
+    setPayloadText('');
+    setPayload(null);
+    setDecoded(null);
+    setSignatureText('');
+    setError('');
+  };
+
+  const handleDiscard = (messageHash) => {
+    removePendingOfflineTransaction(messageHash);
+    setPending(pending.filter(p => p.messageHash !== messageHash));
+  };
+
+  const handleBroadcast = (signature) => {
+    setOpenPending(null);
+    setPending(getPendingOfflineTransactions(owner));
+    setStatus(`Transaction sent: ${signature.slice(0, 8)}...`);
+  };
+
+  const renderWatchOnly = () => {
+    if (openPending) {
+      return (
+        <OfflineTransactionExport
+          wallet={wallet}
+          payloadText={openPending.payloadText}
+          onBroadcast={handleBroadcast}
+        />
+      );
+    }
+    return (
+      <>
+        {pending.length === 0 && (
+          <div className="batch-hint">No transactions waiting for a signature. Start a send from this wallet to export one.</div>
+        )}
+        {pending.length > 0 && (
+          <div className="settings-section">
+            {pending.map(p => (
+              <div key={p.messageHash} className="settings-item">
+                <div className="settings-item-left" style={{ overflow: 'hidden', cursor: 'pointer' }} onClick={() => setOpenPending(p)}>
+                  <div style={{ overflow: 'hidden' }}>
+                    <span style={{ display: 'block', fontWeight: 500 }}>{p.description || 'Unsigned transaction'}</span>
+                    <span style={{ fontSize: 11, color: 'var(--text-muted)' }}>
+                      {p.network} · {new Date(p.createdAt).toLocaleString()} · {p.messageHash.slice(0, 8)}
+                    </span>
+                  </div>
+                </div>
+                <button
+                  className="btn-secondary"
+                  style={{ width: 'auto', padding: '6px 10px', fontSize: 12 }}
+                  onClick={() => handleDiscard(p.messageHash)}
+                >
+                  Discard
+                </button>
+              </div>
+            ))}
+          </div>
+        )}
+      </>
+    );
+  };
+
+  const renderSigner = () => {
+    if (signatureText) {
+      return (
+        <>
+          <div className="batch-hint">
+            Signed. Scan the QR code or transfer the file back to the watch-only wallet to broadcast.
+          </div>
+          <OfflinePayloadExport payloadText={signatureText} filename={`x1-signature-${payload.messageHash.slice(0, 8)}.json`} />
+          <button className="btn-primary" onClick={resetImport} style={{ marginTop: 16 }}>Done</button>
+        </>
+      );
+    }
+
+    if (payload) {
+      const wrongSigner = payload.signer !== owner;
+      const wrongNetwork = payload.network && payload.network !== network;
+      return (
+        <>
+          <div className="send-summary-card">
+            {payload.description && (
+              <div className="send-summary-row">
+                <span className="send-summary-label">Summary</span>
+                <span className="send-summary-value">{payload.description}</span>
+              </div>
+            )}
+            <div className="send-summary-row">
+              <span className="send-summary-label">Network</span>
+              <span className="send-summary-value">{payload.network || 'Unknown'}</span>
+            </div>
+            <div className="send-summary-row">
+              <span className="send-summary-label">Signer</span>
+              <span className="send-summary-value">{payload.signer.slice(0, 6)}...{payload.signer.slice(-4)}</span>
+            </div>
+            <div className="send-summary-row">
+              <span className="send-summary-label">Fingerprint</span>
+              <span className="send-summary-value">{payload.messageHash.slice(0, 8)}</span>
+            </div>
+          </div>
+
+          <div className="send-section">
+            <div className="send-section-label">INSTRUCTIONS</div>
+            {decoded?.success ? decoded.instructions.map((instr, idx) => (
+              <div key={idx} className="batch-row">
+                <div className="batch-row-main">
+                  <span>{idx + 1}. {describeInstruction(instr)}</span>
+                </div>
+                {instr.warning && <div className="batch-row-detail error">{instr.warning}</div>}
+                {!instr.isKnownSafe && <div className="batch-row-detail error">Unknown program - review carefully</div>}
+              </div>
+            )) : (
+              <div className="batch-row-detail error">{decoded?.error || 'Could not decode transaction'}</div>
+            )}
+          </div>
+
+          {wrongSigner && <div className="error-message">This transaction must be signed by a different wallet.</div>}
+          {!wrongSigner && wrongNetwork && (
+            <div className="error-message">Exported on {payload.network} but this wallet is on {network}.</div>
+          )}
+          {error && <div className="error-message">{error}</div>}
+          {status && <div className="send-hw-status">{status}</div>}
+          <div style={{ display: 'flex', gap: 8 }}>
+            <button className="btn-secondary" onClick={resetImport} disabled={busy}>Cancel</button>
+            <button className="btn-primary" onClick={handleSign} disabled={busy || wrongSigner}>
+              {busy ? 'Signing...' : 'Sign'}
+            </button>
+          </div>
+        </>
+      );
+    }
+
+    return (
+      <>
+        <div className="form-group">
+          <label>Unsigned transaction</label>
+          <textarea
+            className="form-input batch-csv-input"
+            placeholder="Paste the exported payload or scanned QR frames"
+            value={payloadText}
+            onChange={e => setPayloadText(e.target.value)}
+            spellCheck="false"
+          />
+          <label className="btn-secondary batch-file-btn">
+            Choose file
+            <input type="file" accept=".json,application/json,text/plain" onChange={handleFile} hidden />
+          </label>
+        </div>
+        {error && <div className="error-message">{error}</div>}
+        <button className="btn-primary" onClick={handleReview} disabled={busy || !payloadText.trim()}>
+          {busy ? 'Reading...' : 'Review'}
+        </button>
+      </>
+    );
+  };
+
+  return (
+    <div className="screen settings-screen">
+      <div className="settings-header">
+        <button className="back-btn" onClick={openPending ? () => setOpenPending(null) : onBack}>
+          <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+            <path d="M19 12H5M12 19l-7-7 7-7" />
+          </svg>
+        </button>
+        <h2>Offline Signing</h2>
+      </div>
+      <div className="settings-content">
+        <div className="settings-item-info">
+          <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="var(--text-muted)" strokeWidth="2">
+            <circle cx="12" cy="12" r="10" />
+            <line x1="12" y1="16" x2="12" y2="12" />
+            <line x1="12" y1="8" x2="12.01" y2="8" />
+          </svg>
+          <span>
+            {isWatchOnly
+              ? 'Transactions exported from this watch-only wallet. Open one to import its signature and broadcast it.'
+              : 'Sign a transaction exported from a watch-only wallet. Only the signature leaves this device.'}
+          </span>
+        </div>
+        {isWatchOnly && status && <div style={{ marginBottom: 12, fontSize: 13, color: 'var(--text-secondary)' }}>{status}</div>}
+        {isWatchOnly ? renderWatchOnly() : renderSigner()}
+      </div>
+    </div>
+  );
+}
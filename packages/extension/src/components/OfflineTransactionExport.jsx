@@ -0,0 +1,92 @@
+// Offline Transaction Export - watch-only side of air-gapped signing
+// Exports the unsigned transaction, then takes the signature back from the signing device and broadcasts
+import React, { useState } from 'react';
+import { getUserFriendlyError, logger } from '@x1-wallet/core';
+import { NETWORKS } from '@x1-wallet/core/services/networks';
+import {
+  parseOfflinePayload,
+  attachOfflineSignature,
+  removePendingOfflineTransaction
+} from '@x1-wallet/core/utils/offlineSigning';
+import OfflinePayloadExport from './OfflinePayloadExport';
+
+export default function OfflineTransactionExport({ wallet, payloadText, onBroadcast }) {
+  const network = wallet?.network || 'X1 Mainnet';
+  const networkConfig = NETWORKS[network] || NETWORKS['X1 Mainnet'];
+  const unsigned = parseOfflinePayload(payloadText);
+
+  const [signatureText, setSignatureText] = useState('');
+  const [broadcasting, setBroadcasting] = useState(false);
+  const [error, setError] = useState('');
+
+  const handleFile = (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => setSignatureText(String(reader.result || ''));
+    reader.readAsText(file);
+    e.target.value = '';
+  };
+
+  const handleBroadcast = async () => {
+    setError('');
+    setBroadcasting(true);
+    try {
+      const signed = await attachOfflineSignature(unsigned.message, parseOfflinePayload(signatureText));
+      const response = await fetch(networkConfig.rpcUrl, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          jsonrpc: '2.0',
+          id: 1,
+          method: 'sendTransaction',
+          params: [btoa(String.fromCharCode(...signed)), { encoding: 'base64', preflightCommitment: 'confirmed' }]
+        })
+      });
+      const data = await response.json();
+      if (data.error) throw new Error(data.error.message);
+
+      removePendingOfflineTransaction(unsigned.messageHash);
+      onBroadcast(data.result);
+    } catch (err) {
+      logger.error('[Offline] Broadcast failed:', err);
+      setError(getUserFriendlyError(err, 'Failed to broadcast transaction'));
+    } finally {
+      setBroadcasting(false);
+    }
+  };
+
+  return (
+    <div className="send-step-content">
+      <div className="send-section">
+        <div className="send-section-label">1. SIGN ON YOUR OFFLINE DEVICE</div>
+        {unsigned.description && <div className="offline-description">{unsigned.description}</div>}
+        <div className="batch-hint">
+          Scan the QR code or transfer the file to the wallet holding the key, then open Settings → Offline Signing there.
+          Fingerprint: {unsigned.messageHash.slice(0, 8)}
+        </div>
+        <OfflinePayloadExport payloadText={payloadText} filename={`x1-unsigned-${unsigned.messageHash.slice(0, 8)}.json`} />
+      </div>
+
+      <div className="send-section">
+        <div className="send-section-label">2. IMPORT THE SIGNATURE</div>
+        <textarea
+          className="form-input batch-csv-input"
+          placeholder="Paste the signature payload"
+          value={signatureText}
+          onChange={(e) => setSignatureText(e.target.value)}
+          spellCheck="false"
+        />
+        <label className="btn-secondary batch-file-btn">
+          Choose file
+          <input type="file" accept=".json,application/json,text/plain" onChange={handleFile} hidden />
+        </label>
+      </div>
+
+      {error && <div className="error-message">{error}</div>}
+      <button className="btn-primary" onClick={handleBroadcast} disabled={!signatureText.trim() || broadcasting}>
+        {broadcasting ? 'Broadcasting...' : 'Attach Signature & Broadcast'}
+      </button>
+    </div>
+  );
+}
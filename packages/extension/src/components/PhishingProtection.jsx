@@ -0,0 +1,151 @@
+// Phishing Protection - Settings sub-screen for the blocklist source and trusted sites
+// Lists which blocklist is active, lets the user point it at another URL and un-trust sites they proceeded to
+import React, { useState, useEffect } from 'react';
+import { getUserFriendlyError } from '@x1-wallet/core';
+import {
+  getPhishingProtectionStatus,
+  setBlocklistUrl,
+  requestBlocklistUpdate,
+  removeFromPhishingAllowlist
+} from '@x1-wallet/core/services/phishingProtection';
+
+export default function PhishingProtection({ onBack }) {
+  const [status, setStatus] = useState(null);
+  const [urlInput, setUrlInput] = useState('');
+  const [updating, setUpdating] = useState(false);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+
+  const loadStatus = async () => {
+    const next = await getPhishingProtectionStatus();
+    setStatus(next);
+    setUrlInput(next.isDefaultUrl ? '' : next.url);
+  };
+
+  useEffect(() => {
+    loadStatus();
+  }, []);
+
+  const handleUpdate = async () => {
+    setError('');
+    setMessage('');
+    setUpdating(true);
+    try {
+      const result = await requestBlocklistUpdate();
+      setMessage(`Blocklist version ${result.version} is up to date`);
+      await loadStatus();
+    } catch (err) {
+      setError(getUserFriendlyError(err, 'Failed to update blocklist'));
+    } finally {
+      setUpdating(false);
+    }
+  };
+
+  const handleSaveUrl = async (url) => {
+    setError('');
+    setMessage('');
+    try {
+      await setBlocklistUrl(url);
+      setMessage(url ? 'Blocklist source saved' : 'Using the default blocklist');
+      await loadStatus();
+    } catch (err) {
+      setError(getUserFriendlyError(err, 'Failed to save blocklist URL'));
+    }
+  };
+
+  const handleRemove = async (hostname) => {
+    try {
+      await removeFromPhishingAllowlist(hostname);
+      await loadStatus();
+    } catch (err) {
+      setError(getUserFriendlyError(err, 'Failed to remove site'));
+    }
+  };
+
+  return (
+    <div className="screen settings-screen">
+      <div className="settings-header">
+        <button className="back-btn" onClick={onBack}>
+          <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+            <path d="M19 12H5M12 19l-7-7 7-7" />
+          </svg>
+        </button>
+        <h2>Phishing Protection</h2>
+      </div>
+      <div className="settings-content">
+        <div className="settings-section">
+          <h3>Blocklist</h3>
+          <div className="settings-item">
+            <div className="settings-item-left">
+              <div className="settings-item-text">
+                <span>{status?.version != null ? `Version ${status.version}` : 'Built-in list'}</span>
+                <span className="settings-item-desc">
+                  {status?.fetchedAt
+                    ? `${status.domainCount} domains · updated ${new Date(status.fetchedAt).toLocaleString()}`
+                    : 'Not downloaded yet'}
+                </span>
+              </div>
+            </div>
+            <button
+              className="btn-secondary"
+              style={{ width: 'auto', padding: '6px 12px', fontSize: 12 }}
+              onClick={handleUpdate}
+              disabled={updating}
+            >
+              {updating ? 'Updating...' : 'Update Now'}
+            </button>
+          </div>
+          <div className="batch-hint">
+            Lookalikes of X1, XDEX and Phantom domains are always flagged, even if the list has not been downloaded.
+          </div>
+        </div>
+
+        <div className="settings-section">
+          <h3>Blocklist Source</h3>
+          <div className="form-group">
+            <label>List URL</label>
+            <input
+              className="form-input"
+              placeholder={status?.url || 'https://'}
+              value={urlInput}
+              onChange={e => setUrlInput(e.target.value)}
+            />
+          </div>
+          <button className="btn-primary" onClick={() => handleSaveUrl(urlInput.trim() || null)} disabled={!urlInput.trim()}>
+            Save Source
+          </button>
+          {status && !status.isDefaultUrl && (
+            <button className="btn-secondary" onClick={() => handleSaveUrl(null)} style={{ marginTop: 8 }}>
+              Use Default
+            </button>
+          )}
+        </div>
+
+        <div className="settings-section">
+          <h3>Trusted Sites</h3>
+          {status?.allowlist.length ? status.allowlist.map(hostname => (
+            <div key={hostname} className="settings-item">
+              <div className="settings-item-left">
+                <span>{hostname}</span>
+              </div>
+              <button
+                className="btn-secondary"
+                style={{ width: 'auto', padding: '6px 12px', fontSize: 12 }}
+                onClick={() => handleRemove(hostname)}
+              >
+                Remove
+              </button>
+            </div>
+          )) : (
+            <div className="batch-hint">
+              Sites you open with "Proceed anyway" from a phishing warning are listed here.
+            </div>
+          )}
+        </div>
+
+        {error && <div className="error-message">{error}</div>}
+        {message && <div style={{ marginBottom: 12, fontSize: 13, color: 'var(--text-secondary)' }}>{message}</div>}
+      </div>
+    </div>
+  );
+}
@@ -2,6 +2,8 @@
 import { logger } from '@x1-wallet/core';
 import React, { useState, useEffect, useRef } from 'react';
 import X1Logo from './X1Logo';
+import { NETWORKS } from '@x1-wallet/core/services/networks';
+import { buildSolanaPayUrl, createReference, amountToBaseUnits } from '@x1-wallet/core/utils/solanaPay';
 
 const SOLANA_LOGO_URL = '/icons/48-sol.png';
 
@@ -19,16 +21,30 @@ function NetworkLogo({ network, size = 40 }) {
   return <X1Logo size={size} />;
 }
 
-export default function ReceiveScreen({ wallet, onBack }) {
+const EMPTY_REQUEST = { mint: '', amount: '', label: '', message: '', memo: '' };
+
+export default function ReceiveScreen({ wallet, userTokens = [], onBack }) {
   const [copied, setCopied] = useState(false);
   const canvasRef = useRef(null);
   const address = wallet.wallet?.publicKey || '';
 
+  // Solana Pay request amount
+  const [showRequestForm, setShowRequestForm] = useState(false);
+  const [requestForm, setRequestForm] = useState(EMPTY_REQUEST);
+  const [requestUrl, setRequestUrl] = useState('');
+  const [requestError, setRequestError] = useState('');
+
+  const networkConfig = NETWORKS[wallet.network] || { symbol: 'XNT', decimals: 9 };
+  const requestTokens = [
+    { mint: '', symbol: networkConfig.symbol, decimals: networkConfig.decimals },
+    ...(userTokens || []).filter(t => t.mint)
+  ];
+
   useEffect(() => {
     if (!canvasRef.current || !address) return;
     
     // Use solana: URI scheme so wallets/cameras recognize it
-    const qrData = `solana:${address}`;
+    const qrData = requestUrl || `solana:${address}`;
     
     // Dynamically import qrcode library
     import('qrcode').then(QRCode => {
@@ -46,10 +62,40 @@ export default function ReceiveScreen({ wallet, onBack }) {
     }).catch(err => {
       logger.error('Failed to load QR library:', err);
     });
-  }, [address]);
+  }, [address, requestUrl]);
+
+  const createRequest = () => {
+    setRequestError('');
+    const token = requestTokens.find(t => t.mint === requestForm.mint) || requestTokens[0];
+    try {
+      const amount = requestForm.amount.trim();
+      if (amountToBaseUnits(amount, token.decimals ?? 9) <= 0n) {
+        throw new Error('Amount must be greater than 0');
+      }
+      setRequestUrl(buildSolanaPayUrl({
+        recipient: address,
+        amount,
+        splToken: token.mint || null,
+        // Fresh reference per request so the payment can be located on-chain
+        references: [createReference()],
+        label: requestForm.label.trim(),
+        message: requestForm.message.trim(),
+        memo: requestForm.memo.trim()
+      }));
+      setShowRequestForm(false);
+    } catch (err) {
+      setRequestError(err.message);
+    }
+  };
+
+  const clearRequest = () => {
+    setRequestUrl('');
+    setRequestForm(EMPTY_REQUEST);
+    setRequestError('');
+  };
 
   const copyAddress = () => {
-    navigator.clipboard.writeText(address);
+    navigator.clipboard.writeText(requestUrl || address);
     setCopied(true);
     setTimeout(() => setCopied(false), 2000);
   };
@@ -57,7 +103,7 @@ export default function ReceiveScreen({ wallet, onBack }) {
   const shareAddress = async () => {
     try {
       if (navigator.share) {
-        await navigator.share({ title: `${wallet.network} Address`, text: address });
+        await navigator.share({ title: `${wallet.network} Address`, text: requestUrl || address });
       } else {
         copyAddress();
       }
@@ -87,9 +133,86 @@ export default function ReceiveScreen({ wallet, onBack }) {
           <canvas ref={canvasRef} className="qr-code" style={{ borderRadius: 12 }} />
         </div>
 
-        <p className="receive-instructions" style={{ marginBottom: 16 }}>Scan the QR code or copy the address below</p>
+        <p className="receive-instructions" style={{ marginBottom: 16 }}>
+          {requestUrl ? 'Scan the QR code or copy the payment request below' : 'Scan the QR code or copy the address below'}
+        </p>
+
+        <div className="address-display" style={{ textAlign: 'center', marginBottom: 20, wordBreak: 'break-all' }}><code>{requestUrl || address}</code></div>
 
-        <div className="address-display" style={{ textAlign: 'center', marginBottom: 20 }}><code>{address}</code></div>
+        {showRequestForm ? (
+          <div style={{ width: '100%', marginBottom: 20 }}>
+            <div className="form-group">
+              <label>Amount</label>
+              <div style={{ display: 'flex', gap: 8 }}>
+                <input
+                  type="text"
+                  inputMode="decimal"
+                  className="form-input"
+                  placeholder="0"
+                  value={requestForm.amount}
+                  onChange={e => setRequestForm({ ...requestForm, amount: e.target.value.replace(/[^0-9.]/g, '') })}
+                  autoComplete="off"
+                />
+                <select
+                  className="form-input"
+                  style={{ width: 110 }}
+                  value={requestForm.mint}
+                  onChange={e => setRequestForm({ ...requestForm, mint: e.target.value })}
+                >
+                  {requestTokens.map(t => (
+                    <option key={t.mint || 'native'} value={t.mint}>{t.symbol}</option>
+                  ))}
+                </select>
+              </div>
+            </div>
+            <div className="form-group">
+              <label>Label (optional)</label>
+              <input
+                type="text"
+                className="form-input"
+                placeholder="e.g. Coffee shop"
+                value={requestForm.label}
+                maxLength={64}
+                onChange={e => setRequestForm({ ...requestForm, label: e.target.value })}
+              />
+            </div>
+            <div className="form-group">
+              <label>Message (optional)</label>
+              <input
+                type="text"
+                className="form-input"
+                placeholder="e.g. Thanks for your order"
+                value={requestForm.message}
+                maxLength={140}
+                onChange={e => setRequestForm({ ...requestForm, message: e.target.value })}
+              />
+            </div>
+            <div className="form-group">
+              <label>Memo (optional, recorded on-chain)</label>
+              <input
+                type="text"
+                className="form-input"
+                placeholder="e.g. Order #1234"
+                value={requestForm.memo}
+                maxLength={140}
+                onChange={e => setRequestForm({ ...requestForm, memo: e.target.value })}
+              />
+            </div>
+            {requestError && <div className="error-message" style={{ marginBottom: 12 }}>{requestError}</div>}
+            <div className="receive-buttons">
+              <button className="receive-btn secondary" onClick={() => { setShowRequestForm(false); setRequestError(''); }}>Cancel</button>
+              <button className="receive-btn" onClick={createRequest} disabled={!requestForm.amount}>Create Request</button>
+            </div>
+          </div>
+        ) : (
+          <button
+            className="btn-secondary"
+            style={{ marginBottom: 20 }}
+            onClick={requestUrl ? clearRequest : () => setShowRequestForm(true)}
+          >
+            {requestUrl ? 'Clear Request' : 'Request Amount'}
+          </button>
+        )}
 
         <div className="receive-buttons">
           <button className="receive-btn" onClick={copyAddress}>
@@ -0,0 +1,154 @@
+// RPC Endpoints - Settings sub-screen with live health for the current network's endpoints
+// Requests go to the first healthy endpoint; ones that error or fall behind are skipped until they recover
+import React, { useState, useEffect } from 'react';
+import { getUserFriendlyError } from '@x1-wallet/core';
+import { setRpcOverride, clearRpcOverride, NETWORKS } from '@x1-wallet/core/services/networks';
+import {
+  getRpcHealth,
+  probeRpcEndpoints,
+  subscribeRpcHealth,
+  addRpcEndpoint,
+  removeRpcEndpoint,
+  MAX_SLOT_LAG
+} from '@x1-wallet/core/services/rpcEndpoints';
+
+const STATUS_COLORS = {
+  healthy: 'var(--success)',
+  lagging: 'var(--warning, #f59e0b)',
+  down: 'var(--error)',
+  unknown: 'var(--text-muted)'
+};
+
+function describeHealth(endpoint) {
+  if (endpoint.status === 'down') return endpoint.error ? `Down · ${endpoint.error}` : 'Down';
+  if (endpoint.status === 'unknown') return 'Not checked yet';
+  const parts = [`${endpoint.latencyMs} ms`];
+  parts.push(endpoint.slotLag > 0 ? `${endpoint.slotLag} slots behind` : 'in sync');
+  return endpoint.status === 'lagging' ? `Lagging · ${parts.join(' · ')}` : parts.join(' · ');
+}
+
+export default function RpcEndpoints({ wallet, onBack }) {
+  const network = wallet?.network || 'X1 Mainnet';
+  const [endpoints, setEndpoints] = useState(() => getRpcHealth(network));
+  const [checking, setChecking] = useState(false);
+  const [newUrl, setNewUrl] = useState('');
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    const unsubscribe = subscribeRpcHealth(changed => {
+      if (changed === network) setEndpoints(getRpcHealth(network));
+    });
+    checkNow();
+    return unsubscribe;
+  }, [network]);
+
+  const checkNow = async () => {
+    setChecking(true);
+    try {
+      await probeRpcEndpoints(network);
+    } finally {
+      setChecking(false);
+    }
+  };
+
+  const handleAdd = () => {
+    setError('');
+    try {
+      addRpcEndpoint(network, newUrl);
+      setNewUrl('');
+      checkNow();
+    } catch (err) {
+      setError(getUserFriendlyError(err, 'Failed to add endpoint'));
+    }
+  };
+
+  // The custom RPC override is tried before everything else
+  const handlePrefer = (url) => {
+    if (NETWORKS[network]?.rpcUrls[0] === url) {
+      clearRpcOverride(network);
+    } else {
+      setRpcOverride(network, url);
+    }
+    setEndpoints(getRpcHealth(network));
+  };
+
+  const handleRemove = (endpoint) => {
+    if (endpoint.preferred) clearRpcOverride(network);
+    if (endpoint.userAdded) removeRpcEndpoint(network, endpoint.url);
+    setEndpoints(getRpcHealth(network));
+  };
+
+  return (
+    <div className="screen settings-screen">
+      <div className="settings-header">
+        <button className="back-btn" onClick={onBack}>
+          <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+            <path d="M19 12H5M12 19l-7-7 7-7" />
+          </svg>
+        </button>
+        <h2>RPC Endpoints</h2>
+      </div>
+      <div className="settings-content">
+        <div className="settings-section">
+          <h3>{network}</h3>
+          <div className="batch-hint">
+            Requests use the first endpoint that is up and no more than {MAX_SLOT_LAG} slots behind the others.
+          </div>
+          {endpoints.map((endpoint, index) => (
+            <div key={endpoint.url} className="settings-item">
+              <div className="settings-item-left">
+                <span style={{ width: 8, height: 8, borderRadius: '50%', flexShrink: 0, background: STATUS_COLORS[endpoint.status] }} />
+                <div className="settings-item-text" style={{ minWidth: 0 }}>
+                  <span style={{ fontSize: 12, wordBreak: 'break-all' }}>
+                    {endpoint.url}
+                    {endpoint.active && <span style={{ color: 'var(--primary)' }}> · In use</span>}
+                  </span>
+                  <span className="settings-item-desc">{describeHealth(endpoint)}</span>
+                </div>
+              </div>
+              <div style={{ display: 'flex', gap: 6, flexShrink: 0 }}>
+                {index > 0 && (
+                  <button
+                    className="btn-secondary"
+                    style={{ width: 'auto', padding: '4px 8px', fontSize: 11 }}
+                    onClick={() => handlePrefer(endpoint.url)}
+                  >
+                    Use First
+                  </button>
+                )}
+                {(endpoint.userAdded || (endpoint.preferred && !endpoint.builtIn)) && (
+                  <button
+                    className="btn-secondary"
+                    style={{ width: 'auto', padding: '4px 8px', fontSize: 11, color: 'var(--error)' }}
+                    onClick={() => handleRemove(endpoint)}
+                  >
+                    Remove
+                  </button>
+                )}
+              </div>
+            </div>
+          ))}
+          <button className="btn-secondary" onClick={checkNow} disabled={checking} style={{ marginTop: 8 }}>
+            {checking ? 'Checking...' : 'Check Now'}
+          </button>
+        </div>
+
+        <div className="settings-section">
+          <h3>Add Endpoint</h3>
+          <div className="form-group">
+            <input
+              className="form-input"
+              placeholder="https://rpc.example.com"
+              value={newUrl}
+              onChange={e => setNewUrl(e.target.value)}
+            />
+          </div>
+          {error && <div className="error-message">{error}</div>}
+          <button className="btn-primary" onClick={handleAdd} disabled={!newUrl.trim()}>
+            Add Endpoint
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
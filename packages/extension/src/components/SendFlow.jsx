@@ -1,36 +1,49 @@
 // Send Flow - Multi-step Send Process (Backpack-style)
 // Flow: Token → Recipient → Amount → Confirm → Success
+// Watch-only wallets stop after Confirm and export the unsigned transaction for offline signing
 import React, { useState, useEffect, useRef } from 'react';
 import X1Logo from './X1Logo';
+import DurableNonceSelect from './DurableNonceSelect';
+import OfflineTransactionExport from './OfflineTransactionExport';
 import { NETWORKS, getTxExplorerUrl } from '@x1-wallet/core/services/networks';
 import { logger, getUserFriendlyError, ErrorMessages } from '@x1-wallet/core';
 import { validateAddress } from '@x1-wallet/core/utils/base58';
+import { getContactsForNetwork, findContactByAddress, findSimilarContacts, searchContacts, sortContactsByRecent } from '@x1-wallet/core/services/addressBook';
+import { getPoisoningMatch } from '@x1-wallet/core/utils/addressPoisoning';
+import { isSolanaPayUrl, parseSolanaPayUrl, amountToBaseUnits } from '@x1-wallet/core/utils/solanaPay';
+import { getToken2022TransferInfo } from '@x1-wallet/core/utils/token2022';
+import { getDurableNonce, applyDurableNonce } from '@x1-wallet/core/utils/nonce';
+import { createUnsignedPayload, savePendingOfflineTransaction } from '@x1-wallet/core/utils/offlineSigning';
+import { trackTransaction } from '@x1-wallet/core/services/transactionTracker';
+import { PRIORITY_LEVELS, DEFAULT_PRIORITY_LEVEL, getPriorityFeeOptions, feeToMicroLamports } from '@x1-wallet/core/services/priorityFees';
+import { applyPriorityFee, estimateComputeUnitLimit, DEFAULT_INSTRUCTION_COMPUTE_UNITS } from '@x1-wallet/core/utils/computeBudget';
 import { hardwareWallet } from '../services/hardware';
 
 // Solana Logo URL
 const SOLANA_LOGO_URL = '/icons/48-sol.png';
 
-// Transaction priority options - network aware
-function getPriorityOptions(network) {
-  const isX1 = network?.includes('X1');
-  // X1 has higher base fees than Solana
-  if (isX1) {
-    return [
-      { id: 'auto', name: 'Auto', fee: 0, description: 'Standard speed' },
-      { id: 'fast', name: 'Fast', fee: 0.001, description: 'Higher priority' },
-      { id: 'turbo', name: 'Turbo', fee: 0.005, description: 'Very high priority' },
-      { id: 'degen', name: 'Degen', fee: 0.01, description: 'Maximum priority' },
-      { id: 'custom', name: 'Custom', fee: 0, description: 'Set your own fee' }
-    ];
+const TOKEN_2022_PROGRAM_ID = 'TokenzQdBNbLqP5VEhdkAS6EPFLC1PHnBqCXEpPxuEb';
+
+// Compute units assumed when pricing a token send (recipient account creation included);
+// the transaction itself gets a tight limit from simulation when it is built
+const TOKEN_TRANSFER_COMPUTE_UNITS = 60000;
+// Stand-in blockhash for simulating before the real one is fetched (the RPC replaces it)
+const PLACEHOLDER_BLOCKHASH = '11111111111111111111111111111111';
+// Smallest priority fee a retry past the top level pays
+const MIN_RETRY_PRIORITY_FEE = 0.00001;
+
+// Priority for retrying an expired send - the next level up, or double the priority fee once past the top
+function getRetryPriority(retry) {
+  const index = PRIORITY_LEVELS.findIndex(p => p.id === retry.priority);
+  if (index >= 0 && index < PRIORITY_LEVELS.length - 1) {
+    return { priority: PRIORITY_LEVELS[index + 1].id, customFee: '' };
+  }
+  // Sends recorded before fee estimation used other level names - go straight to the top level
+  if (index < 0 && retry.priority !== 'custom') {
+    return { priority: PRIORITY_LEVELS[PRIORITY_LEVELS.length - 1].id, customFee: '' };
   }
-  // Solana fees
-  return [
-    { id: 'auto', name: 'Auto', fee: 0, description: 'Standard speed' },
-    { id: 'fast', name: 'Fast', fee: 0.000005, description: 'Higher priority' },
-    { id: 'turbo', name: 'Turbo', fee: 0.00005, description: 'Very high priority' },
-    { id: 'degen', name: 'Degen', fee: 0.001, description: 'Maximum priority' },
-    { id: 'custom', name: 'Custom', fee: 0, description: 'Set your own fee' }
-  ];
+  const previousFee = retry.priorityFee || parseFloat(retry.customFee) || 0;
+  return { priority: 'custom', customFee: String(Math.max(previousFee * 2, MIN_RETRY_PRIORITY_FEE)) };
 }
 
 // Get base transaction fee for network
@@ -39,15 +52,6 @@ function getBaseFee(network) {
   return isX1 ? 0.002 : 0.000005; // X1: 0.002 XNT, Solana: 5000 lamports
 }
 
-// Legacy constant for backwards compatibility
-const PRIORITY_OPTIONS = [
-  { id: 'auto', name: 'Auto', fee: 0, description: 'Standard speed' },
-  { id: 'fast', name: 'Fast', fee: 0.000005, description: 'Higher priority' },
-  { id: 'turbo', name: 'Turbo', fee: 0.00005, description: 'Very high priority' },
-  { id: 'degen', name: 'Degen', fee: 0.001, description: 'Maximum priority' },
-  { id: 'custom', name: 'Custom', fee: 0, description: 'Set your own fee' }
-];
-
 // Network-aware logo component
 function NetworkLogo({ network, size = 40 }) {
   // X1 logo fills edge-to-edge, Solana logo has internal padding
@@ -91,30 +95,59 @@ const STEPS = {
   RECIPIENT: 1,
   AMOUNT: 2,
   CONFIRM: 3,
-  SUCCESS: 4
+  SUCCESS: 4,
+  EXPORT: 5
 };
 
-export default function SendFlow({ wallet, selectedToken: initialToken, userTokens = [], onBack, onSuccess }) {
-  // Flow state - start at TOKEN step, or RECIPIENT if token pre-selected
-  const [step, setStep] = useState(initialToken ? STEPS.RECIPIENT : STEPS.TOKEN);
+// Returned instead of a signature when a watch-only send was exported for offline signing
+const OFFLINE_EXPORTED = 'offline-exported';
+
+export default function SendFlow({ wallet, selectedToken: initialToken, userTokens = [], retryTransaction = null, onBack, onSuccess, onBatchSend }) {
+  // Retrying an expired send from Activity - same transfer, fresh blockhash, higher priority fee
+  // A token send can only be retried while the token is still in the wallet
+  const retryToken = retryTransaction?.mint ? userTokens.find(t => t.mint === retryTransaction.mint) : null;
+  const retry = retryTransaction && (!retryTransaction.mint || retryToken) ? retryTransaction : null;
+  const retryPriority = retry ? getRetryPriority(retry) : null;
+
+  // Flow state - start at TOKEN step, RECIPIENT if token pre-selected, or straight to review for a retry
+  const [step, setStep] = useState(retry ? STEPS.CONFIRM : initialToken ? STEPS.RECIPIENT : STEPS.TOKEN);
   const [slideDirection, setSlideDirection] = useState('right');
   
   // Form state
-  const [recipient, setRecipient] = useState('');
+  const [recipient, setRecipient] = useState(retry?.to || '');
   const [recipientName, setRecipientName] = useState('');
-  const [currentToken, setCurrentToken] = useState(initialToken);
-  const [amount, setAmount] = useState('');
+  const [currentToken, setCurrentToken] = useState(initialToken || retryToken);
+  const [amount, setAmount] = useState(retry ? String(retry.amount) : '');
+  // Parsed Solana Pay transfer request when the recipient was pasted as a solana: URI
+  const [payRequest, setPayRequest] = useState(null);
   
   // UI state
   const [sending, setSending] = useState(false);
   const [error, setError] = useState('');
   const [txHash, setTxHash] = useState('');
+  // Tracker status of the sent transaction: pending, processed, confirmed, finalized, failed or expired
+  const [confirmStatus, setConfirmStatus] = useState(null);
+  const [confirmError, setConfirmError] = useState('');
+  // Signed bytes and expiry of the last transaction sent, for the tracker to rebroadcast
+  const sentTxRef = useRef(null);
   const [hwStatus, setHwStatus] = useState('');
   const [addressWarning, setAddressWarning] = useState('');
   const [myWallets, setMyWallets] = useState([]);
   const [recentAddresses, setRecentAddresses] = useState([]);
-  const [priority, setPriority] = useState('auto');
-  const [customFee, setCustomFee] = useState('');
+  const [priority, setPriority] = useState(retryPriority?.priority || DEFAULT_PRIORITY_LEVEL);
+  const [customFee, setCustomFee] = useState(retryPriority?.customFee || '');
+  const [priorityOptions, setPriorityOptions] = useState([]); // Priced levels from recent fees
+  const [priorityComputeUnits, setPriorityComputeUnits] = useState(DEFAULT_INSTRUCTION_COMPUTE_UNITS);
+  const [token2022Info, setToken2022Info] = useState(null); // Transfer fee / memo / hook requirements ({ loading } or { error })
+  const [transferMemo, setTransferMemo] = useState('');
+  const [nonceAccount, setNonceAccount] = useState(''); // Empty = recent blockhash
+  const [offlinePayload, setOfflinePayload] = useState(''); // Unsigned transaction exported by a watch-only wallet
+  
+  // Address book - "save this recipient?" prompt on success
+  const [saveContactName, setSaveContactName] = useState('');
+  const [saveContactError, setSaveContactError] = useState('');
+  const [contactSaved, setContactSaved] = useState(false);
+  const [savingContact, setSavingContact] = useState(false);
   
   // Currency setting - read from localStorage
   const [currency, setCurrency] = useState(() => {
@@ -169,6 +202,9 @@ export default function SendFlow({ wallet, selectedToken: initialToken, userToke
                            wallet?.activeWallet?.isHardware || 
                            wallet?.isHardware || false;
 
+  // Watch-only wallets build the transaction here and sign it on another device
+  const isWatchOnly = wallet?.wallet?.type === 'watchonly' || wallet?.wallet?.isWatchOnly || false;
+
   // Network config
   const network = wallet?.network || 'X1 Mainnet';
   const networkConfig = NETWORKS[network] || {
@@ -217,6 +253,17 @@ export default function SendFlow({ wallet, selectedToken: initialToken, userToke
   const displayBalance = isTokenSend ? (parseFloat(currentToken.balance || currentToken.uiAmount) || 0) : (wallet?.balance || 0);
   const displayDecimals = isTokenSend ? (currentToken.decimals || 9) : networkConfig.decimals;
   const displayName = isTokenSend ? currentToken.name : (network.includes('Solana') ? 'Solana' : 'X1 Native Token');
+  const isToken2022Send = isTokenSend && (currentToken.isToken2022 || currentToken.programId === TOKEN_2022_PROGRAM_ID);
+  const getRawTokenAmount = (value) => Math.floor(value * Math.pow(10, currentToken.decimals));
+
+  // Saved contacts for this network
+  const contacts = getContactsForNetwork(wallet?.contacts, network);
+  const trimmedRecipient = recipient.trim();
+  const recipientContact = findContactByAddress(contacts, trimmedRecipient, network);
+  const contactSuggestions = trimmedRecipient && !recipientContact
+    ? searchContacts(contacts, trimmedRecipient, network)
+    : [];
+  const isOwnAddress = myWallets.some(w => w.publicKey === trimmedRecipient);
 
   // Load wallets and recent addresses
   useEffect(() => {
@@ -281,12 +328,16 @@ export default function SendFlow({ wallet, selectedToken: initialToken, userToke
         if (recentStored) {
           const recent = JSON.parse(recentStored);
           
-          // Enrich recent addresses with wallet names if they're our wallets
+          // Enrich recent addresses with wallet or contact names
           const enrichedRecent = recent.map(r => {
             const matchedWallet = allAddresses.find(w => w.publicKey === r.address);
             if (matchedWallet && matchedWallet.name) {
               return { ...r, name: matchedWallet.name };
             }
+            const matchedContact = findContactByAddress(wallet?.contacts, r.address, network);
+            if (matchedContact) {
+              return { ...r, name: matchedContact.name };
+            }
             return r;
           });
           
@@ -297,7 +348,7 @@ export default function SendFlow({ wallet, selectedToken: initialToken, userToke
       }
     };
     loadData();
-  }, [wallet?.wallet?.publicKey, wallet?.wallets]);
+  }, [wallet?.wallet?.publicKey, wallet?.wallets, wallet?.contacts]);
 
   // Save recent address after successful send
   const saveRecentAddress = (address, name = null) => {
@@ -320,25 +371,117 @@ export default function SendFlow({ wallet, selectedToken: initialToken, userToke
 
   // Validate address
   useEffect(() => {
-    if (recipient && recipient.trim()) {
+    if (recipient && isSolanaPayUrl(recipient)) {
+      // Valid requests are applied on paste; only malformed ones stay in the input
+      try {
+        const request = parseSolanaPayUrl(recipient);
+        setAddressWarning(getRequestToken(request)
+          ? ''
+          : `This request is for a token you don't hold (${request.splToken.slice(0, 6)}...${request.splToken.slice(-4)})`);
+      } catch (err) {
+        setAddressWarning(`Invalid payment request: ${err.message}`);
+      }
+    } else if (recipient && recipient.trim()) {
       const result = validateAddress(recipient.trim());
       if (!result.valid) {
         setAddressWarning(result.error);
       } else {
         setAddressWarning('');
-        if (recipient.trim() === wallet?.wallet?.publicKey) {
+        const poisoning = getPoisoningMatch(recipient.trim());
+        if (poisoning) {
+          // No "Warning:" prefix - this hides Next, the user has to enter a different address
+          const imitated = `${poisoning.lookalikeOf.slice(0, 4)}...${poisoning.lookalikeOf.slice(-4)}`;
+          setAddressWarning(poisoning.seenInActivity
+            ? `Blocked: This address sent you a suspicious dust transfer and imitates ${imitated}, an address you've sent to before. It is likely an address poisoning scam - copy the address from a trusted source instead of your activity.`
+            : `Blocked: This address looks like ${imitated}, an address you've sent to before, but is different. It may have been copied from a poisoned transaction. Check the full address with the recipient.`);
+        } else if (recipient.trim() === wallet?.wallet?.publicKey) {
           // Allow sending to yourself - just show a warning
           if (currentToken && currentToken.mint) {
             setAddressWarning('Warning: Sending tokens to yourself');
           } else {
             setAddressWarning('Warning: Sending to your own address');
           }
+        } else if (!findContactByAddress(contacts, recipient, network)) {
+          // Looks like a saved contact but isn't - likely a typo or a poisoned address
+          const similar = findSimilarContacts(contacts, recipient, network);
+          if (similar.length > 0) {
+            setAddressWarning(`Warning: This address looks like your contact "${similar[0].name}" but is different. Double-check before sending.`);
+          }
         }
       }
     } else {
       setAddressWarning('');
     }
-  }, [recipient, wallet?.wallet?.publicKey]);
+  }, [recipient, wallet?.wallet?.publicKey, wallet?.contacts]);
+
+  // Token-2022 extensions change what a transfer costs or needs - check them before the user approves
+  useEffect(() => {
+    if (step !== STEPS.CONFIRM || !isToken2022Send || payRequest) {
+      setToken2022Info(null);
+      return;
+    }
+    
+    let cancelled = false;
+    setToken2022Info({ loading: true });
+    
+    const loadTransferInfo = async () => {
+      const { findExistingATA } = await import('@x1-wallet/core/utils/transaction');
+      const destination = await findExistingATA(networkConfig.rpcUrl, recipient.trim(), currentToken.mint, TOKEN_2022_PROGRAM_ID);
+      const info = await getToken2022TransferInfo({
+        rpcUrl: networkConfig.rpcUrl,
+        mint: currentToken.mint,
+        sourceTokenAccount: currentToken.address,
+        destinationTokenAccount: destination,
+        amount: getRawTokenAmount(parseFloat(amount))
+      });
+      if (!cancelled) setToken2022Info(info);
+    };
+    
+    loadTransferInfo().catch(err => {
+      logger.warn('[SendFlow] Token-2022 transfer check failed:', err.message);
+      if (!cancelled) setToken2022Info({ error: getUserFriendlyError(err, 'Unable to check this token\'s transfer rules. Please try again.') });
+    });
+    
+    return () => { cancelled = true; };
+  }, [step, currentToken, recipient, amount, payRequest, network]);
+
+  // Price the priority levels from recent fees on the accounts this send writes to
+  useEffect(() => {
+    if (step !== STEPS.CONFIRM || !recipient.trim()) return;
+    
+    let cancelled = false;
+    const from = wallet.wallet.publicKey;
+    
+    const loadPriorityOptions = async () => {
+      let computeUnits = TOKEN_TRANSFER_COMPUTE_UNITS;
+      if (!isTokenSend) {
+        const { buildTransferMessage } = await import('@x1-wallet/core/utils/transaction');
+        const lamports = Math.floor((parseFloat(amount) || 0) * Math.pow(10, networkConfig.decimals));
+        const message = buildTransferMessage(from, recipient.trim(), lamports, PLACEHOLDER_BLOCKHASH);
+        computeUnits = await estimateComputeUnitLimit(networkConfig.rpcUrl, message).catch(() => null) || DEFAULT_INSTRUCTION_COMPUTE_UNITS;
+      }
+      const accounts = isTokenSend ? [from, currentToken.address] : [from, recipient.trim()];
+      const options = await getPriorityFeeOptions(networkConfig.rpcUrl, { accounts, computeUnits });
+      if (!cancelled) {
+        setPriorityComputeUnits(computeUnits);
+        setPriorityOptions(options);
+      }
+    };
+    
+    loadPriorityOptions().catch(err => logger.warn('[SendFlow] Priority fee estimate failed:', err.message));
+    
+    return () => { cancelled = true; };
+  }, [step, currentToken, recipient, amount, network]);
+
+  // Selected priority as { microLamports, fee } - a custom fee is spread over the estimated compute units
+  const getSelectedPriority = () => {
+    if (priority === 'custom') {
+      const fee = parseFloat(customFee) || 0;
+      return { microLamports: feeToMicroLamports(fee, priorityComputeUnits), fee };
+    }
+    const option = priorityOptions.find(p => p.id === priority);
+    return { microLamports: option?.microLamports || 0, fee: option?.fee || 0 };
+  };
 
   // Navigation with animation
   const goToStep = (newStep, direction = null) => {
@@ -359,13 +502,21 @@ export default function SendFlow({ wallet, selectedToken: initialToken, userToke
         // Go back to token selection
         setRecipient('');
         setRecipientName('');
+        setPayRequest(null);
         goToStep(STEPS.TOKEN, 'left');
       }
     } else if (step === STEPS.AMOUNT) {
       // Go back to recipient - but also clear recipient so user can re-select
       setRecipient('');
       setRecipientName('');
+      if (payRequest) {
+        setPayRequest(null);
+        setAmount('');
+      }
       goToStep(STEPS.RECIPIENT, 'left');
+    } else if (step === STEPS.EXPORT) {
+      // The export stays listed under Settings → Offline Signing
+      onBack();
     } else {
       goToStep(step - 1, 'left');
     }
@@ -397,6 +548,7 @@ export default function SendFlow({ wallet, selectedToken: initialToken, userToke
     // Set recipient and name
     setRecipient(address);
     setRecipientName(name || '');
+    setPayRequest(null);
     
     // Navigate immediately - state updates are synchronous in React 18
     setSlideDirection('left'); // Wallet selection slides left
@@ -404,10 +556,49 @@ export default function SendFlow({ wallet, selectedToken: initialToken, userToke
     setStep(STEPS.AMOUNT);
   };
 
+  // Token a payment request asks for, or null if this wallet doesn't hold it
+  const getRequestToken = (request) => request.splToken
+    ? tokensWithBalance.find(t => t.mint === request.splToken) || null
+    : nativeToken;
+
+  // Pasted Solana Pay URI - pre-fill token, amount and recipient from the request
+  const handleRecipientInput = (value) => {
+    setRecipient(value);
+    if (!isSolanaPayUrl(value)) return;
+
+    let request;
+    try {
+      request = parseSolanaPayUrl(value);
+    } catch {
+      return; // Address validation shows the error
+    }
+
+    const token = getRequestToken(request);
+    if (!token) return; // Address validation shows the error
+    if (getPoisoningMatch(request.recipient)) {
+      setRecipient(request.recipient); // Address validation shows why it's blocked
+      return;
+    }
+
+    logger.log('[SendFlow] Solana Pay request:', { recipient: request.recipient, amount: request.amount, splToken: request.splToken, references: request.references.length });
+    setPayRequest(request);
+    setCurrentToken(token);
+    setRecipient(request.recipient);
+    setRecipientName(request.label || findContactByAddress(contacts, request.recipient, network)?.name || '');
+    setAmount(request.amount || '');
+    goToStep(STEPS.AMOUNT, 'up');
+  };
+
   // Proceed from recipient input to amount
   const proceedToAmount = () => {
     const result = validateAddress(recipient.trim());
+    if (result.valid && getPoisoningMatch(recipient.trim())) {
+      return; // Address validation already shows why
+    }
     if (result.valid) {
+      if (!recipientName && recipientContact) {
+        setRecipientName(recipientContact.name);
+      }
       goToStep(STEPS.AMOUNT, 'up'); // Selecting send slides up
     } else {
       setAddressWarning(result.error);
@@ -434,6 +625,16 @@ export default function SendFlow({ wallet, selectedToken: initialToken, userToke
       return;
     }
     
+    if (payRequest) {
+      // Payment requests are built in exact base units - reject extra decimal places
+      try {
+        amountToBaseUnits(amount, displayDecimals);
+      } catch (err) {
+        setError(err.message);
+        return;
+      }
+    }
+    
     // Use integer comparison to avoid floating-point precision issues
     const multiplier = Math.pow(10, displayDecimals);
     const requiredAmount = Math.round(sendAmount * multiplier);
@@ -514,15 +715,28 @@ export default function SendFlow({ wallet, selectedToken: initialToken, userToke
     }
   };
 
+  // Save the unsigned message for the watch-only wallet and show the export step
+  const exportForOfflineSigning = async (message) => {
+    const payloadText = await createUnsignedPayload({
+      message,
+      signer: wallet.wallet.publicKey,
+      network,
+      description: `Send ${amount} ${displaySymbol} to ${recipient.trim().slice(0, 6)}...${recipient.trim().slice(-4)}`
+    });
+    savePendingOfflineTransaction(payloadText);
+    setOfflinePayload(payloadText);
+    return OFFLINE_EXPORTED;
+  };
+
+  // Current nonce of the selected durable nonce account, or null to use a recent blockhash
+  const resolveDurableNonce = () => nonceAccount
+    ? getDurableNonce(networkConfig.rpcUrl, nonceAccount, wallet.wallet.publicKey)
+    : null;
+
   // Send native token
   const sendNative = async (sendAmount) => {
     const lamports = Math.floor(sendAmount * Math.pow(10, networkConfig.decimals));
-    
-    // Get priority fee - use custom fee if selected, otherwise use preset (network-aware)
-    const priorityFee = priority === 'custom' 
-      ? (parseFloat(customFee) || 0)
-      : (getPriorityOptions(network).find(p => p.id === priority)?.fee || 0);
-    const priorityMicroLamports = Math.floor(priorityFee * 1e9); // Convert to microLamports
+    const { microLamports: priorityMicroLamports } = getSelectedPriority();
     
     const skipSimulation = (() => {
       try {
@@ -548,19 +762,31 @@ export default function SendFlow({ wallet, selectedToken: initialToken, userToke
     
     const blockhash = data.result?.value?.blockhash;
     if (!blockhash) throw new Error('Failed to get blockhash');
+    const durableNonce = await resolveDurableNonce();
+    // A durable nonce transaction doesn't expire with the blockhash
+    const lastValidBlockHeight = durableNonce ? null : data.result.value.lastValidBlockHeight;
 
     let tx;
     
-    if (isHardwareWallet) {
+    if (isHardwareWallet || isWatchOnly) {
       const { buildTransferMessage, serializeTransaction } = await import('@x1-wallet/core/utils/transaction');
       
-      const message = buildTransferMessage(
+      let message = buildTransferMessage(
         wallet.wallet.publicKey,
         recipient.trim(),
         lamports,
         blockhash,
         priorityMicroLamports // Pass priority fee
       );
+      if (priorityMicroLamports > 0) {
+        message = await applyPriorityFee(message, networkConfig.rpcUrl, priorityMicroLamports);
+      }
+      if (durableNonce) {
+        message = applyDurableNonce(message, durableNonce);
+      }
+      if (isWatchOnly) {
+        return exportForOfflineSigning(message);
+      }
       
       setHwStatus('Please confirm on your Ledger...');
       const signature = await signWithHardware(message);
@@ -576,7 +802,9 @@ export default function SendFlow({ wallet, selectedToken: initialToken, userToke
         lamports,
         recentBlockhash: blockhash,
         privateKey: wallet.wallet.privateKey,
-        priorityFee: priorityMicroLamports // Pass priority fee
+        priorityFee: priorityMicroLamports, // Pass priority fee
+        durableNonce,
+        rpcUrl: networkConfig.rpcUrl
       });
     }
 
@@ -621,6 +849,7 @@ export default function SendFlow({ wallet, selectedToken: initialToken, userToke
       console.log('[SendFlow] Skipping simulation - Fast Mode:', skipSimulation, 'Self-send:', isSelfSend);
     }
 
+    sentTxRef.current = { transaction: tx, lastValidBlockHeight };
     const sendResponse = await fetch(networkConfig.rpcUrl, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
@@ -659,12 +888,13 @@ export default function SendFlow({ wallet, selectedToken: initialToken, userToke
     if (!currentToken.address) {
       throw new Error('Token account address not found. Please refresh your wallet.');
     }
-    // Only require privateKey for non-hardware wallets
-    if (!isHardwareWallet && !privateKey) {
+    // Only require privateKey for software wallets
+    if (!isHardwareWallet && !isWatchOnly && !privateKey) {
       throw new Error('Wallet is locked. Please unlock your wallet first.');
     }
     
-    const tokenAmount = Math.floor(sendAmount * Math.pow(10, currentToken.decimals));
+    const tokenAmount = getRawTokenAmount(sendAmount);
+    const { microLamports: priorityMicroLamports } = getSelectedPriority();
     
     console.log('[SendFlow] Token send details:', {
       from: wallet.wallet.publicKey,
@@ -705,11 +935,14 @@ export default function SendFlow({ wallet, selectedToken: initialToken, userToke
     
     const blockhash = data.result?.value?.blockhash;
     if (!blockhash) throw new Error('Failed to get blockhash');
+    const durableNonce = await resolveDurableNonce();
+    // A durable nonce transaction doesn't expire with the blockhash
+    const lastValidBlockHeight = durableNonce ? null : data.result.value.lastValidBlockHeight;
 
     let tx;
     
-    if (isHardwareWallet) {
-      // Hardware wallet flow - build message, sign with device
+    if (isHardwareWallet || isWatchOnly) {
+      // Hardware / watch-only flow - build message, sign with device or export it
       const { buildTokenTransferMessageForHardware, serializeTransaction, findExistingATA, deriveATAAddressStandard } = await import('@x1-wallet/core/utils/transaction');
       
       // Determine destination token account
@@ -728,19 +961,47 @@ export default function SendFlow({ wallet, selectedToken: initialToken, userToke
         needsCreateATA = true;
       }
       
-      setHwStatus('Please confirm on your Ledger...');
+      if (isHardwareWallet) {
+        setHwStatus('Please confirm on your Ledger...');
+      }
       
-      const message = buildTokenTransferMessageForHardware({
-        fromPubkey: wallet.wallet.publicKey,
-        toPubkey: recipient.trim(),
-        fromTokenAccount: currentToken.address,
-        toTokenAccount,
-        mint: currentToken.mint,
-        amount: tokenAmount,
-        recentBlockhash: blockhash,
-        tokenProgramId: currentToken.programId,
-        needsCreateATA
-      });
+      let message;
+      if (isToken2022Send) {
+        const { buildToken2022TransferMessage } = await import('@x1-wallet/core/utils/transaction');
+        ({ message } = await buildToken2022TransferMessage({
+          fromPubkey: wallet.wallet.publicKey,
+          toPubkey: recipient.trim(),
+          fromTokenAccount: currentToken.address,
+          toTokenAccount,
+          needsCreateATA,
+          mint: currentToken.mint,
+          amount: tokenAmount,
+          recentBlockhash: blockhash,
+          rpcUrl: networkConfig.rpcUrl,
+          memo: transferMemo.trim() || null
+        }));
+      } else {
+        message = buildTokenTransferMessageForHardware({
+          fromPubkey: wallet.wallet.publicKey,
+          toPubkey: recipient.trim(),
+          fromTokenAccount: currentToken.address,
+          toTokenAccount,
+          mint: currentToken.mint,
+          amount: tokenAmount,
+          recentBlockhash: blockhash,
+          tokenProgramId: currentToken.programId,
+          needsCreateATA
+        });
+      }
+      if (priorityMicroLamports > 0) {
+        message = await applyPriorityFee(message, networkConfig.rpcUrl, priorityMicroLamports);
+      }
+      if (durableNonce) {
+        message = applyDurableNonce(message, durableNonce);
+      }
+      if (isWatchOnly) {
+        return exportForOfflineSigning(message);
+      }
       
       const signature = await signWithHardware(message);
       const serializedTx = serializeTransaction(signature, message);
@@ -759,10 +1020,90 @@ export default function SendFlow({ wallet, selectedToken: initialToken, userToke
         recentBlockhash: blockhash,
         privateKey: privateKey,
         programId: currentToken.programId,
-        rpcUrl: networkConfig.rpcUrl
+        rpcUrl: networkConfig.rpcUrl,
+        memo: transferMemo.trim() || null,
+        durableNonce,
+        priorityFee: priorityMicroLamports
       });
     }
 
+    sentTxRef.current = { transaction: tx, lastValidBlockHeight };
+    const sendResponse = await fetch(networkConfig.rpcUrl, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        jsonrpc: '2.0',
+        id: 1,
+        method: 'sendTransaction',
+        params: [tx, { encoding: 'base64', preflightCommitment: 'confirmed' }]
+      })
+    });
+    
+    const sendData = await sendResponse.json();
+    if (sendData.error) throw new Error(sendData.error.message);
+    
+    return sendData.result;
+  };
+
+  // Send a Solana Pay transfer request (memo and reference keys included in the transaction)
+  const sendPaymentRequest = async (privateKey) => {
+    const { microLamports: priorityMicroLamports } = getSelectedPriority();
+    
+    const response = await fetch(networkConfig.rpcUrl, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        jsonrpc: '2.0',
+        id: 1,
+        method: 'getLatestBlockhash',
+        params: [{ commitment: 'finalized' }]
+      })
+    });
+    
+    const data = await response.json();
+    if (data.error) throw new Error(data.error.message);
+    
+    const blockhash = data.result?.value?.blockhash;
+    if (!blockhash) throw new Error('Failed to get blockhash');
+
+    const { buildSolanaPayTransferMessage } = await import('@x1-wallet/core/utils/solanaPay');
+    const { signTransaction, serializeTransaction } = await import('@x1-wallet/core/utils/transaction');
+    
+    let message = await buildSolanaPayTransferMessage({
+      payer: wallet.wallet.publicKey,
+      request: { ...payRequest, recipient: recipient.trim() },
+      amount,
+      recentBlockhash: blockhash,
+      rpcUrl: networkConfig.rpcUrl,
+      sourceTokenAccount: isTokenSend ? currentToken.address : null,
+      decimals: displayDecimals,
+      tokenProgramId: currentToken?.programId || undefined,
+      priorityFee: priorityMicroLamports
+    });
+    if (priorityMicroLamports > 0) {
+      message = await applyPriorityFee(message, networkConfig.rpcUrl, priorityMicroLamports);
+    }
+    const durableNonce = await resolveDurableNonce();
+    if (durableNonce) {
+      message = applyDurableNonce(message, durableNonce);
+    }
+    const lastValidBlockHeight = durableNonce ? null : data.result.value.lastValidBlockHeight;
+
+    if (isWatchOnly) {
+      return exportForOfflineSigning(message);
+    }
+
+    let signedTx;
+    if (isHardwareWallet) {
+      setHwStatus('Please confirm on your Ledger...');
+      const signature = await signWithHardware(message);
+      signedTx = serializeTransaction(signature, message);
+    } else {
+      signedTx = await signTransaction(message, privateKey);
+    }
+    const tx = btoa(String.fromCharCode(...signedTx));
+
+    sentTxRef.current = { transaction: tx, lastValidBlockHeight };
     const sendResponse = await fetch(networkConfig.rpcUrl, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
@@ -780,13 +1121,89 @@ export default function SendFlow({ wallet, selectedToken: initialToken, userToke
     return sendData.result;
   };
 
+  // Record a sent transaction and show the success step
+  const completeSend = async (signature) => {
+    const sendAmount = parseFloat(amount);
+    setTxHash(signature);
+    
+    // Skip saving transaction history and XP for self-transfers (no real transaction)
+    if (signature !== 'self-transfer-no-op') {
+      // Save transaction history
+      const { addTransaction } = await import('@x1-wallet/core/utils/transaction');
+      addTransaction({
+        signature,
+        type: 'send',
+        amount: sendAmount,
+        symbol: displaySymbol,
+        from: wallet.wallet.publicKey,
+        to: recipient.trim(),
+        timestamp: Date.now(),
+        status: 'pending',
+        network: network,
+        // Kept so the tracker can rebroadcast, and so an expired send can be retried from Activity
+        signedTransaction: sentTxRef.current?.transaction,
+        lastValidBlockHeight: sentTxRef.current?.lastValidBlockHeight ?? null,
+        priority,
+        customFee,
+        priorityFee: getSelectedPriority().fee,
+        retryable: !payRequest,
+        isToken: isTokenSend,
+        mint: currentToken?.mint,
+        tokenName: currentToken?.name || currentToken?.symbol,
+        memo: payRequest?.memo || transferMemo.trim() || undefined
+      });
+      
+      if (retry) {
+        const { updateTransaction } = await import('@x1-wallet/core/utils/transaction');
+        updateTransaction(retry.signature, { retriedBy: signature, retryable: false });
+      }
+      
+      // Follow confirmation in the background - the success step shows each stage as it comes in
+      setConfirmStatus('pending');
+      trackTransaction({
+        rpcUrl: networkConfig.rpcUrl,
+        signature,
+        transaction: sentTxRef.current?.transaction,
+        lastValidBlockHeight: sentTxRef.current?.lastValidBlockHeight ?? null,
+        onUpdate: ({ status, error }) => {
+          setConfirmStatus(status);
+          if (error) setConfirmError(`Transaction failed: ${error}`);
+        }
+      }).catch(err => {
+        logger.warn('[SendFlow] Confirmation tracking stopped:', err.message);
+      });
+      
+      // Track XP
+      const { trackSendXP } = await import('@x1-wallet/core/services/xp');
+      trackSendXP({
+        user: wallet.wallet.publicKey,
+        network: network,
+        transactionSignature: signature,
+        mint: currentToken?.mint || 'So11111111111111111111111111111111111111112',
+        amount: sendAmount,
+        recipient: recipient.trim()
+      }).catch(() => {});
+    }
+    
+    // Save recent address
+    saveRecentAddress(recipient.trim(), recipientName || null);
+    if (wallet?.markContactUsed) {
+      wallet.markContactUsed(recipient.trim());
+    }
+    
+    // Trigger success callback (which handles refresh via balanceRefreshKey)
+    if (onSuccess) onSuccess(signature);
+    
+    goToStep(STEPS.SUCCESS, 'up');
+  };
+
   // Execute send
   const handleSend = async () => {
     setError('');
     
     // Validate wallet is unlocked and has private key
     const privateKey = wallet?.wallet?.privateKey;
-    if (!isHardwareWallet && (!privateKey || typeof privateKey !== 'string' || privateKey.length < 32)) {
+    if (!isHardwareWallet && !isWatchOnly && (!privateKey || typeof privateKey !== 'string' || privateKey.length < 32)) {
       setError('Wallet is locked or not available. Please unlock your wallet first.');
       return;
     }
@@ -801,52 +1218,19 @@ export default function SendFlow({ wallet, selectedToken: initialToken, userToke
       const sendAmount = parseFloat(amount);
       let signature;
       
-      if (isTokenSend) {
+      if (payRequest) {
+        signature = await sendPaymentRequest(privateKey);
+      } else if (isTokenSend) {
         signature = await sendSPLToken(sendAmount, privateKey);
       } else {
         signature = await sendNative(sendAmount);
       }
       
-      setTxHash(signature);
-      
-      // Skip saving transaction history and XP for self-transfers (no real transaction)
-      if (signature !== 'self-transfer-no-op') {
-        // Save transaction history
-        const { addTransaction } = await import('@x1-wallet/core/utils/transaction');
-        addTransaction({
-          signature,
-          type: 'send',
-          amount: sendAmount,
-          symbol: displaySymbol,
-          from: wallet.wallet.publicKey,
-          to: recipient.trim(),
-          timestamp: Date.now(),
-          status: 'confirmed',
-          network: network,
-          isToken: isTokenSend,
-          mint: currentToken?.mint,
-          tokenName: currentToken?.name || currentToken?.symbol
-        });
-        
-        // Track XP
-        const { trackSendXP } = await import('@x1-wallet/core/services/xp');
-        trackSendXP({
-          user: wallet.wallet.publicKey,
-          network: network,
-          transactionSignature: signature,
-          mint: currentToken?.mint || 'So11111111111111111111111111111111111111112',
-          amount: sendAmount,
-          recipient: recipient.trim()
-        }).catch(() => {});
+      if (signature === OFFLINE_EXPORTED) {
+        goToStep(STEPS.EXPORT, 'up');
+        return;
       }
-      
-      // Save recent address
-      saveRecentAddress(recipient.trim(), recipientName || null);
-      
-      // Trigger success callback (which handles refresh via balanceRefreshKey)
-      if (onSuccess) onSuccess(signature);
-      
-      goToStep(STEPS.SUCCESS, 'up');
+      await completeSend(signature);
     } catch (err) {
       logger.error('[SendFlow] Send error:', err.message || err);
       setError(getUserFriendlyError(err, ErrorMessages.transaction.failed));
@@ -856,6 +1240,20 @@ export default function SendFlow({ wallet, selectedToken: initialToken, userToke
     }
   };
 
+  // Save the recipient to the address book from the success screen
+  const handleSaveContact = async () => {
+    setSaveContactError('');
+    setSavingContact(true);
+    try {
+      await wallet.addContact({ name: saveContactName, address: recipient.trim(), network });
+      setContactSaved(true);
+    } catch (err) {
+      setSaveContactError(getUserFriendlyError(err, 'Failed to save contact'));
+    } finally {
+      setSavingContact(false);
+    }
+  };
+
   // Get header title based on step
   const getHeaderTitle = () => {
     switch (step) {
@@ -864,6 +1262,7 @@ export default function SendFlow({ wallet, selectedToken: initialToken, userToke
       case STEPS.AMOUNT: return `Send ${displaySymbol}`;
       case STEPS.CONFIRM: return 'Confirm';
       case STEPS.SUCCESS: return 'Success';
+      case STEPS.EXPORT: return 'Sign Offline';
       default: return 'Send';
     }
   };
@@ -917,6 +1316,11 @@ export default function SendFlow({ wallet, selectedToken: initialToken, userToke
                 );
               })}
             </div>
+            {onBatchSend && (
+              <button className="btn-secondary" onClick={onBatchSend} style={{ marginTop: 8 }}>
+                Batch send from CSV
+              </button>
+            )}
           </div>
         );
 
@@ -931,14 +1335,14 @@ export default function SendFlow({ wallet, selectedToken: initialToken, userToke
                 className="form-input send-address-input"
                 placeholder="Enter address"
                 value={recipient}
-                onChange={(e) => setRecipient(e.target.value)}
+                onChange={(e) => handleRecipientInput(e.target.value)}
                 autoComplete="off"
                 spellCheck="false"
               />
               {recipient && (
                 <button 
                   className="send-address-clear"
-                  onClick={() => { setRecipient(''); setRecipientName(''); }}
+                  onClick={() => { setRecipient(''); setRecipientName(''); setPayRequest(null); }}
                   type="button"
                 >×</button>
               )}
@@ -948,6 +1352,50 @@ export default function SendFlow({ wallet, selectedToken: initialToken, userToke
               <div className="send-address-warning">{addressWarning}</div>
             )}
 
+            {/* Contact autocomplete while typing */}
+            {contactSuggestions.length > 0 && (
+              <div className="send-section">
+                <div className="send-section-label">Contacts</div>
+                {contactSuggestions.map(c => (
+                  <div
+                    key={c.id}
+                    className="send-address-row"
+                    onClick={() => selectRecipient(c.address, c.name)}
+                  >
+                    <div className="send-wallet-avatar">
+                      <span className="wallet-avatar-initials">{c.name.charAt(0).toUpperCase()}</span>
+                    </div>
+                    <div className="send-wallet-info">
+                      <span className="send-wallet-name">{c.name}</span>
+                      <span className="send-wallet-address">{c.address.slice(0, 6)}...{c.address.slice(-4)}</span>
+                    </div>
+                  </div>
+                ))}
+              </div>
+            )}
+
+            {/* Saved Contacts */}
+            {contacts.length > 0 && !recipient && (
+              <div className="send-section">
+                <div className="send-section-label">Contacts</div>
+                {sortContactsByRecent(contacts).map(c => (
+                  <div
+                    key={c.id}
+                    className="send-address-row"
+                    onClick={() => selectRecipient(c.address, c.name)}
+                  >
+                    <div className="send-wallet-avatar">
+                      <span className="wallet-avatar-initials">{c.name.charAt(0).toUpperCase()}</span>
+                    </div>
+                    <div className="send-wallet-info">
+                      <span className="send-wallet-name">{c.name}</span>
+                      <span className="send-wallet-address">{c.address.slice(0, 6)}...{c.address.slice(-4)}</span>
+                    </div>
+                  </div>
+                ))}
+              </div>
+            )}
+
             {/* Recent Addresses */}
             {recentAddresses.length > 0 && !recipient && (
               <div className="send-section">
@@ -1032,9 +1480,9 @@ export default function SendFlow({ wallet, selectedToken: initialToken, userToke
             )}
 
             {/* Show message if no wallets and no recent */}
-            {myWallets.length === 0 && recentAddresses.length === 0 && !recipient && (
+            {myWallets.length === 0 && recentAddresses.length === 0 && contacts.length === 0 && !recipient && (
               <div className="send-empty-state">
-                <p>Enter a wallet address above or add more wallets to see them here.</p>
+                <p>Enter a wallet address or paste a Solana Pay request above, or add more wallets to see them here.</p>
               </div>
             )}
 
@@ -1102,7 +1550,12 @@ export default function SendFlow({ wallet, selectedToken: initialToken, userToke
               </div>
             </div>
 
-            {/* Amount Input */}
+            {/* Payment request message from the requester */}
+            {payRequest?.message && (
+              <div className="send-address-warning" style={{ color: 'var(--text-secondary)' }}>{payRequest.message}</div>
+            )}
+
+            {/* Amount Input - fixed when the payment request specifies it */}
             <div className="send-amount-section">
               <input
                 type="text"
@@ -1111,6 +1564,7 @@ export default function SendFlow({ wallet, selectedToken: initialToken, userToke
                 placeholder="0"
                 value={amount}
                 onChange={(e) => setAmount(e.target.value.replace(/[^0-9.]/g, ''))}
+                readOnly={!!payRequest?.amount}
                 autoComplete="off"
               />
               <div className="send-amount-token">
@@ -1128,9 +1582,15 @@ export default function SendFlow({ wallet, selectedToken: initialToken, userToke
             </div>
 
             {/* Max Button */}
-            <button className="send-max-pill" onClick={setMax} type="button">
-              Max: {displayBalance.toLocaleString(undefined, { maximumFractionDigits: 6 })} {displaySymbol}
-            </button>
+            {payRequest?.amount ? (
+              <div className="send-max-pill">
+                Balance: {displayBalance.toLocaleString(undefined, { maximumFractionDigits: 6 })} {displaySymbol}
+              </div>
+            ) : (
+              <button className="send-max-pill" onClick={setMax} type="button">
+                Max: {displayBalance.toLocaleString(undefined, { maximumFractionDigits: 6 })} {displaySymbol}
+              </button>
+            )}
 
             {error && <div className="error-message" style={{ marginTop: 16 }}>{error}</div>}
 
@@ -1165,25 +1625,103 @@ export default function SendFlow({ wallet, selectedToken: initialToken, userToke
                     : `${recipient.slice(0, 6)}...${recipient.slice(-4)}`}
                 </span>
               </div>
+              {payRequest?.message && (
+                <div className="send-summary-row">
+                  <span className="send-summary-label">Message</span>
+                  <span className="send-summary-value">{payRequest.message}</span>
+                </div>
+              )}
+              {payRequest?.memo && (
+                <div className="send-summary-row">
+                  <span className="send-summary-label">Memo</span>
+                  <span className="send-summary-value">{payRequest.memo}</span>
+                </div>
+              )}
+              {payRequest?.references.length > 0 && (
+                <div className="send-summary-row">
+                  <span className="send-summary-label">Reference</span>
+                  <span className="send-summary-value">
+                    {payRequest.references[0].slice(0, 6)}...{payRequest.references[0].slice(-4)}
+                    {payRequest.references.length > 1 ? ` +${payRequest.references.length - 1}` : ''}
+                  </span>
+                </div>
+              )}
+              {token2022Info?.loading && (
+                <div className="send-summary-row">
+                  <span className="send-summary-label">Token Rules</span>
+                  <span className="send-summary-value">Checking...</span>
+                </div>
+              )}
+              {token2022Info?.transferFee && (
+                <>
+                  <div className="send-summary-row">
+                    <span className="send-summary-label">Transfer Fee ({token2022Info.transferFee.basisPoints / 100}%)</span>
+                    <span className="send-summary-value">
+                      {(Number(token2022Info.transferFee.fee) / Math.pow(10, token2022Info.decimals)).toLocaleString(undefined, { maximumFractionDigits: token2022Info.decimals })} {displaySymbol}
+                    </span>
+                  </div>
+                  <div className="send-summary-row">
+                    <span className="send-summary-label">Recipient Gets</span>
+                    <span className="send-summary-value">
+                      {((getRawTokenAmount(parseFloat(amount)) - Number(token2022Info.transferFee.fee)) / Math.pow(10, token2022Info.decimals)).toLocaleString(undefined, { maximumFractionDigits: token2022Info.decimals })} {displaySymbol}
+                    </span>
+                  </div>
+                </>
+              )}
+              {token2022Info?.transferHookProgramId && (
+                <div className="send-summary-row">
+                  <span className="send-summary-label">Transfer Hook</span>
+                  <span className="send-summary-value">
+                    {token2022Info.transferHookProgramId.slice(0, 6)}...{token2022Info.transferHookProgramId.slice(-4)}
+                  </span>
+                </div>
+              )}
               <div className="send-summary-row">
                 <span className="send-summary-label">Network Fee</span>
                 <span className="send-summary-value">
-                  ~{(getBaseFee(network) + (priority === 'custom' ? parseFloat(customFee) || 0 : getPriorityOptions(network).find(p => p.id === priority)?.fee || 0)).toFixed(6)} {networkConfig.symbol}
+                  ~{(getBaseFee(network) + getSelectedPriority().fee).toFixed(6)} {networkConfig.symbol}
                 </span>
               </div>
             </div>
 
+            {/* Memo - required by the recipient's Token-2022 account */}
+            {token2022Info?.memoRequired && (
+              <div className="form-group" style={{ marginTop: 12 }}>
+                <label>Memo (required by recipient)</label>
+                <input
+                  type="text"
+                  className="form-input"
+                  placeholder="e.g. Deposit reference"
+                  value={transferMemo}
+                  maxLength={200}
+                  onChange={e => setTransferMemo(e.target.value)}
+                  disabled={sending}
+                />
+              </div>
+            )}
+
+            {token2022Info?.error && <div className="error-message">{token2022Info.error}</div>}
+
+            <DurableNonceSelect wallet={wallet} value={nonceAccount} onChange={setNonceAccount} disabled={sending} />
+            {isWatchOnly && !nonceAccount && (
+              <div className="batch-hint">
+                Without a durable nonce the signature has to come back within about a minute. Add a nonce account
+                in Settings → Durable Nonces to sign at your own pace.
+              </div>
+            )}
+
             {/* Priority Selector */}
             <div className="send-priority-section">
               <div className="send-priority-label">Transaction Priority</div>
               <div className="send-priority-selector">
-                {getPriorityOptions(network).filter(opt => opt.id !== 'custom').map(opt => (
+                {PRIORITY_LEVELS.map(opt => (
                   <button
                     key={opt.id}
                     className={`send-priority-btn ${priority === opt.id ? 'active' : ''}`}
                     onClick={() => { setPriority(opt.id); setCustomFee(''); }}
                     type="button"
                     disabled={sending}
+                    title={opt.description}
                   >
                     {opt.name}
                   </button>
@@ -1252,9 +1790,9 @@ export default function SendFlow({ wallet, selectedToken: initialToken, userToke
               <button 
                 className="btn-primary send-approve-btn"
                 onClick={handleSend}
-                disabled={sending}
+                disabled={sending || token2022Info?.loading || !!token2022Info?.error || (token2022Info?.memoRequired && !transferMemo.trim())}
               >
-                {sending ? 'Sending...' : 'Approve'}
+                {sending ? (isWatchOnly ? 'Exporting...' : 'Sending...') : (isWatchOnly ? 'Export for Signing' : 'Approve')}
               </button>
             </div>
           </div>
@@ -1281,6 +1819,22 @@ export default function SendFlow({ wallet, selectedToken: initialToken, userToke
               </p>
             )}
             
+            {confirmStatus && !isSelfTransferNoOp && (
+              <p style={{
+                fontSize: 12,
+                marginTop: 8,
+                color: confirmStatus === 'confirmed' || confirmStatus === 'finalized' ? 'var(--success)'
+                  : confirmStatus === 'failed' || confirmStatus === 'expired' ? 'var(--error)' : 'var(--text-muted)'
+              }}>
+                {confirmStatus === 'pending' ? 'Waiting for the network...' :
+                 confirmStatus === 'processed' ? 'Processed · waiting for confirmation...' :
+                 confirmStatus === 'confirmed' ? 'Confirmed · finalizing...' :
+                 confirmStatus === 'finalized' ? 'Finalized' :
+                 confirmStatus === 'expired' ? 'Expired before the network included it - nothing was sent. You can retry it from Activity.' :
+                 confirmError}
+              </p>
+            )}
+            
             {txHash && !isSelfTransferNoOp && (
               <button 
                 className="btn-secondary" 
@@ -1290,12 +1844,59 @@ export default function SendFlow({ wallet, selectedToken: initialToken, userToke
                 View on Explorer
               </button>
             )}
+            
+            {/* Offer to save a new recipient to the address book */}
+            {wallet?.addContact && !recipientContact && !isOwnAddress && !isSelfTransferNoOp && (
+              <div className="send-summary-card" style={{ marginTop: 16, width: '100%' }}>
+                {contactSaved ? (
+                  <div style={{ fontSize: 13, color: 'var(--success)', textAlign: 'center' }}>
+                    Saved "{saveContactName.trim()}" to your address book
+                  </div>
+                ) : (
+                  <>
+                    <div style={{ fontSize: 13, marginBottom: 8 }}>Save this recipient?</div>
+                    <div style={{ display: 'flex', gap: 8 }}>
+                      <input
+                        type="text"
+                        className="form-input"
+                        placeholder="Contact name"
+                        value={saveContactName}
+                        maxLength={32}
+                        onChange={(e) => setSaveContactName(e.target.value)}
+                        style={{ flex: 1 }}
+                      />
+                      <button
+                        className="btn-secondary"
+                        onClick={handleSaveContact}
+                        disabled={savingContact || !saveContactName.trim()}
+                        style={{ width: 'auto', padding: '8px 16px' }}
+                      >
+                        {savingContact ? 'Saving...' : 'Save'}
+                      </button>
+                    </div>
+                    {saveContactError && (
+                      <div className="error-message" style={{ marginTop: 8 }}>{saveContactError}</div>
+                    )}
+                  </>
+                )}
+              </div>
+            )}
             <button className="btn-primary" onClick={onBack} style={{ marginTop: 12 }}>
               Done
             </button>
           </div>
         );
 
+      // Watch-only: export the unsigned transaction and wait for its signature
+      case STEPS.EXPORT:
+        return (
+          <OfflineTransactionExport
+            wallet={wallet}
+            payloadText={offlinePayload}
+            onBroadcast={completeSend}
+          />
+        );
+
       default:
         return null;
     }
@@ -4,6 +4,7 @@ import X1Logo from './X1Logo';
 import { NETWORKS, getTxExplorerUrl } from '@x1-wallet/core/services/networks';
 import { logger, getUserFriendlyError, ErrorMessages } from '@x1-wallet/core';
 import { validateAddress } from '@x1-wallet/core/utils/base58';
+import { getContactsForNetwork, findContactByAddress, findSimilarContacts, searchContacts } from '@x1-wallet/core/services/addressBook';
 import { hardwareWallet } from '../services/hardware';
 
 // Get base transaction fee for network
@@ -77,12 +78,17 @@ export default function SendScreen({ wallet, selectedToken: initialToken, userTo
         // Check if sending to self
         if (recipient.trim() === wallet?.wallet?.publicKey) {
           setAddressWarning('Warning: You are sending to your own address');
+        } else if (!findContactByAddress(wallet?.contacts, recipient, wallet?.network)) {
+          const similar = findSimilarContacts(wallet?.contacts, recipient, wallet?.network);
+          if (similar.length > 0) {
+            setAddressWarning(`Warning: This address looks like your contact "${similar[0].name}" but is different`);
+          }
         }
       }
     } else {
       setAddressWarning('');
     }
-  }, [recipient, wallet?.wallet?.publicKey]);
+  }, [recipient, wallet?.wallet?.publicKey, wallet?.contacts]);
 
   // Safe access to network config
   const network = wallet?.network || 'X1 Mainnet';
@@ -93,6 +99,12 @@ export default function SendScreen({ wallet, selectedToken: initialToken, userTo
     explorer: 'https://explorer.x1.xyz'
   };
 
+  // Saved contacts for recipient autocomplete
+  const contacts = getContactsForNetwork(wallet?.contacts, network);
+  const contactSuggestions = findContactByAddress(contacts, recipient, network)
+    ? []
+    : searchContacts(contacts, recipient, network);
+
   // Build token list: native token + user's SPL tokens
   const nativeToken = {
     symbol: networkConfig.symbol,
@@ -381,6 +393,7 @@ export default function SendScreen({ wallet, selectedToken: initialToken, userTo
     
     // Refresh balance
     if (wallet.refreshBalance) wallet.refreshBalance();
+    if (wallet.markContactUsed) wallet.markContactUsed(recipient.trim());
     if (onSuccess) onSuccess(sendData.result);
   };
 
@@ -469,6 +482,7 @@ export default function SendScreen({ wallet, selectedToken: initialToken, userTo
     
     // Refresh balance
     if (wallet.refreshBalance) wallet.refreshBalance();
+    if (wallet.markContactUsed) wallet.markContactUsed(recipient.trim());
     if (onSuccess) onSuccess(sendData.result);
   };
 
@@ -712,10 +726,10 @@ export default function SendScreen({ wallet, selectedToken: initialToken, userTo
             <input
               type="text"
               className="form-input"
-              placeholder={myWallets.length > 0 ? "Paste address or select wallet" : "Recipient address"}
+              placeholder={myWallets.length > 0 || contacts.length > 0 ? "Paste address or select wallet" : "Recipient address"}
               value={recipient}
               onChange={(e) => { setRecipient(e.target.value); setShowWalletSelector(false); }}
-              onClick={() => !recipient && myWallets.length > 0 && setShowWalletSelector(true)}
+              onClick={() => !recipient && (myWallets.length > 0 || contacts.length > 0) && setShowWalletSelector(true)}
               autoComplete="off"
               spellCheck="false"
             />
@@ -733,13 +747,50 @@ export default function SendScreen({ wallet, selectedToken: initialToken, userTo
             )}
           </div>
           
+          {addressWarning && (
+            <div className="send-address-warning">{addressWarning}</div>
+          )}
+          
+          {/* Contact autocomplete while typing */}
+          {recipient && contactSuggestions.length > 0 && (
+            <div className="wallet-selector-dropdown">
+              {contactSuggestions.map(c => (
+                <div 
+                  key={c.id}
+                  className="wallet-selector-item"
+                  onClick={() => setRecipient(c.address)}
+                >
+                  <span className="wallet-selector-name">{c.name}</span>
+                  <span className="wallet-selector-address">
+                    {c.address.slice(0, 6)}...{c.address.slice(-4)}
+                  </span>
+                </div>
+              ))}
+            </div>
+          )}
+          
           {/* My Wallets Quick Select */}
-          {showWalletSelector && myWallets.length > 0 && (
+          {showWalletSelector && (myWallets.length > 0 || contacts.length > 0) && (
             <div className="wallet-selector-dropdown">
               <div className="wallet-selector-header">
                 <span>Select Wallet</span>
                 <button onClick={() => setShowWalletSelector(false)}>×</button>
               </div>
+              {searchContacts(contacts, '', network, contacts.length).map(c => (
+                <div 
+                  key={c.id}
+                  className="wallet-selector-item"
+                  onClick={() => {
+                    setRecipient(c.address);
+                    setShowWalletSelector(false);
+                  }}
+                >
+                  <span className="wallet-selector-name">{c.name}</span>
+                  <span className="wallet-selector-address">
+                    {c.address.slice(0, 6)}...{c.address.slice(-4)}
+                  </span>
+                </div>
+              ))}
               {myWallets.map((w, i) => (
                 <div 
                   key={w.publicKey || i}
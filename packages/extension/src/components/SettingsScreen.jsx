@@ -2,7 +2,15 @@
 import { logger, getUserFriendlyError, ErrorMessages } from '@x1-wallet/core';
 import React, { useState, useEffect, useCallback } from 'react';
 import X1Logo from './X1Logo';
+import AddressBook from './AddressBook';
+import NonceAccounts from './NonceAccounts';
+import OfflineSigning from './OfflineSigning';
+import SitePermissions from './SitePermissions';
+import PhishingProtection from './PhishingProtection';
+import RpcEndpoints from './RpcEndpoints';
 import { NETWORKS, getRpcOverride, setRpcOverride, clearRpcOverride } from '@x1-wallet/core/services/networks';
+import { loadConnectedSites, disconnectSite as removeConnectedSite } from '@x1-wallet/core/services/sitePermissions';
+import { loadCustomNetworks, addCustomNetwork, removeCustomNetwork } from '@x1-wallet/core/services/customNetworks';
 
 // Use chrome.storage.local for persistence across extension toggles
 const storage = {
@@ -88,37 +96,18 @@ export default function SettingsScreen({ wallet, onBack, onLock, initialPassword
   const [showRemoveConfirm, setShowRemoveConfirm] = useState(false);
   const [appVersion, setAppVersion] = useState('0.0.0');
   const [connectedSites, setConnectedSites] = useState([]);
+  const [selectedSite, setSelectedSite] = useState(null);
   
   // Load connected sites
   useEffect(() => {
-    const loadConnectedSites = async () => {
-      try {
-        if (typeof chrome !== 'undefined' && chrome.storage) {
-          const result = await chrome.storage.local.get('x1wallet_connected_sites');
-          const sites = result.x1wallet_connected_sites || {};
-          setConnectedSites(Object.entries(sites).map(([origin, data]) => ({
-            origin,
-            connectedAt: data.connectedAt,
-            publicKey: data.publicKey
-          })));
-        }
-      } catch (e) {
-        logger.error('[Settings] Error loading connected sites:', e);
-      }
-    };
-    loadConnectedSites();
+    loadConnectedSites().then(setConnectedSites);
   }, [subScreen]); // Reload when returning to main screen
   
   // Disconnect a site
   const disconnectSite = async (origin) => {
     try {
-      if (typeof chrome !== 'undefined' && chrome.storage) {
-        const result = await chrome.storage.local.get('x1wallet_connected_sites');
-        const sites = result.x1wallet_connected_sites || {};
-        delete sites[origin];
-        await chrome.storage.local.set({ x1wallet_connected_sites: sites });
-        setConnectedSites(prev => prev.filter(s => s.origin !== origin));
-      }
+      await removeConnectedSite(origin);
+      setConnectedSites(prev => prev.filter(s => s.origin !== origin));
     } catch (e) {
       logger.error('[Settings] Error disconnecting site:', e);
     }
@@ -233,12 +222,10 @@ export default function SettingsScreen({ wallet, onBack, onLock, initialPassword
   
   // Network sub-screen state - moved to top level
   const [showAddRpc, setShowAddRpc] = useState(false);
-  const [customRpc, setCustomRpc] = useState({ name: '', url: '', symbol: '', decimals: 9, explorer: '' });
-  const [customRpcs, setCustomRpcs] = useState(() => {
-    try {
-      return JSON.parse(localStorage.getItem('x1wallet_customRpcs')) || [];
-    } catch { return []; }
-  });
+  const emptyCustomRpc = { name: '', url: '', symbol: '', decimals: 9, chainId: '', explorer: '', explorerTemplates: { tx: '', address: '', token: '' } };
+  const [customRpc, setCustomRpc] = useState(emptyCustomRpc);
+  const [customRpcs, setCustomRpcs] = useState(() => loadCustomNetworks());
+  const [verifyingRpc, setVerifyingRpc] = useState(false);
   const [error, setError] = useState('');
   
   // RPC Override state - for customizing RPC URLs of built-in networks
@@ -327,44 +314,25 @@ export default function SettingsScreen({ wallet, onBack, onLock, initialPassword
     setTimeout(() => setCopied(false), 2000);
   };
 
-  const saveCustomRpc = () => {
-    // Validate inputs
-    if (!customRpc.name?.trim()) {
-      setError('Please enter a network name');
-      return;
-    }
-    if (!customRpc.url?.trim()) {
-      setError('Please enter an RPC URL');
-      return;
-    }
-    // Basic URL validation
-    if (!customRpc.url.startsWith('http://') && !customRpc.url.startsWith('https://')) {
-      setError('RPC URL must start with http:// or https://');
-      return;
-    }
-    
-    const newNetwork = {
-      ...customRpc,
-      id: Date.now(),
-      name: customRpc.name.trim(),
-      url: customRpc.url.trim(),
-      symbol: customRpc.symbol?.trim() || 'TOKEN',
-      decimals: parseInt(customRpc.decimals) || 9,
-      explorer: customRpc.explorer?.trim() || ''
-    };
-    
-    const newRpcs = [...customRpcs, newNetwork];
-    setCustomRpcs(newRpcs);
-    localStorage.setItem('x1wallet_customRpcs', JSON.stringify(newRpcs));
-    setShowAddRpc(false);
-    setCustomRpc({ name: '', url: '', symbol: '', decimals: 9, explorer: '' });
+  // Validates the form and reads the genesis hash from the RPC before saving
+  const saveCustomRpc = async () => {
     setError('');
+    setVerifyingRpc(true);
+    try {
+      await addCustomNetwork(customRpc);
+      setCustomRpcs(loadCustomNetworks());
+      setShowAddRpc(false);
+      setCustomRpc(emptyCustomRpc);
+    } catch (err) {
+      setError(getUserFriendlyError(err, 'Failed to add network'));
+    } finally {
+      setVerifyingRpc(false);
+    }
   };
 
   const removeCustomRpc = (id) => {
-    const newRpcs = customRpcs.filter(r => r.id !== id);
-    setCustomRpcs(newRpcs);
-    localStorage.setItem('x1wallet_customRpcs', JSON.stringify(newRpcs));
+    removeCustomNetwork(id);
+    setCustomRpcs(loadCustomNetworks());
   };
 
   // Save RPC override for a built-in network
@@ -445,6 +413,37 @@ export default function SettingsScreen({ wallet, onBack, onLock, initialPassword
   }, [passwordProtection]);
 
   // Sub-screens
+  if (subScreen === 'addressbook') {
+    return <AddressBook wallet={wallet} onBack={() => setSubScreen(null)} />;
+  }
+
+  if (subScreen === 'nonces') {
+    return <NonceAccounts wallet={wallet} onBack={() => setSubScreen(null)} />;
+  }
+
+  if (subScreen === 'offline') {
+    return <OfflineSigning wallet={wallet} onBack={() => setSubScreen(null)} />;
+  }
+
+  if (subScreen === 'rpcendpoints') {
+    // "Use First" writes the RPC override, so pick up any change on the way back
+    const closeRpcEndpoints = () => {
+      try {
+        setRpcOverrides(JSON.parse(localStorage.getItem('x1wallet_rpcOverrides')) || {});
+      } catch { setRpcOverrides({}); }
+      setSubScreen(null);
+    };
+    return <RpcEndpoints wallet={wallet} onBack={closeRpcEndpoints} />;
+  }
+
+  if (subScreen === 'phishing') {
+    return <PhishingProtection onBack={() => setSubScreen(null)} />;
+  }
+
+  if (subScreen === 'sitepermissions' && selectedSite) {
+    return <SitePermissions wallet={wallet} site={selectedSite} onBack={() => setSubScreen(null)} />;
+  }
+
   if (subScreen === 'autolock') {
     // Phantom-style options - no "Never" option for security
     const options = [
@@ -1582,6 +1581,16 @@ export default function SettingsScreen({ wallet, onBack, onLock, initialPassword
                 onChange={e => setCustomRpc({ ...customRpc, url: e.target.value })}
               />
             </div>
+            <div className="form-group">
+              <label>Chain ID *</label>
+              <input
+                type="text"
+                className="form-input"
+                placeholder="e.g. mynet:mainnet"
+                value={customRpc.chainId}
+                onChange={e => setCustomRpc({ ...customRpc, chainId: e.target.value })}
+              />
+            </div>
             <div className="form-group">
               <label>Token Symbol</label>
               <input
@@ -1617,12 +1626,32 @@ export default function SettingsScreen({ wallet, onBack, onLock, initialPassword
                 onChange={e => setCustomRpc({ ...customRpc, explorer: e.target.value })}
               />
             </div>
+            {[
+              { kind: 'tx', label: 'Transaction URL template (optional)', placeholder: 'https://explorer.example.com/tx/{signature}' },
+              { kind: 'address', label: 'Address URL template (optional)', placeholder: 'https://explorer.example.com/address/{address}' },
+              { kind: 'token', label: 'Token URL template (optional)', placeholder: 'https://explorer.example.com/token/{mint}' }
+            ].map(({ kind, label, placeholder }) => (
+              <div className="form-group" key={kind}>
+                <label>{label}</label>
+                <input
+                  type="text"
+                  className="form-input"
+                  placeholder={placeholder}
+                  value={customRpc.explorerTemplates[kind]}
+                  onChange={e => setCustomRpc({ ...customRpc, explorerTemplates: { ...customRpc.explorerTemplates, [kind]: e.target.value } })}
+                />
+              </div>
+            ))}
+            <div className="batch-hint">
+              The network's genesis hash is read from the RPC when you add it and checked again every time you switch to it.
+            </div>
             <button 
               className="btn-primary" 
               onClick={saveCustomRpc}
+              disabled={verifyingRpc}
               style={{ marginTop: '8px' }}
             >
-              Add Network
+              {verifyingRpc ? 'Verifying Network...' : 'Add Network'}
             </button>
           </div>
         </div>
@@ -1819,6 +1848,10 @@ export default function SettingsScreen({ wallet, onBack, onLock, initialPassword
                     <div className="radio-option-text">
                       <span>{rpc.name}</span>
                       <span style={{ fontSize: 11, color: 'var(--text-muted)', display: 'block' }}>{rpc.url}</span>
+                      <span style={{ fontSize: 11, color: 'var(--text-muted)', display: 'block' }}>
+                        {rpc.chainId || 'No chain ID'}
+                        {rpc.genesisHash ? ` · genesis ${rpc.genesisHash.slice(0, 8)}...` : ' · not verified'}
+                      </span>
                     </div>
                     <button 
                       onClick={(e) => { e.stopPropagation(); removeCustomRpc(rpc.id); }}
@@ -2012,6 +2045,51 @@ export default function SettingsScreen({ wallet, onBack, onLock, initialPassword
               )}
             </div>
           </div>
+          <div className="settings-item" onClick={() => setSubScreen('addressbook')}>
+            <div className="settings-item-left">
+              <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                <path d="M4 19.5A2.5 2.5 0 0 1 6.5 17H20" />
+                <path d="M6.5 2H20v20H6.5A2.5 2.5 0 0 1 4 19.5v-15A2.5 2.5 0 0 1 6.5 2z" />
+              </svg>
+              <span>Address Book</span>
+            </div>
+            <div className="settings-item-right">
+              <span className="settings-value">{(wallet.contacts || []).length}</span>
+              <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                <path d="M9 18l6-6-6-6" />
+              </svg>
+            </div>
+          </div>
+          <div className="settings-item" onClick={() => setSubScreen('nonces')}>
+            <div className="settings-item-left">
+              <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                <circle cx="12" cy="12" r="10" />
+                <polyline points="12 6 12 12 16 14" />
+              </svg>
+              <span>Durable Nonces</span>
+            </div>
+            <div className="settings-item-right">
+              <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                <path d="M9 18l6-6-6-6" />
+              </svg>
+            </div>
+          </div>
+          <div className="settings-item" onClick={() => setSubScreen('offline')}>
+            <div className="settings-item-left">
+              <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                <rect x="3" y="3" width="7" height="7" />
+                <rect x="14" y="3" width="7" height="7" />
+                <rect x="3" y="14" width="7" height="7" />
+                <path d="M14 14h3v3h-3zM20 14v7h-6" />
+              </svg>
+              <span>Offline Signing</span>
+            </div>
+            <div className="settings-item-right">
+              <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                <path d="M9 18l6-6-6-6" />
+              </svg>
+            </div>
+          </div>
         </div>
 
         {/* Network */}
@@ -2033,6 +2111,22 @@ export default function SettingsScreen({ wallet, onBack, onLock, initialPassword
               </svg>
             </div>
           </div>
+          <div className="settings-item" onClick={() => setSubScreen('rpcendpoints')}>
+            <div className="settings-item-left">
+              <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                <rect x="2" y="3" width="20" height="7" rx="1" />
+                <rect x="2" y="14" width="20" height="7" rx="1" />
+                <line x1="6" y1="6.5" x2="6.01" y2="6.5" />
+                <line x1="6" y1="17.5" x2="6.01" y2="17.5" />
+              </svg>
+              <span>RPC Endpoints</span>
+            </div>
+            <div className="settings-item-right">
+              <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                <path d="M9 18l6-6-6-6" />
+              </svg>
+            </div>
+          </div>
           <div className="settings-item" onClick={() => setSubScreen('explorer')}>
             <div className="settings-item-left">
               <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
@@ -2141,6 +2235,19 @@ export default function SettingsScreen({ wallet, onBack, onLock, initialPassword
               </div>
             </div>
           )}
+          <div className="settings-item" onClick={() => setSubScreen('phishing')}>
+            <div className="settings-item-left">
+              <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                <path d="M12 22s8-4 8-10V5l-8-3-8 3v7c0 6 8 10 8 10z" />
+              </svg>
+              <span>Phishing Protection</span>
+            </div>
+            <div className="settings-item-right">
+              <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                <path d="M9 18l6-6-6-6" />
+              </svg>
+            </div>
+          </div>
           <div className="settings-item" onClick={() => setSkipSimulation(!skipSimulation)}>
             <div className="settings-item-left">
               <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
@@ -2184,7 +2291,11 @@ export default function SettingsScreen({ wallet, onBack, onLock, initialPassword
           ) : (
             connectedSites.map((site) => (
               <div key={site.origin} className="settings-item connected-site-item">
-                <div className="settings-item-left">
+                <div
+                  className="settings-item-left"
+                  style={{ cursor: 'pointer' }}
+                  onClick={() => { setSelectedSite(site); setSubScreen('sitepermissions'); }}
+                >
                   <div style={{ 
                     width: 32, 
                     height: 32, 
@@ -2205,6 +2316,7 @@ export default function SettingsScreen({ wallet, onBack, onLock, initialPassword
                     <span style={{ display: 'block', fontWeight: 500 }}>{new URL(site.origin).hostname}</span>
                     <span style={{ fontSize: 11, color: 'var(--text-muted)' }}>
                       Connected {site.connectedAt ? new Date(site.connectedAt).toLocaleDateString() : 'recently'}
+                      {site.permissions.spendLimit ? ' · Spend limit' : ''}
                     </span>
                   </div>
                 </div>
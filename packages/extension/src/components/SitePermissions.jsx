@@ -0,0 +1,265 @@
+// Site Permissions - Settings sub-screen for one connected dApp
+// Edits which accounts the site sees, where it may act, how long it stays connected and its daily spend caps
+import React, { useState, useEffect } from 'react';
+import { getUserFriendlyError, logger } from '@x1-wallet/core';
+import { NETWORKS } from '@x1-wallet/core/services/networks';
+import { amountToBaseUnits } from '@x1-wallet/core/utils/solanaPay';
+import {
+  saveSitePermissions,
+  disconnectSite,
+  formatBaseUnits,
+  SITE_EXPIRY_OPTIONS
+} from '@x1-wallet/core/services/sitePermissions';
+
+const SITE_NETWORKS = ['X1 Mainnet', 'X1 Testnet', 'Solana Mainnet', 'Solana Devnet'];
+
+export default function SitePermissions({ wallet, site, onBack }) {
+  const network = wallet?.network || 'X1 Mainnet';
+  const networkConfig = NETWORKS[network] || NETWORKS['X1 Mainnet'];
+  const permissions = site.permissions;
+  const spendLimit = permissions.spendLimit || { native: null, tokens: {} };
+
+  const [accounts, setAccounts] = useState(permissions.accounts);
+  const [networks, setNetworks] = useState(permissions.networks);
+  const [signMessage, setSignMessage] = useState(permissions.signMessage);
+  const [expiresAt, setExpiresAt] = useState(permissions.expiresAt);
+  const [nativeCap, setNativeCap] = useState(
+    spendLimit.native != null ? formatBaseUnits(spendLimit.native, networkConfig.decimals) : ''
+  );
+  const [tokenCaps, setTokenCaps] = useState(() => Object.entries(spendLimit.tokens || {}).map(([mint, limit]) => ({
+    mint,
+    symbol: limit.symbol,
+    decimals: limit.decimals,
+    amount: formatBaseUnits(limit.amount, limit.decimals)
+  })));
+  const [heldTokens, setHeldTokens] = useState([]);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [status, setStatus] = useState('');
+
+  // Tokens in the active account that a cap can be added for
+  useEffect(() => {
+    const owner = wallet?.wallet?.publicKey;
+    if (!owner) return;
+    import('@x1-wallet/core/services/tokens')
+      .then(({ fetchTokenAccounts }) => fetchTokenAccounts(networkConfig.rpcUrl, owner, network, null, { mode: 'import' }))
+      .then(tokens => setHeldTokens(tokens.filter(t => !(t.decimals === 0 && t.uiAmount === 1))))
+      .catch(err => logger.error('[SitePermissions] Failed to load tokens:', err));
+  }, [network]);
+
+  const allAccounts = (wallet?.wallets || []).flatMap(w =>
+    (w.addresses || []).map(a => ({
+      publicKey: a.publicKey,
+      label: w.addresses.length > 1 ? `${w.name} · ${a.name}` : w.name
+    }))
+  );
+  // Accounts shared earlier but no longer in this wallet stay listed so they can be removed
+  for (const publicKey of permissions.accounts) {
+    if (!allAccounts.some(a => a.publicKey === publicKey)) {
+      allAccounts.push({ publicKey, label: 'Removed account' });
+    }
+  }
+
+  const toggleAccount = (publicKey) => {
+    setAccounts(accounts.includes(publicKey)
+      ? accounts.filter(a => a !== publicKey)
+      : [...accounts, publicKey]);
+  };
+
+  const toggleNetwork = (name) => {
+    const current = networks || SITE_NETWORKS;
+    const next = current.includes(name) ? current.filter(n => n !== name) : [...current, name];
+    setNetworks(SITE_NETWORKS.every(n => next.includes(n)) ? null : next);
+  };
+
+  const addTokenCap = (mint) => {
+    const token = heldTokens.find(t => t.mint === mint);
+    if (!token || tokenCaps.some(c => c.mint === mint)) return;
+    setTokenCaps([...tokenCaps, { mint, symbol: token.symbol, decimals: token.decimals, amount: '' }]);
+  };
+
+  const updateTokenCap = (mint, amount) => {
+    setTokenCaps(tokenCaps.map(c => c.mint === mint ? { ...c, amount } : c));
+  };
+
+  const handleSave = async () => {
+    setError('');
+    setStatus('');
+    setSaving(true);
+    try {
+      const tokens = {};
+      for (const cap of tokenCaps) {
+        if (!cap.amount.trim()) continue;
+        tokens[cap.mint] = {
+          amount: amountToBaseUnits(cap.amount, cap.decimals).toString(),
+          decimals: cap.decimals,
+          symbol: cap.symbol
+        };
+      }
+      const native = nativeCap.trim() ? amountToBaseUnits(nativeCap, networkConfig.decimals).toString() : null;
+
+      await saveSitePermissions(site.origin, {
+        accounts,
+        networks,
+        signMessage,
+        expiresAt,
+        spendLimit: native !== null || Object.keys(tokens).length > 0 ? { native, tokens } : null
+      });
+      setStatus('Permissions saved');
+    } catch (err) {
+      setError(getUserFriendlyError(err, 'Failed to save permissions'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDisconnect = async () => {
+    try {
+      await disconnectSite(site.origin);
+      onBack();
+    } catch (err) {
+      logger.error('[SitePermissions] Error disconnecting site:', err);
+      setError(getUserFriendlyError(err, 'Failed to disconnect site'));
+    }
+  };
+
+  const spentTokens = Object.entries(site.spentToday.tokens);
+
+  return (
+    <div className="screen settings-screen">
+      <div className="settings-header">
+        <button className="back-btn" onClick={onBack}>
+          <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+            <path d="M19 12H5M12 19l-7-7 7-7" />
+          </svg>
+        </button>
+        <h2>{new URL(site.origin).hostname}</h2>
+      </div>
+      <div className="settings-content">
+        <div className="settings-section">
+          <h3>Shared Accounts</h3>
+          {allAccounts.map(account => (
+            <div key={account.publicKey} className="settings-item" onClick={() => toggleAccount(account.publicKey)}>
+              <div className="settings-item-left">
+                <div className="settings-item-text">
+                  <span>{account.label}</span>
+                  <span className="settings-item-desc">{account.publicKey.slice(0, 6)}...{account.publicKey.slice(-4)}</span>
+                </div>
+              </div>
+              <div className={`toggle ${accounts.includes(account.publicKey) ? 'active' : ''}`}>
+                <div className="toggle-handle" />
+              </div>
+            </div>
+          ))}
+        </div>
+
+        <div className="settings-section">
+          <h3>Networks</h3>
+          {SITE_NETWORKS.map(name => (
+            <div key={name} className="settings-item" onClick={() => toggleNetwork(name)}>
+              <div className="settings-item-left">
+                <span>{name}</span>
+              </div>
+              <div className={`toggle ${!networks || networks.includes(name) ? 'active' : ''}`}>
+                <div className="toggle-handle" />
+              </div>
+            </div>
+          ))}
+        </div>
+
+        <div className="settings-section">
+          <h3>Access</h3>
+          <div className="settings-item" onClick={() => setSignMessage(!signMessage)}>
+            <div className="settings-item-left">
+              <div className="settings-item-text">
+                <span>Message Signing</span>
+                <span className="settings-item-desc">Allow the site to request signed messages</span>
+              </div>
+            </div>
+            <div className={`toggle ${signMessage ? 'active' : ''}`}>
+              <div className="toggle-handle" />
+            </div>
+          </div>
+          <div className="settings-item">
+            <div className="settings-item-left">
+              <div className="settings-item-text">
+                <span>Expires</span>
+                <span className="settings-item-desc">{new Date(expiresAt).toLocaleString()}</span>
+              </div>
+            </div>
+            <select
+              className="form-input"
+              style={{ width: 'auto', padding: '6px 10px', fontSize: 12 }}
+              value=""
+              onChange={e => e.target.value && setExpiresAt(Date.now() + Number(e.target.value))}
+            >
+              <option value="">Extend...</option>
+              {SITE_EXPIRY_OPTIONS.map(option => (
+                <option key={option.ms} value={option.ms}>{option.label} from now</option>
+              ))}
+            </select>
+          </div>
+        </div>
+
+        <div className="settings-section">
+          <h3>Daily Spend Limit</h3>
+          <div className="batch-hint">
+            Transactions that would send more than this in a day (UTC) are rejected before you are asked to approve them.
+            While a limit is set, token approvals and authority changes from this site are rejected too.
+            Leave empty for no limit.
+          </div>
+          <div className="form-group">
+            <label>{networkConfig.symbol} per day</label>
+            <input
+              className="form-input"
+              inputMode="decimal"
+              placeholder="No limit"
+              value={nativeCap}
+              onChange={e => setNativeCap(e.target.value)}
+            />
+            <span className="settings-item-desc">
+              Spent today: {formatBaseUnits(site.spentToday.native, networkConfig.decimals)} {networkConfig.symbol}
+            </span>
+          </div>
+          {tokenCaps.map(cap => (
+            <div key={cap.mint} className="form-group">
+              <label>{cap.symbol || `${cap.mint.slice(0, 6)}...`} per day</label>
+              <input
+                className="form-input"
+                inputMode="decimal"
+                placeholder="No limit"
+                value={cap.amount}
+                onChange={e => updateTokenCap(cap.mint, e.target.value)}
+              />
+            </div>
+          ))}
+          {heldTokens.some(t => !tokenCaps.some(c => c.mint === t.mint)) && (
+            <select className="form-input" value="" onChange={e => addTokenCap(e.target.value)}>
+              <option value="">Add a token limit...</option>
+              {heldTokens.filter(t => !tokenCaps.some(c => c.mint === t.mint)).map(t => (
+                <option key={t.mint} value={t.mint}>{t.symbol || t.mint}</option>
+              ))}
+            </select>
+          )}
+          {spentTokens.length > 0 && (
+            <div className="settings-item-desc" style={{ marginTop: 8 }}>
+              Tokens spent today: {spentTokens.map(([mint, amount]) => {
+                const cap = tokenCaps.find(c => c.mint === mint);
+                return cap ? `${formatBaseUnits(amount, cap.decimals)} ${cap.symbol || ''}` : `${amount} (${mint.slice(0, 6)}...)`;
+              }).join(', ')}
+            </div>
+          )}
+        </div>
+
+        {error && <div className="error-message">{error}</div>}
+        {status && <div style={{ marginBottom: 12, fontSize: 13, color: 'var(--text-secondary)' }}>{status}</div>}
+        <button className="btn-primary" onClick={handleSave} disabled={saving}>
+          {saving ? 'Saving...' : 'Save Permissions'}
+        </button>
+        <button className="btn-secondary" onClick={handleDisconnect} style={{ marginTop: 8 }}>
+          Disconnect Site
+        </button>
+      </div>
+    </div>
+  );
+}
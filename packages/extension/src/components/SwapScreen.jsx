@@ -6,46 +6,13 @@ import { getQuote, prepareSwap, getSwapTokens, getSwapProvider, isSolanaNetwork,
 import { signAndSendExternalTransaction, addTransaction, createWrapTransaction, createUnwrapTransaction, signAndSendExternalTransactionHardware, createWrapTransactionHardware, createUnwrapTransactionHardware } from '@x1-wallet/core/utils/transaction';
 import { trackSwapXP } from '@x1-wallet/core/services/xp';
 import { logger, getUserFriendlyError, ErrorMessages } from '@x1-wallet/core';
+import { PRIORITY_LEVELS, getPriorityFeeOptions, feeToMicroLamports } from '@x1-wallet/core/services/priorityFees';
 import { hardwareWallet } from '../services/hardware';
+import LimitOrderPanel from './LimitOrderPanel';
+import { getLimitOrders } from '@x1-wallet/core/services/limitOrders';
 
-// Priority fee options for transaction speed
-// Priority fee options - now using microLamports directly (not total fee)
-// These are the actual microlamports per compute unit values
-function getPriorityOptions(network) {
-  const isX1 = network?.includes('X1');
-  // X1 has higher base fees than Solana
-  if (isX1) {
-    return [
-      { id: 'auto', name: 'Auto', microLamports: 0, fee: 0, description: 'Use API default' },
-      { id: 'fast', name: 'Fast', microLamports: 1000, fee: 0.00015, description: '~0.00015 XNT extra' },
-      { id: 'turbo', name: 'Turbo', microLamports: 10000, fee: 0.0015, description: '~0.0015 XNT extra' },
-      { id: 'degen', name: 'Degen', microLamports: 100000, fee: 0.015, description: '~0.015 XNT extra' },
-      { id: 'custom', name: 'Custom', microLamports: 0, fee: 0, description: 'Custom fee' }
-    ];
-  }
-  // Solana fees
-  return [
-    { id: 'auto', name: 'Auto', microLamports: 0, fee: 0, description: 'Use API default' },
-    { id: 'fast', name: 'Fast', microLamports: 10000, fee: 0.0015, description: '~0.0015 SOL extra' },
-    { id: 'turbo', name: 'Turbo', microLamports: 100000, fee: 0.015, description: '~0.015 SOL extra' },
-    { id: 'degen', name: 'Degen', microLamports: 1000000, fee: 0.15, description: '~0.15 SOL extra' },
-    { id: 'custom', name: 'Custom', microLamports: 0, fee: 0, description: 'Custom fee' }
-  ];
-}
-
-// Convert custom fee input (in SOL/XNT) to microlamports per compute unit
-// Assumes ~150,000 compute units for typical swap transactions
-function customFeeToMicroLamports(feeInSol, computeUnits = 150000) {
-  if (!feeInSol || feeInSol <= 0) return 0;
-  const lamports = Math.floor(feeInSol * 1_000_000_000);
-  const microLamports = Math.floor((lamports * 1_000_000) / computeUnits);
-  return microLamports;
-}
-
-// Legacy function name for backwards compatibility
-function feeToMicroLamports(feeInSol, computeUnits = 150000) {
-  return customFeeToMicroLamports(feeInSol, computeUnits);
-}
+// Compute units assumed when pricing a swap - the swap transaction itself gets a limit from simulation
+const SWAP_COMPUTE_UNITS = 150000;
 
 // Get base transaction fee for network
 function getBaseFee(network) {
@@ -53,15 +20,6 @@ function getBaseFee(network) {
   return isX1 ? 0.002 : 0.000005; // X1: 0.002 XNT, Solana: 5000 lamports
 }
 
-// Legacy constant for backwards compatibility (will use network-aware version)
-const PRIORITY_OPTIONS = [
-  { id: 'auto', name: 'Auto', fee: 0, description: 'Standard speed' },
-  { id: 'fast', name: 'Fast', fee: 0.000005, description: 'Higher priority' },
-  { id: 'turbo', name: 'Turbo', fee: 0.00005, description: 'Very high priority' },
-  { id: 'degen', name: 'Degen', fee: 0.001, description: 'Maximum priority' },
-  { id: 'custom', name: 'Custom', fee: 0, description: 'Set your own fee' }
-];
-
 // Global image cache to prevent re-fetching
 const imageCache = new Map();
 
@@ -200,6 +158,7 @@ export default function SwapScreen({ wallet, onBack, onSwapComplete, userTokens
   const [fromAmount, setFromAmount] = useState('');
   const [toAmount, setToAmount] = useState('');
   const [inputMode, setInputMode] = useState('from'); // 'from' | 'to' - which field user is editing
+  const [swapMode, setSwapMode] = useState('market'); // 'market' swaps now, 'limit' places orders
   const [selectingToken, setSelectingToken] = useState(null); // 'from' | 'to' | null
   const [slippage, setSlippage] = useState(() => {
     // X1 tends to be more volatile, use higher default slippage
@@ -217,7 +176,8 @@ export default function SwapScreen({ wallet, onBack, onSwapComplete, userTokens
   const [hwStatus, setHwStatus] = useState(''); // Hardware wallet status message
   const [showConfirm, setShowConfirm] = useState(false); // Show confirmation screen
   const [txHash, setTxHash] = useState(''); // Transaction hash for success screen
-  const [swapPriority, setSwapPriority] = useState('auto'); // Transaction priority
+  const [swapPriority, setSwapPriority] = useState('auto'); // Transaction priority - 'auto' keeps the API's fee
+  const [priorityOptions, setPriorityOptions] = useState([]); // Priced levels from recent fees
   const [customFee, setCustomFee] = useState(''); // Custom fee amount
   
   // Check if hardware wallet
@@ -277,6 +237,14 @@ export default function SwapScreen({ wallet, onBack, onSwapComplete, userTokens
     prevWalletKeyRef.current = currentWalletKey;
   }, [currentWalletKey]);
   
+  // Open on the orders when one is waiting for approval
+  useEffect(() => {
+    if (!currentWalletKey) return;
+    getLimitOrders(currentNetwork, currentWalletKey).then(orders => {
+      if (orders.some(o => o.status === 'triggered')) setSwapMode('limit');
+    });
+  }, [currentWalletKey, currentNetwork]);
+  
   // Get network config - check custom networks first, then built-in
   const getNetworkConfig = () => {
     // First check built-in networks
@@ -311,6 +279,26 @@ export default function SwapScreen({ wallet, onBack, onSwapComplete, userTokens
   const isSolana = isSolanaNetwork(currentNetwork);
   const walletBalance = wallet?.balance ?? 0;
 
+  // Swap accounts aren't known until the API builds the transaction, so levels are priced network-wide
+  useEffect(() => {
+    if (!showConfirm) return;
+    let cancelled = false;
+    getPriorityFeeOptions(networkConfig.rpcUrl, { computeUnits: SWAP_COMPUTE_UNITS })
+      .then(options => { if (!cancelled) setPriorityOptions(options); })
+      .catch(err => logger.warn('[Swap] Priority fee estimate failed:', err.message));
+    return () => { cancelled = true; };
+  }, [showConfirm, currentNetwork]);
+
+  // Selected priority as { microLamports, fee } - 0 microlamports keeps the fee the swap API set
+  const getSelectedPriority = () => {
+    if (swapPriority === 'custom') {
+      const fee = parseFloat(customFee) || 0;
+      return { microLamports: feeToMicroLamports(fee, SWAP_COMPUTE_UNITS), fee };
+    }
+    const option = priorityOptions.find(p => p.id === swapPriority);
+    return { microLamports: option?.microLamports || 0, fee: option?.fee || 0 };
+  };
+
   // Set initial from token when provided and tokens are loaded
   useEffect(() => {
     if (initialFromToken && !initialTokenSet && tokens.length > 0) {
@@ -1711,12 +1699,8 @@ export default function SwapScreen({ wallet, onBack, onSwapComplete, userTokens
           activeWalletDerivPath: wallet?.activeWallet?.derivationPath
         });
         
-        // Calculate priority fee in microlamports
-        // For custom, convert the fee amount; for presets, use microLamports directly
-        const priorityOption = getPriorityOptions(currentNetwork).find(p => p.id === swapPriority);
-        const priorityMicroLamports = swapPriority === 'custom' 
-          ? customFeeToMicroLamports(parseFloat(customFee) || 0)
-          : (priorityOption?.microLamports || 0);
+        // Priority fee in microlamports per compute unit (the limit is set from simulation)
+        const { microLamports: priorityMicroLamports } = getSelectedPriority();
         
         if (priorityMicroLamports > 0) {
           logger.log(`[Swap] Using priority fee: ${priorityMicroLamports} microlamports/CU (${swapPriority})`);
@@ -1761,12 +1745,8 @@ export default function SwapScreen({ wallet, onBack, onSwapComplete, userTokens
         setHwStatus('');
       } else {
         // Software wallet signing
-        // Calculate priority fee in microlamports
-        // For custom, convert the fee amount; for presets, use microLamports directly
-        const priorityOption = getPriorityOptions(currentNetwork).find(p => p.id === swapPriority);
-        const priorityMicroLamports = swapPriority === 'custom' 
-          ? customFeeToMicroLamports(parseFloat(customFee) || 0)
-          : (priorityOption?.microLamports || 0);
+        // Priority fee in microlamports per compute unit (the limit is set from simulation)
+        const { microLamports: priorityMicroLamports } = getSelectedPriority();
         
         if (priorityMicroLamports > 0) {
           logger.log(`[Swap] Using priority fee: ${priorityMicroLamports} microlamports/CU (${swapPriority})`);
@@ -2772,7 +2752,7 @@ export default function SwapScreen({ wallet, onBack, onSwapComplete, userTokens
               <div className="send-summary-row">
                 <span className="send-summary-label">Network Fee</span>
                 <span className="send-summary-value">
-                  ~{(getBaseFee(currentNetwork) + (swapPriority === 'custom' ? parseFloat(customFee) || 0 : getPriorityOptions(currentNetwork).find(p => p.id === swapPriority)?.fee || 0)).toFixed(6)} {networkConfig.symbol}
+                  ~{(getBaseFee(currentNetwork) + getSelectedPriority().fee).toFixed(6)} {networkConfig.symbol}
                 </span>
               </div>
             </div>
@@ -2781,13 +2761,14 @@ export default function SwapScreen({ wallet, onBack, onSwapComplete, userTokens
             <div className="send-priority-section">
               <div className="send-priority-label">Transaction Priority</div>
               <div className="send-priority-selector">
-                {getPriorityOptions(currentNetwork).filter(opt => opt.id !== 'custom').map(opt => (
+                {[{ id: 'auto', name: 'Auto', description: 'Keep the fee the swap provider set' }, ...PRIORITY_LEVELS].map(opt => (
                   <button
                     key={opt.id}
                     className={`send-priority-btn ${swapPriority === opt.id ? 'active' : ''}`}
                     onClick={() => { setSwapPriority(opt.id); setCustomFee(''); }}
                     type="button"
                     disabled={loading}
+                    title={opt.description}
                   >
                     {opt.name}
                   </button>
@@ -2959,6 +2940,15 @@ export default function SwapScreen({ wallet, onBack, onSwapComplete, userTokens
         </div>
       </div>
 
+      <div className="tabs">
+        <button className={`tab ${swapMode === 'market' ? 'active' : ''}`} onClick={() => setSwapMode('market')}>
+          Market
+        </button>
+        <button className={`tab ${swapMode === 'limit' ? 'active' : ''}`} onClick={() => setSwapMode('limit')}>
+          Limit
+        </button>
+      </div>
+
       <div className="slide-panel-content">
         {/* Loading state when wallet is not ready */}
         {!walletReady ? (
@@ -3107,6 +3097,23 @@ export default function SwapScreen({ wallet, onBack, onSwapComplete, userTokens
           </div>
         </div>
 
+        {swapMode === 'limit' ? (
+          <LimitOrderPanel
+            wallet={wallet}
+            networkConfig={networkConfig}
+            fromToken={fromToken}
+            toToken={toToken}
+            fromAmount={fromAmount}
+            marketPrice={quote && parseFloat(fromAmount) > 0 && parseFloat(toAmount) > 0 ? parseFloat(toAmount) / parseFloat(fromAmount) : null}
+            slippage={slippage}
+            isHardwareWallet={isHardwareWallet}
+            onFilled={() => {
+              if (onSwapComplete) onSwapComplete();
+              if (wallet.refreshBalance) wallet.refreshBalance();
+            }}
+          />
+        ) : (
+          <>
         {/* Swap Details - Above button */}
         {quote && fromAmount && toAmount && (
           <div className="swap-details" style={{ marginTop: 16 }}>
@@ -3331,6 +3338,8 @@ export default function SwapScreen({ wallet, onBack, onSwapComplete, userTokens
         </div>
           </>
         )}
+          </>
+        )}
       </div>
     </div>
   );
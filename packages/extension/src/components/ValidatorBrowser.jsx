@@ -0,0 +1,169 @@
+// Validator Browser - pick a validator to delegate to from its performance
+// Search by vote or identity address, sort by any column and star favorites (kept per network).
+import React, { useState, useEffect, useMemo } from 'react';
+import { getUserFriendlyError, logger } from '@x1-wallet/core';
+import {
+  getValidatorList,
+  sortValidators,
+  searchValidators,
+  getFavoriteValidators,
+  toggleFavoriteValidator,
+  VALIDATOR_SORTS
+} from '@x1-wallet/core/services/validators';
+
+const shorten = (address) => `${address.slice(0, 4)}...${address.slice(-4)}`;
+const percent = (value, digits = 1) => value === null || value === undefined ? '—' : `${(value * 100).toFixed(digits)}%`;
+
+export default function ValidatorBrowser({ network, networkConfig, selected, onSelect, onClose }) {
+  const decimals = networkConfig?.decimals || 9;
+  const symbol = networkConfig?.symbol || 'XNT';
+
+  const [validators, setValidators] = useState([]);
+  const [networkApy, setNetworkApy] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [query, setQuery] = useState('');
+  const [sortBy, setSortBy] = useState('stake');
+  const [favoritesOnly, setFavoritesOnly] = useState(false);
+  const [favorites, setFavorites] = useState(() => getFavoriteValidators(network));
+
+  const load = async (force = false) => {
+    setLoading(true);
+    setError('');
+    try {
+      const result = await getValidatorList(networkConfig.rpcUrl, { force });
+      setValidators(result.validators);
+      setNetworkApy(result.networkApy);
+    } catch (err) {
+      logger.error('[ValidatorBrowser] Failed to load validators:', err);
+      setError(getUserFriendlyError(err, 'Failed to load validators'));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    load();
+    setFavorites(getFavoriteValidators(network));
+  }, [network, networkConfig?.rpcUrl]);
+
+  const shown = useMemo(() => {
+    let list = searchValidators(validators, query);
+    if (favoritesOnly) list = list.filter(v => favorites.includes(v.votePubkey));
+    list = sortValidators(list, sortBy);
+    // Favorites float to the top within the chosen order
+    return [...list.filter(v => favorites.includes(v.votePubkey)), ...list.filter(v => !favorites.includes(v.votePubkey))];
+  }, [validators, query, sortBy, favoritesOnly, favorites]);
+
+  const toggleFavorite = (e, votePubkey) => {
+    e.stopPropagation();
+    setFavorites(toggleFavoriteValidator(network, votePubkey));
+  };
+
+  const formatStake = (lamports) => {
+    const value = lamports / Math.pow(10, decimals);
+    if (value >= 1e6) return `${(value / 1e6).toFixed(2)}M`;
+    if (value >= 1e3) return `${(value / 1e3).toFixed(1)}K`;
+    return value.toFixed(0);
+  };
+
+  return (
+    <div className="send-step-content">
+      <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', marginBottom: 12 }}>
+        <button className="btn-secondary" style={{ padding: '6px 10px', fontSize: 12, width: 'auto' }} onClick={onClose}>
+          ← Back
+        </button>
+        <span style={{ fontSize: 12, color: 'var(--text-muted)' }}>
+          {validators.length} validators{networkApy !== null ? ` · network APY ~${percent(networkApy)}` : ''}
+        </span>
+        <button className="btn-secondary" style={{ padding: '6px 10px', fontSize: 12, width: 'auto' }} onClick={() => load(true)} disabled={loading}>
+          Refresh
+        </button>
+      </div>
+
+      <input
+        className="form-input"
+        placeholder="Search vote or identity address"
+        value={query}
+        onChange={(e) => setQuery(e.target.value)}
+        style={{ marginBottom: 8 }}
+      />
+
+      <div style={{ display: 'flex', gap: 6, flexWrap: 'wrap', marginBottom: 12 }}>
+        {VALIDATOR_SORTS.map(sort => (
+          <button
+            key={sort.id}
+            className={`tab ${sortBy === sort.id ? 'active' : ''}`}
+            style={{ flex: 'none', padding: '6px 10px', fontSize: 12 }}
+            onClick={() => setSortBy(sort.id)}
+          >
+            {sort.name}
+          </button>
+        ))}
+        <button
+          className={`tab ${favoritesOnly ? 'active' : ''}`}
+          style={{ flex: 'none', padding: '6px 10px', fontSize: 12 }}
+          onClick={() => setFavoritesOnly(!favoritesOnly)}
+        >
+          ★ Favorites
+        </button>
+      </div>
+
+      {error && <div className="error-message" style={{ marginBottom: 12 }}>{error}</div>}
+
+      {loading && validators.length === 0 ? (
+        <div style={{ display: 'flex', justifyContent: 'center', padding: 20 }}><div className="spinner" /></div>
+      ) : shown.length === 0 ? (
+        <div style={{ fontSize: 13, color: 'var(--text-muted)', textAlign: 'center', padding: 20 }}>
+          {favoritesOnly ? 'No favorite validators yet' : 'No validators found'}
+        </div>
+      ) : (
+        <div className="settings-section">
+          {shown.map(v => {
+            const isFavorite = favorites.includes(v.votePubkey);
+            return (
+              <div
+                key={v.votePubkey}
+                className="settings-item"
+                style={{
+                  flexDirection: 'column',
+                  alignItems: 'stretch',
+                  gap: 4,
+                  cursor: v.delinquent ? 'default' : 'pointer',
+                  opacity: v.delinquent ? 0.6 : 1,
+                  border: selected === v.votePubkey ? '1px solid var(--x1-blue)' : undefined
+                }}
+                onClick={() => !v.delinquent && onSelect(v.votePubkey)}
+              >
+                <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+                  <div style={{ display: 'flex', alignItems: 'center', gap: 8 }}>
+                    <button
+                      onClick={(e) => toggleFavorite(e, v.votePubkey)}
+                      title={isFavorite ? 'Remove from favorites' : 'Add to favorites'}
+                      style={{ background: 'none', border: 'none', cursor: 'pointer', fontSize: 16, padding: 0, color: isFavorite ? 'var(--warning)' : 'var(--text-muted)' }}
+                    >
+                      {isFavorite ? '★' : '☆'}
+                    </button>
+                    <span style={{ fontWeight: 500 }}>{shorten(v.votePubkey)}</span>
+                    {v.delinquent && (
+                      <span style={{ fontSize: 10, fontWeight: 600, color: 'var(--error)' }}>DELINQUENT</span>
+                    )}
+                  </div>
+                  <span style={{ fontWeight: 600, color: 'var(--success)' }} title={v.apySource === 'estimate' ? 'Estimated from inflation, commission and uptime' : 'From last epoch\'s rewards'}>
+                    {v.apy === null ? '—' : `${v.apySource === 'estimate' ? '~' : ''}${percent(v.apy, 2)}`} APY
+                  </span>
+                </div>
+                <div style={{ display: 'flex', justifyContent: 'space-between', fontSize: 11, color: 'var(--text-muted)' }}>
+                  <span>{formatStake(v.activatedStake)} {symbol} ({percent(v.stakeShare, 2)})</span>
+                  <span>{v.commission}% fee</span>
+                  <span>Uptime {percent(v.uptime)}</span>
+                  <span>Skip {percent(v.skipRate)}</span>
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+}
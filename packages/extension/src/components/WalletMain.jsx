@@ -8,6 +8,13 @@ import { getNetworkConfig } from '@x1-wallet/core/hooks/useWallet';
 import { getTransactionHistory, formatTransaction, fetchBlockchainTransactions } from '@x1-wallet/core/utils/transaction';
 import { fetchTransactions as fetchAPITransactions, registerWallet } from '@x1-wallet/core/services/activity';
 import { fetchTokenAccounts, invalidateRPCCache } from '@x1-wallet/core/services/tokens';
+import { reportRpcFailure } from '@x1-wallet/core/services/rpcEndpoints';
+import { subscribeTokenAccounts } from '@x1-wallet/core/services/accountSubscriptions';
+import { resumePendingTransactions } from '@x1-wallet/core/services/transactionTracker';
+import { getLimitOrders, runAutoExecuteOrders } from '@x1-wallet/core/services/limitOrders';
+import { validateAddress } from '@x1-wallet/core/utils/base58';
+import { flagPoisonedTransactions, recordPoisonedAddresses, getRecentRecipients } from '@x1-wallet/core/utils/addressPoisoning';
+import { getContactsForNetwork, findContactByAddress, findSimilarContacts, searchContacts } from '@x1-wallet/core/services/addressBook';
 
 // Global image cache to prevent re-fetching across screens
 const imageCache = new Map();
@@ -18,6 +25,7 @@ const imageCache = new Map();
 const pendingFetches = new Map();
 const lastFetchTime = new Map();
 const FETCH_DEBOUNCE_MS = 2000; // Don't re-fetch within 2 seconds
+const LIVE_POLL_INTERVAL_MS = 60 * 1000; // Balance/token poll while WebSocket pushes changes
 
 function getFetchCacheKey(walletAddress, network) {
   return `${walletAddress}:${network}`;
@@ -277,7 +285,7 @@ function preloadTokenImages(tokens) {
 }
 
 // ============================================
-// RPC FETCH WITH RETRY - Handles 429 rate limits
+// RPC FETCH WITH RETRY - Handles 429 rate limits, fails over to the next endpoint on errors
 // ============================================
 async function fetchRpcWithRetry(rpcUrl, body, maxRetries = 5) {
   for (let attempt = 1; attempt <= maxRetries; attempt++) {
@@ -298,10 +306,23 @@ async function fetchRpcWithRetry(rpcUrl, body, maxRetries = 5) {
         continue;
       }
       
+      if (response.status >= 500) {
+        const nextUrl = reportRpcFailure(rpcUrl, new Error(`HTTP ${response.status}`));
+        if (nextUrl !== rpcUrl && attempt < maxRetries) {
+          rpcUrl = nextUrl;
+          continue;
+        }
+      }
+      
       return response;
     } catch (err) {
+      // Network error - retry on the next endpoint for this network, if there is one
+      const nextUrl = reportRpcFailure(rpcUrl, err);
       if (attempt === maxRetries) throw err;
-      // Network error - delay before retry
+      if (nextUrl !== rpcUrl) {
+        rpcUrl = nextUrl;
+        continue;
+      }
       await new Promise(r => setTimeout(r, 1000));
     }
   }
@@ -349,11 +370,21 @@ function setCachedActivity(walletAddress, network, transactions) {
   }
 }
 
-function ActivityList({ walletAddress, network, networkConfig, refreshKey }) {
+function ActivityList({ walletAddress, network, networkConfig, refreshKey, onRetrySend }) {
   const [transactions, setTransactions] = useState([]);
   const [loading, setLoading] = useState(true);
   const [isRefreshing, setIsRefreshing] = useState(false);
   const [sortOrder, setSortOrder] = useState('desc'); // 'desc' = newest first, 'asc' = oldest first
+  const [showPoisoned, setShowPoisoned] = useState(false);
+
+  // Incoming dust from lookalikes of past recipients - hidden unless the user asks to see it
+  const flaggedTransactions = flagPoisonedTransactions(transactions, walletAddress, getRecentRecipients());
+  const poisonedCount = flaggedTransactions.filter(tx => tx.poisoning).length;
+  const visibleTransactions = showPoisoned ? flaggedTransactions : flaggedTransactions.filter(tx => !tx.poisoning);
+
+  useEffect(() => {
+    recordPoisonedAddresses(flaggedTransactions);
+  }, [transactions]);
 
   // Load cached activity on mount
   useEffect(() => {
@@ -504,6 +535,12 @@ function ActivityList({ walletAddress, network, networkConfig, refreshKey }) {
     fetchTransactions();
   }, [walletAddress, network, networkConfig?.rpcUrl, refreshKey, sortOrder]);
 
+  // Sends still in flight when the popup last closed - keep rebroadcasting them or mark them expired
+  useEffect(() => {
+    if (!walletAddress || !networkConfig?.rpcUrl) return;
+    resumePendingTransactions(networkConfig.rpcUrl, walletAddress, network, () => fetchTransactions(false));
+  }, [walletAddress, network, networkConfig?.rpcUrl]);
+
   if (loading) {
     return (
       <div className="activity-loading">
@@ -548,8 +585,17 @@ function ActivityList({ walletAddress, network, networkConfig, refreshKey }) {
           </button>
         </div>
       </div>
+
+      {poisonedCount > 0 && (
+        <div className="activity-poisoned-notice">
+          <span>
+            {poisonedCount} suspicious transfer{poisonedCount === 1 ? '' : 's'} {showPoisoned ? 'shown' : 'hidden'} - never copy addresses from them
+          </span>
+          <button onClick={() => setShowPoisoned(!showPoisoned)}>{showPoisoned ? 'Hide' : 'Show'}</button>
+        </div>
+      )}
       
-      {transactions.length === 0 ? (
+      {visibleTransactions.length === 0 ? (
         <div className="empty-state">
           <svg width="48" height="48" viewBox="0 0 24 24" fill="none" stroke="var(--text-muted)" strokeWidth="1.5">
             <polyline points="22 12 18 12 15 21 9 3 6 12 2 12" />
@@ -558,8 +604,11 @@ function ActivityList({ walletAddress, network, networkConfig, refreshKey }) {
           <p className="empty-state-sub">Your transaction history will appear here</p>
         </div>
       ) : (
-        transactions.map((tx, i) => {
+        visibleTransactions.map((tx, i) => {
           const isFailed = tx.status === 'failed';
+          // Blockhash lapsed before the network included it - nothing was sent
+          const isExpired = tx.status === 'expired';
+          const isPending = tx.status === 'pending' || tx.status === 'processed';
           const isSwap = tx.type === 'swap' || tx.type === 'wrap' || tx.type === 'unwrap' || tx.isSwap;
           const isStake = tx.type === 'stake';
           const isUnstake = tx.type === 'unstake';
@@ -607,7 +656,9 @@ function ActivityList({ walletAddress, network, networkConfig, refreshKey }) {
           // Get subtitle
           const getSubtitle = () => {
             if (isDapp) {
-              // Show program or contract interaction
+              // Show decoded action for known programs, otherwise the program address
+              if (tx.dappDescription) return tx.dappDescription;
+              if (tx.dappProgramName) return tx.dappProgramName;
               if (tx.dappProgram) {
                 return `Program: ${tx.dappProgram.slice(0,4)}...${tx.dappProgram.slice(-4)}`;
               }
@@ -627,6 +678,7 @@ function ActivityList({ walletAddress, network, networkConfig, refreshKey }) {
             }
             if (isSwap) return `→ ${tx.toSymbol || tx.toToken || 'Token'}`;
             if (isSend) return `To: ${tx.shortTo || (tx.to ? tx.to.slice(0,4) + '...' + tx.to.slice(-4) : '...')}`;
+            if (tx.poisoning) return `Imitates ${tx.poisoning.lookalikeOf.slice(0,4)}...${tx.poisoning.lookalikeOf.slice(-4)} - do not copy`;
             return `From: ${tx.shortFrom || (tx.from ? tx.from.slice(0,4) + '...' + tx.from.slice(-4) : '...')}`;
           };
           
@@ -666,7 +718,7 @@ function ActivityList({ walletAddress, network, networkConfig, refreshKey }) {
           return (
             <div 
               key={tx.signature || tx.id || i} 
-              className="activity-item"
+              className={`activity-item ${tx.poisoning ? 'poisoned' : ''} ${isExpired ? 'expired' : ''}`}
               onClick={() => tx.signature && openExplorer(tx.signature)}
             >
               <div className={`activity-icon ${iconType}`}>
@@ -714,12 +766,26 @@ function ActivityList({ walletAddress, network, networkConfig, refreshKey }) {
                 )}
               </div>
               <div className="activity-info">
-                <div className="activity-title">{getTitle()}</div>
+                <div className="activity-title">{tx.poisoning ? 'Possible address poisoning' : getTitle()}</div>
                 <div className="activity-subtitle">{getSubtitle()}</div>
               </div>
               <div className="activity-amount-col">
                 <div className={`activity-amount ${iconType}`}>{getAmountDisplay()}</div>
-                <div className="activity-date">{tx.dateStr || tx.timestamp}</div>
+                {isExpired || isPending ? (
+                  <div className={`activity-status ${isExpired ? 'expired' : ''}`}>
+                    {isExpired ? (tx.retriedBy ? 'Expired · retried' : 'Expired · not sent') : 'Pending'}
+                  </div>
+                ) : (
+                  <div className="activity-date">{tx.dateStr || tx.timestamp}</div>
+                )}
+                {isExpired && tx.retryable && !tx.retriedBy && onRetrySend && (
+                  <button
+                    className="activity-retry-btn"
+                    onClick={(e) => { e.stopPropagation(); onRetrySend(tx); }}
+                  >
+                    Retry with higher fee
+                  </button>
+                )}
               </div>
             </div>
           );
@@ -753,6 +819,16 @@ function NFTsTab({ wallet, networkConfig }) {
   const network = wallet?.network;
   const rpcUrl = networkConfig?.rpcUrl;
   
+  // Address book lookups for the recipient field
+  const contacts = getContactsForNetwork(wallet?.contacts, network);
+  const recipientContact = findContactByAddress(contacts, recipient, network);
+  const contactSuggestions = recipient.trim() && !recipientContact
+    ? searchContacts(contacts, recipient, network)
+    : [];
+  const similarContact = recipient.trim() && !recipientContact
+    ? findSimilarContacts(contacts, recipient, network)[0]
+    : null;
+  
   // Hide/unhide NFT
   const toggleHideNft = (mint) => {
     setHiddenNfts(prev => {
@@ -777,9 +853,9 @@ function NFTsTab({ wallet, networkConfig }) {
     setSendError('');
     
     try {
-      // Validate recipient address (basic check)
-      if (recipient.length < 32 || recipient.length > 44) {
-        throw new Error('Invalid recipient address');
+      const addressCheck = validateAddress(recipient.trim());
+      if (!addressCheck.valid) {
+        throw new Error(addressCheck.error || 'Invalid recipient address');
       }
       
       // Get recent blockhash with retry for rate limits
@@ -863,6 +939,7 @@ function NFTsTab({ wallet, networkConfig }) {
         setTxHash(sendData.result);
         setSendSuccess(true);
         setNfts(prev => prev.filter(n => n.mint !== selectedNft.mint));
+        if (wallet?.markContactUsed) wallet.markContactUsed(recipient.trim());
         return;
       }
       
@@ -910,6 +987,7 @@ function NFTsTab({ wallet, networkConfig }) {
       
       // Remove NFT from local state
       setNfts(prev => prev.filter(n => n.mint !== selectedNft.mint));
+      if (wallet?.markContactUsed) wallet.markContactUsed(recipient.trim());
       
     } catch (err) {
       logger.error('[NFT Send] Error:', err);
@@ -1444,6 +1522,28 @@ function NFTsTab({ wallet, networkConfig }) {
               boxSizing: 'border-box'
             }}
           />
+          {recipientContact && (
+            <div style={{ fontSize: 12, color: 'var(--success)', marginTop: 6 }}>Contact: {recipientContact.name}</div>
+          )}
+          {similarContact && (
+            <div className="send-address-warning" style={{ marginTop: 6 }}>
+              Warning: This address looks like your contact "{similarContact.name}" but is different. Double-check before sending.
+            </div>
+          )}
+          {(contactSuggestions.length > 0 || (!recipient && contacts.length > 0)) && (
+            <div style={{ marginTop: 8, background: 'var(--bg-secondary)', borderRadius: 8, overflow: 'hidden' }}>
+              {(recipient ? contactSuggestions : searchContacts(contacts, '', network)).map(c => (
+                <div
+                  key={c.id}
+                  onClick={() => setRecipient(c.address)}
+                  style={{ display: 'flex', justifyContent: 'space-between', padding: '10px 12px', cursor: 'pointer', fontSize: 13 }}
+                >
+                  <span>{c.name}</span>
+                  <span style={{ color: 'var(--text-muted)' }}>{c.address.slice(0, 4)}...{c.address.slice(-4)}</span>
+                </div>
+              ))}
+            </div>
+          )}
         </div>
         
         {/* Error Message */}
@@ -3390,7 +3490,7 @@ function BrowserScreen({ wallet, onBack }) {
   );
 }
 
-export default function WalletMain({ wallet, userTokens: initialTokens = [], onTokensUpdate, onSend, onReceive, onSwap, onBridge, onStake, onSettings, onCreateWallet, onImportWallet, onHardwareWallet, onWatchOnly, activityRefreshKey: externalRefreshKey = 0, balanceRefreshKey = 0, onTokenClick, onWalletSwitch }) {
+export default function WalletMain({ wallet, userTokens: initialTokens = [], onTokensUpdate, onSend, onRetrySend, onReceive, onSwap, onBridge, onStake, onSettings, onCreateWallet, onImportWallet, onHardwareWallet, onWatchOnly, activityRefreshKey: externalRefreshKey = 0, balanceRefreshKey = 0, onTokenClick, onWalletSwitch }) {
   const [activeTab, setActiveTab] = useState('tokens');
   const [bottomNav, setBottomNav] = useState('assets');
   const [showNetworkPanel, setShowNetworkPanel] = useState(false);
@@ -4122,6 +4222,71 @@ export default function WalletMain({ wallet, userTokens: initialTokens = [], onT
     };
   }, [wallet.wallet?.publicKey, wallet.refreshBalance]);  // Removed fetchTokens from deps
 
+  // Token account changes pushed over the RPC WebSocket - refetch right away instead of waiting for the poll
+  const tokenPushTimerRef = useRef(null);
+  const tokensLiveRef = useRef(false);
+  useEffect(() => {
+    const owner = wallet.wallet?.publicKey;
+    if (!owner || !networkConfig?.rpcUrl) return;
+    tokensLiveRef.current = true;
+    const unsubscribe = subscribeTokenAccounts(networkConfig.rpcUrl, owner, () => {
+      // One transaction can touch several token accounts - refetch once
+      clearTimeout(tokenPushTimerRef.current);
+      tokenPushTimerRef.current = setTimeout(() => {
+        logger.log('[WalletMain] Token account change pushed - refreshing tokens');
+        invalidateRPCCache(owner);
+        fetchTokens(false, true);
+        setInternalRefreshKey(prev => prev + 1);
+      }, 500);
+    }, () => {
+      tokensLiveRef.current = false;
+    });
+    return () => {
+      unsubscribe();
+      clearTimeout(tokenPushTimerRef.current);
+      tokensLiveRef.current = false;
+    };
+  }, [wallet.wallet?.publicKey, wallet.network]);
+
+  // A pushed native balance change means new activity
+  const prevLiveBalanceRef = useRef(wallet.balance);
+  useEffect(() => {
+    if (wallet.liveUpdates && prevLiveBalanceRef.current !== wallet.balance) {
+      setInternalRefreshKey(prev => prev + 1);
+    }
+    prevLiveBalanceRef.current = wallet.balance;
+  }, [wallet.balance, wallet.liveUpdates]);
+
+  // Limit orders the background triggered - opted-in ones swap now, the rest wait for approval on the swap screen
+  const [triggeredOrderCount, setTriggeredOrderCount] = useState(0);
+  useEffect(() => {
+    const owner = wallet.wallet?.publicKey;
+    if (!owner || typeof chrome === 'undefined' || !chrome.storage) return;
+    const checkOrders = async () => {
+      if (!wallet.wallet?.isHardware && wallet.wallet?.privateKey && networkConfig?.rpcUrl) {
+        const results = await runAutoExecuteOrders({ network: wallet.network, wallet: owner, rpcUrl: networkConfig.rpcUrl, privateKey: wallet.wallet.privateKey });
+        if (results.some(r => r.signature)) {
+          invalidateRPCCache(owner);
+          wallet.refreshBalance();
+          setInternalRefreshKey(prev => prev + 1);
+        }
+      }
+      const orders = await getLimitOrders(wallet.network, owner);
+      setTriggeredOrderCount(orders.filter(o => o.status === 'triggered').length);
+    };
+    const handleChange = (changes, areaName) => {
+      if (areaName === 'local' && changes.x1wallet_limitOrders) checkOrders();
+    };
+    checkOrders();
+    chrome.storage.onChanged.addListener(handleChange);
+    return () => chrome.storage.onChanged.removeListener(handleChange);
+  }, [wallet.wallet?.publicKey, wallet.network]);
+
+  // While updates are pushed, polling only runs as a slow safety net
+  const liveUpdatesRef = useRef(false);
+  liveUpdatesRef.current = !!wallet.liveUpdates && tokensLiveRef.current;
+  const lastPollRef = useRef(0);
+
   // Auto-refresh and handle network/wallet changes
   useEffect(() => {
     const networkChanged = prevNetworkRef.current !== wallet.network;
@@ -4169,13 +4334,18 @@ export default function WalletMain({ wallet, userTokens: initialTokens = [], onT
       }
     }
     
-    // Token/balance refresh every 10 seconds (silent) - skip if manual refresh was recent
+    // Token/balance refresh every 10 seconds (silent) - skip if manual refresh was recent,
+    // and only every LIVE_POLL_INTERVAL_MS while WebSocket updates are coming in
     const tokenInterval = setInterval(() => {
       // Skip if manual refresh was within last 8 seconds
       if (Date.now() - lastManualRefresh.current < 8000) {
         logger.log('[WalletMain] Skipping interval refresh - manual refresh was recent');
         return;
       }
+      if (liveUpdatesRef.current && Date.now() - lastPollRef.current < LIVE_POLL_INTERVAL_MS) {
+        return;
+      }
+      lastPollRef.current = Date.now();
       if (wallet.wallet?.publicKey) {
         Promise.all([
           wallet.refreshBalance().catch(logger.error),
@@ -4325,6 +4495,28 @@ export default function WalletMain({ wallet, userTokens: initialTokens = [], onT
         </div>
       )}
 
+      {/* Chain identity warning - the RPC's genesis hash no longer matches the network */}
+      {wallet.networkWarning && (
+        <div style={{
+          display: 'flex',
+          alignItems: 'flex-start',
+          gap: 6,
+          padding: '8px 12px',
+          background: 'rgba(239, 68, 68, 0.1)',
+          borderBottom: '1px solid rgba(239, 68, 68, 0.3)',
+          color: 'var(--error)',
+          fontSize: 12,
+          fontWeight: 500
+        }}>
+          <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" style={{ flexShrink: 0, marginTop: 1 }}>
+            <path d="M10.29 3.86L1.82 18a2 2 0 001.71 3h16.94a2 2 0 001.71-3L13.71 3.86a2 2 0 00-3.42 0z" />
+            <line x1="12" y1="9" x2="12" y2="13" />
+            <line x1="12" y1="17" x2="12.01" y2="17" />
+          </svg>
+          {wallet.networkWarning}
+        </div>
+      )}
+
       {/* Tabs - Tokens, DeFi, NFTs, Activity */}
       <div className="tabs">
         <button className={`tab ${activeTab === 'tokens' ? 'active' : ''}`} onClick={() => setActiveTab('tokens')}>
@@ -4376,36 +4568,13 @@ export default function WalletMain({ wallet, userTokens: initialTokens = [], onT
         </button>
         <button 
           className="action-btn" 
-          onClick={() => {
-            if (wallet.wallet?.type === 'watchonly' || wallet.wallet?.isWatchOnly) {
-              return; // Silently ignore - button looks disabled
-            }
-            onSend(null);
-          }} 
-          title={wallet.wallet?.type === 'watchonly' || wallet.wallet?.isWatchOnly ? 'Watch-only wallet cannot send' : 'Send'}
-          style={{ 
-            opacity: wallet.wallet?.type === 'watchonly' || wallet.wallet?.isWatchOnly ? 0.4 : 1,
-            cursor: wallet.wallet?.type === 'watchonly' || wallet.wallet?.isWatchOnly ? 'not-allowed' : 'pointer'
-          }}
+          onClick={() => onSend(null)} 
+          title={wallet.wallet?.type === 'watchonly' || wallet.wallet?.isWatchOnly ? 'Send (sign offline)' : 'Send'}
         >
-          <div className="action-icon-sleek send" style={{ position: 'relative' }}>
+          <div className="action-icon-sleek send">
             <svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
               <path d="M12 19V5M5 12l7-7 7 7" />
             </svg>
-            {/* Lock overlay for watch-only */}
-            {(wallet.wallet?.type === 'watchonly' || wallet.wallet?.isWatchOnly) && (
-              <svg 
-                width="12" height="12" 
-                viewBox="0 0 24 24" 
-                fill="none" 
-                stroke="var(--text-muted)" 
-                strokeWidth="2.5"
-                style={{ position: 'absolute', bottom: -2, right: -2, background: 'var(--bg-primary)', borderRadius: 4, padding: 1 }}
-              >
-                <rect x="3" y="11" width="18" height="11" rx="2" ry="2" />
-                <path d="M7 11V7a5 5 0 0 1 10 0v4" />
-              </svg>
-            )}
           </div>
         </button>
         <button 
@@ -4426,6 +4595,15 @@ export default function WalletMain({ wallet, userTokens: initialTokens = [], onT
             <svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
               <path d="M17 2l4 4-4 4" /><path d="M3 11V9a4 4 0 0 1 4-4h14" /><path d="M7 22l-4-4 4-4" /><path d="M21 13v2a4 4 0 0 1-4 4H3" />
             </svg>
+            {/* Limit orders waiting for approval */}
+            {triggeredOrderCount > 0 && (
+              <span
+                title={`${triggeredOrderCount} limit order${triggeredOrderCount > 1 ? 's' : ''} ready to approve`}
+                style={{ position: 'absolute', top: -4, right: -4, minWidth: 16, height: 16, borderRadius: 8, background: 'var(--warning)', color: '#000', fontSize: 10, fontWeight: 700, display: 'flex', alignItems: 'center', justifyContent: 'center', padding: '0 4px' }}
+              >
+                {triggeredOrderCount}
+              </span>
+            )}
             {/* Lock overlay for watch-only */}
             {(wallet.wallet?.type === 'watchonly' || wallet.wallet?.isWatchOnly) && (
               <svg 
@@ -4799,6 +4977,7 @@ export default function WalletMain({ wallet, userTokens: initialTokens = [], onT
             network={wallet.network}
             networkConfig={networkConfig}
             refreshKey={activityRefreshKey}
+            onRetrySend={onRetrySend}
           />
         )}
       </div>
@@ -467,21 +467,22 @@
       case "connect":
         providerInstance._connected = true;
         if (payload && payload.publicKey) {
-          providerInstance._publicKey = new PublicKey(payload.publicKey);
+          providerInstance._setAccounts(payload.publicKey, payload.accounts);
         }
         providerInstance.emit("connect", providerInstance._publicKey);
         break;
 
       case "disconnect":
         providerInstance._connected = false;
-        providerInstance._publicKey = null;
+        providerInstance._setAccounts(null);
         providerInstance.emit("disconnect");
         break;
 
       case "accountChanged":
         console.log("[X1 Wallet] Received accountChanged message:", payload);
         if (payload && payload.publicKey) {
-          providerInstance._publicKey = new PublicKey(payload.publicKey);
+          // The new active account is one of the shared accounts - it becomes the primary
+          providerInstance._setAccounts(payload.publicKey, providerInstance._accounts);
           console.log("[X1 Wallet] Updated publicKey, emitting accountChanged");
           providerInstance.emit("accountChanged", providerInstance._publicKey);
         }
@@ -524,6 +525,7 @@
       // State
       this._connected = false;
       this._publicKey = null;
+      this._accounts = []; // Base58 addresses shared with this site, primary first
       this._initialized = true;
       this._chain = "x1:mainnet"; // Default chain - will be updated from storage
       this._network = "X1 Mainnet"; // Human readable - will be updated from storage
@@ -551,7 +553,7 @@
         
         if (result && result.connected && result.publicKey) {
           this._connected = true;
-          this._publicKey = new PublicKey(result.publicKey);
+          this._setAccounts(result.publicKey, result.accounts);
           
           if (result.chain) {
             this._chain = result.chain;
@@ -620,6 +622,29 @@
       return map[chain] || 'X1 Mainnet';
     }
 
+    // Set the primary account and the other accounts shared with this site
+    _setAccounts(publicKey, accounts = []) {
+      if (!publicKey) {
+        this._publicKey = null;
+        this._accounts = [];
+        return;
+      }
+      this._publicKey = new PublicKey(publicKey);
+      this._accounts = [publicKey, ...(accounts || []).filter(a => a !== publicKey)];
+    }
+
+    // Account a signing request goes to - the one asked for, or the primary account
+    _signingAccount(account) {
+      if (account) {
+        const address = typeof account === "string" ? account : account.toBase58();
+        if (!this._accounts.includes(address)) {
+          throw new Error("Account is not connected");
+        }
+        return address;
+      }
+      return this._publicKey ? this._publicKey.toBase58() : undefined;
+    }
+
     // Getters
     get isConnected() {
       return this._connected;
@@ -629,6 +654,11 @@
       return this._publicKey;
     }
 
+    // Every account shared with this site, primary (publicKey) first
+    get publicKeys() {
+      return this._accounts.map(address => new PublicKey(address));
+    }
+
     get connected() {
       return this._connected;
     }
@@ -721,7 +751,7 @@
         
         if (result && result.publicKey) {
           this._connected = true;
-          this._publicKey = new PublicKey(result.publicKey);
+          this._setAccounts(result.publicKey, result.accounts);
           
           // Track if chain changed during connect
           const previousChain = this._chain;
@@ -800,14 +830,15 @@
         await this._sendRequest("disconnect");
       } catch (e) {}
       this._connected = false;
-      this._publicKey = null;
+      this._setAccounts(null);
       this.emit("disconnect");
     }
 
     /**
      * Sign a transaction
+     * @param {string|PublicKey} [account] - Connected account to sign with (defaults to publicKey)
      */
-    async signTransaction(transaction) {
+    async signTransaction(transaction, account) {
       console.log("[X1 Wallet] signTransaction()");
       
       if (!this._connected) {
@@ -829,7 +860,10 @@
         throw new Error("Invalid transaction format");
       }
 
-      const result = await this._sendRequest("signTransaction", { transaction: txBase64 });
+      const result = await this._sendRequest("signTransaction", {
+        transaction: txBase64,
+        account: this._signingAccount(account)
+      });
 
       if (result && result.signedTransaction) {
         const signedBytes = Uint8Array.from(atob(result.signedTransaction), c => c.charCodeAt(0));
@@ -843,8 +877,9 @@
 
     /**
      * Sign multiple transactions
+     * @param {string|PublicKey} [account] - Connected account to sign with (defaults to publicKey)
      */
-    async signAllTransactions(transactions) {
+    async signAllTransactions(transactions, account) {
       console.log("[X1 Wallet] signAllTransactions()");
       
       if (!this._connected) {
@@ -861,7 +896,10 @@
         throw new Error("Invalid transaction format");
       });
 
-      const result = await this._sendRequest("signAllTransactions", { transactions: txsBase64 });
+      const result = await this._sendRequest("signAllTransactions", {
+        transactions: txsBase64,
+        account: this._signingAccount(account)
+      });
 
       if (result && result.signedTransactions) {
         return result.signedTransactions.map(signedTx => {
@@ -874,8 +912,9 @@
 
     /**
      * Sign and send transaction
+     * @param {string|PublicKey} [account] - Connected account to sign with (defaults to publicKey)
      */
-    async signAndSendTransaction(transaction, options = {}) {
+    async signAndSendTransaction(transaction, options = {}, account) {
       console.log("[X1 Wallet] signAndSendTransaction()");
       
       if (!this._connected) {
@@ -894,7 +933,11 @@
         throw new Error("Invalid transaction format");
       }
 
-      const result = await this._sendRequest("signAndSendTransaction", { transaction: txBase64, options });
+      const result = await this._sendRequest("signAndSendTransaction", {
+        transaction: txBase64,
+        options,
+        account: this._signingAccount(account)
+      });
 
       if (result && result.signature) {
         return { signature: result.signature };
@@ -904,8 +947,9 @@
 
     /**
      * Sign message
+     * @param {string|PublicKey} [account] - Connected account to sign with (defaults to publicKey)
      */
-    async signMessage(message, display = "utf8") {
+    async signMessage(message, display = "utf8", account) {
       console.log("[X1 Wallet] signMessage()");
       
       if (!this._connected) {
@@ -921,7 +965,11 @@
         throw new Error("Invalid message format");
       }
 
-      const result = await this._sendRequest("signMessage", { message: messageBase64, display });
+      const result = await this._sendRequest("signMessage", {
+        message: messageBase64,
+        display,
+        account: this._signingAccount(account)
+      });
 
       if (result && result.signature) {
         const signatureBytes = Uint8Array.from(atob(result.signature), c => c.charCodeAt(0));
@@ -929,6 +977,45 @@
       }
       throw new Error("No signature returned");
     }
+
+    /**
+     * Sign In With Solana - connect and sign a structured sign-in message in one approval
+     * @param {Object} input - SolanaSignInInput (domain, statement, uri, nonce, issuedAt, ...)
+     */
+    async signIn(input = {}) {
+      console.log("[X1 Wallet] signIn()");
+
+      const result = await this._sendRequest("signIn", { input });
+
+      if (!result || !result.publicKey || !result.signature || !result.signedMessage) {
+        throw new Error("No signature returned");
+      }
+
+      const previousChain = this._chain;
+      const wasConnected = this._connected;
+      this._connected = true;
+      this._setAccounts(result.publicKey, result.accounts);
+      if (result.chain) {
+        this._chain = result.chain;
+      }
+      if (result.network) {
+        this._network = result.network;
+      }
+
+      if (!wasConnected) {
+        this.emit("connect", this._publicKey);
+      }
+      if (result.chain && result.chain !== previousChain) {
+        this.emit("chainChanged", this._chain);
+        this.emit("networkChanged", { chain: this._chain, network: this._network });
+      }
+
+      return {
+        publicKey: this._publicKey,
+        signedMessage: Uint8Array.from(atob(result.signedMessage), c => c.charCodeAt(0)),
+        signature: Uint8Array.from(atob(result.signature), c => c.charCodeAt(0))
+      };
+    }
   }
 
   // Create the provider instance
@@ -976,7 +1063,7 @@
       address: address,
       publicKey: pubkeyBytes,
       chains: accountChains,
-      features: ["solana:signTransaction", "solana:signMessage", "solana:signAndSendTransaction"]
+      features: ["solana:signTransaction", "solana:signMessage", "solana:signAndSendTransaction", "solana:signIn"]
     };
     
     return account;
@@ -995,6 +1082,13 @@
   // Track connected accounts
   let connectedAccounts = [];
 
+  // Wallet Standard accounts for every account shared with this site, primary first
+  function createWalletAccounts() {
+    return provider._accounts
+      .map(address => createWalletAccount(new PublicKey(address), provider._chain))
+      .filter(Boolean);
+  }
+
   // Features implementation object
   const featuresImpl = {
     "standard:connect": {
@@ -1014,10 +1108,9 @@
             const result = await provider.connect(options);
             
             if (result && result.publicKey) {
-              const account = createWalletAccount(result.publicKey, provider._chain);
+              connectedAccounts = createWalletAccounts();
               
-              if (account) {
-                connectedAccounts = [account];
+              if (connectedAccounts.length > 0) {
                 return { accounts: connectedAccounts };
               } else {
                 throw new Error("Failed to create wallet account");
@@ -1050,10 +1143,7 @@
             // Map provider events to wallet standard change event
             const handleConnect = () => {
               if (provider._publicKey) {
-                const account = createWalletAccount(provider._publicKey, provider._chain);
-                if (account) {
-                  connectedAccounts = [account];
-                }
+                connectedAccounts = createWalletAccounts();
               }
               listener({ accounts: connectedAccounts });
             };
@@ -1063,10 +1153,7 @@
             };
             const handleAccountChanged = () => {
               if (provider._publicKey) {
-                const account = createWalletAccount(provider._publicKey, provider._chain);
-                if (account) {
-                  connectedAccounts = [account];
-                }
+                connectedAccounts = createWalletAccounts();
               } else {
                 connectedAccounts = [];
               }
@@ -1075,10 +1162,7 @@
             const handleChainChanged = () => {
               // When chain changes, rebuild accounts with new chain
               if (provider._publicKey) {
-                const account = createWalletAccount(provider._publicKey, provider._chain);
-                if (account) {
-                  connectedAccounts = [account];
-                }
+                connectedAccounts = createWalletAccounts();
               }
               listener({ accounts: connectedAccounts });
             };
@@ -1105,9 +1189,9 @@
         signTransaction: async (...inputs) => {
           const results = [];
           for (const input of inputs) {
-            const { transaction } = input;
+            const { transaction, account } = input;
             // transaction is a Uint8Array from the Wallet Standard
-            const result = await provider.signTransaction(transaction);
+            const result = await provider.signTransaction(transaction, account && account.address);
             // Wallet Standard expects { signedTransaction: Uint8Array }
             const signedBytes = result._signedBytes || result.serialize();
             results.push({ signedTransaction: signedBytes });
@@ -1127,7 +1211,7 @@
             const input = inputArray[i];
             const { transaction, account, chain, options } = input || {};
             
-            const result = await provider.signAndSendTransaction(transaction, options);
+            const result = await provider.signAndSendTransaction(transaction, options, account && account.address);
             
             // Return signature as Uint8Array as per spec
             // Solana signatures are base58-encoded strings, 64 bytes when decoded
@@ -1152,12 +1236,33 @@
         signMessage: async (...inputs) => {
           const results = [];
           for (const input of inputs) {
-            const { message } = input;
-            const result = await provider.signMessage(message);
+            const { message, account } = input;
+            const result = await provider.signMessage(message, "utf8", account && account.address);
             results.push(result);
           }
           return results;
         }
+      },
+      "solana:signIn": {
+        version: "1.0.0",
+        signIn: async (...inputs) => {
+          const results = [];
+          for (const input of inputs) {
+            const result = await provider.signIn(input);
+            const account = createWalletAccount(result.publicKey, provider._chain);
+            if (!account) {
+              throw new Error("Failed to create wallet account");
+            }
+            connectedAccounts = createWalletAccounts();
+            results.push({
+              account,
+              signedMessage: result.signedMessage,
+              signature: result.signature,
+              signatureType: "ed25519"
+            });
+          }
+          return results;
+        }
       }
   };
 
@@ -1176,10 +1281,7 @@
     // Accounts getter - returns current connected accounts
     get accounts() {
       if (provider._connected && provider._publicKey && connectedAccounts.length === 0) {
-        const account = createWalletAccount(provider._publicKey, provider._chain);
-        if (account) {
-          connectedAccounts = [account];
-        }
+        connectedAccounts = createWalletAccounts();
       } else if (!provider._connected) {
         connectedAccounts = [];
       }